@@ -20,7 +20,10 @@ module.exports = function(config) {
     // list of files / patterns to load in the browser
     files: [
       'test/main.js',
-      'build/diva.css'
+      'build/diva.css',
+      // Served for the tests which fetch them, e.g. the search results and text layers
+      { pattern: 'test/manifests/*.json', included: false, served: true, watched: false },
+      { pattern: 'test/manifests/*.xml', included: false, served: true, watched: false }
     ],
 
 
@@ -0,0 +1,50 @@
+import parseIIIFAnnotations from './parse-iiif-annotations';
+
+/**
+ * @class AnnotationLoader
+ * @private
+ *
+ * Loads the annotation lists (v2) and annotation pages (v3) referenced by
+ * canvases. Lists which are referenced by URL are only fetched once.
+ */
+export default class AnnotationLoader
+{
+    constructor ()
+    {
+        this._requests = {};
+    }
+
+    /**
+     * Returns a promise for the parsed annotations of an annotation list. The list may
+     * be embedded in the manifest or referenced by its URL. The promise resolves to an
+     * empty array if the list cannot be loaded.
+     *
+     * @param {Object|string} list - The annotation list, or a reference to it
+     * @param {?string} language - The preferred language for labels
+     * @returns {Promise}
+     */
+    load (list, language)
+    {
+        if (typeof list === 'object' && (list.resources || list.items))
+            return Promise.resolve(parseIIIFAnnotations(list, language));
+
+        const url = (typeof list === 'string') ? list : (list['@id'] || list.id);
+
+        if (!this._requests.hasOwnProperty(url))
+        {
+            this._requests[url] = fetch(url).then(response =>
+            {
+                if (!response.ok)
+                    throw new Error(response.statusText);
+
+                return response.json();
+            }).then(data => parseIIIFAnnotations(data, language)).catch(error =>
+            {
+                console.warn('Could not load annotations from ' + url + ': ' + error.message);
+                return [];
+            });
+        }
+
+        return this._requests[url];
+    }
+}
@@ -0,0 +1,102 @@
+import { elt } from './utils/elt';
+import { getPercentRegion, positionOverPage } from './utils/page-overlays';
+
+/**
+ * A page overlay which draws the annotations of a page over its image. The
+ * annotations are loaded when the page is first mounted. Annotation regions
+ * are positioned in percentages of the page so that they follow its zoom level,
+ * and are drawn again when the page is rotated.
+ *
+ * Publishes AnnotationsDidLoad when the annotations of the page have loaded,
+ * and AnnotationHoverDidStart, AnnotationHoverDidEnd and AnnotationWasClicked
+ * when the user interacts with one of them.
+ **/
+export default class AnnotationOverlay
+{
+    constructor (pageIndex, viewerCore)
+    {
+        this.page = pageIndex;
+
+        this._viewerCore = viewerCore;
+        this._innerElement = viewerCore.getSettings().innerElement;
+        this._annotationsElem = null;
+        this._annotations = null;
+        this._rotation = 0;
+    }
+
+    mount ()
+    {
+        if (this._annotationsElem === null)
+        {
+            this._annotationsElem = elt('div', { class: 'diva-annotations' });
+
+            this._viewerCore.getPageAnnotations(this.page).then(annotations =>
+            {
+                this._annotations = annotations;
+                this._renderAnnotations(annotations);
+                this._viewerCore.publish('AnnotationsDidLoad', this.page, annotations);
+            });
+        }
+
+        this.refresh();
+        this._innerElement.appendChild(this._annotationsElem);
+    }
+
+    _renderAnnotations (annotations)
+    {
+        this._rotation = this._viewerCore.getPageRotation(this.page);
+
+        annotations.forEach(annotation =>
+        {
+            // Annotations on the whole canvas have nothing to draw
+            if (!annotation.region)
+                return;
+
+            const region = getPercentRegion(annotation.region, this._viewerCore, this.page);
+
+            const annotationElem = elt('div', {
+                class: 'diva-annotation',
+                title: annotation.text || annotation.label || '',
+                style: {
+                    left: region.left + '%',
+                    top: region.top + '%',
+                    width: region.width + '%',
+                    height: region.height + '%'
+                }
+            });
+
+            annotationElem.addEventListener('mouseenter', () =>
+            {
+                this._viewerCore.publish('AnnotationHoverDidStart', annotation, this.page);
+            }, false);
+
+            annotationElem.addEventListener('mouseleave', () =>
+            {
+                this._viewerCore.publish('AnnotationHoverDidEnd', annotation, this.page);
+            }, false);
+
+            annotationElem.addEventListener('click', (event) =>
+            {
+                this._viewerCore.publish('AnnotationWasClicked', annotation, this.page, event);
+            }, false);
+
+            this._annotationsElem.appendChild(annotationElem);
+        });
+    }
+
+    unmount ()
+    {
+        this._innerElement.removeChild(this._annotationsElem);
+    }
+
+    refresh ()
+    {
+        if (this._annotations && this._rotation !== this._viewerCore.getPageRotation(this.page))
+        {
+            this._annotationsElem.textContent = '';
+            this._renderAnnotations(this._annotations);
+        }
+
+        positionOverPage(this._annotationsElem, this._viewerCore, this.page);
+    }
+}
@@ -0,0 +1,143 @@
+import { elt } from './utils/elt';
+import parseIIIFCollection from './parse-iiif-collection';
+
+/**
+ * A dialog listing the members of a IIIF collection. Nested collections are
+ * expanded on click, and fetched first if they are only referenced by the
+ * collection. Picking a manifest hides the dialog and calls onSelect with
+ * the manifest id.
+ **/
+export default class CollectionPicker
+{
+    constructor (viewerCore, collection, onSelect)
+    {
+        this._viewerCore = viewerCore;
+        this._collection = collection;
+        this._onSelect = onSelect;
+        this._element = null;
+    }
+
+    show ()
+    {
+        if (this._element === null)
+            this._element = this._createElement();
+
+        this._updateCurrentManifest();
+        this._viewerCore.getSettings().outerObject.appendChild(this._element);
+    }
+
+    hide ()
+    {
+        if (this.isVisible())
+            this._element.parentNode.removeChild(this._element);
+    }
+
+    isVisible ()
+    {
+        return this._element !== null && this._element.parentNode !== null;
+    }
+
+    _createElement ()
+    {
+        const closeButton = elt('button', this._viewerCore.elemAttrs('collection-close', {
+            class: 'diva-collection-close close-button',
+            'aria-label': this._viewerCore.translate('closeDialog')
+        }), '✖');
+
+        closeButton.addEventListener('click', () => this.hide());
+
+        return elt('div', this._viewerCore.elemAttrs('collection-picker', { class: 'diva-modal diva-collection-picker' }),
+            elt('div', closeButton, elt('h2', { class: 'diva-collection-title' }, this._collection.label)),
+            elt('div', { class: 'diva-collection-content' }, this._createList(this._collection.items))
+        );
+    }
+
+    _createList (items)
+    {
+        return elt('ul', { class: 'diva-collection-list' }, items.map(item =>
+        {
+            return (item.type === 'collection') ? this._createCollectionItem(item) : this._createManifestItem(item);
+        }));
+    }
+
+    _createManifestItem (item)
+    {
+        const link = elt('a', { class: 'diva-collection-manifest', href: '#', 'data-manifest': item.id }, item.label);
+
+        link.addEventListener('click', (event) =>
+        {
+            event.preventDefault();
+            this.hide();
+            this._onSelect(item.id);
+        });
+
+        return elt('li', { class: 'diva-collection-item' }, link);
+    }
+
+    _createCollectionItem (item)
+    {
+        const listItem = elt('li', { class: 'diva-collection-item diva-collection-collapsed' });
+        const toggle = elt('a', { class: 'diva-collection-toggle', href: '#' }, item.label);
+
+        toggle.addEventListener('click', (event) =>
+        {
+            event.preventDefault();
+
+            const isCollapsed = listItem.classList.toggle('diva-collection-collapsed');
+
+            if (!isCollapsed && !listItem.querySelector('.diva-collection-list, .diva-collection-status'))
+                this._loadCollectionItems(item, listItem);
+        });
+
+        listItem.appendChild(toggle);
+
+        return listItem;
+    }
+
+    /**
+     * Add the members of a nested collection to its list item, fetching the collection
+     * if it was not embedded in its parent.
+     **/
+    _loadCollectionItems (item, listItem)
+    {
+        if (item.items !== null)
+        {
+            listItem.appendChild(this._createList(item.items));
+            this._updateCurrentManifest();
+            return;
+        }
+
+        const status = elt('div', { class: 'diva-collection-status' }, this._viewerCore.translate('loading'));
+        listItem.appendChild(status);
+
+        fetch(item.id, {
+            headers: this._viewerCore.getSettings().requestHeaders
+        }).then(response =>
+        {
+            if (!response.ok)
+                throw new Error(response.statusText);
+
+            return response.json();
+        }).then(data =>
+        {
+            item.items = parseIIIFCollection(data, this._viewerCore.getLanguage()).items;
+
+            listItem.removeChild(status);
+            listItem.appendChild(this._createList(item.items));
+            this._updateCurrentManifest();
+        }).catch(() =>
+        {
+            status.textContent = this._viewerCore.translate('collectionLoadError');
+        });
+    }
+
+    // Mark the manifest currently shown by the viewer
+    _updateCurrentManifest ()
+    {
+        const current = this._viewerCore.getSettings().objectData;
+        const links = this._element.querySelectorAll('.diva-collection-manifest');
+
+        for (let i = 0, len = links.length; i < len; i++)
+            links[i].classList.toggle('diva-collection-current', links[i].getAttribute('data-manifest') === current);
+    }
+}
@@ -18,6 +18,7 @@ export default class CompositeImage
     constructor(levels)
     {
         this._levels = levels;  // Assume levels sorted high-res first
+        this._lookedUpUrls = {};
         const urlsToTiles = this._urlsToTiles = {};
 
         levels.forEach(level =>
@@ -44,6 +45,14 @@ export default class CompositeImage
         });
     }
 
+    /**
+     * Returns the tiles of the given zoom level, or null if the image has no such level.
+     */
+    getLevel (zoomLevel)
+    {
+        return this._levels.filter(level => level.zoomLevel === zoomLevel)[0] || null;
+    }
+
     getTiles (baseZoomLevel)
     {
         const toRenderByLevel = [];
@@ -141,6 +150,23 @@ export default class CompositeImage
         }, this);
     }
 
+    /**
+     * Returns true if the image of a tile is in the cache. Only the first lookup of each
+     * tile of the image is counted in the statistics of the cache, since the renderer
+     * looks the tiles up again on every frame.
+     *
+     * @param url {string}
+     * @param cache {ImageCache}
+     */
+    isTileCached (url, cache)
+    {
+        if (this._lookedUpUrls[url])
+            return cache.has(url);
+
+        this._lookedUpUrls[url] = true;
+        return cache.check(url);
+    }
+
     updateWithLoadedUrls (urls)
     {
         urls.forEach( (url) =>
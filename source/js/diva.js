@@ -9,8 +9,13 @@ import {
 import diva from "./diva-global";
 import ViewerCore from "./viewer-core";
 import ImageManifest from "./image-manifest";
+import ImageCache from "./image-cache";
+import CollectionPicker from "./collection-picker";
+import parseIIIFCollection, { hasManifest, isIIIFCollection } from "./parse-iiif-collection";
 import Toolbar from "./toolbar";
 import HashParams from "./utils/hash-params";
+import { registerLocale } from "./i18n";
+import ViewerLink from "./viewer-link";
 
 
 /**
@@ -27,6 +32,16 @@ import HashParams from "./utils/hash-params";
  *
  * Diva.Events.subscribe('VisiblePageDidChange', function () { console.log("Visible Page Changed"); });
  *
+ * The interface is shown in the language given by the `language` option, or in the browser's
+ * language. Messages for other languages can be added with Diva.registerLocale:
+ *
+ * Diva.registerLocale('de', { zoomIn: 'Vergrößern', zoomOut: 'Verkleinern' });
+ *
+ * Two instances showing different manifests can be linked for side-by-side comparison,
+ * so that they stay on corresponding pages (see viewer-link.js):
+ *
+ * var link = new Diva.ViewerLink(firstDiva, secondDiva, { concordance: canvasPairs });
+ *
  *
  *
  **/
@@ -52,11 +67,15 @@ class Diva
             throw new ObjectDataNotSuppliedException('You must supply either a URL or a literal object to the `objectData` key.');
         }
 
+        // Whether the host page asked for an initial page; if not, the manifest's start canvas is used
+        this._hasInitialPageOption = options.hasOwnProperty('goDirectlyTo');
+
         this.options = Object.assign({
             adaptivePadding: 0.05,      // The ratio of padding to the page dimension
             arrowScrollAmount: 40,      // The amount (in pixels) to scroll by when using arrow keys
             blockMobileMove: false,     // Prevent moving or scrolling the page on mobile devices
-            objectData: '',             // A IIIF Manifest or a JSON file generated by process.py that provides the object dimension data, or a URL pointing to such data - *REQUIRED*
+            objectData: '',             // A IIIF Manifest or Collection, or a URL pointing to one. For a Collection, the user picks one of its manifests - *REQUIRED*
+            enableAnnotations: false,   // Load the annotation lists of visible pages and draw their annotations over the page images
             enableAutoTitle: true,      // Shows the title within a div of id diva-title
             enableFilename: true,       // Uses filenames and not page numbers for links (i=bm_001.tif, not p=1)
             enableFullscreen: true,     // Enable or disable fullscreen icon (mode still available)
@@ -70,18 +89,25 @@ class Diva
             enableLinkIcon: true,       // Controls the visibility of the link icon
             enableNonPagedVisibilityIcon: true, // Controls the visibility of the icon to toggle the visibility of non-paged pages. (Automatically hidden if no 'non-paged' pages).
             enableSpaceScroll: false,   // Scrolling down by pressing the space key
+            enableTextLayer: false,     // Load the ALTO or hOCR text of visible pages and place it over the page images, invisible but selectable
             enableToolbar: true,        // Enables the toolbar. Note that disabling this means you have to handle all controls yourself.
+            enableWheelZoom: true,      // Zoom in and out on the cursor with Ctrl + mouse wheel and trackpad pinch gestures
             enableZoomControls: 'buttons', // Specify controls for zooming in and out. Possible values: 'buttons' (+/-), 'slider'. Any other value disables the controls.
+            fetchImageInfo: false,      // Fetch the info.json of each image service and use its tile sizes and scale factors instead of tileWidth/tileHeight
+            fetchTiles: false,          // Load tiles with fetch instead of image elements, so that the requestHeaders (e.g. Authorization) or the tileRequestHeaders are sent. Requires createImageBitmap
             fillParentHeight: true,     // Use a flexbox layout to allow Diva to fill its parent's height
             fixedPadding: 10,           // Fallback if adaptive padding is set to 0
             fixedHeightGrid: true,      // So each page in grid view has the same height (only widths differ)
             goDirectlyTo: 0,            // Default initial page to show (0-indexed)
             hashParamSuffix: null,      // Used when there are multiple document viewers on a page
+            imageCacheSize: 128,        // The size of the cache of decoded tile images, in megabytes. The cache is shared by the viewers of the page, which use the largest size asked for
             imageCrossOrigin: 'anonymous', // Set crossOrigin property for image requests
             inFullscreen: false,        // Set to true to load fullscreen mode initially
             inBookLayout: false,       // Set to true to view the document with facing pages in document mode
             inGrid: false,              // Set to true to load grid view initially
+            language: null,             // The language of the interface and of labels and metadata from the manifest (e.g. 'fr'). Defaults to the browser's language
             maxPagesPerRow: 8,          // Maximum number of pages per row in grid view
+            maxTileRequests: 6,         // The number of tiles which may load at the same time, nearest to the centre of the viewport first; 0 for no limit
             maxZoomLevel: -1,           // Optional; defaults to the max zoom returned in the JSON response
             minPagesPerRow: 2,          // Minimum pages per row in grid view. Recommended default.
             minZoomLevel: 0,            // Defaults to 0 (the minimum zoom)
@@ -91,14 +117,17 @@ class Diva
             pageLoadTimeout: 200,       // Number of milliseconds to wait before loading pages
             pagesPerRow: 5,             // The default number of pages per row in grid view
             requestHeaders: {"Accept": "application/json"}, // Default header sent off to the server in content negotiation
+            rotation: 0,                // The clockwise rotation of the pages in degrees: 0, 90, 180 or 270
             showNonPagedPages: false,   // Whether pages tagged as 'non-paged' (in IIIF manifests only) should be visible after initial load
+            textLayerURL: null,         // A function taking a page index and canvas id and returning the URL of the page's ALTO or hOCR document, for manifests which do not link them with seeAlso or rendering
             throbberTimeout: 100,       // Number of milliseconds to wait before showing throbber
             tileHeight: 256,            // The height of each tile, in pixels; usually 256
+            tileRequestHeaders: null,   // A function taking the URL of a tile and returning the headers to send for it, instead of the requestHeaders, when fetchTiles is set
             tileWidth: 256,             // The width of each tile, in pixels; usually 256
             toolbarParentObject: null,  // The toolbar parent object.
             verticallyOriented: true,   // Determines vertical vs. horizontal orientation
             viewportMargin: 200,        // Pretend tiles +/- 200px away from viewport are in
-            zoomLevel: 2                // The initial zoom level (used to store the current zoom level)
+            zoomLevel: 2                // The initial zoom level, which may be fractional (used to store the current zoom level)
         }, options);
 
         // In order to fill the height, use a wrapper div displayed using a flexbox layout
@@ -195,7 +224,8 @@ class Diva
     _ajaxError (response)
     {
         // Show a basic error message within the document viewer pane
-        const errorMessage = ['Invalid objectData setting. Error code: ' + response.status + ' ' + response.statusText];
+        const viewerCore = this.divaState.viewerCore;
+        const errorMessage = [viewerCore.translate('invalidObjectData', { status: response.status, statusText: response.statusText })];
 
         // Detect and handle CORS errors
         const dataHasAbsolutePath = this.settings.objectData.lastIndexOf('http', 0) === 0;
@@ -207,13 +237,13 @@ class Diva
             if (window.location.hostname !== jsonHost)
             {
                 errorMessage.push(
-                    elt('p', 'Attempted to access cross-origin data without CORS.'),
+                    elt('p', viewerCore.translate('corsError')),
                     elt('p',
-                        'You may need to update your server configuration to support CORS. For help, see the ',
+                        viewerCore.translate('corsHelp'),
                         elt('a', {
                             href: 'https://github.com/DDMAL/diva.js/wiki/Installation#a-note-about-cross-site-requests',
                             target: '_blank'
-                        }, 'cross-site request documentation.')
+                        }, viewerCore.translate('corsHelpLink'))
                     )
                 );
             }
@@ -235,14 +265,67 @@ class Diva
             throw new NotAnIIIFManifestException('This does not appear to be a IIIF Manifest.');
         }
 
+        if (isIIIFCollection(responseData))
+        {
+            this._loadCollection(responseData, hashState);
+            return;
+        }
+
         // trigger ManifestDidLoad event
         diva.Events.publish('ManifestDidLoad', [responseData], this);
-        manifest = ImageManifest.fromIIIF(responseData);
+        manifest = ImageManifest.fromIIIF(responseData, this.divaState.viewerCore.getLanguage());
         const loadOptions = hashState ? this._getLoadOptionsForState(hashState, manifest) : {};
 
+        // Open on the start canvas given in the manifest unless a page was requested explicitly
+        if (loadOptions.goDirectlyTo == null && !this._hasInitialPageOption && manifest.startPageIndex !== null)
+            loadOptions.goDirectlyTo = manifest.startPageIndex;
+
         this.divaState.viewerCore.setManifest(manifest, loadOptions);
     }
 
+    /**
+     * Show the members of a IIIF collection in a picker. If the hash params name
+     * a manifest which was picked from the collection before, it is loaded directly.
+     * Other manifests in the hash params are ignored, since they would be requested
+     * with the request headers of the viewer.
+     *
+     * @private
+     **/
+    _loadCollection (responseData, hashState)
+    {
+        const collection = parseIIIFCollection(responseData, this.divaState.viewerCore.getLanguage());
+
+        this.viewerState.collection = collection;
+        this.viewerState.collectionPicker = new CollectionPicker(this.divaState.viewerCore, collection, (manifestId) =>
+        {
+            this._loadCollectionManifest(manifestId);
+        });
+
+        diva.Events.publish('CollectionDidLoad', [collection], this);
+
+        this.divaState.viewerCore.hideThrobber();
+
+        if (hashState && hashState.m && hasManifest(collection, hashState.m))
+            this.changeObject(hashState.m);
+        else
+            this.viewerState.collectionPicker.show();
+    }
+
+    /**
+     * Load a manifest picked from the current collection and keep it in the hash params.
+     *
+     * @private
+     **/
+    _loadCollectionManifest (manifestId)
+    {
+        HashParams.update('m' + this.settings.hashParamSuffix, manifestId);
+
+        // The page and view in the hash params belong to the previous manifest
+        this.hashState = {};
+
+        this.changeObject(manifestId);
+    }
+
     /**
      * Parse the hash parameters into the format used by getState and setState
      *
@@ -252,7 +335,7 @@ class Diva
     {
         const state = {};
 
-        ['f', 'v', 'z', 'n', 'i', 'p', 'y', 'x'].forEach( (param) =>
+        ['f', 'v', 'z', 'n', 'i', 'p', 'y', 'x', 'm'].forEach( (param) =>
         {
             const value = HashParams.get(param + this.settings.hashParamSuffix);
 
@@ -270,13 +353,16 @@ class Diva
         else if (state.f === 'false')
             state.f = false;
 
-        // Convert numerical values to integers, if provided
-        ['z', 'n', 'p', 'x', 'y'].forEach( (param) =>
+        // Convert numerical values to integers, if provided. The zoom level may be fractional.
+        ['n', 'p', 'x', 'y'].forEach( (param) =>
         {
             if (param in state)
                 state[param] = parseInt(state[param], 10);
         });
 
+        if ('z' in state)
+            state.z = parseFloat(state.z);
+
         return state;
     }
 
@@ -398,7 +484,7 @@ class Diva
         return {
             'f': this.settings.inFullscreen,
             'v': view,
-            'z': this.settings.zoomLevel,
+            'z': Math.round(this.settings.zoomLevel * 100) / 100,
             'n': this.settings.pagesPerRow,
             'i': this.settings.enableFilename ? this.settings.manifest.pages[this.settings.activePageIndex].f : false,
             'p': this.settings.enableFilename ? false : this.settings.activePageIndex + 1,
@@ -416,6 +502,10 @@ class Diva
         const hashStringBuilder = [];
         let param;
 
+        // Keep the manifest which was picked from a collection
+        if (this.viewerState.collection && typeof this.settings.objectData === 'string')
+            hashParams.m = this.settings.objectData;
+
         for (param in hashParams)
         {
             if (hashParams[param] !== false)
@@ -667,7 +757,7 @@ class Diva
      * Change the object (objectData) parameter currently being rendered by Diva.
      *
      * @public
-     * @params {object} objectData - An IIIF Manifest object OR a URL to a IIIF manifest.
+     * @params {object} objectData - An IIIF Manifest or Collection object OR a URL to one.
      */
     changeObject (objectData)
     {
@@ -926,6 +1016,20 @@ class Diva
         return this.settings.pagesPerRow;
     }
 
+    /**
+     * Get the statistics of the cache of tile images, which is shared by the viewers of the
+     * page: the hits and misses of the tiles needed by the views (each tile is counted once
+     * each time its page comes into view), the number of images evicted, and the number and
+     * decoded size in bytes of the cached images.
+     *
+     * @public
+     * @returns {{hits: number, misses: number, evictions: number, entries: number, bytes: number, maxBytes: number}}
+     **/
+    getImageCacheStats ()
+    {
+        return ImageCache.getShared().getStats();
+    }
+
     /**
      * Get the instance ID number.
      *
@@ -1024,6 +1128,34 @@ class Diva
         return this.settings.manifest.pages[pageIndex].otherImages;
     }
 
+    /**
+     * Returns a promise for the annotations targeting the given page, loading the
+     * annotation lists of the page's canvas if necessary. Each annotation has an id,
+     * canvas, region ({x, y, w, h} in canvas coordinates, or null for the whole
+     * canvas), motivation, label and text.
+     *
+     * @public
+     * @params {number} pageIndex - A valid 0-based page index
+     * @returns {Promise} - A promise resolving to an array of annotations
+     * */
+    getPageAnnotations (pageIndex)
+    {
+        return this.divaState.viewerCore.getPageAnnotations(pageIndex);
+    }
+
+    /**
+     * Get the clockwise rotation of a page as it is shown, in degrees. This includes
+     * the rotation of the document.
+     *
+     * @public
+     * @params {number} pageIndex - A valid 0-based page index
+     * @returns {number} - 0, 90, 180 or 270
+     * */
+    getPageRotation (pageIndex)
+    {
+        return this.divaState.viewerCore.getPageRotation(pageIndex);
+    }
+
     /**
      * Get page dimensions in the current view and zoom level
      *
@@ -1073,23 +1205,23 @@ class Diva
         if (zoomLevel > this.settings.maxZoomLevel)
             zoomLevel = this.settings.maxZoomLevel;
 
-        const pg = this.settings.manifest.pages[parseInt(pageIdx, 10)];
-        const pgAtZoom = pg.d[parseInt(zoomLevel, 10)];
+        const dimensions = this.settings.manifest.getPageDimensionsAtZoomLevel(parseInt(pageIdx, 10), zoomLevel);
 
         return {
-            width: pgAtZoom.w,
-            height: pgAtZoom.h
+            width: Math.floor(dimensions.width),
+            height: Math.floor(dimensions.height)
         };
     }
 
     /**
      * Returns a URL for the image of the page at the given index. The
      * optional size parameter supports setting the image width or height
-     * (default is full-sized).
+     * (default is full-sized), a quality (e.g. 'gray') which is used if the
+     * page's image service offers it, and a clockwise rotation in degrees.
      *
      * @public
      * @params {number} pageIndex - 0-based page index
-     * @params {?object} size - an object containing width and height information
+     * @params {?object} size - an object containing width, height, quality and rotation information
      * @returns {string} - The IIIF URL for a given page at an optional size
      */
     getPageImageURL (pageIndex, size)
@@ -1141,6 +1273,17 @@ class Diva
         return this.settings;
     }
 
+    /**
+     * Get the clockwise rotation of the document in degrees.
+     *
+     * @public
+     * @returns {number} - 0, 90, 180 or 270
+     * */
+    getRotation ()
+    {
+        return this.settings.rotation;
+    }
+
     /**
      * Get an object representing the complete state of the viewer.
      *
@@ -1396,6 +1539,40 @@ class Diva
         });
     }
 
+    /**
+     * Rotate a single page so that it is shown turned clockwise by the given
+     * number of degrees. Other pages keep their rotation.
+     *
+     * @public
+     * @params {number} pageIndex - A valid 0-based page index
+     * @params {number} rotation - A multiple of 90 degrees (e.g. 90 or -90)
+     * @returns {boolean} - True if the operation was successful.
+     **/
+    setPageRotation (pageIndex, rotation)
+    {
+        if (!this._checkLoaded() || !this._isPageIndexValid(pageIndex))
+            return false;
+
+        return this.divaState.viewerCore.setRotation(rotation, pageIndex);
+    }
+
+    /**
+     * Rotate the whole document clockwise by the given number of degrees from its
+     * unrotated position. Pages rotated with setPageRotation keep their rotation
+     * relative to the document.
+     *
+     * @public
+     * @params {number} rotation - A multiple of 90 degrees (e.g. 90 or -90)
+     * @returns {boolean} - True if the operation was successful.
+     **/
+    setRotation (rotation)
+    {
+        if (!this._checkLoaded())
+            return false;
+
+        return this.divaState.viewerCore.setRotation(rotation);
+    }
+
     /**
      * Align this diva instance with a state object (as returned by getState)
      *
@@ -1409,9 +1586,10 @@ class Diva
     }
 
     /**
-     * Sets the zoom level.
+     * Sets the zoom level. Fractional zoom levels (e.g. 2.5) are allowed.
      *
      * @public
+     * @params {number} zoomLevel - The new zoom level
      * @returns {boolean} - True if the operation was successful.
      **/
     setZoomLevel (zoomLevel)
@@ -1513,23 +1691,23 @@ class Diva
     }
 
     /**
-     * Zoom in.
+     * Zoom in to the next whole zoom level.
      *
      * @public
      * @returns {boolean} - false if it's at the maximum zoom
      **/
     zoomIn ()
     {
-        return this.setZoomLevel(this.settings.zoomLevel + 1);
+        return this.setZoomLevel(Math.floor(this.settings.zoomLevel) + 1);
     }
 
     /**
-     * Zoom out.
+     * Zoom out to the previous whole zoom level.
      * @returns {boolean} - false if it's at the minimum zoom
      **/
     zoomOut ()
     {
-        return this.setZoomLevel(this.settings.zoomLevel - 1);
+        return this.setZoomLevel(Math.ceil(this.settings.zoomLevel) - 1);
     }
 }
 
@@ -1542,4 +1720,6 @@ export default Diva;
 {
     global.Diva = global.Diva || Diva;
     global.Diva.Events = diva.Events;
+    global.Diva.registerLocale = registerLocale;
+    global.Diva.ViewerLink = ViewerLink;
 })(window);
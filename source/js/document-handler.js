@@ -1,5 +1,7 @@
 import maxBy from 'lodash.maxby';
+import AnnotationOverlay from './annotation-overlay';
 import PageToolsOverlay from './page-tools-overlay';
+import TextLayerOverlay from './text-layer-overlay';
 
 
 export default class DocumentHandler
@@ -9,6 +11,9 @@ export default class DocumentHandler
         this._viewerCore = viewerCore;
         this._viewerState = viewerCore.getInternalState();
         this._overlays = [];
+        this._wheelZoomDelta = 0;
+        this._wheelZoomCoords = null;
+        this._wheelZoomFrame = null;
 
         if (this._viewerCore.getPageTools().length)
         {
@@ -35,13 +40,37 @@ export default class DocumentHandler
                 overlay.labelWidth = labelWidth;
             }
         }
+
+        if (viewerCore.getSettings().enableAnnotations)
+        {
+            const numPages = viewerCore.getSettings().numPages;
+
+            for (let i = 0; i < numPages; i++)
+            {
+                const overlay = new AnnotationOverlay(i, viewerCore);
+                this._overlays.push(overlay);
+                this._viewerCore.addPageOverlay(overlay);
+            }
+        }
+
+        if (viewerCore.getSettings().enableTextLayer)
+        {
+            const numPages = viewerCore.getSettings().numPages;
+
+            for (let i = 0; i < numPages; i++)
+            {
+                const overlay = new TextLayerOverlay(i, viewerCore);
+                this._overlays.push(overlay);
+                this._viewerCore.addPageOverlay(overlay);
+            }
+        }
     }
 
     // USER EVENTS
     onDoubleClick (event, coords)
     {
         const settings = this._viewerCore.getSettings();
-        const newZoomLevel = event.ctrlKey ? settings.zoomLevel - 1 : settings.zoomLevel + 1;
+        const newZoomLevel = event.ctrlKey ? Math.ceil(settings.zoomLevel) - 1 : Math.floor(settings.zoomLevel) + 1;
 
         const position = this._viewerCore.getPagePositionAtViewportOffset(coords);
         this._viewerCore.zoom(newZoomLevel, position);
@@ -76,6 +105,34 @@ export default class DocumentHandler
         });
     }
 
+    onWheelZoom (event, coords, zoomDelta)
+    {
+        // Wheel events can fire several times per frame, so zoom once per frame by their sum
+        this._wheelZoomDelta += zoomDelta;
+        this._wheelZoomCoords = coords;
+
+        if (this._wheelZoomFrame !== null)
+            return;
+
+        this._wheelZoomFrame = requestAnimationFrame(() =>
+        {
+            const settings = this._viewerCore.getSettings();
+
+            let newZoomLevel = settings.zoomLevel + this._wheelZoomDelta;
+            newZoomLevel = Math.max(settings.minZoomLevel, newZoomLevel);
+            newZoomLevel = Math.min(settings.maxZoomLevel, newZoomLevel);
+
+            this._wheelZoomFrame = null;
+            this._wheelZoomDelta = 0;
+
+            if (newZoomLevel === settings.zoomLevel)
+                return;
+
+            const position = this._viewerCore.getPagePositionAtViewportOffset(this._wheelZoomCoords);
+            this._viewerCore.zoom(newZoomLevel, position);
+        });
+    }
+
     // VIEW EVENTS
     onViewWillLoad ()
     {
@@ -147,6 +204,9 @@ export default class DocumentHandler
 
     destroy ()
     {
+        if (this._wheelZoomFrame !== null)
+            cancelAnimationFrame(this._wheelZoomFrame);
+
         this._overlays.forEach((overlay) =>
         {
             this._viewerCore.removePageOverlay(overlay);
@@ -11,7 +11,7 @@ export default class DocumentLayout
 
         this.dimensions = computedLayout.dimensions;
         this.pageGroups = computedLayout.pageGroups;
-        this._pageLookup = getPageLookup(computedLayout.pageGroups);
+        this._pageLookup = getPageLookup(computedLayout.pageGroups, config.rotations || []);
     }
 
     /**
@@ -20,6 +20,7 @@ export default class DocumentLayout
      * @property {{index, dimensions, pages, region, padding}} group
      * @property {{height: number, width: number}} dimensions
      * @property {{top: number, left: number}} groupOffset
+     * @property {number} rotation - The clockwise rotation of the page image, in degrees
      */
 
     /**
@@ -146,7 +147,7 @@ function getPageRegionFromPageInfo (page)
     };
 }
 
-function getPageLookup (pageGroups)
+function getPageLookup (pageGroups, rotations)
 {
     const pageLookup = {};
 
@@ -156,7 +157,8 @@ function getPageLookup (pageGroups)
                 index: page.index,
                 group: group,
                 dimensions: page.dimensions,
-                groupOffset: page.groupOffset
+                groupOffset: page.groupOffset,
+                rotation: rotations[page.index] || 0
             };
         });
     });
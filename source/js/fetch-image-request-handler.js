@@ -0,0 +1,98 @@
+/**
+ * Handler for the request for an image tile, made with fetch instead of an Image element
+ * so that headers such as Authorization can be sent. The image is decoded with
+ * createImageBitmap, and the request is cancelled with an AbortController.
+ *
+ * The headers are those returned by the tileRequestHeaders setting for the URL of the tile,
+ * if it is a function, or else the requestHeaders setting, without the Accept header which
+ * asks for the JSON of manifests. Credentials are sent with cross-origin requests if the
+ * image is requested without CORS or with credentials (see imageCrossOrigin).
+ *
+ * Takes the same options as ImageRequestHandler; the load callback is given an ImageBitmap.
+ */
+export default class FetchImageRequestHandler
+{
+    constructor (options)
+    {
+        this._url = options.url;
+        this._callback = options.load;
+        this._errorCallback = options.error;
+        this.timeoutTime = options.timeoutTime || 0;
+        this._aborted = this._complete = false;
+        this._controller = new window.AbortController();
+
+        const settings = options.settings;
+        const crossOrigin = options.hasOwnProperty('crossOrigin') ? options.crossOrigin : settings.imageCrossOrigin;
+
+        // Use a timeout to allow the requests to be debounced (as they are in renderer)
+        this.timeout = setTimeout(() =>
+        {
+            fetch(this._url, {
+                headers: getHeaders(settings, this._url),
+                credentials: (crossOrigin === null || crossOrigin === 'use-credentials') ? 'include' : 'same-origin',
+                signal: this._controller.signal
+            }).then(response =>
+            {
+                if (!response.ok)
+                    throw new Error(response.status + ' ' + response.statusText);
+
+                return response.blob();
+            }).then(blob => window.createImageBitmap(blob)).then(
+                this._handleLoad.bind(this),
+                this._handleError.bind(this)
+            );
+        }, this.timeoutTime);
+    }
+
+    abort ()
+    {
+        clearTimeout(this.timeout);
+
+        this._controller.abort();
+        this._aborted = true;
+    }
+
+    _handleLoad (image)
+    {
+        if (this._aborted)
+        {
+            // The image was decoded after the request was cancelled
+            image.close();
+            return;
+        }
+
+        if (this._complete)
+        {
+            console.error('FetchImageRequestHandler invoked on completed request for ' + this._url);
+            return;
+        }
+
+        this._complete = true;
+
+        this._callback(image);
+    }
+
+    _handleError (error)
+    {
+        if (this._aborted)
+            return;
+
+        this._errorCallback(error);
+    }
+}
+
+function getHeaders (settings, url)
+{
+    if (typeof settings.tileRequestHeaders === 'function')
+        return settings.tileRequestHeaders(url) || {};
+
+    const headers = Object.assign({}, settings.requestHeaders);
+
+    Object.keys(headers).forEach(name =>
+    {
+        if (name.toLowerCase() === 'accept')
+            delete headers[name];
+    });
+
+    return headers;
+}
@@ -1,12 +1,16 @@
 export default {
     onDoubleClick,
     onPinch,
-    onDoubleTap
+    onDoubleTap,
+    onWheelZoom
 };
 
 const DOUBLE_CLICK_TIMEOUT = 500;
 const DOUBLE_TAP_DISTANCE_THRESHOLD = 50;
 const DOUBLE_TAP_TIMEOUT = 250;
+const WHEEL_LINE_HEIGHT = 16;
+const WHEEL_PAGE_HEIGHT = 800;
+const WHEEL_PIXELS_PER_ZOOM_LEVEL = 250;
 
 function onDoubleClick(elem, callback)
 {
@@ -133,6 +137,38 @@ function onDoubleTap(elem, callback)
     });
 }
 
+// Ctrl + mouse wheel, and trackpad pinches (which browsers report as wheel
+// events with ctrlKey set). The callback gets the change in zoom level, positive
+// when zooming in, and is responsible for preventing the default page zoom.
+function onWheelZoom(elem, callback)
+{
+    elem.addEventListener('wheel', function (event)
+    {
+        if (!event.ctrlKey)
+            return;
+
+        const cursor = {
+            pageX: event.clientX,
+            pageY: event.clientY
+        };
+
+        callback(event, getRelativeOffset(event.currentTarget, cursor), getWheelZoomDelta(event));
+    }, { passive: false });
+}
+
+function getWheelZoomDelta(event)
+{
+    let pixels = event.deltaY;
+
+    if (event.deltaMode === 1)
+        pixels *= WHEEL_LINE_HEIGHT;
+    else if (event.deltaMode === 2)
+        pixels *= WHEEL_PAGE_HEIGHT;
+
+    // Don't let a single fast wheel spin jump several levels at once
+    return Math.max(-1, Math.min(1, -pixels / WHEEL_PIXELS_PER_ZOOM_LEVEL));
+}
+
 // Pythagorean theorem to get the distance between two points (used for
 // calculating finger distance for double-tap and pinch-zoom)
 function distance(x1, y1, x2, y2)
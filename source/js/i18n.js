@@ -0,0 +1,69 @@
+import en from './locales/en';
+import fr from './locales/fr';
+
+// The message catalogues, by language code
+const locales = {
+    en: en,
+    fr: fr
+};
+
+/**
+ * Add the messages of a locale, or replace some messages of a locale which is
+ * already registered. Messages which are missing from a locale fall back to the
+ * messages of its base language (e.g. 'pt' for 'pt-BR'), then to English.
+ *
+ * @public
+ * @param {string} language - The language code (e.g. 'de' or 'pt-BR').
+ * @param {Object} messages - The messages, by key. See locales/en.js for the keys.
+ */
+export function registerLocale (language, messages)
+{
+    locales[language] = Object.assign({}, locales[language], messages);
+}
+
+/**
+ * Returns the given language, or the language of the browser if none is given.
+ *
+ * @param {?string} language - The language code of the `language` setting.
+ * @returns {string}
+ */
+export function resolveLanguage (language)
+{
+    if (language)
+        return language;
+
+    return (typeof navigator !== 'undefined' && navigator.language) || 'en';
+}
+
+/**
+ * Returns the message for a key in the given language, with the placeholders
+ * in braces replaced by the given parameters. Unknown keys are returned as they are.
+ *
+ * @param {?string} language - The language code; the browser's language if null.
+ * @param {string} key - The message key.
+ * @param {?Object} params - The values of the placeholders in the message.
+ * @returns {string}
+ */
+export function translate (language, key, params)
+{
+    const tag = resolveLanguage(language);
+    const candidates = [tag, tag.split('-')[0], 'en'];
+
+    let message = key;
+
+    for (let i = 0; i < candidates.length; i++)
+    {
+        const messages = locales[candidates[i]];
+
+        if (messages && messages.hasOwnProperty(key))
+        {
+            message = messages[key];
+            break;
+        }
+    }
+
+    if (!params)
+        return message;
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => params.hasOwnProperty(name) ? String(params[name]) : match);
+}
@@ -1,22 +1,48 @@
+import { normalizeRotation } from './utils/rotation';
+
+// Image API formats which can be drawn by the browser
+const DISPLAYABLE_FORMATS = ['jpg', 'png', 'webp', 'gif'];
+
 export default class IIIFSourceAdapter
 {
+    /**
+     * Returns the URL for the whole page image. The optional size parameter may
+     * contain a width and/or height; if both are given, the image is scaled to fit
+     * within them. A quality may also be requested, which is used if the image
+     * service supports it, and a clockwise rotation by a multiple of 90 degrees,
+     * which is applied after scaling.
+     */
     getPageImageURL (manifest, pageIndex, size)
     {
-        let dimens;
+        const page = manifest.pages[pageIndex];
+        const dimens = getSizeParameter(page.api, size);
 
-        if (!size || (size.width == null && size.height == null))
-        {
-            dimens = 'full';
-        }
-        else
-        {
-            dimens = (size.width == null ? '' : size.width) + ',' + (size.height == null ? '' : size.height);
-        }
+        const quality = getQuality(page, size && size.quality);
 
-        const page = manifest.pages[pageIndex];
-        const quality = (page.api > 1.1) ? 'default' : 'native';
+        const rotation = (size && size.rotation) ? normalizeRotation(size.rotation) : 0;
 
-        return encodeURI(page.url + 'full/' + dimens + '/0/' + quality + '.jpg');
+        return encodeURI(page.url + 'full/' + dimens + '/' + rotation + '/' + quality + '.' + getFormat(page));
+    }
+
+    /**
+     * Returns the URL for a thumbnail of the page, with the same size parameter as
+     * getPageImageURL. The canvas's thumbnail is used if the manifest gives one: scaled
+     * by its image service if it has one, or as it is otherwise. Pages without a
+     * thumbnail get a scaled-down page image.
+     */
+    getThumbnailURL (manifest, pageIndex, size)
+    {
+        const thumbnail = manifest.pages[pageIndex].thumbnail;
+
+        if (!thumbnail)
+            return this.getPageImageURL(manifest, pageIndex, size);
+
+        if (!thumbnail.service)
+            return thumbnail.url;
+
+        const quality = (thumbnail.api <= 1.1) ? 'native' : 'default';
+
+        return encodeURI(thumbnail.service + 'full/' + getSizeParameter(thumbnail.api, size) + '/0/' + quality + '.jpg');
     }
 
     getTileImageURL (manifest, pageIndex, params)
@@ -56,8 +82,58 @@ export default class IIIFSourceAdapter
 
         const region = [x, y, width * zoomDifference, height * zoomDifference].join(',');
 
-        const quality = (page.api > 1.1) ? 'default' : 'native';
+        const quality = getQuality(page, params.quality);
+
+        return encodeURI(page.url + region + '/' + width + ',' + height + '/0/' + quality + '.' + getFormat(page));
+    }
+}
+
+/**
+ * Returns the size parameter of an Image API request for the given width and/or
+ * height, or for the full image if neither is given.
+ */
+function getSizeParameter (api, size)
+{
+    if (!size || (size.width == null && size.height == null))
+        return (api >= 3) ? 'max' : 'full';
+
+    const dimens = (size.width == null ? '' : size.width) + ',' + (size.height == null ? '' : size.height);
 
-        return encodeURI(page.url + region + '/' + width + ',' + height + '/0/' + quality + '.jpg');
+    // In Image API 3 'w,h' distorts the image, '!w,h' keeps the aspect ratio
+    if (api >= 3 && size.width != null && size.height != null)
+        return '!' + dimens;
+
+    return dimens;
+}
+
+/**
+ * Returns the requested quality if the image service lists it, or the default
+ * quality for the page's Image API version.
+ */
+function getQuality (page, requested)
+{
+    if (page.api <= 1.1)
+        return 'native';
+
+    if (requested && page.qualities && page.qualities.indexOf(requested) !== -1)
+        return requested;
+
+    return 'default';
+}
+
+/**
+ * Returns the first of the image service's preferred formats which the browser can
+ * display, falling back to jpg (which every level of the Image API supports).
+ */
+function getFormat (page)
+{
+    if (page.api >= 3 && page.formats)
+    {
+        const format = page.formats.filter(f => DISPLAYABLE_FORMATS.indexOf(f) !== -1)[0];
+
+        if (format)
+            return format;
     }
+
+    return 'jpg';
 }
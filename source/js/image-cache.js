@@ -1,20 +1,61 @@
 const debug = require('debug')('diva:ImageCache');
 
-/* FIXME(wabain): The caching strategy here is completely
- * arbitrary and the implementation isn't especially efficient.
- */
-const DEFAULT_MAX_KEYS = 100;
+// The default size of the cache: the decoded pixels of about 500 tiles of 256×256
+const DEFAULT_MAX_BYTES = 128 * 1024 * 1024;
+
+// The decoded images take four bytes per pixel (RGBA)
+const BYTES_PER_PIXEL = 4;
+
+let sharedCache = null;
 
+/**
+ * @class ImageCache
+ * @private
+ *
+ * A cache of the decoded tile images, which evicts the least recently used images once
+ * their decoded pixels take more than maxBytes (and, if given, once it holds more than
+ * maxKeys images). Images which are held by a renderer (see acquire) are not evicted.
+ */
 export default class ImageCache
 {
     constructor (options)
     {
-        options = options || { maxKeys: DEFAULT_MAX_KEYS };
-        this.maxKeys = options.maxKeys || DEFAULT_MAX_KEYS;
+        options = options || {};
+        this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+        this.maxKeys = options.maxKeys || Infinity;
 
         this._held = {};
         this._urls = {};
         this._lru = [];
+        this._bytes = 0;
+        this._stats = { hits: 0, misses: 0, evictions: 0 };
+    }
+
+    /**
+     * Returns the cache shared by all the renderers of the page, so that the images are
+     * kept when the view changes or a viewer is reloaded. Its size is the largest of the
+     * sizes asked for.
+     *
+     * @param {number} [maxBytes]
+     * @returns {ImageCache}
+     */
+    static getShared (maxBytes)
+    {
+        if (!sharedCache)
+            sharedCache = new ImageCache({ maxBytes: maxBytes });
+        else if (maxBytes > sharedCache.maxBytes)
+            sharedCache.maxBytes = maxBytes;
+
+        return sharedCache;
+    }
+
+    /**
+     * Discard the shared cache, so that the next call to getShared creates a new one.
+     * Used by the tests, which should not change the cache of the other viewers.
+     */
+    static resetShared ()
+    {
+        sharedCache = null;
     }
 
     get (url)
@@ -28,28 +69,72 @@ export default class ImageCache
         return !!this._urls[url];
     }
 
+    /**
+     * Returns true if the image is cached, like has, but counts the lookup as a hit or a
+     * miss in the statistics. Used when deciding whether an image has to be loaded.
+     */
+    check (url)
+    {
+        const found = this.has(url);
+
+        if (found)
+            this._stats.hits++;
+        else
+            this._stats.misses++;
+
+        return found;
+    }
+
     put (url, img)
     {
         let record = this._urls[url];
+        const bytes = getByteSize(img);
+
         if (record)
         {
             // FIXME: Does this make sense for this use case?
+            if (record.img !== img)
+                closeImage(record.img);
+
+            this._bytes += bytes - record.bytes;
             record.img = img;
+            record.bytes = bytes;
             this._promote(record);
+            this._tryEvict(0);
         }
         else
         {
             record = {
                 img: img,
-                url: url
+                url: url,
+                bytes: bytes
             };
 
             this._urls[url] = record;
-            this._tryEvict(1);
+            this._tryEvict(1, bytes);
             this._lru.unshift(record);
+            this._bytes += bytes;
         }
     }
 
+    /**
+     * Returns the number of checks which found (hits) or did not find (misses) their
+     * image, the number of images evicted, and the number and size of the cached images.
+     *
+     * @returns {{hits: number, misses: number, evictions: number, entries: number, bytes: number, maxBytes: number}}
+     */
+    getStats ()
+    {
+        return {
+            hits: this._stats.hits,
+            misses: this._stats.misses,
+            evictions: this._stats.evictions,
+            entries: this._lru.length,
+            bytes: this._bytes,
+            maxBytes: this.maxBytes
+        };
+    }
+
     _promote (record)
     {
         const index = this._lru.indexOf(record);
@@ -57,16 +142,21 @@ export default class ImageCache
         this._lru.unshift(record);
     }
 
-    _tryEvict (extraCapacity)
+    _isOverfull (extraCapacity, extraBytes)
     {
-        const allowedEntryCount = this.maxKeys - extraCapacity;
+        return this._lru.length + extraCapacity > this.maxKeys || this._bytes + extraBytes > this.maxBytes;
+    }
 
-        if (this._lru.length <= allowedEntryCount)
+    _tryEvict (extraCapacity, extraBytes)
+    {
+        extraBytes = extraBytes || 0;
+
+        if (!this._isOverfull(extraCapacity, extraBytes))
             return;
 
         let evictionIndex = this._lru.length - 1;
 
-        for (;;)
+        while (evictionIndex >= 0)
         {
             const target = this._lru[evictionIndex];
 
@@ -75,22 +165,20 @@ export default class ImageCache
                 debug('Evicting image %s', target.url);
                 this._lru.splice(evictionIndex, 1);
                 delete this._urls[target.url];
+                this._bytes -= target.bytes;
+                this._stats.evictions++;
+                closeImage(target.img);
 
-                if (this._lru.length <= allowedEntryCount)
-                    break;
-            }
-
-            if (evictionIndex === 0)
-            {
-                /* istanbul ignore next */
-                debug.enabled && debug('Cache overfull by %s (all entries are being held)',
-                    this._lru.length - allowedEntryCount);
-
-                break;
+                if (!this._isOverfull(extraCapacity, extraBytes))
+                    return;
             }
 
             evictionIndex--;
         }
+
+        /* istanbul ignore next */
+        debug.enabled && debug('Cache overfull by %s bytes (all entries are being held)',
+            this._bytes + extraBytes - this.maxBytes);
     }
 
     acquire (url)
@@ -111,3 +199,18 @@ export default class ImageCache
         this._tryEvict(0);
     }
 }
+
+function getByteSize (img)
+{
+    const width = img.naturalWidth || img.width || 0;
+    const height = img.naturalHeight || img.height || 0;
+
+    return width * height * BYTES_PER_PIXEL;
+}
+
+// Free the memory of image bitmaps (see FetchImageRequestHandler) right away
+function closeImage (img)
+{
+    if (img && typeof img.close === 'function')
+        img.close();
+}
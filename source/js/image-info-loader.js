@@ -0,0 +1,42 @@
+/**
+ * @class ImageInfoLoader
+ * @private
+ *
+ * Fetches the info.json document of IIIF image services. Each service is
+ * only requested once; later calls for the same service share the result.
+ */
+export default class ImageInfoLoader
+{
+    constructor ()
+    {
+        this._requests = {};
+    }
+
+    /**
+     * Returns a promise for the info.json of the image service at the given base URL.
+     * The promise resolves to null if the document cannot be loaded, so that callers
+     * can fall back to their defaults.
+     *
+     * @param {string} serviceURL - The base URL of the image service, with a trailing slash
+     * @returns {Promise}
+     */
+    load (serviceURL)
+    {
+        if (!this._requests.hasOwnProperty(serviceURL))
+        {
+            this._requests[serviceURL] = fetch(serviceURL + 'info.json').then(response =>
+            {
+                if (!response.ok)
+                    throw new Error(response.statusText);
+
+                return response.json();
+            }).catch(error =>
+            {
+                console.warn('Could not load image information from ' + serviceURL + ': ' + error.message);
+                return null;
+            });
+        }
+
+        return this._requests[serviceURL];
+    }
+}
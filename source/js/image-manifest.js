@@ -15,7 +15,13 @@ export default class ImageManifest
         this.metadata = data.metadata;
 
         // Only given for IIIF manifests
+        this.id = data.id || null;
         this.paged = !!data.paged;
+        this.continuous = !!data.continuous;
+        this.viewingDirection = data.viewing_direction || 'left-to-right';
+        this.startPageIndex = (data.start_index != null) ? data.start_index : null;
+        this.ranges = data.ranges || [];
+        this.searchService = data.search_service || null;
 
         // These are arrays, the index corresponding to the zoom level
         this._maxWidths = data.dims.max_w;
@@ -28,9 +34,9 @@ export default class ImageManifest
         this._urlAdapter = urlAdapter;
     }
 
-    static fromIIIF (iiifManifest)
+    static fromIIIF (iiifManifest, language)
     {
-        const data = parseIIIFManifest(iiifManifest);
+        const data = parseIIIFManifest(iiifManifest, language);
         return new ImageManifest(data, new IIIFSourceAdapter());
     }
 
@@ -77,15 +83,103 @@ export default class ImageManifest
     }
 
     /**
-     * Return an array of tile objects for the specified page and integer zoom level
+     * Returns a URL for a thumbnail of the given page, taken from the manifest if it
+     * has one. The size parameter is as for getPageImageURL.
+     */
+    getThumbnailURL (pageIndex, size)
+    {
+        return this._urlAdapter.getThumbnailURL(this, pageIndex, size);
+    }
+
+    /**
+     * Returns true once the image service information of the given page has been set,
+     * even if it could not be loaded.
+     */
+    hasPageImageInfo (pageIndex)
+    {
+        return this.pages[pageIndex].hasOwnProperty('imageInfo');
+    }
+
+    /**
+     * Stores the tile sizes, scale factors and sizes advertised in the info.json
+     * of a page's image service. These take precedence over the tile dimensions
+     * passed to getPageImageTiles. A null info keeps the passed dimensions.
+     */
+    setPageImageInfo (pageIndex, info)
+    {
+        this.pages[pageIndex].imageInfo = {
+            tiles: (info && info.tiles) || null,
+            sizes: (info && info.sizes) || null
+        };
+    }
+
+    /**
+     * Shows the images of a page from another image service, such as the degraded image
+     * service offered by IIIF Auth while the user is logged out. The substitute is given as
+     * {url, api}, the URL with a trailing slash; null goes back to the page's own service.
+     * The information of the substitute service is loaded again if it is needed.
+     */
+    setPageImageSubstitute (pageIndex, substitute)
+    {
+        const page = this.pages[pageIndex];
+
+        if (!page.originalImage)
+            page.originalImage = { url: page.url, api: page.api, imageInfo: page.imageInfo };
+
+        const service = substitute || page.originalImage;
+
+        page.url = service.url;
+        page.api = service.api;
+        page.imageInfo = service.imageInfo;
+
+        if (!page.imageInfo)
+            delete page.imageInfo;
+
+        if (!substitute)
+            delete page.originalImage;
+    }
+
+    /**
+     * Return an array of tile objects for the specified page and zoom level. Tiles only
+     * exist at integer zoom levels, so a fractional zoom level gets the tiles of the
+     * next level up, which the renderer scales down to size.
      */
     getPageImageTiles (pageIndex, zoomLevel, tileDimensions)
     {
         const page = this.pages[pageIndex];
 
-        if (!isFinite(zoomLevel) || zoomLevel % 1 !== 0)
+        if (typeof zoomLevel !== 'number' || !isFinite(zoomLevel))
         {
-            throw new TypeError('Zoom level must be an integer: ' + zoomLevel);
+            throw new TypeError('Zoom level must be a number: ' + zoomLevel);
+        }
+
+        zoomLevel = Math.ceil(zoomLevel);
+
+        if (page.imageInfo)
+        {
+            const scaleFactor = Math.pow(2, this.maxZoom - zoomLevel);
+            const tiles = page.imageInfo.tiles;
+            const advertisedTile = tiles && tiles.filter(tile => tile.scaleFactors && tile.scaleFactors.indexOf(scaleFactor) !== -1)[0];
+
+            if (!advertisedTile)
+            {
+                // The service can't serve tiles at this scale, but may have the whole image at this size
+                const wholeImage = this._getAdvertisedPageImage(pageIndex, zoomLevel);
+
+                if (wholeImage)
+                    return wholeImage;
+            }
+
+            // Keep the same tile size at all zoom levels so that the tiles of each level line up
+            const tile = advertisedTile || (tiles && tiles[0]);
+
+            if (tile)
+            {
+                tileDimensions = {
+                    width: tile.width,
+                    height: tile.height || tile.width
+                };
+            }
         }
 
         const rows = Math.ceil(page.d[zoomLevel].h / tileDimensions.height);
@@ -134,6 +228,48 @@ export default class ImageManifest
             tiles: tiles
         };
     }
+
+    /**
+     * Returns the page image at the given zoom level as a single tile, if its size
+     * is listed in the sizes of the image service. Otherwise returns null.
+     */
+    _getAdvertisedPageImage (pageIndex, zoomLevel)
+    {
+        const page = this.pages[pageIndex];
+        const dimensions = page.d[zoomLevel];
+
+        // Sizes apply to the whole image, not to a region of it
+        if (!page.imageInfo.sizes || page.xoffset)
+            return null;
+
+        // Image servers may round sizes differently than we do
+        const size = page.imageInfo.sizes.filter(size =>
+            Math.abs(size.width - dimensions.w) <= 1 && Math.abs(size.height - dimensions.h) <= 1
+        )[0];
+
+        if (!size)
+            return null;
+
+        return {
+            zoomLevel: zoomLevel,
+            rows: 1,
+            cols: 1,
+            tiles: [{
+                row: 0,
+                col: 0,
+                zoomLevel: zoomLevel,
+                dimensions: {
+                    height: dimensions.h,
+                    width: dimensions.w
+                },
+                offset: {
+                    top: 0,
+                    left: 0
+                },
+                url: this._urlAdapter.getPageImageURL(this, pageIndex, { width: size.width })
+            }]
+        };
+    }
 }
 
 ImageManifest.prototype.getMaxWidth = zoomedPropertyGetter('_maxWidths');
@@ -3,6 +3,7 @@
  *
  * @param url
  * @param callback
+ * @param crossOrigin - Overrides the imageCrossOrigin setting for this request, if given
  * @constructor
  */
 export default class ImageRequestHandler
@@ -14,7 +15,7 @@ export default class ImageRequestHandler
         this._errorCallback = options.error;
         this.timeoutTime = options.timeoutTime || 0;
         this._aborted = this._complete = false;
-        this._crossOrigin = options.settings.imageCrossOrigin;
+        this._crossOrigin = options.hasOwnProperty('crossOrigin') ? options.crossOrigin : options.settings.imageCrossOrigin;
 
         //Use a timeout to allow the requests to be debounced (as they are in renderer)
         this.timeout = setTimeout(() => {
@@ -0,0 +1,130 @@
+/**
+ * The English messages of the user interface. Every message of the viewer and of
+ * the bundled plugins has an entry here; other locales may leave messages out, in
+ * which case the English message is shown. Placeholders in braces are replaced by
+ * the parameters given to translate().
+ **/
+export default {
+    // Toolbar
+    viewerControls: 'Viewer controls',
+    zoomOut: 'Zoom Out',
+    zoomIn: 'Zoom In',
+    zoomLevel: 'Zoom level: ',
+    fewerPagesPerRow: 'Fewer',
+    morePagesPerRow: 'More',
+    pagesPerRow: 'Pages per row: ',
+    goToPage: 'Go to page',
+    go: 'Go',
+    pageNotFound: 'No page could be found with that label or page number',
+    changeView: 'Change view',
+    documentView: 'Document View',
+    bookView: 'Book View',
+    gridView: 'Grid View',
+    toggleFullscreen: 'Toggle fullscreen mode',
+    browseCollection: 'Browse collection',
+
+    // Viewer
+    documentViewer: 'Document viewer',
+    pageAnnouncement: 'Page {label} of {count}',
+    pageTools: 'Page tools for {label}',
+    error: 'Error',
+    closeDialog: 'Close dialog',
+    invalidObjectData: 'Invalid objectData setting. Error code: {status} {statusText}',
+    corsError: 'Attempted to access cross-origin data without CORS.',
+    corsHelp: 'You may need to update your server configuration to support CORS. For help, see the ',
+    corsHelpLink: 'cross-site request documentation.',
+    canvasUnsupported: 'Your browser lacks support for the ',
+    upgradeBrowser: ' element. Please upgrade your browser.',
+
+    // Collections
+    loading: 'Loading…',
+    collectionLoadError: 'This collection could not be loaded.',
+
+    // Plugins
+    aboutThisItem: 'About this item',
+    metadata: 'Metadata',
+    iiifManifest: 'IIIF Manifest',
+    navigator: 'Navigator',
+    downloadImage: 'Download image',
+    filmstrip: 'Page thumbnails',
+    imageManipulation: 'Image manipulation',
+    imageTools: 'Image tools',
+    zoom: 'Zoom',
+    rotation: 'Rotation',
+    mirrorVertically: 'Mirror Vertically',
+    mirrorHorizontally: 'Mirror Horizontally',
+    filters: 'Filters',
+    colorFilters: 'Color Filters',
+    threshold: 'Threshold',
+    grayscale: 'Grayscale',
+    saturation: 'Saturation',
+    vibrance: 'Vibrance',
+    brightness: 'Brightness',
+    contrast: 'Contrast',
+    invertColours: 'Invert Colours',
+    sharpness: 'Sharpness',
+    hue: 'Hue',
+    gamma: 'Gamma',
+    colourChannelRed: 'CC Red',
+    colourChannelGreen: 'CC Green',
+    colourChannelBlue: 'CC Blue',
+    reset: 'Reset',
+    filterApplicationOrder: 'Filter Application Order',
+    rotatePage: 'Rotate page',
+    search: 'Search',
+    searchText: 'Text to search for',
+    searching: 'Searching…',
+    searchResults: '{count} results',
+    noSearchResults: 'No results',
+    searchError: 'The search failed.',
+    previousResult: 'Previous result',
+    nextResult: 'Next result',
+    searchResultPosition: '{index} of {count}',
+    annotations: 'Annotations',
+    rectangle: 'Rectangle',
+    polygon: 'Polygon',
+    drawRectangleHint: 'Drag on a page to draw a rectangle.',
+    drawPolygonHint: 'Click on a page to add the points of a polygon, and double-click to close it.',
+    noAnnotations: 'No annotations yet.',
+    annotationComment: 'Comment',
+    deleteAnnotation: 'Delete annotation',
+    exportAnnotations: 'Export',
+    bookmarks: 'Bookmarks',
+    bookmarkName: 'Bookmark name',
+    addBookmark: 'Add bookmark',
+    deleteBookmark: 'Delete bookmark',
+    noBookmarks: 'No bookmarks yet.',
+    resumeReadingFrom: 'Continue reading from {page}?',
+    resumeReading: 'Continue',
+    dismiss: 'Dismiss',
+    imageLoginRequired: 'Log in to see these images.',
+    imageAccessDenied: 'You are not allowed to see these images.',
+    imageLogIn: 'Log in',
+    offline: 'Offline reading',
+    offlineFrom: 'From page',
+    offlineTo: 'To page',
+    offlineZoomLevel: 'Zoom level',
+    offlineFileCount: 'About {count} files',
+    saveOffline: 'Save for offline reading',
+    deleteOffline: 'Delete the saved files',
+    offlineProgress: '{count} of {total} files saved',
+    offlineSaved: '{count} files saved for offline reading.',
+    offlineFailures: '{count} files could not be saved.',
+    offlineAvailable: 'Pages of this document are saved for offline reading.',
+    offlineDeleted: 'The saved files have been deleted.',
+    offlineError: 'The files could not be saved: {message}',
+    offlineUnsupported: 'this browser cannot save files for offline reading.',
+    offlineBusy: 'the document is already being saved.',
+    offlineNoDocumentId: 'the document has no id.',
+    offlineWorkerMissing: 'the offline service worker is not installed.',
+    offlineWorkerFailed: 'the offline service worker could not be installed.',
+    offlineUnexpectedError: 'the files could not be downloaded or stored.',
+    tableOfContents: 'Table of contents',
+    contents: 'Contents',
+    expand: 'Expand',
+    collapse: 'Collapse',
+    unauthorizedRequest: 'Unauthorized request. Error code: {status} {statusText}',
+    authenticationRequired: 'The document you are trying to access requires authentication.',
+    pleaseLogIn: 'Please ',
+    logIn: 'log in'
+};
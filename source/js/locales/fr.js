@@ -0,0 +1,127 @@
+/**
+ * The French messages of the user interface.
+ **/
+export default {
+    // Toolbar
+    viewerControls: 'Commandes de la visionneuse',
+    zoomOut: 'Zoom arrière',
+    zoomIn: 'Zoom avant',
+    zoomLevel: 'Niveau de zoom : ',
+    fewerPagesPerRow: 'Moins',
+    morePagesPerRow: 'Plus',
+    pagesPerRow: 'Pages par rangée : ',
+    goToPage: 'Aller à la page',
+    go: 'OK',
+    pageNotFound: 'Aucune page ne correspond à cette étiquette ou à ce numéro de page',
+    changeView: 'Changer de vue',
+    documentView: 'Vue document',
+    bookView: 'Vue livre',
+    gridView: 'Vue grille',
+    toggleFullscreen: 'Basculer en mode plein écran',
+    browseCollection: 'Parcourir la collection',
+
+    // Viewer
+    documentViewer: 'Visionneuse de document',
+    pageAnnouncement: 'Page {label} sur {count}',
+    pageTools: 'Outils de la page {label}',
+    error: 'Erreur',
+    closeDialog: 'Fermer la fenêtre',
+    invalidObjectData: 'Paramètre objectData invalide. Code d\'erreur : {status} {statusText}',
+    corsError: 'Tentative d\'accès à des données d\'une autre origine sans CORS.',
+    corsHelp: 'Vous devrez peut-être modifier la configuration de votre serveur pour prendre en charge CORS. Pour de l\'aide, consultez la ',
+    corsHelpLink: 'documentation sur les requêtes intersites.',
+    canvasUnsupported: 'Votre navigateur ne prend pas en charge l\'élément ',
+    upgradeBrowser: '. Veuillez mettre à jour votre navigateur.',
+
+    // Collections
+    loading: 'Chargement…',
+    collectionLoadError: 'Cette collection n\'a pas pu être chargée.',
+
+    // Plugins
+    aboutThisItem: 'À propos de ce document',
+    metadata: 'Métadonnées',
+    iiifManifest: 'Manifeste IIIF',
+    navigator: 'Navigateur',
+    downloadImage: 'Télécharger l\'image',
+    filmstrip: 'Vignettes des pages',
+    imageManipulation: 'Manipulation de l\'image',
+    imageTools: 'Outils d\'image',
+    zoom: 'Zoom',
+    rotation: 'Rotation',
+    mirrorVertically: 'Miroir vertical',
+    mirrorHorizontally: 'Miroir horizontal',
+    filters: 'Filtres',
+    colorFilters: 'Filtres de couleur',
+    threshold: 'Seuil',
+    grayscale: 'Niveaux de gris',
+    saturation: 'Saturation',
+    vibrance: 'Vibrance',
+    brightness: 'Luminosité',
+    contrast: 'Contraste',
+    invertColours: 'Inverser les couleurs',
+    sharpness: 'Netteté',
+    hue: 'Teinte',
+    gamma: 'Gamma',
+    colourChannelRed: 'Canal rouge',
+    colourChannelGreen: 'Canal vert',
+    colourChannelBlue: 'Canal bleu',
+    reset: 'Réinitialiser',
+    filterApplicationOrder: 'Ordre d\'application des filtres',
+    rotatePage: 'Faire pivoter la page',
+    search: 'Rechercher',
+    searchText: 'Texte à rechercher',
+    searching: 'Recherche en cours…',
+    searchResults: '{count} résultats',
+    noSearchResults: 'Aucun résultat',
+    searchError: 'La recherche a échoué.',
+    previousResult: 'Résultat précédent',
+    nextResult: 'Résultat suivant',
+    searchResultPosition: '{index} sur {count}',
+    annotations: 'Annotations',
+    rectangle: 'Rectangle',
+    polygon: 'Polygone',
+    drawRectangleHint: 'Faites glisser le pointeur sur une page pour dessiner un rectangle.',
+    drawPolygonHint: 'Cliquez sur une page pour ajouter les points d\'un polygone, et double-cliquez pour le fermer.',
+    noAnnotations: 'Aucune annotation pour l\'instant.',
+    annotationComment: 'Commentaire',
+    deleteAnnotation: 'Supprimer l\'annotation',
+    exportAnnotations: 'Exporter',
+    bookmarks: 'Signets',
+    bookmarkName: 'Nom du signet',
+    addBookmark: 'Ajouter un signet',
+    deleteBookmark: 'Supprimer le signet',
+    noBookmarks: 'Aucun signet pour l\'instant.',
+    resumeReadingFrom: 'Reprendre la lecture à {page} ?',
+    resumeReading: 'Reprendre',
+    dismiss: 'Ignorer',
+    imageLoginRequired: 'Connectez-vous pour voir ces images.',
+    imageAccessDenied: 'Vous n\'êtes pas autorisé à voir ces images.',
+    imageLogIn: 'Se connecter',
+    offline: 'Lecture hors ligne',
+    offlineFrom: 'De la page',
+    offlineTo: 'À la page',
+    offlineZoomLevel: 'Niveau de zoom',
+    offlineFileCount: 'Environ {count} fichiers',
+    saveOffline: 'Enregistrer pour la lecture hors ligne',
+    deleteOffline: 'Supprimer les fichiers enregistrés',
+    offlineProgress: '{count} fichiers enregistrés sur {total}',
+    offlineSaved: '{count} fichiers enregistrés pour la lecture hors ligne.',
+    offlineFailures: '{count} fichiers n\'ont pas pu être enregistrés.',
+    offlineAvailable: 'Des pages de ce document sont enregistrées pour la lecture hors ligne.',
+    offlineDeleted: 'Les fichiers enregistrés ont été supprimés.',
+    offlineError: 'Les fichiers n\'ont pas pu être enregistrés : {message}',
+    offlineUnsupported: 'ce navigateur ne peut pas enregistrer de fichiers pour la lecture hors ligne.',
+    offlineBusy: 'le document est déjà en cours d\'enregistrement.',
+    offlineNoDocumentId: 'le document n\'a pas d\'identifiant.',
+    offlineWorkerMissing: 'le service worker hors ligne n\'est pas installé.',
+    offlineWorkerFailed: 'le service worker hors ligne n\'a pas pu être installé.',
+    offlineUnexpectedError: 'les fichiers n\'ont pas pu être téléchargés ou stockés.',
+    tableOfContents: 'Table des matières',
+    contents: 'Table des matières',
+    expand: 'Développer',
+    collapse: 'Réduire',
+    unauthorizedRequest: 'Requête non autorisée. Code d\'erreur : {status} {statusText}',
+    authenticationRequired: 'Le document auquel vous tentez d\'accéder exige une authentification.',
+    pleaseLogIn: 'Veuillez ',
+    logIn: 'vous connecter'
+};
@@ -0,0 +1,157 @@
+/* jshint worker: true */
+import { CACHE_PREFIX } from './plugins/_offline';
+
+// How many files are downloaded at the same time
+const CONCURRENT_DOWNLOADS = 6;
+
+/**
+ * The service worker of the offline plugin (see plugins/offline.js), built as
+ * diva-offline-worker.js. It saves the files of a document in Cache Storage when the
+ * plugin asks for it, and serves the saved files afterwards, with or without a network.
+ *
+ * The plugin posts {type: 'diva-offline-save', cacheName, urls} with a MessagePort, to
+ * which the worker reports {type: 'progress', loaded, failed, total} after each file,
+ * then {type: 'done', loaded, failed, total} (or {type: 'error', message}).
+ *
+ * Only the requests for saved files are answered by the worker; the others, such as those
+ * of the page around the viewer, are left to the browser.
+ **/
+
+// The URLs of the saved files, as keys. The worker may be stopped and started again at any
+// time, so they are read from Cache Storage when it starts, and are null until then.
+let savedURLs = null;
+
+function readSavedURLs ()
+{
+    return self.caches.keys().then(names =>
+    {
+        const documentCaches = names.filter(name => name.indexOf(CACHE_PREFIX) === 0);
+
+        return Promise.all(documentCaches.map(name => self.caches.open(name).then(cache => cache.keys())));
+    }).then(requestLists =>
+    {
+        const urls = {};
+
+        requestLists.forEach(requests => requests.forEach(request =>
+        {
+            urls[request.url] = true;
+        }));
+
+        savedURLs = urls;
+    }).catch(error =>
+    {
+        console.warn('Could not read the saved files: ' + error.message);
+        savedURLs = {};
+    });
+}
+
+function saveFiles (cacheName, urls, port)
+{
+    const queue = urls.slice();
+    const progress = { loaded: 0, failed: 0, total: urls.length };
+
+    const report = (type) => port.postMessage(Object.assign({ type: type }, progress));
+
+    return self.caches.open(cacheName).then(cache =>
+    {
+        const saveNext = () =>
+        {
+            const url = queue.shift();
+
+            if (url === undefined)
+                return Promise.resolve();
+
+            // Files saved before (e.g. with another range of pages) are not downloaded again
+            return cache.match(url).then(saved =>
+            {
+                if (saved)
+                    return;
+
+                return fetch(url, { mode: 'cors' }).then(response =>
+                {
+                    if (!response.ok)
+                        throw new Error(response.status + ' ' + response.statusText);
+
+                    return cache.put(url, response);
+                });
+            }).then(() =>
+            {
+                savedURLs[new Request(url).url] = true;
+                progress.loaded++;
+            }, error =>
+            {
+                console.warn('Could not save ' + url + ' for offline use: ' + error.message);
+                progress.failed++;
+            }).then(() =>
+            {
+                report('progress');
+                return saveNext();
+            });
+        };
+
+        const downloads = [];
+
+        for (let i = 0; i < CONCURRENT_DOWNLOADS; i++)
+            downloads.push(saveNext());
+
+        return Promise.all(downloads);
+    }).then(() => report('done'), error =>
+    {
+        port.postMessage({ type: 'error', message: error.message });
+    });
+}
+
+// Returns a promise for the saved response to a request, from the cache of any document
+function matchSavedFile (request)
+{
+    return self.caches.keys().then(names =>
+    {
+        const documentCaches = names.filter(name => name.indexOf(CACHE_PREFIX) === 0);
+
+        const matchFrom = (index) =>
+        {
+            if (index === documentCaches.length)
+                return Promise.resolve(undefined);
+
+            // The viewer's requests may vary from the saved ones by their headers (e.g. Accept)
+            return self.caches.open(documentCaches[index])
+                .then(cache => cache.match(request.url, { ignoreVary: true }))
+                .then(response => response || matchFrom(index + 1));
+        };
+
+        return matchFrom(0);
+    });
+}
+
+// The tests load every module in the page, where there is nothing to set up
+if (typeof self.ServiceWorkerGlobalScope !== 'undefined' && self instanceof self.ServiceWorkerGlobalScope)
+{
+    self.addEventListener('install', () => self.skipWaiting());
+
+    self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+    const whenSavedURLsRead = readSavedURLs();
+
+    self.addEventListener('message', (event) =>
+    {
+        const data = event.data || {};
+
+        if (data.type === 'diva-offline-save' && event.ports[0])
+            event.waitUntil(whenSavedURLsRead.then(() => saveFiles(data.cacheName, data.urls, event.ports[0])));
+    });
+
+    self.addEventListener('fetch', (event) =>
+    {
+        const url = event.request.url;
+
+        // Once the worker knows which files are saved, the requests for other files go
+        // to the network without it
+        if (event.request.method !== 'GET' || (savedURLs && !savedURLs[url]))
+            return;
+
+        // The files deleted by the plugin are still listed, and are fetched from the network
+        const whenMatched = whenSavedURLsRead.then(() => savedURLs[url] ? matchSavedFile(event.request) : undefined);
+
+        event.respondWith(whenMatched.then(response => response || fetch(event.request)));
+    });
+}
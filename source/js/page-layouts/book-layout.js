@@ -28,7 +28,7 @@ function getGroupings(viewerConfig)
     {
         const pageRecord = {
             index: index,
-            dimensions: getPageDimensions(index, manifest),
+            dimensions: getPageDimensions(index, viewerConfig),
             paged: (!manifest.paged || page.paged)
         };
 
@@ -71,20 +71,28 @@ function getGroupings(viewerConfig)
 function getGroupLayoutsFromPageGrouping(viewerConfig, grouping)
 {
     const verticallyOriented = viewerConfig.verticallyOriented;
+    const rightToLeft = viewerConfig.manifest.viewingDirection === 'right-to-left';
 
+    // Right-to-left documents open with the lower index on the right
     if (grouping.length === 2)
+    {
+        if (rightToLeft)
+            return getFacingPageGroup(grouping[1], grouping[0], verticallyOriented);
+
         return getFacingPageGroup(grouping[0], grouping[1], verticallyOriented);
+    }
 
     const page = grouping[0];
     const pageDims = page.dimensions;
 
-    // The first page is placed on its own to the right in vertical orientation.
+    // The first page is placed on its own to the right in vertical orientation
+    // (to the left for right-to-left documents).
     // NB that this needs to be the page with index 0; if the first page is excluded
     // from the layout then this special case shouldn't apply.
     // If the page is tagged as 'non-paged', center it horizontally
     let leftOffset;
     if (page.paged)
-        leftOffset = (page.index === 0 && verticallyOriented) ? pageDims.width : 0;
+        leftOffset = (page.index === 0 && verticallyOriented && !rightToLeft) ? pageDims.width : 0;
     else
         leftOffset = (verticallyOriented) ? pageDims.width / 2 : 0;
 
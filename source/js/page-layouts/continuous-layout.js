@@ -0,0 +1,69 @@
+import getPageDimensions from './page-dimensions';
+
+/**
+ * Join all pages edge-to-edge in a single group along the scroll axis, so that
+ * continuous documents (e.g. scrolls) read as one surface with no padding
+ * between pages. Pages are centered along the secondary axis.
+ */
+export default function getContinuousLayoutGroups (viewerConfig)
+{
+    const manifest = viewerConfig.manifest;
+    const verticallyOriented = viewerConfig.verticallyOriented;
+
+    const pages = [];
+    manifest.pages.forEach( (page, index) =>
+    {
+        if (!viewerConfig.showNonPagedPages && manifest.paged && !page.paged)
+            return;
+
+        pages.push({
+            index: index,
+            dimensions: getPageDimensions(index, viewerConfig)
+        });
+    });
+
+    // The first page is at the far end of the scroll axis for documents
+    // read against it
+    if (viewerConfig.reversed)
+        pages.reverse();
+
+    const secondaryDim = verticallyOriented ? 'width' : 'height';
+    const secondaryExtent = pages.reduce((max, page) => Math.max(max, page.dimensions[secondaryDim]), 0);
+
+    let primaryPosition = 0;
+
+    const groupPages = pages.map(page =>
+    {
+        const dims = page.dimensions;
+        const secondaryOffset = (secondaryExtent - dims[secondaryDim]) / 2;
+        let groupOffset;
+
+        if (verticallyOriented)
+        {
+            groupOffset = { top: primaryPosition, left: secondaryOffset };
+            primaryPosition += dims.height;
+        }
+        else
+        {
+            groupOffset = { top: secondaryOffset, left: primaryPosition };
+            primaryPosition += dims.width;
+        }
+
+        return {
+            index: page.index,
+            groupOffset: groupOffset,
+            dimensions: dims
+        };
+    });
+
+    if (groupPages.length === 0)
+        return [];
+
+    return [{
+        dimensions: {
+            height: verticallyOriented ? primaryPosition : secondaryExtent,
+            width: verticallyOriented ? secondaryExtent : primaryPosition
+        },
+        pages: groupPages
+    }];
+}
@@ -1,4 +1,6 @@
 
+import { isSideways } from '../utils/rotation';
+
 export default function getGridLayoutGroups (viewerConfig)
 {
     const viewportWidth = viewerConfig.viewport.width;
@@ -7,23 +9,42 @@ export default function getGridLayoutGroups (viewerConfig)
     const fixedHeightGrid = viewerConfig.fixedHeightGrid;
     const fixedPadding = viewerConfig.fixedPadding;
     const showNonPagedPages = viewerConfig.showNonPagedPages;
+    const rotations = viewerConfig.rotations || [];
 
     const horizontalPadding = fixedPadding * (pagesPerRow + 1);
     const pageWidth = (viewportWidth - horizontalPadding) / pagesPerRow;
     const gridPageWidth = pageWidth;
 
+    // The height to width ratio of a page as it is shown
+    const getHeightToWidthRatio = (pageData, pageIndex) =>
+    {
+        // Get dimensions at max zoom level, although any level should be fine
+        const pageDimenData = pageData.d[pageData.d.length - 1];
+
+        return isSideways(rotations[pageIndex]) ? pageDimenData.w / pageDimenData.h : pageDimenData.h / pageDimenData.w;
+    };
+
+    let minRatio = manifest.minRatio;
+    let maxRatio = manifest.maxRatio;
+
+    // Pages turned on their side change the range of ratios
+    if (rotations.some(isSideways))
+    {
+        const ratios = manifest.pages.map(getHeightToWidthRatio);
+        minRatio = Math.min.apply(null, ratios);
+        maxRatio = Math.max.apply(null, ratios);
+    }
+
     // Calculate the row height depending on whether we want to fix the width or the height
-    const rowHeight = (fixedHeightGrid) ? fixedPadding + manifest.minRatio * pageWidth : fixedPadding + manifest.maxRatio * pageWidth;
+    const rowHeight = (fixedHeightGrid) ? fixedPadding + minRatio * pageWidth : fixedPadding + maxRatio * pageWidth;
 
     const groups = [];
     let currentPages = [];
 
-    const getGridPageDimensions = pageData =>
+    const getGridPageDimensions = (pageData, pageIndex) =>
     {
         // Calculate the width, height and horizontal placement of this page
-        // Get dimensions at max zoom level, although any level should be fine
-        const pageDimenData = pageData.d[pageData.d.length - 1];
-        const heightToWidthRatio = pageDimenData.h / pageDimenData.w;
+        const heightToWidthRatio = getHeightToWidthRatio(pageData, pageIndex);
 
         let pageWidth, pageHeight;
 
@@ -55,7 +76,7 @@ export default function getGridLayoutGroups (viewerConfig)
             return;
 
         // Calculate the width, height and horizontal placement of this page
-        const pageDimens = getGridPageDimensions(page);
+        const pageDimens = getGridPageDimensions(page, pageIndex);
         let leftOffset = Math.floor(currentPages.length * (fixedPadding + gridPageWidth) + fixedPadding);
 
         // Center the page if the height is fixed (otherwise, there is no horizontal padding)
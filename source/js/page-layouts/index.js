@@ -1,32 +1,77 @@
 import getBookLayoutGroups from './book-layout';
 import getSinglesLayoutGroups from './singles-layout';
 import getGridLayoutGroups from './grid-layout';
+import getContinuousLayoutGroups from './continuous-layout';
+import { normalizeRotation } from '../utils/rotation';
 
 /** Get the relative positioning of pages for the current view */
 export default function getPageLayouts (settings)
 {
     if (settings.inGrid)
     {
-        return getGridLayoutGroups(pluck(settings, [
+        const gridConfig = pluck(settings, [
             'manifest',
             'viewport',
             'pagesPerRow',
             'fixedHeightGrid',
             'fixedPadding',
             'showNonPagedPages'
-        ]));
+        ]);
+        gridConfig.rotations = getPageRotations(settings);
+
+        return getGridLayoutGroups(gridConfig);
     }
     else
     {
         const config = pluck(settings, ['manifest', 'verticallyOriented', 'showNonPagedPages']);
+        config.rotations = getPageRotations(settings);
+
+        // Continuous documents are joined into a single surface, in place of book or single pages
+        if (settings.manifest.continuous)
+        {
+            config.reversed = isReversedLayout(settings);
+            return getContinuousLayoutGroups(config);
+        }
 
-        if (settings.inBookLayout)
-            return getBookLayoutGroups(config);
-        else
-            return getSinglesLayoutGroups(config);
+        const groups = settings.inBookLayout ?
+            getBookLayoutGroups(config) :
+            getSinglesLayoutGroups(config);
+
+        // Documents read against the scroll axis start at its far end
+        return isReversedLayout(settings) ? groups.reverse() : groups;
     }
 }
 
+/**
+ * Returns true if the current view places the first page at the bottom
+ * (bottom-to-top documents scrolled vertically) or at the right (right-to-left
+ * documents scrolled horizontally) of the document.
+ */
+export function isReversedLayout (settings)
+{
+    if (settings.inGrid)
+        return false;
+
+    const viewingDirection = settings.manifest.viewingDirection;
+
+    if (settings.verticallyOriented)
+        return viewingDirection === 'bottom-to-top';
+
+    return viewingDirection === 'right-to-left';
+}
+
+/**
+ * Returns the clockwise rotation of each page, in degrees: the sum of the rotation
+ * of the document and the rotation of the page.
+ */
+export function getPageRotations (settings)
+{
+    const pageRotations = settings.pageRotations || {};
+
+    return settings.manifest.pages.map((page, index) =>
+        normalizeRotation((settings.rotation || 0) + (pageRotations[index] || 0)));
+}
+
 function pluck (obj, keys)
 {
     const out = {};
@@ -1,9 +1,17 @@
-export default function getPageDimensions (pageIndex, manifest)
+import { isSideways } from '../utils/rotation';
+
+/**
+ * Returns the dimensions of a page at the maximum zoom level, as it is shown:
+ * pages turned on their side by the rotations of the view config have their
+ * width and height swapped.
+ */
+export default function getPageDimensions (pageIndex, viewerConfig)
 {
-    const dims = manifest.getMaxPageDimensions(pageIndex);
+    const dims = viewerConfig.manifest.getMaxPageDimensions(pageIndex);
+    const sideways = viewerConfig.rotations ? isSideways(viewerConfig.rotations[pageIndex]) : false;
 
     return {
-        width: Math.floor(dims.width),
-        height: Math.floor(dims.height)
+        width: Math.floor(sideways ? dims.height : dims.width),
+        height: Math.floor(sideways ? dims.width : dims.height)
     };
 }
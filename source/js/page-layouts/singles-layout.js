@@ -11,7 +11,7 @@ export default function getSinglesLayoutGroups (viewerConfig)
         if (!viewerConfig.showNonPagedPages && manifest.paged && !page.paged)
             return;
 
-        const pageDims = getPageDimensions(index, manifest);
+        const pageDims = getPageDimensions(index, viewerConfig);
 
         pages.push({
             dimensions: pageDims,
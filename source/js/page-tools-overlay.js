@@ -1,4 +1,5 @@
 import { elt } from './utils/elt';
+import makeAccessibleButton from './utils/accessible-button';
 /**
 *
 *
@@ -22,8 +23,14 @@ export default class PageToolsOverlay
         {
             this._buttons = this._initializePageToolButtons();
 
+            const pageLabel = this._viewerCore.settings.manifest.pages[this.page].l;
+
             this._pageToolsElem = elt('div', { class: 'diva-page-tools-wrapper' },
-                elt('div', { class: 'diva-page-tools' }, this._buttons)
+                elt('div', {
+                    class: 'diva-page-tools',
+                    role: 'toolbar',
+                    'aria-label': this._viewerCore.translate('pageTools', { label: pageLabel })
+                }, this._buttons)
             );
 
             this._pageLabelsElem = elt('div', { class: 'diva-page-labels-wrapper'},
@@ -49,6 +56,9 @@ export default class PageToolsOverlay
             //  one and reattached to the other.
             const button = plugin.pageToolsIcon.cloneNode(true);
 
+            // The key handlers of the icon are not cloned, so they are added to each copy
+            makeAccessibleButton(button, plugin.pageToolsIcon.title || plugin.pluginName);
+
             // ensure the plugin instance is handed as the first argument to call;
             // this will set the context (i.e., `this`) of the handleClick call to the plugin instance
             // itself.
@@ -72,6 +82,10 @@ export default class PageToolsOverlay
 
     unmount ()
     {
+        // Keep the focus in the viewer if a tool of this page was focused when it scrolled away
+        if (this._pageToolsElem.contains(document.activeElement))
+            this._viewerCore.getSettings().viewportElement.focus();
+
         this._innerElement.removeChild(this._pageToolsElem);
         this._innerElement.removeChild(this._pageLabelsElem);
     }
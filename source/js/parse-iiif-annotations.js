@@ -0,0 +1,103 @@
+import parseLanguageMap from './utils/parse-language-map';
+import { asArray, getId } from './utils/iiif-resources';
+
+const xywhRegex = /xywh=(?:pixel:)?([0-9.]+),([0-9.]+),([0-9.]+),([0-9.]+)/;
+
+/**
+ * Parses a `xywh=` media fragment (as found after the `#` of a target, or in the value of
+ * a fragment selector) into a region. Returns null if there is no such fragment, in which
+ * case the target is the whole canvas.
+ */
+const parseRegion = (fragment) =>
+{
+    const result = xywhRegex.exec(fragment || '');
+
+    if (!result)
+        return null;
+
+    return {
+        x: parseFloat(result[1]),
+        y: parseFloat(result[2]),
+        w: parseFloat(result[3]),
+        h: parseFloat(result[4])
+    };
+};
+
+/**
+ * Returns the canvas id and region of an annotation target. Handles targets given as
+ * `canvas#xywh=x,y,w,h` strings, and as specific resources with a fragment selector
+ * (`on` with `full`/`selector` in v2, `target` with `source`/`selector` in v3).
+ */
+const parseTarget = (target) =>
+{
+    if (!target)
+        return { canvas: null, region: null };
+
+    if (typeof target === 'string')
+    {
+        const parts = target.split('#');
+        return { canvas: parts[0], region: parseRegion(parts[1]) };
+    }
+
+    const source = target.full || target.source;
+
+    if (source)
+    {
+        const selector = asArray(target.selector).filter(s => s.value && xywhRegex.test(s.value))[0];
+        const canvas = getId(source).split('#')[0];
+
+        return { canvas: canvas, region: selector ? parseRegion(selector.value) : parseTarget(getId(source)).region };
+    }
+
+    return parseTarget(getId(target));
+};
+
+/**
+ * Returns the text of an annotation's textual bodies (`resource` with `chars` in v2,
+ * `body` with `value` in v3), or null if it has none.
+ */
+const getText = (annotation) =>
+{
+    const bodies = asArray(annotation.resource || annotation.body);
+    const text = bodies
+        .map(body => (typeof body === 'object') ? (body.chars || body.value) : null)
+        .filter(value => typeof value === 'string' && value.length);
+
+    return text.length ? text.join(' ') : null;
+};
+
+/**
+ * Parses a IIIF annotation list (v2) or annotation page (v3) into a list of annotations
+ * of the following form:
+ *
+ *   id: The annotation id
+ *   canvas: The id of the target canvas
+ *   region: The target region on the canvas ({x, y, w, h}), or null for the whole canvas
+ *   motivation: The first motivation of the annotation, without any 'oa:' or 'sc:' prefix
+ *   label: The label of the annotation, if any
+ *   text: The text of the annotation's textual bodies, if any
+ *
+ * @public
+ * @param {Object} list - The annotation list or annotation page.
+ * @param {?string} language - The preferred language for labels.
+ * @returns {Array} - The annotations.
+ */
+export default function parseIIIFAnnotations (list, language)
+{
+    const annotations = asArray(list.resources || list.items);
+
+    return annotations.map(annotation =>
+    {
+        const target = parseTarget(asArray(annotation.on || annotation.target)[0]);
+        const motivation = asArray(annotation.motivation)[0];
+
+        return {
+            id: getId(annotation) || null,
+            canvas: target.canvas,
+            region: target.region,
+            motivation: motivation ? motivation.replace(/^(oa|sc):/, '') : null,
+            label: parseLanguageMap(annotation.label, language)[0] || null,
+            text: getText(annotation)
+        };
+    });
+}
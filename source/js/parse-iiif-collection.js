@@ -0,0 +1,78 @@
+import parseLanguageMap from './utils/parse-language-map';
+import { asArray, getId, getType } from './utils/iiif-resources';
+
+/**
+ * Returns true if the given IIIF resource is a collection (v2 or v3).
+ *
+ * @public
+ * @param {Object} resource - A IIIF resource, e.g. a response to a request for objectData.
+ * @returns {boolean}
+ */
+export function isIIIFCollection (resource)
+{
+    const type = getType(resource);
+
+    return type === 'sc:Collection' || type === 'Collection';
+}
+
+/**
+ * Returns true if the given manifest is a member of a parsed collection, or of one of
+ * its nested collections whose members are known (embedded, or fetched since).
+ *
+ * @public
+ * @param {Object} collection - A collection returned by parseIIIFCollection.
+ * @param {string} manifestId
+ * @returns {boolean}
+ */
+export function hasManifest (collection, manifestId)
+{
+    return collection.items.some(item =>
+    {
+        if (item.type === 'manifest')
+            return item.id === manifestId;
+
+        return item.items !== null && hasManifest(item, manifestId);
+    });
+}
+
+/**
+ * Parses a IIIF Presentation API Collection (v2 or v3) into the following form:
+ *
+ *   id: The collection id
+ *   label: The collection label
+ *   items: The members of the collection, each with an id, a label, a type ('manifest'
+ *       or 'collection'), and, for collections embedded with their members, their items
+ *       (null for collections which have to be fetched)
+ *
+ * @public
+ * @param {Object} collection - The IIIF collection.
+ * @param {?string} language - The preferred language for labels.
+ * @returns {Object} - The parsed collection.
+ */
+export default function parseIIIFCollection (collection, language)
+{
+    // v3 collections list their members in `items`, v2 collections in `members`,
+    // or in `collections` and `manifests`
+    const members = (collection.items || collection.members) ?
+        asArray(collection.items || collection.members) :
+        asArray(collection.collections).concat(asArray(collection.manifests));
+
+    const items = members.filter(member => isIIIFCollection(member) || /^(sc:)?Manifest$/.test(getType(member))).map(member =>
+    {
+        const isCollection = isIIIFCollection(member);
+        const hasMembers = !!(member.items || member.members || member.collections || member.manifests);
+
+        return {
+            id: getId(member),
+            label: parseLanguageMap(member.label, language)[0] || getId(member),
+            type: isCollection ? 'collection' : 'manifest',
+            items: (isCollection && hasMembers) ? parseIIIFCollection(member, language).items : null
+        };
+    });
+
+    return {
+        id: getId(collection),
+        label: parseLanguageMap(collection.label, language)[0] || '',
+        items: items
+    };
+}
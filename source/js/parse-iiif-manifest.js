@@ -1,4 +1,6 @@
 import parseLabelValue from './utils/parse-label-value';
+import parseLanguageMap from './utils/parse-language-map';
+import { asArray, getId, getType } from './utils/iiif-resources';
 
 const getMaxZoomLevel = (width, height) =>
 {
@@ -10,7 +12,7 @@ const getMaxZoomLevel = (width, height) =>
 
 const incorporateZoom = (imageDimension, zoomDifference) => imageDimension / (Math.pow(2, zoomDifference));
 
-const getOtherImageData = (otherImages, lowestMaxZoom) =>
+const getOtherImageData = (otherImages, lowestMaxZoom, language) =>
 {
     return otherImages.map( (itm) =>
     {
@@ -18,6 +20,7 @@ const getOtherImageData = (otherImages, lowestMaxZoom) =>
         const h = itm.height;
         const info = parseImageInfo(itm);
         const url = info.url.slice(-1) !== '/' ? info.url + '/' : info.url;  // append trailing slash to url if it's not there.
+        const label = parseLanguageMap(itm.label, language)[0];
 
         const dims = new Array(lowestMaxZoom + 1);
         for (let j = 0; j < lowestMaxZoom + 1; j++)
@@ -31,7 +34,7 @@ const getOtherImageData = (otherImages, lowestMaxZoom) =>
         return {
             f: info.url,
             url: url,
-            il: itm.label || "",
+            il: label || "",
             d: dims
         };
     });
@@ -41,6 +44,8 @@ const getIIIFPresentationVersion = (context) =>
 {
     if (context === "http://iiif.io/api/presentation/2/context.json")
         return 2;
+    else if (context === "http://iiif.io/api/presentation/3/context.json")
+        return 3;
     else if (Array.isArray(context) && context.includes("http://iiif.io/api/presentation/2/context.json"))
         return 2;
     else if (Array.isArray(context) && context.includes("http://iiif.io/api/presentation/3/context.json"))
@@ -49,14 +54,236 @@ const getIIIFPresentationVersion = (context) =>
         return 2; // Assume a v2 manifest.
 };
 
+/**
+ * Returns the behaviors of a resource as an array. Handles the v3 `behavior` array, the
+ * `behaviour` spelling found in some early v3 manifests, and the v2 `viewingHint`.
+ */
+const getBehaviors = (resource) =>
+{
+    if (!resource)
+        return [];
+
+    return asArray(resource.behavior || resource.behaviour || resource.viewingHint);
+};
+
+const hasBehavior = (resource, behavior) => getBehaviors(resource).indexOf(behavior) !== -1;
+
+/**
+ * Returns the resource painted onto a canvas. In v2 this is the resource of the first image
+ * annotation; in v3 it is the body of the first painting annotation in any of the canvas's
+ * annotation pages.
+ */
+const getPaintingResource = (canvas) =>
+{
+    if (canvas.images)
+        return canvas.images.length ? canvas.images[0].resource : null;
+
+    const annotationPages = asArray(canvas.items);
+
+    for (let i = 0; i < annotationPages.length; i++)
+    {
+        const annotations = asArray(annotationPages[i].items);
+
+        for (let j = 0; j < annotations.length; j++)
+        {
+            const annotation = annotations[j];
+            const motivations = asArray(annotation.motivation);
+
+            if (motivations.length && motivations.indexOf('painting') === -1 && motivations.indexOf('sc:painting') === -1)
+                continue;
+
+            const bodies = asArray(annotation.body);
+
+            if (bodies.length)
+                return bodies[0];
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Returns the id of the canvas on which the viewer should open, if the manifest has one.
+ * This is `start` in v3 (a canvas or a specific resource with a canvas source) and
+ * `startCanvas` on the sequence in v2.
+ */
+const getStartCanvasId = (manifest, sequence) =>
+{
+    let start = manifest.start || (sequence ? sequence.startCanvas : null);
+
+    if (!start)
+        return null;
+
+    if (typeof start === 'object' && getType(start) === 'SpecificResource')
+        start = start.source;
+
+    return start ? getId(start) : null;
+};
+
+const getStartPageIndex = (startCanvasId, canvases) =>
+{
+    if (!startCanvasId)
+        return null;
+
+    const stripFragment = (id) => id.split('#')[0];
+
+    for (let i = 0, len = canvases.length; i < len; i++)
+    {
+        const canvasId = getId(canvases[i]);
+
+        if (canvasId === startCanvasId || stripFragment(canvasId) === stripFragment(startCanvasId))
+            return i;
+    }
+
+    return null;
+};
+
+/**
+ * Returns the URL of the ALTO or hOCR document linked from a canvas by `seeAlso` or
+ * `rendering`, recognised by its format or profile, or null if there is none.
+ */
+const getTextLayerURL = (canvas) =>
+{
+    const resources = asArray(canvas.seeAlso).concat(asArray(canvas.rendering));
+
+    const textLayer = resources.filter(resource =>
+    {
+        if (typeof resource !== 'object')
+            return false;
+
+        return /alto|hocr/i.test([resource.format].concat(asArray(resource.profile)).join(' '));
+    })[0];
+
+    return textLayer ? getId(textLayer) : null;
+};
+
+/**
+ * Returns the URL of the manifest's IIIF Content Search service, if it has one. The
+ * service is identified by its profile (Search API 0 and 1) or its type (Search API 2).
+ */
+const getSearchServiceURL = (manifest) =>
+{
+    const service = asArray(manifest.service).filter(s =>
+    {
+        const profile = asArray(s.profile).join(' ');
+
+        return /iiif\.io\/api\/search\/[0-9]\/search/.test(profile) || /^SearchService/.test(getType(s) || '');
+    })[0];
+
+    return service ? getId(service) : null;
+};
+
+const isRange = (resource) => /^(sc:)?Range$/.test(getType(resource) || '');
+
+/**
+ * Returns the items of a range: `items` in v3, `members` or `canvases` followed by `ranges` in v2.
+ */
+const getRangeItems = (range) =>
+{
+    if (range.items || range.members)
+        return asArray(range.items || range.members);
+
+    const canvases = asArray(range.canvases).map(id => ({ '@id': id, '@type': 'sc:Canvas' }));
+    const ranges = asArray(range.ranges).map(id => ({ '@id': id, '@type': 'sc:Range' }));
+
+    return canvases.concat(ranges);
+};
+
+/**
+ * Converts the ranges in a manifest's `structures` into a tree of the following form:
+ *
+ *   id: The range id
+ *   label: The range label
+ *   pages: The indices of the pages directly in the range
+ *   children: The child ranges
+ *   start: The index of the first page of the range, including child ranges, or null if it has none
+ *
+ * Ranges may be nested by embedding them (v3) or by referencing other ranges of the
+ * structures by id (v2). The top-level ranges are those marked as "top", or, if there are
+ * none, those which are not the child of another range.
+ */
+const getRanges = (manifest, canvases, language) =>
+{
+    const structures = asArray(manifest.structures);
+    const rangesById = {};
+    const childIds = {};
+    const pagesByCanvasId = {};
+
+    structures.forEach(range =>
+    {
+        rangesById[getId(range)] = range;
+        getRangeItems(range).filter(isRange).forEach(item =>
+        {
+            childIds[getId(item)] = true;
+        });
+    });
+
+    canvases.forEach((canvas, index) =>
+    {
+        pagesByCanvasId[getId(canvas).split('#')[0]] = index;
+    });
+
+    const getPageIndex = (item) =>
+    {
+        const source = (getType(item) === 'SpecificResource') ? item.source : item;
+        const id = source ? getId(source) : null;
+        const index = id ? pagesByCanvasId[id.split('#')[0]] : undefined;
+
+        return (index === undefined) ? null : index;
+    };
+
+    const convertRange = (range, ancestors) =>
+    {
+        const pages = [];
+        const children = [];
+
+        getRangeItems(range).forEach(item =>
+        {
+            if (isRange(item))
+            {
+                // Follow references to other ranges, but never back to an ancestor
+                const child = (item.items || item.members || item.canvases) ? item : rangesById[getId(item)];
+
+                if (child && ancestors.indexOf(child) === -1)
+                    children.push(convertRange(child, ancestors.concat(child)));
+            }
+            else
+            {
+                const pageIndex = getPageIndex(item);
+
+                if (pageIndex !== null)
+                    pages.push(pageIndex);
+            }
+        });
+
+        const starts = pages.concat(children.map(child => child.start)).filter(start => start !== null);
+
+        return {
+            id: getId(range),
+            label: parseLanguageMap(range.label, language)[0] || '',
+            pages: pages,
+            children: children,
+            start: starts.length ? Math.min.apply(null, starts) : null
+        };
+    };
+
+    let topRanges = structures.filter(range => hasBehavior(range, 'top'));
+
+    if (topRanges.length === 0)
+        topRanges = structures.filter(range => !childIds[getId(range)]);
+
+    return topRanges.map(range => convertRange(range, [range]));
+};
+
 /**
  * Parses an IIIF Presentation API Manifest and converts it into a Diva.js-format object
  * (See https://github.com/DDMAL/diva.js/wiki/Development-notes#data-received-through-ajax-request)
  *
  * @param {Object} manifest - an object that represents a valid IIIF manifest
+ * @param {?string} language - the preferred language for labels (v3 language maps and v2 @language values)
  * @returns {Object} divaServiceBlock - the data needed by Diva to show a view of a single document
  */
-export default function parseIIIFManifest (manifest)
+export default function parseIIIFManifest (manifest, language)
 {
     let ctx = manifest["@context"];
 
@@ -71,14 +298,17 @@ export default function parseIIIFManifest (manifest)
     const canvases = sequence ? sequence.canvases : manifest.items;
     const numCanvases = canvases.length;
 
-    const pages = new Array(canvases.length);
+    // Canvases without an image or a size have no page, so the pages (and the indices
+    // of the start canvas and the ranges) follow the canvases which are kept
+    const pages = [];
+    const pageCanvases = [];
 
     let thisCanvas, 
         thisResource, 
         thisImage,
         secondaryImages,
         otherImages = [],
-        context, 
+        service,
         url, 
         info, 
         imageAPIVersion, 
@@ -122,20 +352,26 @@ export default function parseIIIFManifest (manifest)
     for (let i = 0; i < numCanvases; i++)
     {
         thisCanvas = canvases[i];
-        canvas = thisCanvas['@id'] || thisCanvas.id;
-        label = thisCanvas.label;
-        thisResource = thisCanvas.images ? thisCanvas.images[0].resource : thisCanvas.items[0].items[0].body;
+        canvas = getId(thisCanvas);
+        label = parseLanguageMap(thisCanvas.label, language)[0] || '';
+        thisResource = getPaintingResource(thisCanvas);
+
+        if (!thisResource)
+        {
+            console.warn('No image found for canvas ' + label + '. Skipping');
+            continue;
+        }
 
         /*
          * If a canvas has multiple images it will be encoded
          * with a resource type of "oa:Choice" (v2) or "Choice" (v3).
          **/
         otherImages = []; // reset array
-        if (thisResource['@type'] === "oa:Choice" || thisResource.type === "Choice")
+        if (getType(thisResource) === "oa:Choice" || getType(thisResource) === "Choice")
         {
             thisImage = thisResource.default || thisResource.items[0];
             secondaryImages = thisResource.item || thisResource.items.slice(1);
-            otherImages = getOtherImageData(secondaryImages, lowestMaxZoom);
+            otherImages = getOtherImageData(secondaryImages, lowestMaxZoom, language);
         }
         else
         {
@@ -154,25 +390,13 @@ export default function parseIIIFManifest (manifest)
 
         maxZoom = getMaxZoomLevel(width, height);
 
-        imageLabel = thisImage.label || null;
+        imageLabel = parseLanguageMap(thisImage.label, language)[0] || null;
 
         info = parseImageInfo(thisImage);
         url = info.url.slice(-1) !== '/' ? info.url + '/' : info.url;  // append trailing slash to url if it's not there.
 
-        context = thisImage.service['@context'] || thisImage.service.type;
-
-        if (context === 'http://iiif.io/api/image/2/context.json' || context === "ImageService2")
-        {
-            imageAPIVersion = 2;
-        }
-        else if (context === 'http://library.stanford.edu/iiif/image-api/1.1/context.json')
-        {
-            imageAPIVersion = 1.1;
-        }
-        else
-        {
-            imageAPIVersion = 1.0;
-        }
+        service = getImageService(thisImage);
+        imageAPIVersion = getImageAPIVersion(service);
 
         zoomDimensions = new Array(lowestMaxZoom + 1);
 
@@ -191,10 +415,10 @@ export default function parseIIIFManifest (manifest)
             maxHeights[k] = Math.max(heightAtCurrentZoomLevel, maxHeights[k]);
         }
 
-        let isPaged = thisCanvas.viewingHint !== 'non-paged' || (thisCanvas.behavior ? thisCanvas.behavior[0] !== 'non-paged' : false);
-        let isFacing = thisCanvas.viewingHint === 'facing-pages' || (thisCanvas.behavior ? thisCanvas.behavior[0] === 'facing-pages' : false);
+        let isPaged = !hasBehavior(thisCanvas, 'non-paged');
+        let isFacing = hasBehavior(thisCanvas, 'facing-pages');
 
-        pages[i] = {
+        pages.push({
             d: zoomDimensions,
             m: maxZoom,
             l: label,         // canvas label ('page 1, page 2', etc.)
@@ -202,13 +426,20 @@ export default function parseIIIFManifest (manifest)
             f: info.url,
             url: url,
             api: imageAPIVersion,
+            formats: (service && service.preferredFormats) || null,    // Image API 3 preferred formats, in order
+            qualities: (service && service.extraQualities) || null,    // Image API 3 qualities beyond 'default'
             paged: isPaged,
             facingPages: isFacing,
             canvas: canvas,
             otherImages: otherImages,
+            annotations: asArray(thisCanvas.otherContent || thisCanvas.annotations),    // annotation lists (v2) or pages (v3), embedded or by reference
+            thumbnail: getThumbnail(thisCanvas),
+            textLayer: getTextLayerURL(thisCanvas),     // the ALTO or hOCR document with the text of the page, if any
+            auth: getAuthService(thisImage, service, language),     // the IIIF Auth service protecting the image, if any
             xoffset: info.x || null,
             yoffset: info.y || null
-        };
+        });
+        pageCanvases.push(thisCanvas);
     }
 
     const averageWidths = new Array(lowestMaxZoom + 1);
@@ -216,8 +447,8 @@ export default function parseIIIFManifest (manifest)
 
     for (let a = 0; a < lowestMaxZoom + 1; a++)
     {
-        averageWidths[a] = totalWidths[a] / numCanvases;
-        averageHeights[a] = totalHeights[a] / numCanvases;
+        averageWidths[a] = totalWidths[a] / pages.length;
+        averageHeights[a] = totalHeights[a] / pages.length;
     }
 
     const dims = {
@@ -234,12 +465,177 @@ export default function parseIIIFManifest (manifest)
     // assumes paged is false for non-paged values
     return {
         version: version,
-        item_title: parseLabelValue(manifest).label,
+        id: getId(manifest) || null,
+        item_title: parseLabelValue(manifest, language).label,
         metadata: manifest.metadata || null,
         dims: dims,
         max_zoom: lowestMaxZoom,
         pgs: pages,
-        paged: manifest.viewingHint === 'paged' || (manifest.behaviour ? manifest.behaviour[0] === 'paged' : false) || (sequence ? sequence.viewingHint === 'paged' : false)
+        paged: hasBehavior(manifest, 'paged') || hasBehavior(sequence, 'paged'),
+        continuous: hasBehavior(manifest, 'continuous') || hasBehavior(sequence, 'continuous'),
+        viewing_direction: manifest.viewingDirection || (sequence && sequence.viewingDirection) || 'left-to-right',
+        start_index: getStartPageIndex(getStartCanvasId(manifest, sequence), pageCanvases),
+        ranges: getRanges(manifest, pageCanvases, language),
+        search_service: getSearchServiceURL(manifest)
+    };
+}
+
+/**
+ * Returns the IIIF Image API service of an image resource. In v3 manifests `service` is an
+ * array which may also contain services of other kinds (e.g., authentication), so the first
+ * service identifying itself as an image service is preferred.
+ *
+ * @param {Object} resource - an image resource from a canvas
+ * @returns {Object|null} service - the image service block, if any
+ */
+function getImageService (resource)
+{
+    const services = asArray(resource.service);
+
+    const imageService = services.filter(service =>
+    {
+        const type = getType(service) || '';
+        const context = service['@context'] || '';
+        const profile = asArray(service.profile).join(' ');
+
+        return /^ImageService/.test(type) ||
+            /iiif\.io\/api\/image|iiif\/image-api/.test(context) ||
+            /iiif\.io\/api\/image|iiif\/image-api|^level[0-2]$/.test(profile);
+    })[0];
+
+    return imageService || services[0] || null;
+}
+
+/**
+ * Returns the Image API version of an image service, judging by its context or type.
+ * Images without a service are treated as version 1.0.
+ *
+ * @param {Object|null} service - an image service block
+ * @returns {number} version
+ */
+function getImageAPIVersion (service)
+{
+    const context = service ? (service['@context'] || getType(service)) : null;
+
+    if (context === 'http://iiif.io/api/image/3/context.json' || context === "ImageService3")
+        return 3;
+    else if (context === 'http://iiif.io/api/image/2/context.json' || context === "ImageService2")
+        return 2;
+    else if (context === 'http://library.stanford.edu/iiif/image-api/1.1/context.json')
+        return 1.1;
+    else
+        return 1.0;
+}
+
+/**
+ * Returns the thumbnail of a canvas as an object with the following properties, or null
+ * if the canvas has none:
+ *
+ *   url: The URL of the thumbnail image
+ *   service: The URL of the thumbnail's image service, with a trailing slash, or null
+ *   api: The Image API version of the service, or null
+ *
+ * @param {Object} canvas - a canvas of a IIIF manifest
+ * @returns {Object|null} thumbnail
+ */
+function getThumbnail (canvas)
+{
+    const thumbnail = asArray(canvas.thumbnail)[0];
+
+    if (!thumbnail)
+        return null;
+
+    const service = (typeof thumbnail === 'object') ? getImageService(thumbnail) : null;
+    const serviceURL = service ? getId(service) : null;
+
+    return {
+        url: getId(thumbnail),
+        service: serviceURL ? serviceURL.replace(/\/?$/, '/') : null,
+        api: serviceURL ? getImageAPIVersion(service) : null
+    };
+}
+
+/**
+ * Returns the IIIF Auth service which controls access to an image, normalized to an object
+ * with the following properties, or null if the image is not protected:
+ *
+ *   version: The Auth API version (1 or 2)
+ *   id: The URL of the login (1.0) or access (2.0) service, opened for the user to log in
+ *   profile: The interaction pattern: 'active' (1.0 login and clickthrough), 'kiosk' or 'external'
+ *   token: The URL of the access token service
+ *   logout: The URL of the logout service, or null
+ *   probe: The URL of the probe service (2.0 only), or null
+ *   label, header, description, confirmLabel, failureHeader, failureDescription: The texts
+ *     given by the service for the user interface, or null
+ *
+ * The services are looked for in the image service, then in the image resource itself.
+ *
+ * @param {Object} resource - an image resource from a canvas
+ * @param {Object|null} imageService - the image service of the resource
+ * @param {string} language - the preferred language of the texts
+ * @returns {Object|null} auth
+ */
+function getAuthService (resource, imageService, language)
+{
+    const services = asArray(imageService && imageService.service).concat(asArray(resource.service));
+    const text = (value) => parseLanguageMap(value, language)[0] || null;
+    const withType = (service, regex) => asArray(service.service).filter(s => typeof s === 'object' && regex.test(getType(s) || ''))[0];
+    const withProfile = (service, regex) => asArray(service.service).filter(s => typeof s === 'object' && regex.test(asArray(s.profile).join(' ')))[0];
+
+    const probe = services.filter(s => typeof s === 'object' && getType(s) === 'AuthProbeService2')[0];
+    const access = probe && withType(probe, /^AuthAccessService2$/);
+
+    if (access)
+    {
+        const token = withType(access, /^AuthAccessTokenService2$/);
+        const logout = withType(access, /^AuthLogoutService2$/);
+
+        if (!token)
+            return null;
+
+        return {
+            version: 2,
+            id: getId(access) || null,
+            profile: access.profile || 'active',
+            token: getId(token),
+            logout: logout ? getId(logout) : null,
+            probe: getId(probe),
+            label: text(access.label),
+            header: text(access.heading),
+            description: text(access.note),
+            confirmLabel: text(access.confirmLabel),
+            failureHeader: text(token.errorHeading),
+            failureDescription: text(token.errorNote)
+        };
+    }
+
+    const cookieProfile = /iiif\.io\/api\/auth\/[01]\/(login|clickthrough|kiosk|external)/;
+    const cookieService = services.filter(s => typeof s === 'object' && cookieProfile.test(asArray(s.profile).join(' ')))[0];
+
+    if (!cookieService)
+        return null;
+
+    const token = withProfile(cookieService, /iiif\.io\/api\/auth\/[01]\/token/);
+    const logout = withProfile(cookieService, /iiif\.io\/api\/auth\/[01]\/logout/);
+
+    if (!token)
+        return null;
+
+    const profile = cookieProfile.exec(asArray(cookieService.profile).join(' '))[1];
+
+    return {
+        version: 1,
+        id: getId(cookieService),
+        profile: (profile === 'login' || profile === 'clickthrough') ? 'active' : profile,
+        token: getId(token),
+        logout: logout ? getId(logout) : null,
+        probe: null,
+        label: text(cookieService.label),
+        header: text(cookieService.header),
+        description: text(cookieService.description),
+        confirmLabel: text(cookieService.confirmLabel),
+        failureHeader: text(cookieService.failureHeader),
+        failureDescription: text(cookieService.failureDescription)
     };
 }
 
@@ -253,7 +649,8 @@ export default function parseIIIFManifest (manifest)
  */
 function parseImageInfo (resource)
 {
-    let url = resource['@id'] || resource.id;
+    let url = getId(resource);
+    const service = getImageService(resource);
     const fragmentRegex = /#xywh=([0-9]+,[0-9]+,[0-9]+,[0-9]+)/;
     let xywh = '';
     let stripURL = true;
@@ -271,10 +668,10 @@ function parseImageInfo (resource)
         const result = fragmentRegex.exec(url);
         xywh = result[1];
     }
-    else if (resource.service && (resource.service['@id'] || resource.service.id))
+    else if (service && getId(service))
     {
         // this URL excludes region parameters so we don't need to remove them
-        url = resource.service['@id'] || resource.service.id;
+        url = getId(service);
         stripURL = false;
     }
 
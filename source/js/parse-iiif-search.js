@@ -0,0 +1,116 @@
+import parseIIIFAnnotations from './parse-iiif-annotations';
+import { asArray, getId } from './utils/iiif-resources';
+
+/**
+ * Returns the matching text and its context for the annotations of a Search 2 response,
+ * by annotation id. These are the text quote selectors of the response's contextualizing
+ * annotations, which target the annotations of the matches.
+ */
+const getMatchContexts = (response) =>
+{
+    const contexts = {};
+
+    asArray(response.annotations).forEach(page =>
+    {
+        asArray(page.items).forEach(annotation =>
+        {
+            asArray(annotation.target).forEach(target =>
+            {
+                if (typeof target !== 'object' || !target.source)
+                    return;
+
+                const selector = asArray(target.selector).filter(s => s.type === 'TextQuoteSelector')[0];
+
+                if (selector)
+                {
+                    contexts[getId(target.source)] = {
+                        match: selector.exact || '',
+                        before: selector.prefix || '',
+                        after: selector.suffix || ''
+                    };
+                }
+            });
+        });
+    });
+
+    return contexts;
+};
+
+/**
+ * Parses a response of the IIIF Content Search API (an annotation list in version 1, an
+ * annotation page in version 2) into an object of the following form:
+ *
+ *   hits: The hits, in the order of the response, each of the following form:
+ *     canvas: The id of the canvas of the hit
+ *     regions: The regions of the canvas to highlight ({x, y, w, h})
+ *     match: The matching text
+ *     before: The text before the match, if the service gives it
+ *     after: The text after the match, if the service gives it
+ *   next: The URL of the next page of results, or null if this is the last page
+ *
+ * In version 1 a hit may group several annotations (e.g. for a phrase which spans
+ * lines); otherwise every annotation is a hit of its own.
+ *
+ * @public
+ * @param {Object} response - The search response.
+ * @param {?string} language - The preferred language for labels.
+ * @returns {{hits: Array, next: ?string}}
+ */
+export default function parseIIIFSearchResults (response, language)
+{
+    const annotations = parseIIIFAnnotations(response, language).filter(annotation => annotation.canvas);
+    let hits;
+
+    if (response.hits)
+    {
+        const annotationsById = {};
+
+        annotations.forEach(annotation =>
+        {
+            annotationsById[annotation.id] = annotation;
+        });
+
+        hits = response.hits.map(hit =>
+        {
+            const hitAnnotations = asArray(hit.annotations)
+                .map(id => annotationsById[getId(id)])
+                .filter(annotation => annotation);
+
+            if (!hitAnnotations.length)
+                return null;
+
+            // A hit is shown on the canvas on which it starts
+            const canvas = hitAnnotations[0].canvas;
+
+            return {
+                canvas: canvas,
+                regions: hitAnnotations.filter(a => a.canvas === canvas && a.region).map(a => a.region),
+                match: hit.match || hitAnnotations.map(a => a.text).filter(text => text).join(' '),
+                before: hit.before || '',
+                after: hit.after || ''
+            };
+        }).filter(hit => hit);
+    }
+    else
+    {
+        const contexts = getMatchContexts(response);
+
+        hits = annotations.map(annotation =>
+        {
+            const context = contexts[annotation.id] || {};
+
+            return {
+                canvas: annotation.canvas,
+                regions: annotation.region ? [annotation.region] : [],
+                match: context.match || annotation.text || '',
+                before: context.before || '',
+                after: context.after || ''
+            };
+        });
+    }
+
+    return {
+        hits: hits,
+        next: response.next ? getId(response.next) : null
+    };
+}
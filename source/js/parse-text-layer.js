@@ -0,0 +1,119 @@
+// The hOCR classes of elements holding a line of text
+const HOCR_LINE_SELECTOR = '.ocr_line, .ocrx_line, .ocr_header, .ocr_caption, .ocr_textfloat';
+
+const collapseWhitespace = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Returns the lines of an ALTO document. The lines and the page are measured in the
+ * document's measurement unit, which does not matter once they are compared.
+ */
+const parseALTO = (doc) =>
+{
+    const page = doc.getElementsByTagNameNS('*', 'Page')[0];
+
+    if (!page)
+        return null;
+
+    const lines = Array.prototype.map.call(doc.getElementsByTagNameNS('*', 'TextLine'), line =>
+    {
+        let text = '';
+
+        // Words are String elements; hyphens at the end of lines are HYP elements, joined to the word before them
+        Array.prototype.forEach.call(line.children, child =>
+        {
+            if (child.localName !== 'String' && child.localName !== 'HYP')
+                return;
+
+            const content = child.getAttribute('CONTENT') || '';
+            text += (text && child.localName === 'String') ? ' ' + content : content;
+        });
+
+        return {
+            text: collapseWhitespace(text),
+            x: parseFloat(line.getAttribute('HPOS')),
+            y: parseFloat(line.getAttribute('VPOS')),
+            w: parseFloat(line.getAttribute('WIDTH')),
+            h: parseFloat(line.getAttribute('HEIGHT'))
+        };
+    });
+
+    return {
+        width: parseFloat(page.getAttribute('WIDTH')),
+        height: parseFloat(page.getAttribute('HEIGHT')),
+        lines: lines
+    };
+};
+
+/**
+ * Returns the bounding box in the title of an hOCR element (e.g. "bbox 10 20 300 60; x_wconf 95").
+ */
+const getBoundingBox = (element) =>
+{
+    const result = /\bbbox\s+(-?[0-9.]+)\s+(-?[0-9.]+)\s+(-?[0-9.]+)\s+(-?[0-9.]+)/.exec(element.getAttribute('title') || '');
+
+    if (!result)
+        return null;
+
+    const coords = result.slice(1).map(parseFloat);
+
+    return { x: coords[0], y: coords[1], w: coords[2] - coords[0], h: coords[3] - coords[1] };
+};
+
+/**
+ * Returns the lines of the first page of an hOCR document, in pixels of the page image.
+ */
+const parseHOCR = (doc) =>
+{
+    const page = doc.querySelector('.ocr_page');
+    const pageBox = page ? getBoundingBox(page) : null;
+
+    if (!pageBox)
+        return null;
+
+    const lines = [];
+
+    Array.prototype.forEach.call(page.querySelectorAll(HOCR_LINE_SELECTOR), line =>
+    {
+        const box = getBoundingBox(line);
+
+        if (box)
+            lines.push(Object.assign({ text: collapseWhitespace(line.textContent) }, box));
+    });
+
+    return {
+        width: pageBox.w,
+        height: pageBox.h,
+        lines: lines
+    };
+};
+
+/**
+ * Parses the text of a page from an ALTO (XML) or hOCR (HTML) document into an object
+ * of the following form, or null if the document is neither:
+ *
+ *   width: The width of the page, in the units of the document
+ *   height: The height of the page
+ *   lines: The lines of text of the page, each of the following form:
+ *     text: The text of the line, with its words separated by single spaces
+ *     x, y, w, h: The region of the line on the page
+ *
+ * Lines without any text are left out.
+ *
+ * @public
+ * @param {string} source - The ALTO or hOCR document.
+ * @returns {?Object}
+ */
+export default function parseTextLayer (source)
+{
+    const isALTO = /<alto[\s>]/.test(source);
+    const doc = new DOMParser().parseFromString(source, isALTO ? 'application/xml' : 'text/html');
+    const textLayer = isALTO ? parseALTO(doc) : parseHOCR(doc);
+
+    // Also rejects pages whose dimensions are missing, i.e. NaN
+    if (!textLayer || textLayer.width <= 0 || textLayer.height <= 0 || isNaN(textLayer.width + textLayer.height))
+        return null;
+
+    textLayer.lines = textLayer.lines.filter(line => line.text && line.w > 0 && line.h > 0);
+
+    return textLayer;
+}
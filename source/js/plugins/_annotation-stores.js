@@ -0,0 +1,150 @@
+/**
+ * Storage adapters for the annotations drawn with the annotate plugin. An adapter is
+ * any object with the following methods, each of which returns a promise. The annotations
+ * are W3C Web Annotations, and the document id is the id of the manifest (or its URL).
+ *
+ *   load(documentId): Resolves to the annotations of the document
+ *   create(documentId, annotation): Resolves to the annotation once it is stored. It may
+ *     differ from the given one, e.g. have an id given by a server
+ *   update(documentId, annotation): Resolves to the annotation once it is stored
+ *   delete(documentId, annotation): Resolves once the annotation is deleted
+ *
+ * To use an adapter, give it in the annotationStore setting.
+ **/
+
+/**
+ * Stores annotations in the localStorage of the browser, under one key per document.
+ * This is the default adapter.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.key='diva-annotations'] - The prefix of the localStorage keys.
+ **/
+export class LocalStorageAnnotationStore
+{
+    constructor (options)
+    {
+        this._prefix = (options && options.key) || 'diva-annotations';
+    }
+
+    load (documentId)
+    {
+        return Promise.resolve().then(() => this._read(documentId));
+    }
+
+    create (documentId, annotation)
+    {
+        return Promise.resolve().then(() =>
+        {
+            this._write(documentId, this._read(documentId).concat([annotation]));
+            return annotation;
+        });
+    }
+
+    update (documentId, annotation)
+    {
+        return Promise.resolve().then(() =>
+        {
+            this._write(documentId, this._read(documentId).map(stored => stored.id === annotation.id ? annotation : stored));
+            return annotation;
+        });
+    }
+
+    delete (documentId, annotation)
+    {
+        return Promise.resolve().then(() =>
+        {
+            this._write(documentId, this._read(documentId).filter(stored => stored.id !== annotation.id));
+        });
+    }
+
+    _read (documentId)
+    {
+        const stored = localStorage.getItem(this._prefix + ':' + documentId);
+
+        return stored ? JSON.parse(stored) : [];
+    }
+
+    _write (documentId, annotations)
+    {
+        localStorage.setItem(this._prefix + ':' + documentId, JSON.stringify(annotations));
+    }
+}
+
+/**
+ * Stores annotations on a server, following the W3C Web Annotation Protocol
+ * (https://www.w3.org/TR/annotation-protocol/):
+ *
+ *   GET {url}?manifest={documentId} lists the annotations of a document, as an array, an
+ *     annotation page or an annotation collection with its first page embedded
+ *   POST {url} creates an annotation, and responds with it as it is stored
+ *   PUT {annotation id} updates an annotation, and responds with it as it is stored
+ *   DELETE {annotation id} deletes an annotation
+ *
+ * @param {Object} options
+ * @param {string} options.url - The URL of the annotation container.
+ * @param {Object} [options.headers] - Headers to send with every request, e.g. for authorization.
+ **/
+export class RestAnnotationStore
+{
+    constructor (options)
+    {
+        this._url = options.url;
+        this._headers = options.headers || {};
+    }
+
+    load (documentId)
+    {
+        const separator = this._url.indexOf('?') === -1 ? '?' : '&';
+
+        return this._request(this._url + separator + 'manifest=' + encodeURIComponent(documentId), 'GET').then(data =>
+        {
+            if (Array.isArray(data))
+                return data;
+
+            const page = data.first && typeof data.first === 'object' ? data.first : data;
+
+            return page.items || [];
+        });
+    }
+
+    create (documentId, annotation)
+    {
+        return this._request(this._url, 'POST', annotation);
+    }
+
+    update (documentId, annotation)
+    {
+        return this._request(annotation.id, 'PUT', annotation);
+    }
+
+    delete (documentId, annotation)
+    {
+        return this._request(annotation.id, 'DELETE').then(() => undefined);
+    }
+
+    _request (url, method, annotation)
+    {
+        const headers = Object.assign({
+            'Accept': 'application/ld+json; profile="http://www.w3.org/ns/anno.jsonld"'
+        }, this._headers);
+
+        if (annotation)
+            headers['Content-Type'] = 'application/ld+json; profile="http://www.w3.org/ns/anno.jsonld"';
+
+        return fetch(url, {
+            method: method,
+            headers: headers,
+            body: annotation ? JSON.stringify(annotation) : undefined
+        }).then(response =>
+        {
+            if (!response.ok)
+                throw new Error(response.status + ' ' + response.statusText);
+
+            // Deletions and some updates have no body
+            if (response.status === 204 || method === 'DELETE')
+                return annotation || null;
+
+            return response.json();
+        });
+    }
+}
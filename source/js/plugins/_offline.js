@@ -0,0 +1,46 @@
+/**
+ * Shared by the offline plugin and its service worker (see offline-worker.js). The files
+ * of each document are saved in their own cache of Cache Storage, named after the id of
+ * the document.
+ **/
+
+export const CACHE_PREFIX = 'diva-offline:';
+
+export function getCacheName (documentId)
+{
+    return CACHE_PREFIX + documentId;
+}
+
+/**
+ * Returns the URLs of the files needed to read pages offline at a zoom level: the tiles of
+ * the pages at that zoom level (see ImageManifest#getPageImageTiles), and the info.json of
+ * their image services if the viewer loads them (see the fetchImageInfo setting).
+ *
+ * @param {ImageManifest} manifest
+ * @param {Object} options
+ * @param {number} options.first - The index of the first page.
+ * @param {number} options.last - The index of the last page.
+ * @param {number} options.zoomLevel - The zoom level.
+ * @param {{width: number, height: number}} options.tileDimensions - The tile size, unless the info.json of the page gives one.
+ * @param {boolean} options.fetchImageInfo - Whether the info.json of the pages are needed.
+ * @returns {Array.<string>}
+ */
+export function getPageFileURLs (manifest, options)
+{
+    const urls = [];
+    const zoomLevel = Math.min(Math.ceil(options.zoomLevel), manifest.maxZoom);
+
+    for (let pageIndex = options.first; pageIndex <= options.last; pageIndex++)
+    {
+        if (options.fetchImageInfo)
+            urls.push(manifest.pages[pageIndex].url + 'info.json');
+
+        manifest.getPageImageTiles(pageIndex, zoomLevel, options.tileDimensions).tiles.forEach(tile =>
+        {
+            urls.push(tile.url);
+        });
+    }
+
+    // Whole images may be shared by several zoom levels
+    return urls.filter((url, index) => urls.indexOf(url) === index);
+}
@@ -0,0 +1,198 @@
+import { asArray, getId } from '../utils/iiif-resources';
+
+/**
+ * Conversions between the annotations drawn with the annotate plugin and W3C Web
+ * Annotations (https://www.w3.org/TR/annotation-model/). Drawn annotations are of the
+ * following form, measured in the coordinates of the canvas:
+ *
+ *   id: The annotation id
+ *   canvas: The id of the canvas which is annotated
+ *   region: The rectangle which is annotated ({x, y, w, h}), or the bounding box of the polygon
+ *   points: The points of the polygon which is annotated ([{x, y}]), or null for a rectangle
+ *   comment: The comment of the annotation
+ *   created, modified: When the annotation was created and last modified, as ISO 8601 dates
+ **/
+
+const WEB_ANNOTATION_CONTEXT = 'http://www.w3.org/ns/anno.jsonld';
+
+const xywhRegex = /xywh=(?:pixel:)?([0-9.]+),([0-9.]+),([0-9.]+),([0-9.]+)/;
+
+const parseRegion = (fragment) =>
+{
+    const result = xywhRegex.exec(fragment || '');
+
+    if (!result)
+        return null;
+
+    return {
+        x: parseFloat(result[1]),
+        y: parseFloat(result[2]),
+        w: parseFloat(result[3]),
+        h: parseFloat(result[4])
+    };
+};
+
+/**
+ * Returns the points of the first polygon of an SVG selector, or null if it has none.
+ */
+const parsePolygon = (svg) =>
+{
+    const result = /<polygon[^>]*\spoints=["']([^"']*)["']/.exec(svg || '');
+
+    if (!result)
+        return null;
+
+    const coords = result[1].trim().split(/[\s,]+/).map(parseFloat);
+    const points = [];
+
+    for (let i = 0; i + 1 < coords.length; i += 2)
+        points.push({ x: coords[i], y: coords[i + 1] });
+
+    return points.length >= 3 ? points : null;
+};
+
+/**
+ * Returns the smallest region which contains the given points.
+ *
+ * @param {Array.<{x: number, y: number}>} points
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+export function getBoundingRegion (points)
+{
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const x = Math.min.apply(null, xs);
+    const y = Math.min.apply(null, ys);
+
+    return { x: x, y: y, w: Math.max.apply(null, xs) - x, h: Math.max.apply(null, ys) - y };
+}
+
+/**
+ * Converts a drawn annotation to a Web Annotation which comments on it. Rectangles are
+ * targeted with a media fragment selector and polygons with an SVG selector.
+ *
+ * @param {Object} annotation - The drawn annotation.
+ * @returns {Object} - The Web Annotation.
+ */
+export function toWebAnnotation (annotation)
+{
+    let selector;
+
+    if (annotation.points)
+    {
+        const points = annotation.points.map(point => point.x + ',' + point.y).join(' ');
+
+        selector = {
+            type: 'SvgSelector',
+            value: `<svg xmlns="http://www.w3.org/2000/svg"><polygon points="${points}"/></svg>`
+        };
+    }
+    else
+    {
+        const region = annotation.region;
+
+        selector = {
+            type: 'FragmentSelector',
+            conformsTo: 'http://www.w3.org/TR/media-frags/',
+            value: `xywh=${region.x},${region.y},${region.w},${region.h}`
+        };
+    }
+
+    const body = annotation.comment ? [{
+        type: 'TextualBody',
+        value: annotation.comment,
+        format: 'text/plain',
+        purpose: 'commenting'
+    }] : [];
+
+    return {
+        '@context': WEB_ANNOTATION_CONTEXT,
+        id: annotation.id,
+        type: 'Annotation',
+        motivation: 'commenting',
+        created: annotation.created,
+        modified: annotation.modified,
+        body: body,
+        target: {
+            type: 'SpecificResource',
+            source: annotation.canvas,
+            selector: selector
+        }
+    };
+}
+
+/**
+ * Converts a Web Annotation back to a drawn annotation. Returns null if the annotation
+ * does not target a rectangle or a polygon of a canvas.
+ *
+ * @param {Object} webAnnotation - The Web Annotation.
+ * @returns {?Object} - The drawn annotation.
+ */
+export function fromWebAnnotation (webAnnotation)
+{
+    const target = asArray(webAnnotation.target)[0];
+
+    if (!target)
+        return null;
+
+    const source = (typeof target === 'string') ? target : getId(target.source || target);
+
+    if (!source)
+        return null;
+
+    const selectors = (typeof target === 'string') ? [] : asArray(target.selector);
+
+    const svgSelector = selectors.filter(selector => selector.type === 'SvgSelector')[0];
+    const fragmentSelector = selectors.filter(selector => xywhRegex.test(selector.value || ''))[0];
+
+    const points = svgSelector ? parsePolygon(svgSelector.value) : null;
+    let region = points ? getBoundingRegion(points) : null;
+
+    if (!region)
+        region = parseRegion(fragmentSelector ? fragmentSelector.value : source.split('#')[1]);
+
+    if (!region)
+        return null;
+
+    const comment = asArray(webAnnotation.body)
+        .filter(body => typeof body === 'object' && typeof body.value === 'string')
+        .map(body => body.value)
+        .join('\n');
+
+    return {
+        id: getId(webAnnotation),
+        canvas: source.split('#')[0],
+        region: region,
+        points: points,
+        comment: comment,
+        created: webAnnotation.created || null,
+        modified: webAnnotation.modified || null
+    };
+}
+
+/**
+ * Returns a Web Annotation page with the given drawn annotations.
+ *
+ * @param {Array} annotations - The drawn annotations.
+ * @param {?string} id - The id of the page, if any.
+ * @returns {Object}
+ */
+export function toAnnotationPage (annotations, id)
+{
+    const page = {
+        '@context': WEB_ANNOTATION_CONTEXT,
+        type: 'AnnotationPage',
+        items: annotations.map(annotation =>
+        {
+            // The page gives the context of its annotations
+            const item = toWebAnnotation(annotation);
+            delete item['@context'];
+            return item;
+        })
+    };
+
+    if (id)
+        page.id = id;
+
+    return page;
+}
@@ -0,0 +1,829 @@
+import { elt } from '../utils/elt';
+import { gotoPageRegion, positionOverPage } from '../utils/page-overlays';
+import { getRotationTransform, isSideways, unrotatePoint } from '../utils/rotation';
+import { LocalStorageAnnotationStore, RestAnnotationStore } from './_annotation-stores';
+import { fromWebAnnotation, getBoundingRegion, toAnnotationPage, toWebAnnotation } from './_web-annotations';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// The distance, in pixels, the pointer has to be dragged to draw a rectangle rather than click
+const MIN_DRAG_DISTANCE = 4;
+
+/**
+ * Returns a new annotation id, as a random (version 4) UUID.
+ **/
+function createId ()
+{
+    return 'urn:uuid:' + 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c =>
+    {
+        const random = Math.floor(Math.random() * 16);
+        return (c === 'x' ? random : 8 + random % 4).toString(16);
+    });
+}
+
+// Used by the handlers of the pages and the panel: the changes which could not be stored
+// have been logged and undone by then (see AnnotatePlugin#_save)
+function ignoreError () {}
+
+/**
+ * Returns the SVG element of a rectangle or a polygon, in the coordinates of the canvas.
+ **/
+function createShape (region, points)
+{
+    if (points)
+    {
+        const polygon = document.createElementNS(SVG_NS, 'polygon');
+        polygon.setAttribute('points', points.map(point => point.x + ',' + point.y).join(' '));
+        return polygon;
+    }
+
+    const rect = document.createElementNS(SVG_NS, 'rect');
+    rect.setAttribute('x', region.x);
+    rect.setAttribute('y', region.y);
+    rect.setAttribute('width', region.w);
+    rect.setAttribute('height', region.h);
+    return rect;
+}
+
+/**
+ * A page overlay which draws the annotations of a page which were drawn with the
+ * annotate plugin, and the shape being drawn on it. The SVG is measured in the units
+ * of the canvas, so that the shapes follow the page at any zoom level.
+ **/
+class DrawnAnnotationOverlay
+{
+    constructor (pageIndex, plugin)
+    {
+        this.page = pageIndex;
+
+        this._plugin = plugin;
+        this._viewerCore = plugin.core;
+        this._innerElement = plugin.core.getSettings().innerElement;
+        this._svgElem = null;
+        this._rotation = null;
+    }
+
+    mount ()
+    {
+        if (this._svgElem === null)
+        {
+            this._svgElem = document.createElementNS(SVG_NS, 'svg');
+            this._svgElem.setAttribute('class', 'diva-drawn-annotations');
+            this._svgElem.setAttribute('preserveAspectRatio', 'none');
+
+            this._svgElem.addEventListener('mousedown', event => this._plugin._onMouseDown(event, this));
+            this._svgElem.addEventListener('mousemove', event => this._plugin._onMouseMove(event, this));
+            this._svgElem.addEventListener('dblclick', event => this._plugin._onDoubleClick(event, this));
+        }
+
+        this.render();
+        this.refresh();
+        this._innerElement.appendChild(this._svgElem);
+    }
+
+    unmount ()
+    {
+        this._innerElement.removeChild(this._svgElem);
+    }
+
+    /**
+     * Draw the annotations of the page again, e.g. once they have changed.
+     **/
+    render ()
+    {
+        if (this._svgElem === null)
+            return;
+
+        const dimensions = this._viewerCore.getSettings().manifest.getMaxPageDimensions(this.page);
+        const group = document.createElementNS(SVG_NS, 'g');
+
+        this._rotation = this._viewerCore.getPageRotation(this.page);
+
+        const viewBox = isSideways(this._rotation) ?
+            [0, 0, dimensions.height, dimensions.width] : [0, 0, dimensions.width, dimensions.height];
+
+        this._svgElem.setAttribute('viewBox', viewBox.join(' '));
+        group.setAttribute('transform', getRotationTransform(dimensions, this._rotation));
+
+        this._plugin.getPageAnnotations(this.page).forEach(annotation =>
+        {
+            const shape = createShape(annotation.region, annotation.points);
+            const title = document.createElementNS(SVG_NS, 'title');
+
+            title.textContent = annotation.comment;
+            shape.appendChild(title);
+            shape.setAttribute('class', 'diva-drawn-annotation' +
+                (annotation === this._plugin._selected ? ' diva-drawn-annotation-selected' : ''));
+
+            group.appendChild(shape);
+        });
+
+        const draft = this._plugin._draft;
+
+        if (draft && draft.pageIndex === this.page)
+        {
+            let shape;
+
+            if (draft.tool === 'rectangle')
+            {
+                shape = createShape(getBoundingRegion(draft.points), null);
+            }
+            else
+            {
+                shape = document.createElementNS(SVG_NS, 'polyline');
+                shape.setAttribute('points', draft.points.map(point => point.x + ',' + point.y).join(' '));
+            }
+
+            shape.setAttribute('class', 'diva-drawn-annotation diva-drawn-annotation-draft');
+            group.appendChild(shape);
+        }
+
+        this._svgElem.textContent = '';
+        this._svgElem.appendChild(group);
+    }
+
+    refresh ()
+    {
+        if (this._rotation !== this._viewerCore.getPageRotation(this.page))
+            this.render();
+
+        positionOverPage(this._svgElem, this._viewerCore, this.page);
+    }
+
+    /**
+     * Returns the point of the canvas under the pointer, in whole units of the canvas.
+     * Points off the page are moved to its edge.
+     **/
+    getCanvasPoint (event)
+    {
+        const publicInstance = this._viewerCore.publicInstance;
+        const bounds = this._svgElem.getBoundingClientRect();
+        const dimensions = this._viewerCore.getSettings().manifest.getMaxPageDimensions(this.page);
+
+        const point = unrotatePoint({
+            x: publicInstance.translateToMaxZoomLevel(event.clientX - bounds.left),
+            y: publicInstance.translateToMaxZoomLevel(event.clientY - bounds.top)
+        }, dimensions, this._viewerCore.getPageRotation(this.page));
+
+        return {
+            x: Math.round(Math.min(Math.max(point.x, 0), dimensions.width)),
+            y: Math.round(Math.min(Math.max(point.y, 0), dimensions.height))
+        };
+    }
+}
+
+/**
+ * A plugin for drawing annotations on the pages: rectangles and polygons, each with a
+ * comment. The toolbar icon opens the annotation panel; while it is open, dragging on a
+ * page draws a rectangle, and with the polygon tool each click adds a point and a double
+ * click closes the polygon. Escape cancels the shape being drawn. The panel lists the
+ * annotations with their comments, and exports them as a W3C Web Annotation page.
+ *
+ * The annotations are measured in the coordinates of the canvas, and are kept by a storage
+ * adapter: the annotationStore setting, or a LocalStorageAnnotationStore if it is not set
+ * (see _annotation-stores.js). Diva.AnnotatePlugin.RestAnnotationStore stores them on a
+ * server instead.
+ *
+ * To enable it, include plugins: [Diva.AnnotatePlugin] when creating a Diva instance.
+ *
+ * Publishes AnnotationDidCreate, AnnotationDidUpdate and AnnotationDidDelete with the
+ * Web Annotation and its page index once a change has been stored.
+ **/
+export default class AnnotatePlugin
+{
+    constructor (core)
+    {
+        this.core = core;
+        this.toolbarIcon;
+        this.toolbarSide = 'right';
+
+        this.isVisible = false;     // Whether the panel is open, in which case annotations can be drawn
+        this.store = core.settings.annotationStore || new LocalStorageAnnotationStore();
+
+        this._panel = null;
+        this._toolButtons = null;
+        this._hint = null;
+        this._list = null;
+
+        this._annotations = [];     // The drawn annotations, with the index of their page
+        this._pageIndices = {};     // The page index of each canvas id
+        this._overlays = [];        // The overlay of each page, by page index
+        this._tool = 'rectangle';
+        this._draft = null;         // The shape being drawn: its page index, tool and points
+        this._selected = null;
+
+        this._onWindowMouseMove = this._onWindowMouseMove.bind(this);
+        this._onWindowMouseUp = this._onWindowMouseUp.bind(this);
+        this._onKeyDown = this._onKeyDown.bind(this);
+
+        document.addEventListener('keydown', this._onKeyDown);
+
+        Diva.Events.subscribe('ViewerDidLoad', () => this._load(), core.settings.ID);
+
+        Diva.Events.subscribe('ViewerDidTerminate', () =>
+        {
+            this._cancelDraft();
+            this._removeOverlays();
+            document.removeEventListener('keydown', this._onKeyDown);
+
+            if (this._panel && this._panel.parentNode)
+                this._panel.parentNode.removeChild(this._panel);
+        }, core.settings.ID);
+    }
+
+    /**
+     * Open or close the annotation panel.
+     **/
+    handleClick ()
+    {
+        if (!this._panel)
+        {
+            this._panel = this.createPanel();
+            this.core.viewerState.outerElement.appendChild(this._panel);
+            this.setTool(this._tool);
+            this._renderList(false);
+        }
+
+        this.isVisible = !this.isVisible;
+        this._panel.style.display = this.isVisible ? 'block' : 'none';
+        this.core.viewerState.outerElement.classList.toggle('diva-annotating', this.isVisible);
+
+        if (!this.isVisible)
+            this._cancelDraft();
+    }
+
+    createPanel ()
+    {
+        const translate = this.core.translate.bind(this.core);
+
+        const closeButton = elt('button', { class: 'close-button' }, '✖');
+        closeButton.addEventListener('click', () => this.handleClick());
+
+        this._toolButtons = {
+            rectangle: elt('button', { type: 'button', class: 'diva-annotate-tool' }, translate('rectangle')),
+            polygon: elt('button', { type: 'button', class: 'diva-annotate-tool' }, translate('polygon'))
+        };
+
+        Object.keys(this._toolButtons).forEach(tool =>
+        {
+            this._toolButtons[tool].addEventListener('click', () => this.setTool(tool));
+        });
+
+        const exportButton = elt('button', { type: 'button', class: 'diva-annotate-export' }, translate('exportAnnotations'));
+        exportButton.addEventListener('click', () => this.downloadAnnotations());
+
+        this._hint = elt('p', { class: 'diva-annotate-hint' });
+        this._list = elt('ol', { class: 'diva-annotate-list' });
+
+        return elt('div', { class: 'diva-annotate-panel' },
+            elt('div', closeButton, elt('h2', { class: 'diva-annotate-title' }, translate('annotations'))),
+            elt('div', { class: 'diva-annotate-tools', role: 'group' },
+                this._toolButtons.rectangle,
+                this._toolButtons.polygon
+            ),
+            this._hint,
+            this._list,
+            exportButton
+        );
+    }
+
+    /**
+     * Choose the shape which is drawn on the pages.
+     *
+     * @param {string} tool - 'rectangle' or 'polygon'.
+     **/
+    setTool (tool)
+    {
+        this._cancelDraft();
+        this._tool = tool;
+
+        if (!this._panel)
+            return;
+
+        Object.keys(this._toolButtons).forEach(name =>
+        {
+            this._toolButtons[name].setAttribute('aria-pressed', String(name === tool));
+        });
+
+        this._hint.textContent = this.core.translate(tool === 'rectangle' ? 'drawRectangleHint' : 'drawPolygonHint');
+    }
+
+    /**
+     * Returns the id under which the annotations of the document are stored, or null if
+     * they cannot be stored (see ViewerCore#getDocumentId).
+     **/
+    getDocumentId ()
+    {
+        return this.core.getDocumentId();
+    }
+
+    /**
+     * Returns the annotations of the document, as Web Annotations.
+     **/
+    getAnnotations ()
+    {
+        return this._annotations.map(toWebAnnotation);
+    }
+
+    /**
+     * Returns the drawn annotations of a page.
+     **/
+    getPageAnnotations (pageIndex)
+    {
+        return this._annotations.filter(annotation => annotation.pageIndex === pageIndex);
+    }
+
+    /**
+     * Returns the annotations of the document as a Web Annotation page.
+     **/
+    exportAnnotations ()
+    {
+        return toAnnotationPage(this._annotations, null);
+    }
+
+    /**
+     * Save the annotations of the document as a JSON file.
+     **/
+    downloadAnnotations ()
+    {
+        const json = JSON.stringify(this.exportAnnotations(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/ld+json' }));
+        const link = elt('a', { href: url, download: 'annotations.json', style: 'display: none' });
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Annotate a rectangle or a polygon of a page and store the annotation.
+     *
+     * @param {number} pageIndex - The page to annotate.
+     * @param {Object} shape - The rectangle ({region: {x, y, w, h}}) or the polygon
+     *     ({points: [{x, y}]}) to annotate, in the coordinates of the canvas.
+     * @param {string} [comment] - The comment of the annotation.
+     * @returns {Promise} - Resolves to the Web Annotation once it is stored.
+     **/
+    addAnnotation (pageIndex, shape, comment)
+    {
+        const now = new Date().toISOString();
+
+        const annotation = {
+            id: createId(),
+            pageIndex: pageIndex,
+            canvas: this.core.settings.manifest.pages[pageIndex].canvas,
+            region: shape.points ? getBoundingRegion(shape.points) : shape.region,
+            points: shape.points || null,
+            comment: comment || '',
+            created: now,
+            modified: now
+        };
+
+        this._annotations.push(annotation);
+        this._selected = annotation;
+        this._renderPage(pageIndex);
+
+        // Let the annotation drawn by the user be commented on right away
+        this._renderList(this.isVisible);
+
+        const saved = this._save('create', annotation, 'AnnotationDidCreate');
+
+        // Resolves to whether the annotation was stored, for the changes made in the meantime
+        annotation.whenStored = saved.then(() => true, () => false);
+
+        return saved.catch(error =>
+        {
+            this._removeAnnotation(annotation);
+            throw error;
+        });
+    }
+
+    /**
+     * Change the comment of an annotation and store it.
+     *
+     * @param {string} id - The annotation id.
+     * @param {string} comment - The new comment.
+     * @returns {Promise} - Resolves to the Web Annotation once it is stored.
+     **/
+    updateAnnotation (id, comment)
+    {
+        const annotation = this._findAnnotation(id);
+
+        if (!annotation)
+            return Promise.reject(new Error('No annotation ' + id));
+
+        const previous = { comment: annotation.comment, modified: annotation.modified };
+
+        annotation.comment = comment;
+        annotation.modified = new Date().toISOString();
+        this._renderPage(annotation.pageIndex);
+
+        return this._save('update', annotation, 'AnnotationDidUpdate').catch(error =>
+        {
+            // Show the comment which is stored, unless it has been changed again since
+            if (annotation.comment === comment)
+            {
+                Object.assign(annotation, previous);
+                this._renderPage(annotation.pageIndex);
+                this._renderList(false);
+            }
+
+            throw error;
+        });
+    }
+
+    /**
+     * Delete an annotation from the document and from the store.
+     *
+     * @param {string} id - The annotation id.
+     * @returns {Promise} - Resolves to the deleted Web Annotation.
+     **/
+    deleteAnnotation (id)
+    {
+        const annotation = this._findAnnotation(id);
+
+        if (!annotation)
+            return Promise.reject(new Error('No annotation ' + id));
+
+        const index = this._annotations.indexOf(annotation);
+
+        this._removeAnnotation(annotation);
+
+        return this._save('delete', annotation, 'AnnotationDidDelete').catch(error =>
+        {
+            // The annotation is still stored
+            this._annotations.splice(index, 0, annotation);
+            this._renderPage(annotation.pageIndex);
+            this._renderList(false);
+
+            throw error;
+        });
+    }
+
+    /**
+     * Go to an annotation and highlight it.
+     *
+     * @param {string} id - The annotation id.
+     **/
+    gotoAnnotation (id)
+    {
+        const annotation = this._findAnnotation(id);
+
+        if (!annotation)
+            return;
+
+        this._select(annotation);
+        gotoPageRegion(this.core, annotation.pageIndex, annotation.region);
+    }
+
+    _removeAnnotation (annotation)
+    {
+        const index = this._annotations.indexOf(annotation);
+
+        if (index === -1)
+            return;
+
+        this._annotations.splice(index, 1);
+
+        if (this._selected === annotation)
+            this._selected = null;
+
+        this._renderPage(annotation.pageIndex);
+        this._renderList(false);
+    }
+
+    _findAnnotation (id)
+    {
+        return this._annotations.filter(annotation => annotation.id === id)[0] || null;
+    }
+
+    _select (annotation)
+    {
+        const previous = this._selected;
+
+        this._selected = annotation;
+
+        if (previous)
+            this._renderPage(previous.pageIndex);
+
+        this._renderPage(annotation.pageIndex);
+    }
+
+    /**
+     * Store a change to an annotation, then publish it. Changes to an annotation which is
+     * being created wait until it is stored, since the store may give it another id.
+     **/
+    _save (method, annotation, topic)
+    {
+        const documentId = this.getDocumentId();
+
+        if (!documentId)
+            return Promise.reject(new Error('The annotations of a document without an id cannot be stored'));
+
+        const send = () => this.store[method](documentId, toWebAnnotation(annotation)).then(stored =>
+        {
+            // A server may give the annotation an id of its own
+            if (stored && stored.id && method === 'create')
+                annotation.id = stored.id;
+
+            const webAnnotation = toWebAnnotation(annotation);
+            this.core.publish(topic, webAnnotation, annotation.pageIndex);
+
+            return webAnnotation;
+        });
+
+        const request = (method === 'create' || !annotation.whenStored) ? send() : annotation.whenStored.then(isStored =>
+        {
+            if (isStored)
+                return send();
+
+            // There is nothing to delete if the annotation could not be created
+            if (method === 'delete')
+                return toWebAnnotation(annotation);
+
+            throw new Error('The annotation is not stored');
+        });
+
+        return request.catch(error =>
+        {
+            console.warn('Could not ' + method + ' the annotation ' + annotation.id + ': ' + error.message);
+            throw error;
+        });
+    }
+
+    /**
+     * Add the overlays of the pages, and the stored annotations of the document.
+     **/
+    _load ()
+    {
+        const manifest = this.core.settings.manifest;
+        const documentId = this.getDocumentId();
+
+        this._cancelDraft();
+        this._removeOverlays();
+        this._annotations = [];
+        this._selected = null;
+        this._pageIndices = {};
+
+        manifest.pages.forEach((page, index) =>
+        {
+            this._pageIndices[page.canvas.split('#')[0]] = index;
+
+            const overlay = new DrawnAnnotationOverlay(index, this);
+            this._overlays[index] = overlay;
+            this.core.addPageOverlay(overlay);
+        });
+
+        if (!documentId)
+            return Promise.resolve();
+
+        return this.store.load(documentId).then(webAnnotations =>
+        {
+            // Another document may have been loaded in the meantime
+            if (documentId !== this.getDocumentId())
+                return;
+
+            webAnnotations.forEach(webAnnotation =>
+            {
+                const annotation = fromWebAnnotation(webAnnotation);
+
+                if (annotation && this._pageIndices.hasOwnProperty(annotation.canvas))
+                    this._annotations.push(Object.assign({ pageIndex: this._pageIndices[annotation.canvas] }, annotation));
+            });
+
+            this._overlays.forEach(overlay => overlay.render());
+            this._renderList(false);
+        }).catch(error =>
+        {
+            console.warn('Could not load the annotations of ' + documentId + ': ' + error.message);
+        });
+    }
+
+    _removeOverlays ()
+    {
+        this._overlays.forEach(overlay => this.core.removePageOverlay(overlay));
+        this._overlays = [];
+    }
+
+    _renderPage (pageIndex)
+    {
+        if (this._overlays[pageIndex])
+            this._overlays[pageIndex].render();
+    }
+
+    /**
+     * List the annotations in the panel, in the order of their pages.
+     **/
+    _renderList (focusSelected)
+    {
+        if (!this._panel)
+            return;
+
+        this._list.textContent = '';
+
+        if (!this._annotations.length)
+        {
+            this._list.appendChild(elt('li', { class: 'diva-annotate-empty' }, this.core.translate('noAnnotations')));
+            return;
+        }
+
+        const annotations = this._annotations.slice().sort((a, b) => a.pageIndex - b.pageIndex);
+
+        annotations.forEach(annotation =>
+        {
+            const item = this.createListItem(annotation);
+            this._list.appendChild(item);
+
+            if (focusSelected && annotation === this._selected)
+                item.querySelector('textarea').focus();
+        });
+    }
+
+    createListItem (annotation)
+    {
+        const translate = this.core.translate.bind(this.core);
+
+        const link = elt('a', { href: '#', class: 'diva-annotate-page' }, this.core.settings.manifest.pages[annotation.pageIndex].l);
+
+        link.addEventListener('click', (event) =>
+        {
+            event.preventDefault();
+            this.gotoAnnotation(annotation.id);
+        });
+
+        const deleteButton = elt('button', { type: 'button', class: 'diva-annotate-delete', title: translate('deleteAnnotation') }, '✖');
+        deleteButton.addEventListener('click', () => this.deleteAnnotation(annotation.id).catch(ignoreError));
+
+        const comment = elt('textarea', {
+            class: 'diva-annotate-comment',
+            rows: '2',
+            placeholder: translate('annotationComment'),
+            'aria-label': translate('annotationComment')
+        });
+
+        comment.value = annotation.comment;
+        comment.addEventListener('focus', () => this._select(annotation));
+        comment.addEventListener('change', () => this.updateAnnotation(annotation.id, comment.value).catch(ignoreError));
+
+        return elt('li', { class: 'diva-annotate-item' }, link, deleteButton, comment);
+    }
+
+    _onMouseDown (event, overlay)
+    {
+        if (!this.isVisible || this.core.settings.inGrid || event.button !== 0)
+            return;
+
+        // Draw rather than drag the document or select text
+        event.preventDefault();
+        event.stopPropagation();
+
+        const point = overlay.getCanvasPoint(event);
+        const draft = this._draft;
+
+        if (this._tool === 'rectangle')
+        {
+            this._draft = { pageIndex: overlay.page, tool: 'rectangle', points: [point, point], start: { x: event.clientX, y: event.clientY } };
+
+            window.addEventListener('mousemove', this._onWindowMouseMove);
+            window.addEventListener('mouseup', this._onWindowMouseUp);
+        }
+        else if (draft && draft.pageIndex === overlay.page)
+        {
+            // The last point follows the pointer until the next click fixes it
+            draft.points[draft.points.length - 1] = point;
+            draft.points.push(point);
+        }
+        else
+        {
+            this._cancelDraft();
+            this._draft = { pageIndex: overlay.page, tool: 'polygon', points: [point, point] };
+        }
+
+        overlay.render();
+    }
+
+    _onMouseMove (event, overlay)
+    {
+        const draft = this._draft;
+
+        if (!draft || draft.tool !== 'polygon' || draft.pageIndex !== overlay.page)
+            return;
+
+        draft.points[draft.points.length - 1] = overlay.getCanvasPoint(event);
+        overlay.render();
+    }
+
+    _onWindowMouseMove (event)
+    {
+        const draft = this._draft;
+
+        draft.points[1] = this._overlays[draft.pageIndex].getCanvasPoint(event);
+        this._renderPage(draft.pageIndex);
+    }
+
+    _onWindowMouseUp (event)
+    {
+        const draft = this._draft;
+
+        draft.points[1] = this._overlays[draft.pageIndex].getCanvasPoint(event);
+
+        const region = getBoundingRegion(draft.points);
+        const distance = Math.max(Math.abs(event.clientX - draft.start.x), Math.abs(event.clientY - draft.start.y));
+
+        this._cancelDraft();
+
+        if (distance >= MIN_DRAG_DISTANCE && region.w > 0 && region.h > 0)
+            this.addAnnotation(draft.pageIndex, { region: region }).catch(ignoreError);
+    }
+
+    _onDoubleClick (event, overlay)
+    {
+        if (!this.isVisible)
+            return;
+
+        // Close the polygon rather than zoom
+        event.preventDefault();
+        event.stopPropagation();
+
+        const draft = this._draft;
+
+        if (!draft || draft.tool !== 'polygon' || draft.pageIndex !== overlay.page)
+            return;
+
+        // Leave out the point which follows the pointer, and the points added twice by the double click
+        const points = draft.points.slice(0, -1).filter((point, index, all) =>
+        {
+            return index === 0 || point.x !== all[index - 1].x || point.y !== all[index - 1].y;
+        });
+
+        this._cancelDraft();
+
+        if (points.length >= 3)
+            this.addAnnotation(overlay.page, { points: points }).catch(ignoreError);
+    }
+
+    _onKeyDown (event)
+    {
+        if (event.key === 'Escape' && this._draft)
+            this._cancelDraft();
+    }
+
+    _cancelDraft ()
+    {
+        const draft = this._draft;
+
+        if (!draft)
+            return;
+
+        this._draft = null;
+        window.removeEventListener('mousemove', this._onWindowMouseMove);
+        window.removeEventListener('mouseup', this._onWindowMouseUp);
+        this._renderPage(draft.pageIndex);
+    }
+
+    /**
+     * Create a toolbar icon showing a pencil.
+     **/
+    createIcon ()
+    {
+        const toolbarIcon = document.createElement('div');
+        toolbarIcon.classList.add('diva-annotate-icon', 'diva-button');
+        toolbarIcon.title = this.core.translate('annotations');
+
+        let root = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        root.setAttribute("viewBox", "0 0 20 20");
+        root.setAttribute('style', 'display: block; padding: 7%');
+        root.id = `${this.core.settings.selector}annotate-icon`;
+
+        let g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+        g.id = `${this.core.settings.selector}annotate-icon-glyph`;
+        g.setAttribute("class", "diva-toolbar-icon");
+
+        let path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+        path.setAttribute("d", "M14,1.5 L18.5,6 L7,17.5 L1.5,18.5 L2.5,13 Z M4.5,13.5 L6.5,15.5 L15.5,6.5 L13.5,4.5 Z");
+        path.setAttribute("fill-rule", "evenodd");
+
+        g.appendChild(path);
+        root.appendChild(g);
+
+        toolbarIcon.appendChild(root);
+
+        return toolbarIcon;
+    }
+}
+
+AnnotatePlugin.prototype.pluginName = "annotate";
+AnnotatePlugin.prototype.isPageTool = false;
+
+AnnotatePlugin.LocalStorageAnnotationStore = LocalStorageAnnotationStore;
+AnnotatePlugin.RestAnnotationStore = RestAnnotationStore;
+
+/**
+ * Make this plugin available in the global context
+ * as part of the 'Diva' namespace.
+ **/
+(function (global)
+{
+    global.Diva.AnnotatePlugin = AnnotatePlugin;
+})(window);
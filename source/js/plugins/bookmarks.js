@@ -0,0 +1,401 @@
+import { elt } from '../utils/elt';
+
+// How long the viewer has to stay still before the reading position is saved, in milliseconds
+const SAVE_DELAY = 1000;
+
+/**
+ * A plugin which saves named bookmarks of the view (see Diva#getState) and the last
+ * reading position of each document in the localStorage of the browser. The bookmarks
+ * of the document are listed in a panel, from which they can be restored or deleted.
+ *
+ * When a document with a saved reading position is opened again, the plugin offers to
+ * go back to it, unless the URL already gives a page to show.
+ *
+ * To enable it, include plugins: [Diva.BookmarksPlugin] when creating a Diva instance.
+ * The data of each document is stored under the key `diva-bookmarks:` followed by the
+ * id of its manifest (or the URL it was loaded from); nothing is stored for manifests
+ * given as objects without an id.
+ **/
+export default class BookmarksPlugin
+{
+    constructor (core)
+    {
+        this.core = core;
+        this.toolbarIcon;
+        this.toolbarSide = 'right';
+
+        this.isVisible = false;
+
+        this._panel = null;
+        this._input = null;
+        this._list = null;
+        this._resumePrompt = null;
+
+        this._documentId = null;        // Set once the document has loaded
+        this._previousPosition = null;  // The reading position saved when the document was last opened
+        this._saveTimeout = null;
+
+        this._saveReadingPosition = this._saveReadingPosition.bind(this);
+
+        const scheduleSave = () =>
+        {
+            clearTimeout(this._saveTimeout);
+            this._saveTimeout = setTimeout(this._saveReadingPosition, SAVE_DELAY);
+        };
+
+        ['ViewerDidScroll', 'ViewerDidJump', 'ZoomLevelDidChange', 'ViewDidSwitch'].forEach(topic =>
+        {
+            Diva.Events.subscribe(topic, scheduleSave, core.settings.ID);
+        });
+
+        Diva.Events.subscribe('ViewerDidLoad', () => this._onDocumentLoad(), core.settings.ID);
+
+        // Save the position when the page is left, since the delay may not have passed
+        window.addEventListener('pagehide', this._saveReadingPosition);
+
+        Diva.Events.subscribe('ViewerWillTerminate', () =>
+        {
+            this._saveReadingPosition();
+            window.removeEventListener('pagehide', this._saveReadingPosition);
+        }, core.settings.ID);
+
+        Diva.Events.subscribe('ViewerDidTerminate', () =>
+        {
+            this._hideResumePrompt();
+
+            if (this._panel && this._panel.parentNode)
+                this._panel.parentNode.removeChild(this._panel);
+        }, core.settings.ID);
+    }
+
+    /**
+     * Show or hide the bookmarks panel.
+     **/
+    handleClick ()
+    {
+        if (!this._panel)
+        {
+            this._panel = this.createPanel();
+            this._panel.style.display = 'none';
+            document.body.appendChild(this._panel);
+        }
+
+        this.isVisible = !this.isVisible;
+        this._panel.style.display = this.isVisible ? 'block' : 'none';
+
+        if (this.isVisible)
+        {
+            this._renderList();
+            this._input.focus();
+        }
+    }
+
+    createPanel ()
+    {
+        const translate = this.core.translate.bind(this.core);
+
+        const closeButton = elt('button', { class: 'close-button' }, '✖');
+
+        closeButton.addEventListener('click', () =>
+        {
+            this._panel.style.display = 'none';
+            this.isVisible = false;
+        });
+
+        this._input = elt('input', { type: 'text', class: 'diva-bookmarks-name', 'aria-label': translate('bookmarkName') });
+
+        const form = elt('form', { class: 'diva-bookmarks-form' },
+            this._input,
+            elt('button', { type: 'submit', class: 'diva-bookmarks-add' }, translate('addBookmark'))
+        );
+
+        form.addEventListener('submit', (event) =>
+        {
+            event.preventDefault();
+            this.addBookmark(this._input.value);
+            this._input.value = '';
+        });
+
+        this._list = elt('ol', { class: 'diva-bookmarks-list' });
+
+        return elt('div', { class: 'diva-modal diva-bookmarks-modal' },
+            elt('div', closeButton, elt('h2', { class: 'diva-bookmarks-title' }, translate('bookmarks'))),
+            elt('div', { class: 'diva-bookmarks-content' },
+                form,
+                this._list
+            )
+        );
+    }
+
+    /**
+     * Returns the bookmarks of the document, each with its name, view state, page index
+     * and creation date.
+     **/
+    getBookmarks ()
+    {
+        return this._read().bookmarks;
+    }
+
+    /**
+     * Bookmark the current view of the document.
+     *
+     * @param {string} [name] - The name of the bookmark; the label of the page if it is empty.
+     * @returns {Object} - The bookmark.
+     **/
+    addBookmark (name)
+    {
+        const data = this._read();
+        const pageIndex = this.core.settings.activePageIndex;
+
+        const bookmark = {
+            name: (name || '').trim() || this.core.settings.manifest.pages[pageIndex].l,
+            state: this._getState(),
+            pageIndex: pageIndex,
+            created: new Date().toISOString()
+        };
+
+        data.bookmarks.push(bookmark);
+        this._write(data);
+        this._renderList();
+
+        return bookmark;
+    }
+
+    /**
+     * Delete the bookmark at the given index of the list.
+     **/
+    removeBookmark (index)
+    {
+        const data = this._read();
+
+        data.bookmarks.splice(index, 1);
+        this._write(data);
+        this._renderList();
+    }
+
+    /**
+     * Go back to the view of the bookmark at the given index of the list.
+     **/
+    gotoBookmark (index)
+    {
+        const bookmark = this.getBookmarks()[index];
+
+        if (bookmark)
+            this.core.publicInstance.setState(bookmark.state);
+    }
+
+    /**
+     * Returns the last reading position saved for the document, with its view state
+     * and page index, or null if there is none.
+     **/
+    getReadingPosition ()
+    {
+        return this._read().readingPosition;
+    }
+
+    /**
+     * Go back to the reading position of the previous visit, which was saved before the
+     * document was opened this time.
+     **/
+    restoreReadingPosition ()
+    {
+        const position = this._previousPosition;
+
+        this._hideResumePrompt();
+
+        if (position)
+            this.core.publicInstance.setState(position.state);
+    }
+
+    _renderList ()
+    {
+        if (!this._panel)
+            return;
+
+        const bookmarks = this.getBookmarks();
+
+        this._list.textContent = '';
+
+        if (!bookmarks.length)
+            this._list.appendChild(elt('li', { class: 'diva-bookmarks-empty' }, this.core.translate('noBookmarks')));
+
+        bookmarks.forEach((bookmark, index) => this._list.appendChild(this.createListItem(bookmark, index)));
+    }
+
+    createListItem (bookmark, index)
+    {
+        const pages = this.core.settings.manifest.pages;
+        const pageLabel = pages[bookmark.pageIndex] ? pages[bookmark.pageIndex].l : '';
+
+        const link = elt('a', { href: '#', class: 'diva-bookmark' },
+            bookmark.name,
+            bookmark.name !== pageLabel ? elt('span', { class: 'diva-bookmark-page' }, pageLabel) : null
+        );
+
+        link.addEventListener('click', (event) =>
+        {
+            event.preventDefault();
+            this.gotoBookmark(index);
+        });
+
+        const deleteButton = elt('button', { type: 'button', class: 'diva-bookmark-delete', title: this.core.translate('deleteBookmark') }, '✖');
+        deleteButton.addEventListener('click', () => this.removeBookmark(index));
+
+        return elt('li', link, deleteButton);
+    }
+
+    /**
+     * Returns the state of the view, without fullscreen mode, which a page cannot enter by itself.
+     **/
+    _getState ()
+    {
+        const state = this.core.publicInstance.getState();
+
+        delete state.f;
+
+        return state;
+    }
+
+    _onDocumentLoad ()
+    {
+        this._hideResumePrompt();
+        this._documentId = this.core.getDocumentId();
+
+        // Keep the position, since it is saved again as soon as the document is read
+        const position = this._previousPosition = this.getReadingPosition();
+        const hashState = this.core.publicInstance.hashState || {};
+
+        // A page given in the URL takes precedence
+        if (!position || 'p' in hashState || 'i' in hashState || position.pageIndex === this.core.settings.activePageIndex)
+            return;
+
+        const pages = this.core.settings.manifest.pages;
+
+        if (pages[position.pageIndex])
+            this._showResumePrompt(pages[position.pageIndex].l);
+    }
+
+    _showResumePrompt (pageLabel)
+    {
+        const translate = this.core.translate.bind(this.core);
+
+        const resumeButton = elt('button', { type: 'button', class: 'diva-resume-reading-button' }, translate('resumeReading'));
+        const dismissButton = elt('button', { type: 'button', class: 'diva-resume-reading-dismiss' }, translate('dismiss'));
+
+        resumeButton.addEventListener('click', () => this.restoreReadingPosition());
+        dismissButton.addEventListener('click', () => this._hideResumePrompt());
+
+        this._resumePrompt = elt('div', { class: 'diva-resume-reading', role: 'status' },
+            elt('span', translate('resumeReadingFrom', { page: pageLabel })),
+            resumeButton,
+            dismissButton
+        );
+
+        this.core.viewerState.outerElement.appendChild(this._resumePrompt);
+    }
+
+    _hideResumePrompt ()
+    {
+        if (this._resumePrompt && this._resumePrompt.parentNode)
+            this._resumePrompt.parentNode.removeChild(this._resumePrompt);
+
+        this._resumePrompt = null;
+    }
+
+    _saveReadingPosition ()
+    {
+        clearTimeout(this._saveTimeout);
+
+        if (!this._documentId || !this.core.viewerState.loaded)
+            return;
+
+        const data = this._read();
+
+        data.readingPosition = {
+            state: this._getState(),
+            pageIndex: this.core.settings.activePageIndex
+        };
+
+        this._write(data);
+    }
+
+    _read ()
+    {
+        let data = null;
+
+        if (!this._documentId)
+            return { bookmarks: [], readingPosition: null };
+
+        try
+        {
+            data = JSON.parse(localStorage.getItem('diva-bookmarks:' + this._documentId));
+        }
+        catch (error)
+        {
+            console.warn('Could not read the bookmarks: ' + error.message);
+        }
+
+        return Object.assign({ bookmarks: [], readingPosition: null }, data);
+    }
+
+    _write (data)
+    {
+        // A manifest without an id would share its bookmarks with every other such manifest
+        if (!this._documentId)
+        {
+            console.warn('Could not save the bookmarks: the document has no id');
+            return;
+        }
+
+        try
+        {
+            localStorage.setItem('diva-bookmarks:' + this._documentId, JSON.stringify(data));
+        }
+        catch (error)
+        {
+            // e.g. the storage is full, or disabled by the browser
+            console.warn('Could not save the bookmarks: ' + error.message);
+        }
+    }
+
+    /**
+     * Create a toolbar icon showing a bookmark ribbon.
+     **/
+    createIcon ()
+    {
+        const toolbarIcon = document.createElement('div');
+        toolbarIcon.classList.add('diva-bookmarks-icon', 'diva-button');
+        toolbarIcon.title = this.core.translate('bookmarks');
+
+        let root = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        root.setAttribute("viewBox", "0 0 20 20");
+        root.setAttribute('style', 'display: block; padding: 7%');
+        root.id = `${this.core.settings.selector}bookmarks-icon`;
+
+        let g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+        g.id = `${this.core.settings.selector}bookmarks-icon-glyph`;
+        g.setAttribute("class", "diva-toolbar-icon");
+
+        let path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+        path.setAttribute("d", "M4.5,1.5 L15.5,1.5 L15.5,18.5 L10,13.5 L4.5,18.5 Z");
+
+        g.appendChild(path);
+        root.appendChild(g);
+
+        toolbarIcon.appendChild(root);
+
+        return toolbarIcon;
+    }
+}
+
+BookmarksPlugin.prototype.pluginName = "bookmarks";
+BookmarksPlugin.prototype.isPageTool = false;
+
+/**
+ * Make this plugin available in the global context
+ * as part of the 'Diva' namespace.
+ **/
+(function (global)
+{
+    global.Diva.BookmarksPlugin = BookmarksPlugin;
+})(window);
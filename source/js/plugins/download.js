@@ -33,8 +33,11 @@ export default class DownloadPlugin
     **/
     handleClick (event, settings, publicInstance, pageIndex)
     {
-        let width = publicInstance.getPageDimensions(pageIndex).width;
-        let url = publicInstance.getPageImageURL(pageIndex, { width: width });
+        // The image service turns the image after scaling it, so ask for the width of the unrotated page
+        let rotation = publicInstance.getPageRotation(pageIndex);
+        let dimensions = publicInstance.getPageDimensions(pageIndex);
+        let width = (rotation % 180 === 0) ? dimensions.width : dimensions.height;
+        let url = publicInstance.getPageImageURL(pageIndex, { width: width, rotation: rotation });
         window.open(url);
     }
 
@@ -46,6 +49,7 @@ export default class DownloadPlugin
 
         const pageToolsIcon = document.createElement('div');
         pageToolsIcon.classList.add('diva-download-icon');
+        pageToolsIcon.title = this.core.translate('downloadImage');
 
         let root = document.createElementNS("http://www.w3.org/2000/svg", "svg");
         root.setAttribute("x", "0px");
@@ -0,0 +1,265 @@
+import { elt } from '../utils/elt';
+
+// The width of the thumbnails, in pixels
+const THUMBNAIL_WIDTH = 100;
+
+// How far outside of the visible part of the filmstrip thumbnails are loaded, in pixels
+const LOAD_MARGIN = 300;
+
+/**
+ * A plugin which shows a strip of page thumbnails along the right edge of the viewer,
+ * next to document and book view. Clicking a thumbnail goes to its page, and the
+ * thumbnail of the active page is highlighted. Unlike grid view, the zoom level and
+ * the position within the document are kept.
+ *
+ * Thumbnails are loaded as they are scrolled into view. They use the canvas thumbnails
+ * of the manifest if it has them, and scaled-down page images otherwise.
+ *
+ * To enable it, include plugins: [Diva.FilmstripPlugin] when creating a Diva instance.
+ * The toolbar icon shows and hides the filmstrip, which is hidden in grid view.
+ **/
+export default class FilmstripPlugin
+{
+    constructor (core)
+    {
+        this.core = core;
+        this.toolbarIcon;
+        this.toolbarSide = 'right';
+
+        this.isVisible = false;
+
+        this._panel = null;
+        this._items = [];   // The page index, list item and image of every thumbnail
+        this._isShown = false;
+
+        Diva.Events.subscribe('ActivePageDidChange', (pageIndex) =>
+        {
+            if (this._panel)
+                this.highlightPage(pageIndex);
+        }, core.settings.ID);
+
+        Diva.Events.subscribe('ViewDidSwitch', () => this.update(), core.settings.ID);
+
+        // The thumbnails belong to the document, so the filmstrip is made again when another one is loaded
+        Diva.Events.subscribe('ViewerDidLoad', () =>
+        {
+            if (this._panel)
+                this.rebuildPanel();
+        }, core.settings.ID);
+
+        Diva.Events.subscribe('ViewerDidTerminate', () =>
+        {
+            if (this._panel && this._panel.parentNode)
+                this._panel.parentNode.removeChild(this._panel);
+        }, core.settings.ID);
+    }
+
+    /**
+     * Show or hide the filmstrip.
+     **/
+    handleClick ()
+    {
+        if (!this._panel)
+        {
+            this._panel = this.createPanel();
+            this.core.viewerState.outerElement.appendChild(this._panel);
+        }
+
+        this.isVisible = !this.isVisible;
+        this.update();
+    }
+
+    /**
+     * Show the filmstrip if it is enabled and the viewer is not in grid view, making
+     * room for it by narrowing the viewport.
+     **/
+    update ()
+    {
+        if (!this._panel)
+            return;
+
+        const isShown = this.isVisible && !this.core.settings.inGrid;
+
+        if (isShown === this._isShown)
+            return;
+
+        this._isShown = isShown;
+        this._panel.style.display = isShown ? 'block' : 'none';
+        this.core.viewerState.outerElement.classList.toggle('diva-has-filmstrip', isShown);
+
+        // Keep the viewer on the same place in the document as its width changes
+        this.core.onResize();
+
+        if (isShown)
+        {
+            this.highlightPage(this.core.settings.activePageIndex);
+            this.loadVisibleThumbnails();
+        }
+    }
+
+    createPanel ()
+    {
+        const settings = this.core.settings;
+        const list = elt('ol', { class: 'diva-filmstrip-list' });
+
+        for (let i = 0, len = settings.manifest.pages.length; i < len; i++)
+        {
+            if (settings.manifest.isPageValid(i, settings.showNonPagedPages))
+                list.appendChild(this.createItem(i));
+        }
+
+        const panel = elt('nav', { class: 'diva-filmstrip', 'aria-label': this.core.translate('filmstrip') }, list);
+
+        panel.addEventListener('scroll', () => this.loadVisibleThumbnails());
+
+        return panel;
+    }
+
+    /**
+     * Replace the filmstrip with one showing the pages of the current manifest.
+     **/
+    rebuildPanel ()
+    {
+        this._items = [];
+
+        const panel = this.createPanel();
+        panel.style.display = this._panel.style.display;
+        this._panel.parentNode.replaceChild(panel, this._panel);
+        this._panel = panel;
+
+        if (this._isShown)
+        {
+            this.highlightPage(this.core.settings.activePageIndex);
+            this.loadVisibleThumbnails();
+        }
+    }
+
+    createItem (pageIndex)
+    {
+        const manifest = this.core.settings.manifest;
+        const dimensions = manifest.getMaxPageDimensions(pageIndex);
+
+        // The image is sized before it loads, so that loading does not move the thumbnails
+        const image = elt('img', {
+            class: 'diva-filmstrip-thumbnail',
+            alt: '',
+            style: {
+                width: THUMBNAIL_WIDTH + 'px',
+                height: Math.round(THUMBNAIL_WIDTH * dimensions.height / dimensions.width) + 'px'
+            }
+        });
+
+        const button = elt('button', { class: 'diva-filmstrip-button', type: 'button' },
+            image,
+            elt('span', { class: 'diva-filmstrip-label' }, manifest.pages[pageIndex].l)
+        );
+
+        button.addEventListener('click', () => this.core.publicInstance.gotoPageByIndex(pageIndex));
+
+        const item = elt('li', { class: 'diva-filmstrip-item' }, button);
+
+        this._items.push({ pageIndex: pageIndex, item: item, image: image });
+
+        return item;
+    }
+
+    /**
+     * Load the thumbnails which are in or near the visible part of the filmstrip.
+     **/
+    loadVisibleThumbnails ()
+    {
+        const top = this._panel.scrollTop - LOAD_MARGIN;
+        const bottom = this._panel.scrollTop + this._panel.clientHeight + LOAD_MARGIN;
+
+        this._items.forEach(entry =>
+        {
+            if (entry.image.src)
+                return;
+
+            const itemTop = entry.item.offsetTop;
+
+            if (itemTop + entry.item.offsetHeight >= top && itemTop <= bottom)
+            {
+                entry.image.src = this.core.settings.manifest.getThumbnailURL(entry.pageIndex, {
+                    width: Math.round(THUMBNAIL_WIDTH * (window.devicePixelRatio || 1))
+                });
+            }
+        });
+    }
+
+    /**
+     * Highlight the thumbnail of the given page, and scroll the filmstrip to it if it
+     * is out of view.
+     **/
+    highlightPage (pageIndex)
+    {
+        this._items.forEach(entry =>
+        {
+            const isCurrent = entry.pageIndex === pageIndex;
+
+            entry.item.classList.toggle('diva-filmstrip-current', isCurrent);
+
+            if (isCurrent)
+                entry.item.firstChild.setAttribute('aria-current', 'page');
+            else
+                entry.item.firstChild.removeAttribute('aria-current');
+
+            if (isCurrent && this._isShown)
+                this.scrollToItem(entry.item);
+        });
+    }
+
+    scrollToItem (item)
+    {
+        const panel = this._panel;
+        const itemTop = item.offsetTop;
+        const itemBottom = itemTop + item.offsetHeight;
+
+        // Scroll the filmstrip itself, rather than the page with scrollIntoView
+        if (itemTop < panel.scrollTop)
+            panel.scrollTop = itemTop;
+        else if (itemBottom > panel.scrollTop + panel.clientHeight)
+            panel.scrollTop = itemBottom - panel.clientHeight;
+    }
+
+    /**
+     * Create a toolbar icon showing a column of frames.
+     **/
+    createIcon ()
+    {
+        const toolbarIcon = document.createElement('div');
+        toolbarIcon.classList.add('diva-filmstrip-icon', 'diva-button');
+        toolbarIcon.title = this.core.translate('filmstrip');
+
+        let root = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        root.setAttribute("viewBox", "0 0 20 20");
+        root.setAttribute('style', 'display: block; padding: 7%');
+        root.id = `${this.core.settings.selector}filmstrip-icon`;
+
+        let g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+        g.id = `${this.core.settings.selector}filmstrip-icon-glyph`;
+        g.setAttribute("class", "diva-toolbar-icon");
+
+        let path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+        path.setAttribute("d", "M1,2 L10,2 L10,18 L1,18 Z M12,2 L19,2 L19,7 L12,7 Z M12,7.5 L19,7.5 L19,12.5 L12,12.5 Z M12,13 L19,13 L19,18 L12,18 Z");
+
+        g.appendChild(path);
+        root.appendChild(g);
+
+        toolbarIcon.appendChild(root);
+
+        return toolbarIcon;
+    }
+}
+
+FilmstripPlugin.prototype.pluginName = "filmstrip";
+FilmstripPlugin.prototype.isPageTool = false;
+
+/**
+ * Make this plugin available in the global context
+ * as part of the 'Diva' namespace.
+ **/
+(function (global)
+{
+    global.Diva.FilmstripPlugin = FilmstripPlugin;
+})(window);
@@ -0,0 +1,468 @@
+import { elt } from '../utils/elt';
+import { getId } from '../utils/iiif-resources';
+
+// How long to wait for an access token service to answer, in milliseconds
+const TOKEN_TIMEOUT = 10000;
+
+// How often to check whether a login or logout window has been closed, in milliseconds
+const WINDOW_POLL_INTERVAL = 500;
+
+const getOrigin = (url) => new URL(url, window.location.href).origin;
+
+const withParams = (url, params) =>
+{
+    const query = Object.keys(params).map(key => key + '=' + encodeURIComponent(params[key])).join('&');
+
+    return url + (url.indexOf('?') === -1 ? '?' : '&') + query;
+};
+
+/**
+ * A plugin which gives access to images protected by the IIIF Authorization Flow API,
+ * 1.0 or 2.0 (see https://iiif.io/api/auth/). The auth services of each image are read
+ * from the manifest (see the `auth` property of its pages).
+ *
+ * 1. Protected images are requested with the cookies of the user instead of CORS.
+ * 2. When a tile of a protected image fails to load, the plugin requests an access token
+ *    from the token service of the image, in a hidden iframe.
+ * 3. Access is checked with the token: by the probe service (2.0), or by requesting the
+ *    info.json of the image service, which has another id if access is denied (1.0).
+ * 4. If access is denied, the degraded images offered by the service are shown instead,
+ *    and the user is asked to log in (active services), the login window is opened (kiosk
+ *    services), or the service's failure message is shown (external services).
+ * 5. Once the login window is closed, a new token is requested and access is checked again.
+ * 6. Once access is granted, the images of all the pages protected by the service are
+ *    loaded again.
+ *
+ * To enable it, include plugins: [Diva.IIIFAuthPlugin] when creating a Diva instance.
+ * 'ImageAccessDidChange' is published with the id of the auth service and whether access
+ * was granted whenever the plugin finds out.
+ **/
+export default class IIIFAuthPlugin
+{
+    constructor (core)
+    {
+        this.core = core;
+
+        this._services = {};        // The state of each auth service of the document, by id
+        this._checkedPages = {};    // The pages whose access has been checked, by index
+        this._tokenRequests = {};   // The origin and callback of the pending token requests, by message id
+        this._messageCount = 0;
+        this._windowPolls = [];     // The intervals waiting for login or logout windows to close
+        this._prompt = null;
+
+        this._onMessage = this._onMessage.bind(this);
+        window.addEventListener('message', this._onMessage);
+
+        Diva.Events.subscribe('TileLoadError', (pageIndex) => this._onTileLoadError(pageIndex), core.settings.ID);
+
+        // The services of another document have to be checked again
+        Diva.Events.subscribe('ObjectDidLoad', () =>
+        {
+            this._services = {};
+            this._checkedPages = {};
+            this._hidePrompt();
+        }, core.settings.ID);
+
+        Diva.Events.subscribe('ViewerDidTerminate', () =>
+        {
+            window.removeEventListener('message', this._onMessage);
+
+            Object.keys(this._tokenRequests).forEach(messageId => this._tokenRequests[messageId].finish(null));
+            this._windowPolls.forEach(poll => clearInterval(poll));
+            this._windowPolls = [];
+            this._hidePrompt();
+        }, core.settings.ID);
+    }
+
+    /**
+     * Returns whether the images of a page can be seen: 'authorized', 'unauthorized', or
+     * 'unknown' if they have not been checked yet, or null if they are not protected.
+     *
+     * @param {number} pageIndex
+     * @returns {?string}
+     **/
+    getAccessStatus (pageIndex)
+    {
+        const auth = this.core.settings.manifest.pages[pageIndex].auth;
+
+        if (!auth)
+            return null;
+
+        const service = this._services[auth.id];
+
+        return (service && service.status) || 'unknown';
+    }
+
+    /**
+     * Open the login window of the auth service protecting a page, then check access again.
+     *
+     * @param {number} pageIndex
+     **/
+    logIn (pageIndex)
+    {
+        const auth = this.core.settings.manifest.pages[pageIndex].auth;
+
+        if (!auth || auth.profile === 'external' || !auth.id)
+            return;
+
+        const service = this._getService(auth, pageIndex);
+        const loginWindow = window.open(withParams(auth.id, { origin: window.location.origin }));
+
+        if (!loginWindow)
+        {
+            // e.g. kiosk windows which are opened without a click, and blocked
+            console.warn('The login window of ' + auth.id + ' could not be opened');
+            this._showPrompt(service, false);
+            return;
+        }
+
+        this._hidePrompt();
+
+        this._waitForWindow(loginWindow, () =>
+        {
+            service.token = this._requestToken(auth);
+            this._checkAccess(service, service.pageIndex, true);
+        });
+    }
+
+    /**
+     * Open the logout window of the auth service protecting a page, then check access again.
+     *
+     * @param {number} pageIndex
+     **/
+    logOut (pageIndex)
+    {
+        const auth = this.core.settings.manifest.pages[pageIndex].auth;
+
+        if (!auth || !auth.logout)
+            return;
+
+        const logoutWindow = window.open(auth.logout);
+
+        if (!logoutWindow)
+        {
+            console.warn('The logout window of ' + auth.logout + ' could not be opened');
+            return;
+        }
+
+        this._waitForWindow(logoutWindow, () =>
+        {
+            const service = this._getService(auth, pageIndex);
+
+            service.token = this._requestToken(auth);
+            this._checkAccess(service, service.pageIndex, false);
+        });
+    }
+
+    _onTileLoadError (pageIndex)
+    {
+        const auth = this.core.settings.manifest.pages[pageIndex].auth;
+
+        // Once a page has been checked, failures are left alone, e.g. if it has no degraded images
+        if (!auth || this._checkedPages[pageIndex])
+            return;
+
+        const service = this._getService(auth, pageIndex);
+
+        if (service.status === 'authorized')
+            return;
+
+        this._checkedPages[pageIndex] = true;
+
+        if (!service.token)
+            service.token = this._requestToken(auth);
+
+        this._checkAccess(service, pageIndex, false);
+    }
+
+    /**
+     * Returns the state of an auth service: its status, the page it was last checked with
+     * and a promise for its access token.
+     **/
+    _getService (auth, pageIndex)
+    {
+        if (!this._services[auth.id])
+        {
+            this._services[auth.id] = {
+                auth: auth,
+                manifest: this.core.settings.manifest,
+                status: null,
+                pageIndex: pageIndex,
+                token: null
+            };
+        }
+
+        return this._services[auth.id];
+    }
+
+    /**
+     * Check whether a page can be seen with the service's token, and grant or deny access
+     * to all the pages of the service.
+     *
+     * @param {Object} service - The state of the service.
+     * @param {number} pageIndex - The page to check.
+     * @param {boolean} afterLogin - Whether the user has just tried to log in.
+     **/
+    _checkAccess (service, pageIndex, afterLogin)
+    {
+        service.pageIndex = pageIndex;
+
+        return service.token
+            .then(token => this._probe(pageIndex, token))
+            .then(result =>
+            {
+                // Another document may have been loaded in the meantime
+                if (service.manifest !== this.core.settings.manifest)
+                    return;
+
+                if (result.authorized)
+                {
+                    this._grantAccess(service);
+                    return;
+                }
+
+                if (result.substitute)
+                    this._showSubstitute(pageIndex, result.substitute);
+
+                this._denyAccess(service, afterLogin);
+            });
+    }
+
+    /**
+     * Returns a promise for whether the image of a page can be seen, and the degraded image
+     * service to show instead if it cannot: {authorized, substitute}.
+     **/
+    _probe (pageIndex, token)
+    {
+        const page = this.core.settings.manifest.pages[pageIndex];
+        const headers = token ? { Authorization: 'Bearer ' + token } : {};
+
+        if (page.auth.version === 2)
+            return this._probeV2(page.auth.probe, headers);
+
+        // The image service of the page, even if a degraded one is shown
+        const serviceURL = (page.originalImage || page).url;
+
+        return fetch(serviceURL + 'info.json', { headers: headers }).then(response =>
+        {
+            // A service which denies access may still describe its degraded service
+            return response.json().catch(() => null).then(info =>
+            {
+                const id = info && getId(info) ? getId(info).replace(/\/?$/, '/') : null;
+
+                return {
+                    authorized: response.ok && id === serviceURL,
+                    substitute: (id && id !== serviceURL) ? { url: id, api: (page.originalImage || page).api } : null
+                };
+            });
+        }).catch(() => ({ authorized: false, substitute: null }));
+    }
+
+    _probeV2 (probeURL, headers)
+    {
+        return fetch(probeURL, { headers: headers }).then(response => response.json()).then(result =>
+        {
+            // The first substitute resource which has an image service
+            const substitute = [].concat(result.substitute || []).map(resource =>
+            {
+                return [].concat(resource.service || []).filter(service => /^ImageService[23]$/.test(service.type || service['@type']))[0];
+            }).filter(service => service)[0];
+
+            return {
+                authorized: result.status === 200,
+                substitute: substitute ? {
+                    url: getId(substitute).replace(/\/?$/, '/'),
+                    api: /3$/.test(substitute.type || substitute['@type']) ? 3 : 2
+                } : null
+            };
+        }).catch(() => ({ authorized: false, substitute: null }));
+    }
+
+    _grantAccess (service)
+    {
+        const wasAuthorized = service.status === 'authorized';
+        const manifest = this.core.settings.manifest;
+
+        service.status = 'authorized';
+        this._hidePrompt();
+
+        if (wasAuthorized)
+            return;
+
+        // Load the tiles which failed, or which came from a degraded service, again
+        manifest.pages.forEach((page, pageIndex) =>
+        {
+            if (!page.auth || page.auth.id !== service.auth.id)
+                return;
+
+            delete this._checkedPages[pageIndex];
+            manifest.setPageImageSubstitute(pageIndex, null);
+
+            if (this.core.viewerState.renderer)
+                this.core.viewerState.renderer.reloadPage(pageIndex);
+        });
+
+        this.core.publish('ImageAccessDidChange', service.auth.id, true);
+    }
+
+    _denyAccess (service, afterLogin)
+    {
+        const wasUnauthorized = service.status === 'unauthorized';
+
+        service.status = 'unauthorized';
+
+        if (!wasUnauthorized)
+            this.core.publish('ImageAccessDidChange', service.auth.id, false);
+
+        // Only ask once, unless the user has tried to log in
+        if (wasUnauthorized && !afterLogin)
+            return;
+
+        if (service.auth.profile === 'kiosk' && !afterLogin)
+            this.logIn(service.pageIndex);
+        else
+            this._showPrompt(service, afterLogin);
+    }
+
+    _showSubstitute (pageIndex, substitute)
+    {
+        this.core.settings.manifest.setPageImageSubstitute(pageIndex, substitute);
+
+        if (this.core.viewerState.renderer)
+            this.core.viewerState.renderer.reloadPage(pageIndex);
+    }
+
+    /**
+     * Show the texts of the service asking the user to log in, or telling them that they
+     * cannot see the images.
+     *
+     * @param {Object} service - The state of the service.
+     * @param {boolean} failed - Whether the user has tried to log in and failed.
+     **/
+    _showPrompt (service, failed)
+    {
+        const auth = service.auth;
+        const translate = this.core.translate.bind(this.core);
+        const canLogIn = auth.profile !== 'external' && !!auth.id;
+
+        let header, description;
+
+        if (failed || !canLogIn)
+        {
+            header = auth.failureHeader || translate('imageAccessDenied');
+            description = auth.failureDescription;
+        }
+        else
+        {
+            header = auth.header || auth.label || translate('imageLoginRequired');
+            description = auth.description;
+        }
+
+        const loginButton = canLogIn ?
+            elt('button', { type: 'button', class: 'diva-auth-prompt-login' }, auth.confirmLabel || auth.label || translate('imageLogIn')) :
+            null;
+        const dismissButton = elt('button', { type: 'button', class: 'diva-auth-prompt-dismiss' }, translate('dismiss'));
+
+        if (loginButton)
+            loginButton.addEventListener('click', () => this.logIn(service.pageIndex));
+
+        dismissButton.addEventListener('click', () => this._hidePrompt());
+
+        this._hidePrompt();
+
+        this._prompt = elt('div', { class: 'diva-auth-prompt', role: 'alertdialog', 'aria-label': header },
+            elt('h3', { class: 'diva-auth-prompt-header' }, header),
+            description ? elt('p', { class: 'diva-auth-prompt-description' }, description) : null,
+            elt('div', { class: 'diva-auth-prompt-buttons' }, loginButton, dismissButton)
+        );
+
+        this.core.viewerState.outerElement.appendChild(this._prompt);
+    }
+
+    _hidePrompt ()
+    {
+        if (this._prompt && this._prompt.parentNode)
+            this._prompt.parentNode.removeChild(this._prompt);
+
+        this._prompt = null;
+    }
+
+    /**
+     * Returns a promise for an access token from the token service of an auth service, or
+     * null if the user does not have access. The token service is loaded in a hidden iframe,
+     * which sends the token back as a message.
+     * (see https://iiif.io/api/auth/2.0/#interaction-for-browser-based-client-applications)
+     **/
+    _requestToken (auth)
+    {
+        return new Promise(resolve =>
+        {
+            const messageId = this.core.settings.ID + 'token-' + (++this._messageCount);
+            const origin = getOrigin(auth.token);
+
+            const frame = elt('iframe', {
+                class: 'diva-auth-token-frame',
+                'aria-hidden': 'true',
+                src: withParams(auth.token, { messageId: messageId, origin: window.location.origin })
+            });
+
+            let timeout = null;
+
+            const finish = (token) =>
+            {
+                clearTimeout(timeout);
+                delete this._tokenRequests[messageId];
+
+                if (frame.parentNode)
+                    frame.parentNode.removeChild(frame);
+
+                resolve(token);
+            };
+
+            timeout = setTimeout(() => finish(null), TOKEN_TIMEOUT);
+            this._tokenRequests[messageId] = { origin: origin, finish: finish };
+
+            frame.style.display = 'none';
+            document.body.appendChild(frame);
+        });
+    }
+
+    _onMessage (event)
+    {
+        const data = event.data;
+        const request = data && this._tokenRequests[data.messageId];
+
+        if (!request || event.origin !== request.origin)
+            return;
+
+        // The token service sends an error (e.g. missingCredentials) if the user is not logged in
+        request.finish(data.accessToken || null);
+    }
+
+    _waitForWindow (openedWindow, callback)
+    {
+        const poll = setInterval(() =>
+        {
+            if (openedWindow.closed)
+            {
+                clearInterval(poll);
+                this._windowPolls.splice(this._windowPolls.indexOf(poll), 1);
+                callback();
+            }
+        }, WINDOW_POLL_INTERVAL);
+
+        this._windowPolls.push(poll);
+    }
+}
+
+IIIFAuthPlugin.prototype.pluginName = 'iiif-auth';
+IIIFAuthPlugin.prototype.isPageTool = false;
+
+/**
+ * Make this plugin available in the global context
+ * as part of the 'Diva' namespace.
+ **/
+(function (global)
+{
+    global.Diva.IIIFAuthPlugin = IIIFAuthPlugin;
+})(window);
@@ -198,6 +198,7 @@ export default class ManipulationPlugin
     {
         const manipulationIcon = document.createElement('div');
         manipulationIcon.classList.add('diva-manipulation-icon');
+        manipulationIcon.title = this._core.translate('imageManipulation');
 
         let root = document.createElementNS("http://www.w3.org/2000/svg", "svg");
         root.setAttribute("x", "0px");
@@ -334,12 +335,12 @@ export default class ManipulationPlugin
 
         header.setAttribute('style', 'margin-bottom: 0.3em;');
         header.classList.add('manipulation-tools-text');
-        header.innerText = 'Image tools';
+        header.innerText = this._core.translate('imageTools');
 
         // Zoom tool
         let zoomDiv = document.createElement('div');
         let zoomAdjust = document.createElement('input');
-        let zoomText = document.createTextNode('Zoom');
+        let zoomText = document.createTextNode(this._core.translate('zoom'));
 
         zoomDiv.classList.add('manipulation-tools-text');
         zoomAdjust.setAttribute('type', 'range');
@@ -354,7 +355,7 @@ export default class ManipulationPlugin
         // Rotation tool
         let rotateDiv = document.createElement('div');
         let rotateAdjust = document.createElement('input');
-        let rotateText = document.createTextNode('Rotation');
+        let rotateText = document.createTextNode(this._core.translate('rotation'));
 
         rotateDiv.classList.add('manipulation-tools-text');
         rotateAdjust.setAttribute('type', 'range');
@@ -373,8 +374,8 @@ export default class ManipulationPlugin
         let horizontalMirrorButton = document.createElement('button');
         horizontalMirrorButton.id = 'horizontal-mirror-button';
 
-        verticalMirrorButton.textContent = "Mirror Vertically";
-        horizontalMirrorButton.textContent = "Mirror Horizontally";
+        verticalMirrorButton.textContent = this._core.translate('mirrorVertically');
+        horizontalMirrorButton.textContent = this._core.translate('mirrorHorizontally');
         verticalMirrorButton.addEventListener('click', (e) => this.handleTransform(e, 'vertical', this.rotate));
         horizontalMirrorButton.addEventListener('click', (e) => this.handleTransform(e, 'horizontal', this.rotate));
         mirrorDiv.appendChild(verticalMirrorButton);
@@ -387,7 +388,7 @@ export default class ManipulationPlugin
         let titleText = document.createElement('h3');
         titleText.setAttribute('style', 'margin: 0;');
         titleText.classList.add('manipulation-tools-text');
-        titleText.innerText = 'Filters';
+        titleText.innerText = this._core.translate('filters');
 
         // Selection options (color filters or threshold)
         let select = document.createElement('select');
@@ -396,11 +397,11 @@ export default class ManipulationPlugin
 
         let colorFilters = document.createElement('option');
         colorFilters.value = 'colours';
-        colorFilters.innerText = 'Color Filters';
+        colorFilters.innerText = this._core.translate('colorFilters');
 
         let otherFilters = document.createElement('option');
         otherFilters.value = 'threshold';
-        otherFilters.innerText = 'Threshold';
+        otherFilters.innerText = this._core.translate('threshold');
         
         select.addEventListener('change', switchVisibleFilters);
         select.appendChild(colorFilters);
@@ -412,7 +413,7 @@ export default class ManipulationPlugin
         let bwDiv = document.createElement('div');
         bwDiv.classList.add('color-filters');
         let blackWhiteButton = document.createElement('button');
-        blackWhiteButton.textContent = "Grayscale";
+        blackWhiteButton.textContent = this._core.translate('grayscale');
         blackWhiteButton.addEventListener('click', (e) => this._applyTransformationToImageData(e, grayscale));
         bwDiv.appendChild(blackWhiteButton);
 
@@ -421,7 +422,7 @@ export default class ManipulationPlugin
         saturationDiv.classList.add('color-filters');
         saturationDiv.classList.add('manipulation-tools-text');
         let saturationAdjust = document.createElement('input');
-        let saturationText = document.createTextNode('Saturation');
+        let saturationText = document.createTextNode(this._core.translate('saturation'));
         saturationAdjust.setAttribute('type', 'range');
         saturationAdjust.setAttribute('max', 100);
         saturationAdjust.setAttribute('min', -100);
@@ -436,7 +437,7 @@ export default class ManipulationPlugin
         vibDiv.classList.add('color-filters');
         vibDiv.classList.add('manipulation-tools-text');
         let vibranceAdjust = document.createElement('input');
-        let vibranceText = document.createTextNode('Vibrance');
+        let vibranceText = document.createTextNode(this._core.translate('vibrance'));
         vibranceAdjust.setAttribute('type', 'range');
         vibranceAdjust.setAttribute('max', 100);
         vibranceAdjust.setAttribute('min', -100);
@@ -451,7 +452,7 @@ export default class ManipulationPlugin
         brightDiv.classList.add('color-filters');
         brightDiv.classList.add('manipulation-tools-text');
         let brightnessAdjust = document.createElement('input');
-        let brightnessText = document.createTextNode('Brightness');
+        let brightnessText = document.createTextNode(this._core.translate('brightness'));
         brightnessAdjust.setAttribute('type', 'range');
         brightnessAdjust.setAttribute('max', 100);
         brightnessAdjust.setAttribute('min', -100);
@@ -466,7 +467,7 @@ export default class ManipulationPlugin
         contrastDiv.classList.add('color-filters');
         contrastDiv.classList.add('manipulation-tools-text');
         let contrastAdjust = document.createElement('input');
-        let contrastText = document.createTextNode('Contrast');
+        let contrastText = document.createTextNode(this._core.translate('contrast'));
         contrastAdjust.setAttribute('type', 'range');
         contrastAdjust.setAttribute('max', 100);
         contrastAdjust.setAttribute('min', -100);
@@ -480,7 +481,7 @@ export default class ManipulationPlugin
         let invDiv = document.createElement('div');
         invDiv.classList.add('color-filters');
         let invertButton = document.createElement('button');
-        invertButton.textContent = "Invert Colours";
+        invertButton.textContent = this._core.translate('invertColours');
         invertButton.addEventListener('click', (e) => this._applyTransformationToImageData(e, invert));
         invDiv.appendChild(invertButton);
 
@@ -489,7 +490,7 @@ export default class ManipulationPlugin
         sharpDiv.classList.add('color-filters');
         sharpDiv.classList.add('manipulation-tools-text');
         let sharpenAdjust = document.createElement('input');
-        let sharpenText = document.createTextNode('Sharpness');
+        let sharpenText = document.createTextNode(this._core.translate('sharpness'));
         sharpenAdjust.setAttribute('type', 'range');
         sharpenAdjust.setAttribute('max', 100);
         sharpenAdjust.setAttribute('min', 0);
@@ -504,7 +505,7 @@ export default class ManipulationPlugin
         hueDiv.classList.add('color-filters');
         hueDiv.classList.add('manipulation-tools-text');
         let hueAdjust = document.createElement('input');
-        let hueText = document.createTextNode('Hue');
+        let hueText = document.createTextNode(this._core.translate('hue'));
         hueAdjust.setAttribute('type', 'range');
         hueAdjust.setAttribute('max', 100);
         hueAdjust.setAttribute('min', 0);
@@ -519,7 +520,7 @@ export default class ManipulationPlugin
         gammaDiv.classList.add('color-filters');
         gammaDiv.classList.add('manipulation-tools-text');
         let gammaAdjust = document.createElement('input');
-        let gammaText = document.createTextNode('Gamma');
+        let gammaText = document.createTextNode(this._core.translate('gamma'));
         gammaAdjust.setAttribute('type', 'range');
         gammaAdjust.setAttribute('max', 300);
         gammaAdjust.setAttribute('min', -100);
@@ -534,7 +535,7 @@ export default class ManipulationPlugin
         ccRedDiv.classList.add('color-filters');
         ccRedDiv.classList.add('manipulation-tools-text');
         let ccRedAdjust = document.createElement('input');
-        let ccRedText = document.createTextNode('CC Red');
+        let ccRedText = document.createTextNode(this._core.translate('colourChannelRed'));
         ccRedAdjust.setAttribute('type', 'range');
         ccRedAdjust.setAttribute('max', 100);
         ccRedAdjust.setAttribute('min', -100);
@@ -544,7 +545,7 @@ export default class ManipulationPlugin
         ccGreenDiv.classList.add('color-filters');
         ccGreenDiv.classList.add('manipulation-tools-text');
         let ccGreenAdjust = document.createElement('input');
-        let ccGreenText = document.createTextNode('CC Green');
+        let ccGreenText = document.createTextNode(this._core.translate('colourChannelGreen'));
         ccGreenAdjust.setAttribute('type', 'range');
         ccGreenAdjust.setAttribute('max', 100);
         ccGreenAdjust.setAttribute('min', -100);
@@ -554,7 +555,7 @@ export default class ManipulationPlugin
         ccBlueDiv.classList.add('color-filters');
         ccBlueDiv.classList.add('manipulation-tools-text');
         let ccBlueAdjust = document.createElement('input');
-        let ccBlueText = document.createTextNode('CC Blue');
+        let ccBlueText = document.createTextNode(this._core.translate('colourChannelBlue'));
         ccBlueAdjust.setAttribute('type', 'range');
         ccBlueAdjust.setAttribute('max', 100);
         ccBlueAdjust.setAttribute('min', -100);
@@ -575,7 +576,7 @@ export default class ManipulationPlugin
         let threshDiv = document.createElement('div');
         threshDiv.style.display = 'none';
         let thresholdAdjust = document.createElement('input');
-        let thresholdText = document.createTextNode('Threshold');
+        let thresholdText = document.createTextNode(this._core.translate('threshold'));
         threshDiv.classList.add('manipulation-tools-text');
         thresholdAdjust.setAttribute('type', 'range');
         thresholdAdjust.setAttribute('max', 255);
@@ -589,14 +590,14 @@ export default class ManipulationPlugin
         // Reset button
         let resetButton = document.createElement('button');
         resetButton.setAttribute('style', 'margin-top: 1em;');
-        let buttonText = document.createTextNode('Reset');
+        let buttonText = document.createTextNode(this._core.translate('reset'));
         resetButton.appendChild(buttonText);
         resetButton.onclick = (e) => { this._loadImageInMainArea(e, this.currentImageURL); };
 
         // Log to keep track of the order of filter application
         let filterLog = document.createElement('div');
         filterLog.classList.add('manipulation-tools-text');
-        filterLog.innerHTML = "<h3> Filter Application Order <h3>";
+        filterLog.appendChild(this._createFilterLogTitle());
         filterLog.id = 'filter-log';
 
         this._tools.appendChild(closeButton);
@@ -648,6 +649,14 @@ export default class ManipulationPlugin
         }
     }
 
+    _createFilterLogTitle ()
+    {
+        const title = document.createElement('h3');
+        title.textContent = this._core.translate('filterApplicationOrder');
+
+        return title;
+    }
+
     _resetSliders ()
     {
         // check if element is a slider, if so then reset 
@@ -658,7 +667,9 @@ export default class ManipulationPlugin
                 tool.value = 0;
         }
 
-        document.getElementById('filter-log').innerHTML = "<h3> Filter Application Order <h3>";
+        const filterLog = document.getElementById('filter-log');
+        filterLog.textContent = '';
+        filterLog.appendChild(this._createFilterLogTitle());
 
         // reset counters
         this.zoom = 1;
@@ -54,7 +54,7 @@ export default class MetadataPlugin
             let metadataHeaderBlock = document.createElement('div');
 
             let metadataTitle = document.createElement('h2');
-            metadataTitle.innerText = "About this item";
+            metadataTitle.innerText = this.core.translate('aboutThisItem');
             metadataTitle.id = "metadata-title";
 
             let closeButton = document.createElement('button');
@@ -71,15 +71,18 @@ export default class MetadataPlugin
 
             let contentDefinitionList = document.createElement('dl');
 
+            // Labels and values are shown in the language of the viewer, if the manifest has it
+            const language = this.core.getLanguage();
+
             for (let i = 0, len = metadata.length; i < len; i++) 
             {
                 let key = metadata[i];
 
                 let header = document.createElement('dt');
-                header.innerHTML = parseLabelValue(key).label;
+                header.innerHTML = parseLabelValue(key, language).label;
 
                 let value = document.createElement('dd');
-                value.innerHTML = parseLabelValue(key).value;
+                value.innerHTML = parseLabelValue(key, language).value;
 
                 contentDefinitionList.appendChild(header);
                 contentDefinitionList.appendChild(value);
@@ -92,7 +95,7 @@ export default class MetadataPlugin
             let manifestAnchor = document.createElement('a');
             manifestAnchor.setAttribute("target", "_blank");
             manifestAnchor.setAttribute("href", `${this.core.settings.objectData}`);
-            manifestAnchor.innerHTML = "IIIF Manifest";
+            manifestAnchor.textContent = this.core.translate('iiifManifest');
             linkToManifest.appendChild(manifestAnchor);
             contentDiv.appendChild(linkToManifest);
 
@@ -155,6 +158,7 @@ export default class MetadataPlugin
 
         const toolbarIcon = document.createElement('div');
         toolbarIcon.classList.add('diva-metadata-icon', 'diva-button');
+        toolbarIcon.title = this.core.translate('metadata');
 
         let root = document.createElementNS("http://www.w3.org/2000/svg", "svg");
         root.setAttribute("viewBox", "0 0 20 20");
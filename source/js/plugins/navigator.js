@@ -0,0 +1,273 @@
+import { elt } from '../utils/elt';
+
+// The largest width or height of the thumbnail, in pixels
+const THUMBNAIL_SIZE = 150;
+
+/**
+ * A plugin which shows a thumbnail of the active page in a corner of the viewer, with
+ * a rectangle around the part of the page which is in view. Dragging the rectangle,
+ * or clicking elsewhere on the thumbnail, pans the viewer.
+ *
+ * To enable it, include plugins: [Diva.NavigatorPlugin] when creating a Diva instance.
+ * The toolbar icon shows and hides the navigator, which is hidden in grid view.
+ **/
+export default class NavigatorPlugin
+{
+    constructor (core)
+    {
+        this.core = core;
+        this.toolbarIcon;
+        this.toolbarSide = 'right';
+
+        this.isVisible = false;
+
+        this._panel = null;
+        this._thumbnail = null;
+        this._viewportBox = null;
+
+        this._pageIndex = null;     // The page shown in the thumbnail
+        this._imageURL = null;
+        this._scale = 1;            // The size of the thumbnail relative to the page in the viewer
+        this._viewportRegion = null;  // The region of the viewport rectangle in the thumbnail
+        this._dragOffset = null;    // The distance from the pointer to the centre of the rectangle while dragging
+
+        this._onDrag = this._onDrag.bind(this);
+        this._onDragEnd = this._onDragEnd.bind(this);
+
+        const update = () => this.update();
+
+        ['ActivePageDidChange', 'ViewerDidScroll', 'ViewerDidJump', 'ViewerDidZoom', 'RotationDidChange', 'ViewDidSwitch'].forEach(topic =>
+        {
+            Diva.Events.subscribe(topic, update, core.settings.ID);
+        });
+
+        Diva.Events.subscribe('ViewerDidTerminate', () =>
+        {
+            this._onDragEnd();
+
+            if (this._panel && this._panel.parentNode)
+                this._panel.parentNode.removeChild(this._panel);
+        }, core.settings.ID);
+    }
+
+    /**
+     * Show or hide the navigator.
+     **/
+    handleClick ()
+    {
+        if (!this._panel)
+        {
+            this._panel = this.createPanel();
+            this.core.viewerState.outerElement.appendChild(this._panel);
+        }
+
+        this.isVisible = !this.isVisible;
+        this.update();
+    }
+
+    createPanel ()
+    {
+        this._thumbnail = elt('img', { class: 'diva-navigator-thumbnail', alt: '', draggable: 'false' });
+        this._viewportBox = elt('div', { class: 'diva-navigator-viewport' });
+
+        const panel = elt('div', { class: 'diva-navigator', 'aria-hidden': 'true' },
+            this._thumbnail,
+            this._viewportBox
+        );
+
+        panel.addEventListener('mousedown', (event) => this._onDragStart(event));
+        panel.addEventListener('touchstart', (event) => this._onDragStart(event), { passive: false });
+
+        return panel;
+    }
+
+    /**
+     * Show the active page in the thumbnail and move the rectangle to the part of
+     * it which is in view.
+     **/
+    update ()
+    {
+        if (!this._panel)
+            return;
+
+        const settings = this.core.settings;
+        const layout = this.core.getCurrentLayout();
+        const pageIndex = settings.activePageIndex;
+        const dimensions = layout && !settings.inGrid ? layout.getPageDimensions(pageIndex) : null;
+
+        if (!this.isVisible || !dimensions)
+        {
+            this._panel.style.display = 'none';
+            return;
+        }
+
+        this._panel.style.display = 'block';
+        this._pageIndex = pageIndex;
+        this._scale = THUMBNAIL_SIZE / Math.max(dimensions.width, dimensions.height);
+
+        const width = Math.round(dimensions.width * this._scale);
+        const height = Math.round(dimensions.height * this._scale);
+
+        // The image is requested unrotated, then rotated by the image server
+        const rotation = this.core.getPageRotation(pageIndex);
+        const imageURL = this.core.publicInstance.getPageImageURL(pageIndex, {
+            width: rotation % 180 === 0 ? width : height,
+            rotation: rotation
+        });
+
+        if (imageURL !== this._imageURL)
+        {
+            this._imageURL = imageURL;
+            this._thumbnail.src = imageURL;
+        }
+
+        this._thumbnail.style.width = width + 'px';
+        this._thumbnail.style.height = height + 'px';
+
+        this._updateViewportBox(dimensions, width, height);
+    }
+
+    _updateViewportBox (dimensions, width, height)
+    {
+        const region = this.core.getPageRegion(this._pageIndex, { incorporateViewport: true });
+        const viewport = this.core.getViewport();
+
+        // The part of the page in view, in thumbnail pixels
+        const left = Math.max(0, (viewport.left - region.left) * this._scale);
+        const top = Math.max(0, (viewport.top - region.top) * this._scale);
+        const right = Math.min(width, (viewport.right - region.left) * this._scale);
+        const bottom = Math.min(height, (viewport.bottom - region.top) * this._scale);
+
+        if (right <= left || bottom <= top)
+        {
+            this._viewportRegion = null;
+            this._viewportBox.style.display = 'none';
+            return;
+        }
+
+        this._viewportRegion = { left: left, top: top, width: right - left, height: bottom - top };
+
+        this._viewportBox.style.display = 'block';
+        this._viewportBox.style.left = left + 'px';
+        this._viewportBox.style.top = top + 'px';
+        this._viewportBox.style.width = (right - left) + 'px';
+        this._viewportBox.style.height = (bottom - top) + 'px';
+    }
+
+    /**
+     * Start dragging the rectangle. Pressing outside of it first centres the
+     * viewport on the pressed point.
+     **/
+    _onDragStart (event)
+    {
+        if (this._pageIndex === null)
+            return;
+
+        event.preventDefault();
+
+        const point = this._getThumbnailPoint(event);
+        const box = this._viewportRegion;
+
+        if (box && point.x >= box.left && point.x <= box.left + box.width && point.y >= box.top && point.y <= box.top + box.height)
+            this._dragOffset = { x: point.x - (box.left + box.width / 2), y: point.y - (box.top + box.height / 2) };
+        else
+            this._dragOffset = { x: 0, y: 0 };
+
+        this._panTo(point);
+
+        document.addEventListener('mousemove', this._onDrag);
+        document.addEventListener('mouseup', this._onDragEnd);
+        document.addEventListener('touchmove', this._onDrag, { passive: false });
+        document.addEventListener('touchend', this._onDragEnd);
+    }
+
+    _onDrag (event)
+    {
+        event.preventDefault();
+        this._panTo(this._getThumbnailPoint(event));
+    }
+
+    _onDragEnd ()
+    {
+        this._dragOffset = null;
+
+        document.removeEventListener('mousemove', this._onDrag);
+        document.removeEventListener('mouseup', this._onDragEnd);
+        document.removeEventListener('touchmove', this._onDrag);
+        document.removeEventListener('touchend', this._onDragEnd);
+    }
+
+    /**
+     * Move the centre of the viewport to the page point under a point of the thumbnail.
+     **/
+    _panTo (point)
+    {
+        const dimensions = this.core.getCurrentLayout().getPageDimensions(this._pageIndex);
+
+        if (!dimensions || !this._dragOffset)
+            return;
+
+        const x = (point.x - this._dragOffset.x) / this._scale;
+        const y = (point.y - this._dragOffset.y) / this._scale;
+
+        this.core.viewerState.renderer.goto(
+            this._pageIndex,
+            Math.max(0, Math.min(dimensions.height, y)),
+            Math.max(0, Math.min(dimensions.width, x))
+        );
+    }
+
+    _getThumbnailPoint (event)
+    {
+        const pointer = event.touches ? event.touches[0] : event;
+        const bounds = this._thumbnail.getBoundingClientRect();
+
+        return {
+            x: pointer.clientX - bounds.left,
+            y: pointer.clientY - bounds.top
+        };
+    }
+
+    /**
+     * Create a toolbar icon showing a rectangle over a page.
+     **/
+    createIcon ()
+    {
+        const toolbarIcon = document.createElement('div');
+        toolbarIcon.classList.add('diva-navigator-icon', 'diva-button');
+        toolbarIcon.title = this.core.translate('navigator');
+
+        let root = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        root.setAttribute("viewBox", "0 0 20 20");
+        root.setAttribute('style', 'display: block; padding: 7%');
+        root.id = `${this.core.settings.selector}navigator-icon`;
+
+        let g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+        g.id = `${this.core.settings.selector}navigator-icon-glyph`;
+        g.setAttribute("class", "diva-toolbar-icon");
+
+        // A page outline with a filled rectangle inside it
+        let path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+        path.setAttribute("d", "M3,1 L17,1 L17,19 L3,19 Z M5,3 L5,17 L15,17 L15,3 Z M7,6 L13,6 L13,11 L7,11 Z");
+        path.setAttribute("fill-rule", "evenodd");
+
+        g.appendChild(path);
+        root.appendChild(g);
+
+        toolbarIcon.appendChild(root);
+
+        return toolbarIcon;
+    }
+}
+
+NavigatorPlugin.prototype.pluginName = "navigator";
+NavigatorPlugin.prototype.isPageTool = false;
+
+/**
+ * Make this plugin available in the global context
+ * as part of the 'Diva' namespace.
+ **/
+(function (global)
+{
+    global.Diva.NavigatorPlugin = NavigatorPlugin;
+})(window);
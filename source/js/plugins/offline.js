@@ -0,0 +1,523 @@
+import { elt } from '../utils/elt';
+import { getCacheName, getPageFileURLs } from './_offline';
+
+/**
+ * A plugin which saves a range of pages at a zoom level for reading without a network. The
+ * manifest and the tiles of the pages are downloaded into Cache Storage by a service worker
+ * (diva-offline-worker.js in the build), which then serves them whenever they are requested,
+ * offline or not. The pages and zoom level are chosen in a panel, which shows the progress
+ * of the download and can delete the saved files again.
+ *
+ * To enable it, include plugins: [Diva.OfflinePlugin] when creating a Diva instance, and
+ * serve diva-offline-worker.js from the directory of the page (or give its URL as the
+ * offlineWorkerURL setting), since a service worker only serves the pages below its own
+ * directory. The toolbar icon is not shown in browsers without service workers.
+ **/
+export default class OfflinePlugin
+{
+    constructor (core)
+    {
+        this.core = core;
+        this.toolbarIcon;
+        this.toolbarSide = 'right';
+
+        this.isVisible = false;
+        this.isSaving = false;
+
+        this.workerURL = core.settings.offlineWorkerURL || 'diva-offline-worker.js';
+
+        this._panel = null;
+        this._fromSelect = null;
+        this._toSelect = null;
+        this._zoomInput = null;
+        this._estimate = null;
+        this._saveButton = null;
+        this._progress = null;
+        this._status = null;
+
+        // A promise for the registration of the service worker, or null if it is not supported
+        this._registration = null;
+
+        if (isSupported())
+        {
+            this._registration = navigator.serviceWorker.register(this.workerURL).catch(error =>
+            {
+                console.warn('Could not register the offline service worker: ' + error.message);
+                return null;
+            });
+        }
+
+        Diva.Events.subscribe('ViewerDidTerminate', () =>
+        {
+            if (this._panel && this._panel.parentNode)
+                this._panel.parentNode.removeChild(this._panel);
+        }, core.settings.ID);
+    }
+
+    /**
+     * Show or hide the offline panel.
+     **/
+    handleClick ()
+    {
+        if (!this._panel)
+        {
+            this._panel = this.createPanel();
+            this._panel.style.display = 'none';
+            document.body.appendChild(this._panel);
+        }
+
+        this.isVisible = !this.isVisible;
+        this._panel.style.display = this.isVisible ? 'block' : 'none';
+
+        if (this.isVisible)
+            this._resetForm();
+    }
+
+    createPanel ()
+    {
+        const translate = this.core.translate.bind(this.core);
+
+        const closeButton = elt('button', { class: 'close-button' }, '✖');
+
+        closeButton.addEventListener('click', () =>
+        {
+            this._panel.style.display = 'none';
+            this.isVisible = false;
+        });
+
+        this._fromSelect = elt('select', { class: 'diva-offline-from' });
+        this._toSelect = elt('select', { class: 'diva-offline-to' });
+        this._zoomInput = elt('input', { type: 'number', class: 'diva-offline-zoom', step: 1 });
+        this._estimate = elt('p', { class: 'diva-offline-estimate' });
+        this._saveButton = elt('button', { type: 'submit', class: 'diva-offline-save' }, translate('saveOffline'));
+
+        const updateEstimate = () => this._updateEstimate();
+
+        [this._fromSelect, this._toSelect, this._zoomInput].forEach(input =>
+        {
+            input.addEventListener('change', updateEstimate);
+        });
+
+        const form = elt('form', { class: 'diva-offline-form' },
+            elt('label', translate('offlineFrom'), this._fromSelect),
+            elt('label', translate('offlineTo'), this._toSelect),
+            elt('label', translate('offlineZoomLevel'), this._zoomInput),
+            this._estimate,
+            this._saveButton
+        );
+
+        form.addEventListener('submit', (event) =>
+        {
+            event.preventDefault();
+
+            const range = this._getFormRange();
+
+            // The error is shown in the status line
+            this.save(range.first, range.last, range.zoomLevel).catch(error =>
+            {
+                console.warn('Could not save the document for offline reading: ' + error.message);
+            });
+        });
+
+        const deleteButton = elt('button', { type: 'button', class: 'diva-offline-delete' }, translate('deleteOffline'));
+        deleteButton.addEventListener('click', () =>
+        {
+            this.remove().catch(error =>
+            {
+                console.warn('Could not delete the offline copy: ' + error.message);
+            });
+        });
+
+        this._progress = elt('progress', { class: 'diva-offline-progress', value: 0 });
+        this._progress.style.display = 'none';
+
+        this._status = elt('p', { class: 'diva-offline-status', role: 'status' });
+
+        return elt('div', { class: 'diva-modal diva-offline-modal' },
+            elt('div', closeButton, elt('h2', { class: 'diva-offline-title' }, translate('offline'))),
+            elt('div', { class: 'diva-offline-content' },
+                form,
+                this._progress,
+                this._status,
+                deleteButton
+            )
+        );
+    }
+
+    /**
+     * Save the manifest and the tiles of a range of pages at a zoom level for reading offline.
+     * Files which were saved before are kept, so that several ranges can be saved one after
+     * the other.
+     *
+     * @param {number} first - The index of the first page.
+     * @param {number} last - The index of the last page.
+     * @param {number} zoomLevel - The zoom level of the tiles to save.
+     * @returns {Promise} - Resolves to the number of files which were saved (loaded) or
+     * could not be (failed), out of the total.
+     **/
+    save (first, last, zoomLevel)
+    {
+        if (!this._registration)
+            return Promise.reject(offlineError('offlineUnsupported', 'Service workers are not supported'));
+
+        if (this.isSaving)
+            return Promise.reject(offlineError('offlineBusy', 'The document is already being saved'));
+
+        if (!this._getCacheName())
+        {
+            const error = offlineError('offlineNoDocumentId', 'A document without an id cannot be saved');
+            this._showError(error);
+
+            return Promise.reject(error);
+        }
+
+        this.isSaving = true;
+        this._showProgress({ loaded: 0, failed: 0, total: 0 });
+
+        return this._loadImageInfo(first, last).then(() =>
+        {
+            const urls = this.getFileURLs(first, last, zoomLevel);
+
+            return this._registration.then(registration =>
+            {
+                if (!registration)
+                    throw offlineError('offlineWorkerMissing', 'The offline service worker is not registered');
+
+                return getActiveWorker(registration);
+            }).then(worker => this._postSave(worker, urls));
+        }).then(progress =>
+        {
+            this.isSaving = false;
+            this._showResult(progress);
+
+            return progress;
+        }, error =>
+        {
+            this.isSaving = false;
+            this._showError(error);
+
+            throw error;
+        });
+    }
+
+    /**
+     * Delete the saved files of the document.
+     *
+     * @returns {Promise} - Resolves to true if there were saved files.
+     **/
+    remove ()
+    {
+        if (!isSupported() || !this._getCacheName())
+            return Promise.resolve(false);
+
+        return window.caches.delete(this._getCacheName()).then(deleted =>
+        {
+            this._showStatus(this.core.translate('offlineDeleted'));
+
+            return deleted;
+        });
+    }
+
+    /**
+     * Returns a promise resolving to true if files of the document are saved.
+     **/
+    isSaved ()
+    {
+        if (!isSupported() || !this._getCacheName())
+            return Promise.resolve(false);
+
+        return window.caches.has(this._getCacheName());
+    }
+
+    /**
+     * Returns the URLs of the files to save for a range of pages at a zoom level: the
+     * manifest, if it was loaded from a URL, and the files of the pages.
+     *
+     * @param {number} first - The index of the first page.
+     * @param {number} last - The index of the last page.
+     * @param {number} zoomLevel
+     * @returns {Array.<string>}
+     **/
+    getFileURLs (first, last, zoomLevel)
+    {
+        const settings = this.core.settings;
+
+        const urls = getPageFileURLs(settings.manifest, {
+            first: first,
+            last: last,
+            zoomLevel: zoomLevel,
+            tileDimensions: { width: settings.tileWidth, height: settings.tileHeight },
+            fetchImageInfo: settings.fetchImageInfo
+        });
+
+        if (typeof settings.objectData === 'string')
+            urls.unshift(settings.objectData);
+
+        return urls;
+    }
+
+    /**
+     * Start the download in the service worker, and follow its progress.
+     **/
+    _postSave (worker, urls)
+    {
+        return new Promise((resolve, reject) =>
+        {
+            const channel = new MessageChannel();
+
+            channel.port1.onmessage = (event) =>
+            {
+                const data = event.data;
+
+                if (data.type === 'progress')
+                {
+                    this._showProgress(data);
+                    return;
+                }
+
+                channel.port1.close();
+
+                if (data.type === 'done')
+                    resolve({ loaded: data.loaded, failed: data.failed, total: data.total });
+                else
+                    reject(new Error(data.message));
+            };
+
+            worker.postMessage({
+                type: 'diva-offline-save',
+                cacheName: this._getCacheName(),
+                urls: urls
+            }, [channel.port2]);
+        });
+    }
+
+    /**
+     * When the fetchImageInfo setting is enabled, the tiles of a page depend on its info.json,
+     * which the viewer only loads for the pages it shows.
+     **/
+    _loadImageInfo (first, last)
+    {
+        const settings = this.core.settings;
+        const manifest = settings.manifest;
+        const pageIndices = [];
+
+        if (!settings.fetchImageInfo)
+            return Promise.resolve();
+
+        for (let pageIndex = first; pageIndex <= last; pageIndex++)
+        {
+            if (!manifest.hasPageImageInfo(pageIndex))
+                pageIndices.push(pageIndex);
+        }
+
+        return Promise.all(pageIndices.map(pageIndex =>
+        {
+            return this.core.viewerState.imageInfoLoader.load(manifest.pages[pageIndex].url).then(info =>
+            {
+                // The viewer may have set the information in the meantime
+                if (!manifest.hasPageImageInfo(pageIndex))
+                    manifest.setPageImageInfo(pageIndex, info);
+            });
+        }));
+    }
+
+    _resetForm ()
+    {
+        const settings = this.core.settings;
+        const pages = settings.manifest.pages;
+
+        [this._fromSelect, this._toSelect].forEach(select =>
+        {
+            select.textContent = '';
+            pages.forEach((page, index) => select.appendChild(elt('option', { value: index }, page.l)));
+            select.value = settings.activePageIndex;
+        });
+
+        this._zoomInput.min = settings.minZoomLevel;
+        this._zoomInput.max = settings.maxZoomLevel;
+        this._zoomInput.value = Math.ceil(settings.zoomLevel);
+
+        this._saveButton.disabled = this.isSaving;
+        this._updateEstimate();
+
+        if (!this.isSaving)
+        {
+            this._progress.style.display = 'none';
+
+            this.isSaved().then(saved =>
+            {
+                this._showStatus(saved ? this.core.translate('offlineAvailable') : '');
+            });
+        }
+    }
+
+    _getFormRange ()
+    {
+        const settings = this.core.settings;
+
+        const from = parseInt(this._fromSelect.value, 10);
+        const to = parseInt(this._toSelect.value, 10);
+        const zoomLevel = parseInt(this._zoomInput.value, 10);
+
+        return {
+            first: Math.min(from, to),
+            last: Math.max(from, to),
+            zoomLevel: isNaN(zoomLevel) ? Math.ceil(settings.zoomLevel) : Math.max(settings.minZoomLevel, Math.min(zoomLevel, settings.maxZoomLevel))
+        };
+    }
+
+    // The info.json of some pages may not have loaded yet, so the number of files may change
+    _updateEstimate ()
+    {
+        const range = this._getFormRange();
+        const count = this.getFileURLs(range.first, range.last, range.zoomLevel).length;
+
+        this._estimate.textContent = this.core.translate('offlineFileCount', { count: count });
+    }
+
+    _showProgress (progress)
+    {
+        if (!this._panel)
+            return;
+
+        const done = progress.loaded + progress.failed;
+
+        this._saveButton.disabled = true;
+        this._progress.style.display = '';
+        this._progress.max = progress.total || 1;
+        this._progress.value = done;
+        this._showStatus(this.core.translate('offlineProgress', { count: done, total: progress.total }));
+    }
+
+    _showResult (progress)
+    {
+        if (!this._panel)
+            return;
+
+        const translate = this.core.translate.bind(this.core);
+
+        this._saveButton.disabled = false;
+        this._showStatus(translate('offlineSaved', { count: progress.loaded }) +
+            (progress.failed ? ' ' + translate('offlineFailures', { count: progress.failed }) : ''));
+    }
+
+    _showStatus (message)
+    {
+        if (!this._panel)
+            return;
+
+        this._saveButton.disabled = this.isSaving;
+        this._status.textContent = message;
+    }
+
+    // Errors from the network or the service worker have no message in the locales
+    _showError (error)
+    {
+        const reason = this.core.translate(error.messageKey || 'offlineUnexpectedError');
+
+        this._showStatus(this.core.translate('offlineError', { message: reason }));
+    }
+
+    /**
+     * Returns the name of the cache of the document, or null if the document has no id
+     * (see ViewerCore#getDocumentId).
+     **/
+    _getCacheName ()
+    {
+        const documentId = this.core.getDocumentId();
+
+        return documentId ? getCacheName(documentId) : null;
+    }
+
+    /**
+     * Create a toolbar icon showing an arrow into a tray, unless the browser cannot
+     * save files for offline use.
+     **/
+    createIcon ()
+    {
+        if (!isSupported())
+            return;
+
+        const toolbarIcon = document.createElement('div');
+        toolbarIcon.classList.add('diva-offline-icon', 'diva-button');
+        toolbarIcon.title = this.core.translate('offline');
+
+        let root = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        root.setAttribute("viewBox", "0 0 20 20");
+        root.setAttribute('style', 'display: block; padding: 7%');
+        root.id = `${this.core.settings.selector}offline-icon`;
+
+        let g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+        g.id = `${this.core.settings.selector}offline-icon-glyph`;
+        g.setAttribute("class", "diva-toolbar-icon");
+
+        let path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+        path.setAttribute("d", "M8.5,2 L11.5,2 L11.5,9 L14.5,9 L10,14 L5.5,9 L8.5,9 Z M3,15.5 L17,15.5 L17,18.5 L3,18.5 Z");
+
+        g.appendChild(path);
+        root.appendChild(g);
+
+        toolbarIcon.appendChild(root);
+
+        return toolbarIcon;
+    }
+}
+
+OfflinePlugin.prototype.pluginName = "offline";
+OfflinePlugin.prototype.isPageTool = false;
+
+// Service workers are only available in secure contexts (HTTPS or localhost)
+function isSupported ()
+{
+    return 'serviceWorker' in navigator && 'caches' in window;
+}
+
+// Returns an error whose message is shown in the panel in the language of the viewer, by its
+// key in the locales; the message given here is for the console
+function offlineError (messageKey, message)
+{
+    const error = new Error(message);
+    error.messageKey = messageKey;
+
+    return error;
+}
+
+// Returns a promise for the worker of the registration, once it is active. It is rejected
+// if the worker is discarded instead (e.g. it failed to install, or a newer one replaced it).
+function getActiveWorker (registration)
+{
+    if (registration.active)
+        return Promise.resolve(registration.active);
+
+    const worker = registration.installing || registration.waiting;
+
+    if (!worker)
+        return Promise.reject(offlineError('offlineWorkerMissing', 'The offline service worker is not installed'));
+
+    return new Promise((resolve, reject) =>
+    {
+        const onStateChange = () =>
+        {
+            if (worker.state !== 'activated' && worker.state !== 'redundant')
+                return;
+
+            worker.removeEventListener('statechange', onStateChange);
+
+            if (worker.state === 'activated')
+                resolve(worker);
+            else
+                reject(offlineError('offlineWorkerFailed', 'The offline service worker could not be installed'));
+        };
+
+        worker.addEventListener('statechange', onStateChange);
+    });
+}
+
+/**
+ * Make this plugin available in the global context
+ * as part of the 'Diva' namespace.
+ **/
+(function (global)
+{
+    global.Diva.OfflinePlugin = OfflinePlugin;
+})(window);
@@ -0,0 +1,64 @@
+/**
+ * A page tool which turns a page a quarter turn clockwise each time its icon is
+ * clicked, for pages which were photographed sideways or upside down. To rotate
+ * every page, use the rotation setting or Diva#setRotation instead.
+ *
+ * To enable it, include plugins: [Diva.RotatePlugin] when creating a Diva instance.
+ **/
+export default class RotatePlugin
+{
+    constructor (core)
+    {
+        this.core = core;
+        this.pageToolsIcon = this.createIcon();
+    }
+
+    /**
+    * Turn the page a quarter turn clockwise.
+    *
+    **/
+    handleClick (event, settings, publicInstance, pageIndex)
+    {
+        publicInstance.setPageRotation(pageIndex, publicInstance.getPageRotation(pageIndex) + 90);
+    }
+
+    createIcon ()
+    {
+        const pageToolsIcon = document.createElement('div');
+        pageToolsIcon.classList.add('diva-rotate-icon');
+        pageToolsIcon.title = this.core.translate('rotatePage');
+
+        let root = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        root.setAttribute("x", "0px");
+        root.setAttribute("y", "0px");
+        root.setAttribute("viewBox", "0 0 25 25");
+        root.id = `${this.core.settings.selector}rotate-icon`;
+
+        let g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+        g.id = `${this.core.settings.selector}rotate-icon-glyph`;
+        g.setAttribute("class", "diva-pagetool-icon");
+
+        // Three quarters of a ring, ending in an arrowhead which points clockwise
+        let path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+        path.setAttribute("d", "M12.5,4.5A8,8,0,1,1,4.5,12.5L2.5,12.5L5.75,8.5L9,12.5L7,12.5A5.5,5.5,0,1,0,12.5,7Z");
+
+        g.appendChild(path);
+        root.appendChild(g);
+
+        pageToolsIcon.appendChild(root);
+
+        return pageToolsIcon;
+    }
+}
+
+RotatePlugin.prototype.pluginName = "rotate";
+RotatePlugin.prototype.isPageTool = true;
+
+/**
+ * Make this plugin available in the global context
+ * as part of the 'Diva' namespace.
+ **/
+(function (global)
+{
+    global.Diva.RotatePlugin = RotatePlugin;
+})(window);
@@ -0,0 +1,425 @@
+import { elt } from '../utils/elt';
+import { getPercentRegion, gotoPageRegion, positionOverPage } from '../utils/page-overlays';
+import parseIIIFSearchResults from '../parse-iiif-search';
+
+// The most pages of results which are loaded for one query
+const MAX_RESULT_PAGES = 10;
+
+/**
+ * A page overlay which highlights the search hits on a page, in the same way as
+ * the annotation overlay.
+ **/
+class SearchHitOverlay
+{
+    constructor (pageIndex, viewerCore, hits)
+    {
+        this.page = pageIndex;
+
+        this._viewerCore = viewerCore;
+        this._innerElement = viewerCore.getSettings().innerElement;
+        this._hits = hits;
+        this._currentHit = null;
+        this._hitsElem = elt('div', { class: 'diva-search-hits' });
+        this._rotation = null;
+    }
+
+    mount ()
+    {
+        this.refresh();
+        this._innerElement.appendChild(this._hitsElem);
+    }
+
+    unmount ()
+    {
+        this._innerElement.removeChild(this._hitsElem);
+    }
+
+    setCurrentHit (hit)
+    {
+        this._currentHit = hit;
+        this._renderHits();
+    }
+
+    _renderHits ()
+    {
+        this._rotation = this._viewerCore.getPageRotation(this.page);
+        this._hitsElem.textContent = '';
+
+        this._hits.forEach(hit =>
+        {
+            hit.regions.forEach(hitRegion =>
+            {
+                const region = getPercentRegion(hitRegion, this._viewerCore, this.page);
+
+                this._hitsElem.appendChild(elt('div', {
+                    class: 'diva-search-hit' + (hit === this._currentHit ? ' diva-search-hit-current' : ''),
+                    title: hit.match,
+                    style: {
+                        left: region.left + '%',
+                        top: region.top + '%',
+                        width: region.width + '%',
+                        height: region.height + '%'
+                    }
+                }));
+            });
+        });
+    }
+
+    refresh ()
+    {
+        if (this._rotation !== this._viewerCore.getPageRotation(this.page))
+            this._renderHits();
+
+        positionOverPage(this._hitsElem, this._viewerCore, this.page);
+    }
+}
+
+/**
+ * A plugin which searches the text of a document through the IIIF Content Search
+ * service of its manifest. The hits are listed with their page labels and highlighted
+ * on the pages, and the previous and next buttons go from one hit to the next.
+ *
+ * To enable it, include plugins: [Diva.SearchPlugin] when creating a Diva instance.
+ * The toolbar icon is only shown for manifests which have a search service.
+ *
+ * Publishes SearchDidComplete with the query and the hits once the results of a
+ * search have loaded.
+ **/
+export default class SearchPlugin
+{
+    constructor (core)
+    {
+        this.core = core;
+        this.toolbarIcon;
+        this.toolbarSide = 'right';
+
+        this.isVisible = false;
+
+        this._panel = null;
+        this._input = null;
+        this._status = null;
+        this._position = null;
+        this._list = null;
+
+        this._hits = [];            // The hits on pages of the manifest, with their page index
+        this._currentHit = -1;
+        this._overlays = [];
+        this._searchCount = 0;      // Identifies the latest search, so that earlier results are dropped
+
+        // The hits belong to the document, so they are dropped when another one is loaded
+        Diva.Events.subscribe('ViewerDidLoad', () => this.clearResults(), core.settings.ID);
+
+        Diva.Events.subscribe('ViewerDidTerminate', () =>
+        {
+            this.clearResults();
+
+            if (this._panel && this._panel.parentNode)
+                this._panel.parentNode.removeChild(this._panel);
+        }, core.settings.ID);
+    }
+
+    /**
+     * Show or hide the search panel.
+     **/
+    handleClick ()
+    {
+        this._createPanelOnce();
+
+        this.isVisible = !this.isVisible;
+        this._panel.style.display = this.isVisible ? 'block' : 'none';
+
+        if (this.isVisible)
+            this._input.focus();
+    }
+
+    _createPanelOnce ()
+    {
+        if (this._panel)
+            return;
+
+        this._panel = this.createPanel();
+        this._panel.style.display = 'none';
+        document.body.appendChild(this._panel);
+    }
+
+    createPanel ()
+    {
+        const translate = this.core.translate.bind(this.core);
+
+        const closeButton = elt('button', { class: 'close-button' }, '✖');
+
+        closeButton.addEventListener('click', () =>
+        {
+            this._panel.style.display = 'none';
+            this.isVisible = false;
+        });
+
+        this._input = elt('input', { type: 'search', class: 'diva-search-input', 'aria-label': translate('searchText') });
+
+        const form = elt('form', { class: 'diva-search-form' },
+            this._input,
+            elt('button', { type: 'submit', class: 'diva-search-submit' }, translate('search'))
+        );
+
+        form.addEventListener('submit', (event) =>
+        {
+            event.preventDefault();
+            this.search(this._input.value);
+        });
+
+        const previousButton = elt('button', { type: 'button', class: 'diva-search-previous', title: translate('previousResult') }, '‹');
+        const nextButton = elt('button', { type: 'button', class: 'diva-search-next', title: translate('nextResult') }, '›');
+
+        previousButton.addEventListener('click', () => this.previousHit());
+        nextButton.addEventListener('click', () => this.nextHit());
+
+        this._status = elt('p', { class: 'diva-search-status', role: 'status' });
+        this._position = elt('span', { class: 'diva-search-position' });
+        this._list = elt('ol', { class: 'diva-search-results' });
+
+        return elt('div', { class: 'diva-modal diva-search-modal' },
+            elt('div', closeButton, elt('h2', { class: 'diva-search-title' }, translate('search'))),
+            elt('div', { class: 'diva-search-content' },
+                form,
+                this._status,
+                elt('div', { class: 'diva-search-navigation' }, previousButton, this._position, nextButton),
+                this._list
+            )
+        );
+    }
+
+    /**
+     * Search the document and show the hits.
+     *
+     * @param {string} query - The text to search for.
+     * @returns {Promise} - Resolves to the hits once they are shown, or to no hits if the
+     *     document has no search service.
+     **/
+    search (query)
+    {
+        const searchId = ++this._searchCount;
+        const manifest = this.core.settings.manifest;
+        const url = manifest.searchService;
+
+        // The results are listed in the panel, even if it is hidden
+        this._createPanelOnce();
+        this.clearResults();
+        query = query.trim();
+
+        if (!query || !url)
+            return Promise.resolve([]);
+
+        this._setStatus(this.core.translate('searching'));
+
+        const separator = url.indexOf('?') === -1 ? '?' : '&';
+
+        return this._loadResults(url + separator + 'q=' + encodeURIComponent(query), MAX_RESULT_PAGES).then(hits =>
+        {
+            // Drop the results of earlier searches, and of searches of another document
+            if (searchId !== this._searchCount || manifest !== this.core.settings.manifest)
+                return [];
+
+            this.showResults(hits);
+            this.core.publish('SearchDidComplete', query, this._hits);
+
+            return this._hits;
+        }).catch(error =>
+        {
+            console.warn('Could not search ' + url + ': ' + error.message);
+
+            if (searchId === this._searchCount)
+                this._setStatus(this.core.translate('searchError'));
+
+            return [];
+        });
+    }
+
+    /**
+     * Fetch a page of results, followed by the pages after it up to the given number of pages.
+     **/
+    _loadResults (url, pageCount)
+    {
+        return fetch(url).then(response =>
+        {
+            if (!response.ok)
+                throw new Error(response.statusText);
+
+            return response.json();
+        }).then(data =>
+        {
+            const results = parseIIIFSearchResults(data, this.core.getLanguage());
+
+            if (!results.next || pageCount <= 1)
+                return results.hits;
+
+            return this._loadResults(results.next, pageCount - 1).then(hits => results.hits.concat(hits));
+        });
+    }
+
+    /**
+     * List the hits which are on pages of the document and highlight them on the pages.
+     **/
+    showResults (hits)
+    {
+        const manifest = this.core.settings.manifest;
+        const pageIndices = {};
+
+        manifest.pages.forEach((page, index) =>
+        {
+            pageIndices[page.canvas.split('#')[0]] = index;
+        });
+
+        this._hits = hits.filter(hit => pageIndices.hasOwnProperty(hit.canvas)).map(hit =>
+        {
+            return Object.assign({ pageIndex: pageIndices[hit.canvas] }, hit);
+        });
+
+        const count = this._hits.length;
+        this._setStatus(count ? this.core.translate('searchResults', { count: count }) : this.core.translate('noSearchResults'));
+
+        this._hits.forEach((hit, index) =>
+        {
+            const link = elt('a', { href: '#', class: 'diva-search-result' },
+                elt('span', { class: 'diva-search-result-label' }, manifest.pages[hit.pageIndex].l),
+                ' ',
+                hit.before,
+                elt('mark', hit.match),
+                hit.after
+            );
+
+            link.addEventListener('click', (event) =>
+            {
+                event.preventDefault();
+                this.gotoHit(index);
+            });
+
+            this._list.appendChild(elt('li', link));
+        });
+
+        // One overlay for each page with hits
+        const hitsByPage = {};
+
+        this._hits.forEach(hit =>
+        {
+            (hitsByPage[hit.pageIndex] || (hitsByPage[hit.pageIndex] = [])).push(hit);
+        });
+
+        Object.keys(hitsByPage).forEach(pageIndex =>
+        {
+            const overlay = new SearchHitOverlay(parseInt(pageIndex, 10), this.core, hitsByPage[pageIndex]);
+
+            this._overlays.push(overlay);
+            this.core.addPageOverlay(overlay);
+        });
+
+        this._updatePosition();
+    }
+
+    /**
+     * Remove the hits from the list and the pages.
+     **/
+    clearResults ()
+    {
+        this._overlays.forEach(overlay => this.core.removePageOverlay(overlay));
+        this._overlays = [];
+        this._hits = [];
+        this._currentHit = -1;
+
+        if (this._panel)
+        {
+            this._list.textContent = '';
+            this._setStatus('');
+            this._updatePosition();
+        }
+    }
+
+    /**
+     * Go to the hit at the given index of the results and highlight it.
+     **/
+    gotoHit (index)
+    {
+        const hit = this._hits[index];
+
+        if (!hit)
+            return;
+
+        this._currentHit = index;
+        this._overlays.forEach(overlay => overlay.setCurrentHit(hit));
+        this._updatePosition();
+
+        // Centre the viewport on the first region of the hit
+        gotoPageRegion(this.core, hit.pageIndex, hit.regions[0] || null);
+    }
+
+    nextHit ()
+    {
+        if (this._hits.length)
+            this.gotoHit((this._currentHit + 1) % this._hits.length);
+    }
+
+    previousHit ()
+    {
+        if (this._hits.length)
+            this.gotoHit((this._currentHit - 1 + this._hits.length) % this._hits.length);
+    }
+
+    _updatePosition ()
+    {
+        const count = this._hits.length;
+
+        this._position.textContent = (count && this._currentHit !== -1) ?
+            this.core.translate('searchResultPosition', { index: this._currentHit + 1, count: count }) : '';
+
+        this._panel.querySelector('.diva-search-previous').disabled = !count;
+        this._panel.querySelector('.diva-search-next').disabled = !count;
+    }
+
+    _setStatus (text)
+    {
+        this._status.textContent = text;
+    }
+
+    /**
+     * Create a toolbar icon showing a magnifying glass, if the manifest has a search service.
+     **/
+    createIcon ()
+    {
+        if (!this.core.settings.manifest.searchService)
+            return;
+
+        const toolbarIcon = document.createElement('div');
+        toolbarIcon.classList.add('diva-search-icon', 'diva-button');
+        toolbarIcon.title = this.core.translate('search');
+
+        let root = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        root.setAttribute("viewBox", "0 0 20 20");
+        root.setAttribute('style', 'display: block; padding: 7%');
+        root.id = `${this.core.settings.selector}search-icon`;
+
+        let g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+        g.id = `${this.core.settings.selector}search-icon-glyph`;
+        g.setAttribute("class", "diva-toolbar-icon");
+
+        let path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+        path.setAttribute("d", "M8,1 A7,7,0,1,1,8,15 A7,7,0,1,1,8,1 Z M8,3.5 A4.5,4.5,0,1,0,8,12.5 A4.5,4.5,0,1,0,8,3.5 Z M12.5,14.5 L14.5,12.5 L19.5,17.5 L17.5,19.5 Z");
+
+        g.appendChild(path);
+        root.appendChild(g);
+
+        toolbarIcon.appendChild(root);
+
+        return toolbarIcon;
+    }
+}
+
+SearchPlugin.prototype.pluginName = "search";
+SearchPlugin.prototype.isPageTool = false;
+
+/**
+ * Make this plugin available in the global context
+ * as part of the 'Diva' namespace.
+ **/
+(function (global)
+{
+    global.Diva.SearchPlugin = SearchPlugin;
+})(window);
@@ -14,7 +14,8 @@ import { elt } from '../utils/elt';
  * 3. If loading the access token fails the plugin shows a login dialog and requests a new token.
  * 4. Diva tries to load the manifest with the access token.
  * 5. If loading the manifest fails with the access token goto 3.
- * 6. The images are loaded using the cookies set by the login domain.
+ * 6. The images are loaded using the cookies set by the login domain, or with the access
+ *    token if the fetchTiles setting is enabled.
  *  
  **/
 export default class SimpleAuthPlugin
@@ -94,11 +95,11 @@ export default class SimpleAuthPlugin
      */
     showLoginMessage (response)
     {
-        const errorMessage = ['Unauthorized request. Error code: ' + response.status + ' ' + response.statusText];
+        const errorMessage = [this.core.translate('unauthorizedRequest', { status: response.status, statusText: response.statusText })];
         errorMessage.push(
-            elt('p', 'The document you are trying to access requires authentication.'),
-            elt('p', 'Please ',
-                elt('button', this.core.elemAttrs('error-auth-login', {'aria-label': 'Log in'}), 'log in')
+            elt('p', this.core.translate('authenticationRequired')),
+            elt('p', this.core.translate('pleaseLogIn'),
+                elt('button', this.core.elemAttrs('error-auth-login', {'aria-label': this.core.translate('logIn')}), this.core.translate('logIn'))
             ));
         
         this.core.showError(errorMessage);
@@ -0,0 +1,213 @@
+import { elt } from '../utils/elt';
+
+/**
+ * A plugin which shows the ranges of a IIIF manifest (its `structures`) as a collapsible
+ * table of contents. Clicking on a range goes to its first page, and the range containing
+ * the active page is highlighted.
+ *
+ * To enable it, include plugins: [Diva.TableOfContentsPlugin] when creating a Diva instance.
+ * The toolbar icon is only shown for manifests which have ranges.
+ **/
+export default class TableOfContentsPlugin
+{
+    constructor (core)
+    {
+        this.core = core;
+        this.toolbarIcon;
+        this.toolbarSide = 'right';
+
+        this.isVisible = false;
+        this.activePageIndex = core.settings.activePageIndex;
+
+        this._panel = null;
+        this._items = [];   // The list item and range of every range in the panel
+
+        Diva.Events.subscribe('ActivePageDidChange', (pageIndex) =>
+        {
+            this.activePageIndex = pageIndex;
+
+            if (this._panel)
+                this.highlightRange(pageIndex);
+        }, core.settings.ID);
+
+        // The ranges belong to the document, so the panel is made again when another one is loaded
+        Diva.Events.subscribe('ViewerDidLoad', () =>
+        {
+            if (this._panel)
+                this.rebuildPanel();
+        }, core.settings.ID);
+
+        Diva.Events.subscribe('ViewerDidTerminate', () =>
+        {
+            if (this._panel && this._panel.parentNode)
+                this._panel.parentNode.removeChild(this._panel);
+        }, core.settings.ID);
+    }
+
+    /**
+     * Show or hide the table of contents.
+     **/
+    handleClick ()
+    {
+        if (!this._panel)
+        {
+            this._panel = this.createPanel();
+            document.body.appendChild(this._panel);
+            this.highlightRange(this.activePageIndex);
+        }
+
+        this.isVisible = !this.isVisible;
+        this._panel.style.display = this.isVisible ? 'block' : 'none';
+    }
+
+    createPanel ()
+    {
+        const closeButton = elt('button', { class: 'close-button' }, '✖');
+
+        closeButton.addEventListener('click', () =>
+        {
+            this._panel.style.display = 'none';
+            this.isVisible = false;
+        });
+
+        return elt('div', { class: 'diva-modal diva-toc-modal' },
+            elt('div', closeButton, elt('h2', { class: 'diva-toc-title' }, this.core.translate('contents'))),
+            elt('div', { class: 'diva-toc-content' },
+                this.createList(this.core.settings.manifest.ranges, [])
+            )
+        );
+    }
+
+    /**
+     * Replace the panel with one showing the ranges of the current manifest.
+     **/
+    rebuildPanel ()
+    {
+        this._items = [];
+
+        const panel = this.createPanel();
+        panel.style.display = this._panel.style.display;
+        this._panel.parentNode.replaceChild(panel, this._panel);
+        this._panel = panel;
+        this.highlightRange(this.core.settings.activePageIndex);
+    }
+
+    /**
+     * Create the nested list for an array of ranges. Only the top-level list is expanded.
+     **/
+    createList (ranges, ancestors)
+    {
+        return elt('ul', { class: 'diva-toc-list' }, ranges.map(range =>
+        {
+            const item = elt('li', { class: 'diva-toc-item' });
+            const label = elt('a', { class: 'diva-toc-label', href: '#' }, range.label);
+
+            label.addEventListener('click', (event) =>
+            {
+                event.preventDefault();
+
+                if (range.start !== null)
+                    this.core.publicInstance.gotoPageByIndex(range.start);
+            });
+
+            if (range.start === null)
+                label.classList.add('diva-toc-empty');
+
+            if (range.children.length)
+            {
+                const toggle = elt('button', { class: 'diva-toc-toggle', title: this.core.translate('expand') });
+
+                toggle.addEventListener('click', () =>
+                {
+                    this.setExpanded(item, item.classList.contains('diva-toc-collapsed'));
+                });
+
+                item.appendChild(toggle);
+                item.appendChild(label);
+                item.appendChild(this.createList(range.children, ancestors.concat(item)));
+                this.setExpanded(item, ancestors.length === 0);
+            }
+            else
+            {
+                item.appendChild(label);
+            }
+
+            this._items.push({ item: item, range: range, ancestors: ancestors });
+
+            return item;
+        }));
+    }
+
+    setExpanded (item, isExpanded)
+    {
+        item.classList.toggle('diva-toc-collapsed', !isExpanded);
+        item.querySelector('.diva-toc-toggle').title = this.core.translate(isExpanded ? 'collapse' : 'expand');
+    }
+
+    /**
+     * Highlight the most deeply nested range which contains the given page, and expand
+     * the ranges around it.
+     **/
+    highlightRange (pageIndex)
+    {
+        let current = null;
+
+        this._items.forEach(entry =>
+        {
+            entry.item.classList.remove('diva-toc-current');
+
+            if (entry.range.pages.indexOf(pageIndex) !== -1 && (!current || entry.ancestors.length > current.ancestors.length))
+                current = entry;
+        });
+
+        if (!current)
+            return;
+
+        current.item.classList.add('diva-toc-current');
+        current.ancestors.forEach(ancestor => this.setExpanded(ancestor, true));
+    }
+
+    /**
+     * Create a toolbar icon showing a list, if the manifest has ranges.
+     **/
+    createIcon ()
+    {
+        if (!this.core.settings.manifest.ranges.length)
+            return;
+
+        const toolbarIcon = document.createElement('div');
+        toolbarIcon.classList.add('diva-toc-icon', 'diva-button');
+        toolbarIcon.title = this.core.translate('tableOfContents');
+
+        let root = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+        root.setAttribute("viewBox", "0 0 20 20");
+        root.setAttribute('style', 'display: block; padding: 7%');
+        root.id = `${this.core.settings.selector}toc-icon`;
+
+        let g = document.createElementNS("http://www.w3.org/2000/svg", "g");
+        g.id = `${this.core.settings.selector}toc-icon-glyph`;
+        g.setAttribute("class", "diva-toolbar-icon");
+
+        let path = document.createElementNS("http://www.w3.org/2000/svg", "path");
+        path.setAttribute("d", "M1,3 L4,3 L4,6 L1,6 Z M6,3 L19,3 L19,6 L6,6 Z M4,8.5 L7,8.5 L7,11.5 L4,11.5 Z M9,8.5 L19,8.5 L19,11.5 L9,11.5 Z M4,14 L7,14 L7,17 L4,17 Z M9,14 L19,14 L19,17 L9,17 Z");
+
+        g.appendChild(path);
+        root.appendChild(g);
+
+        toolbarIcon.appendChild(root);
+
+        return toolbarIcon;
+    }
+}
+
+TableOfContentsPlugin.prototype.pluginName = "table-of-contents";
+TableOfContentsPlugin.prototype.isPageTool = false;
+
+/**
+ * Make this plugin available in the global context
+ * as part of the 'Diva' namespace.
+ **/
+(function (global)
+{
+    global.Diva.TableOfContentsPlugin = TableOfContentsPlugin;
+})(window);
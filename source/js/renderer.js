@@ -1,12 +1,18 @@
 import { elt, setAttributes } from './utils/elt';
 import CompositeImage from './composite-image';
 import DocumentLayout from './document-layout';
+import FetchImageRequestHandler from './fetch-image-request-handler';
 import ImageCache from './image-cache';
 import ImageRequestHandler from './image-request-handler';
 import InterpolateAnimation from './interpolate-animation';
+import TileRequestScheduler from './tile-request-scheduler';
+import { isSideways, rotateRegion } from './utils/rotation';
 
 const REQUEST_DEBOUNCE_INTERVAL = 250;
 
+// How many zoom levels below the one shown the fallback tiles are loaded from
+const FALLBACK_ZOOM_LEVEL_DIFFERENCE = 2;
+
 export default class Renderer
 {
     constructor (options, hooks)
@@ -18,7 +24,8 @@ export default class Renderer
 
         this._hooks = hooks || {};
 
-        this._canvas = elt('canvas', { class: 'diva-viewer-canvas' });
+        // The canvas only shows the page images; the viewport describes the document to assistive technology
+        this._canvas = elt('canvas', { class: 'diva-viewer-canvas', 'aria-hidden': 'true' });
         this._ctx = this._canvas.getContext('2d');
 
         this.layout = null;
@@ -31,13 +38,12 @@ export default class Renderer
         this._renderedTiles = null;
         this._animation = null;
 
-        // FIXME(wabain): What level should this be maintained at?
-        // Diva global?
-        this._cache = new ImageCache();
-        this._pendingRequests = {};
+        // The images are kept when the view changes, and shared with the other viewers of the page
+        this._cache = ImageCache.getShared(this._settings.imageCacheSize * 1024 * 1024);
+        this._scheduler = new TileRequestScheduler(this._settings.maxTileRequests);
     }
 
-    static getCompatibilityErrors ()
+    static getCompatibilityErrors (translate)
     {
         if (typeof HTMLCanvasElement !== 'undefined')
         {
@@ -45,8 +51,8 @@ export default class Renderer
         }
 
         return [
-            'Your browser lacks support for the ', elt('pre', 'canvas'),
-            ' element. Please upgrade your browser.'
+            translate('canvasUnsupported'), elt('pre', 'canvas'),
+            translate('upgradeBrowser')
         ];
     }
 
@@ -136,6 +142,21 @@ export default class Renderer
         }
     }
 
+    /**
+     * Discard the tiles of a page and, if it is rendered, request them again from
+     * the source resolver (e.g. after the page's image information has changed).
+     */
+    reloadPage (pageIndex)
+    {
+        if (!this._compositeImages)
+            return;
+
+        delete this._compositeImages[pageIndex];
+
+        if (this._renderedPages && this._renderedPages.indexOf(pageIndex) !== -1)
+            this._render();
+    }
+
     _render ()
     {
         const newRenderedPages = [];
@@ -267,91 +288,125 @@ export default class Renderer
         });
     }
 
-    // This method should be sent all visible pages at once because it will initiate
-    // all image requests and cancel any remaining image requests. In the case that
-    // a request is ongoing and the tile is still visible in the viewport, the old request
-    // is kept active instead of restarting it. The image requests are given a timeout
-    // before loading in order to debounce them and have a small reaction time
-    // to cancel them and avoid useless requests.
+    // This method should be sent all visible pages at once because it will queue all
+    // image requests and cancel any remaining image requests. In the case that a request
+    // is ongoing and the tile is still visible in the viewport, the old request is kept
+    // active instead of restarting it. Only maxTileRequests requests load at once: first
+    // the tiles of a lower zoom level, which give something to show quickly, then the
+    // tiles nearest to the centre of the viewport.
     _initiateTileRequests (pages)
     {
-        // Only requests in this object are kept alive, since all others are not visible in the viewport
-        const newPendingRequests = {};
+        const fallbackTiles = [];
+        const tiles = [];
 
-        // Used later as a closure to initiate the image requests with the right source and pageIndex
-        const initiateRequest = (source, pageIndex) =>
+        const isMissing = (pageIndex, source) =>
         {
-            const composite = this._compositeImages[pageIndex];
+            if (!this._isTileForSourceVisible(pageIndex, source))
+                return false;
+
+            return !this._compositeImages[pageIndex].isTileCached(source.url, this._cache);
+        };
 
-            newPendingRequests[source.url] = new ImageRequestHandler({
+        const getRequestInfo = (pageIndex, source) => ({
+            distance: this._getDistanceToViewportCenter(pageIndex, source),
+            request: {
                 url: source.url,
-                timeoutTime: REQUEST_DEBOUNCE_INTERVAL,
-                settings: this._settings,
-                load: img =>
-                {
-                    delete this._pendingRequests[source.url];
-                    this._cache.put(source.url, img);
+                start: (done) => this._requestTile(pageIndex, source, done)
+            }
+        });
 
-                    // Awkward way to check for updates
-                    if (composite === this._compositeImages[pageIndex])
-                    {
-                        composite.updateWithLoadedUrls([source.url]);
+        pages.forEach(pageIndex =>
+        {
+            const level = this._sourceResolver.getBestZoomLevelForPage(this.layout.getPageInfo(pageIndex));
+            const missingTiles = level.tiles.filter(source => isMissing(pageIndex, source));
 
-                        if (this._isTileForSourceVisible(pageIndex, source))
-                        {
-                            this._paint();
-                        }
-                    }
-                    else
-                    {
-                        if (this._isTileForSourceVisible(pageIndex, source))
-                            this._paint();
-                    }
-                },
-                error: () =>
-                {
-                    // TODO: Could make a limited number of retries, etc.
-                    delete this._pendingRequests[source.url];
-                }
-            });
-        };
+            if (!missingTiles.length)
+                return;
 
-        for (let i = 0; i < pages.length; i++)
-        {
-            const pageIndex = pages[i];
-            const tiles = this._sourceResolver.getBestZoomLevelForPage(this.layout.getPageInfo(pageIndex)).tiles;
+            missingTiles.forEach(source => tiles.push(getRequestInfo(pageIndex, source)));
+
+            const fallbackLevel = this._compositeImages[pageIndex].getLevel(level.zoomLevel - FALLBACK_ZOOM_LEVEL_DIFFERENCE);
 
-            for (let j = 0; j < tiles.length; j++)
+            if (fallbackLevel)
             {
-                const source = tiles[j];
-                if (this._cache.has(source.url) || !this._isTileForSourceVisible(pageIndex, source))
+                fallbackLevel.tiles
+                    .filter(source => isMissing(pageIndex, source))
+                    .forEach(source => fallbackTiles.push(getRequestInfo(pageIndex, source)));
+            }
+        });
+
+        const byDistance = (a, b) => a.distance - b.distance;
+
+        this._scheduler.update(fallbackTiles.sort(byDistance).concat(tiles.sort(byDistance)).map(info => info.request));
+    }
+
+    // Start loading a tile, and call done once it has loaded or failed. The image requests
+    // are given a timeout before loading in order to debounce them and have a small reaction
+    // time to cancel them and avoid useless requests.
+    _requestTile (pageIndex, source, done)
+    {
+        const composite = this._compositeImages[pageIndex];
+
+        // Images protected by IIIF Auth are requested with the cookies of the user's session
+        const page = this._settings.manifest.pages[pageIndex];
+
+        const RequestHandler = this._settings.fetchTiles ? FetchImageRequestHandler : ImageRequestHandler;
+
+        return new RequestHandler({
+            url: source.url,
+            timeoutTime: REQUEST_DEBOUNCE_INTERVAL,
+            settings: this._settings,
+            crossOrigin: page.auth ? null : this._settings.imageCrossOrigin,
+            load: img =>
+            {
+                done();
+                this._cache.put(source.url, img);
+
+                // Awkward way to check for updates
+                if (composite === this._compositeImages[pageIndex])
                 {
-                    continue;
-                }
+                    composite.updateWithLoadedUrls([source.url]);
 
-                // Don't create a new request if the tile is already being loaded
-                if (this._pendingRequests[source.url])
+                    if (this._isTileForSourceVisible(pageIndex, source))
+                    {
+                        this._paint();
+                    }
+                }
+                else
                 {
-                    newPendingRequests[source.url] = this._pendingRequests[source.url];
-                    delete this._pendingRequests[source.url];
-                    continue;
+                    if (this._isTileForSourceVisible(pageIndex, source))
+                        this._paint();
                 }
+            },
+            error: () =>
+            {
+                // TODO: Could make a limited number of retries, etc.
+                done();
 
-                // Use a closure since the load and error methods are going to be called later and
-                // we need to keep the right reference to the source and the page index
-                initiateRequest(source, pageIndex);
+                if (this._hooks.onTileLoadError)
+                    this._hooks.onTileLoadError(pageIndex, source.url);
             }
-        }
+        });
+    }
 
-        for (const url in this._pendingRequests)
-        {
-            this._pendingRequests[url].abort();
-        }
-        this._pendingRequests = newPendingRequests;
+    // The distance between the centre of a tile and the centre of the viewport
+    _getDistanceToViewportCenter (pageIndex, source)
+    {
+        const region = this._getTileRegion(pageIndex, getScaledTileRecord(source, this._zoomLevel));
+        const x = region.left + region.width / 2 - (this._viewport.left + this._viewport.width / 2);
+        const y = region.top + region.height / 2 - (this._viewport.top + this._viewport.height / 2);
+
+        return Math.sqrt(x * x + y * y);
     }
 
     _drawTile (pageIndex, scaledTile, img)
     {
+        if (this.layout.getPageInfo(pageIndex).rotation)
+        {
+            this._drawRotatedTile(pageIndex, scaledTile, img);
+            return;
+        }
+
         let tileOffset = this._getTileToDocumentOffset(pageIndex, scaledTile);
 
         // Ensure the document is drawn to the center of the viewport
@@ -389,6 +444,40 @@ export default class Renderer
             destWidth, destHeight);
     }
 
+    // Tiles of rotated pages are drawn rotated about their center, into the region
+    // they cover once the page is rotated. The canvas clips the parts outside the viewport.
+    _drawRotatedTile (pageIndex, scaledTile, img)
+    {
+        const rotation = this.layout.getPageInfo(pageIndex).rotation;
+        const region = this._getTileRegion(pageIndex, scaledTile);
+
+        // Ensure the document is drawn to the center of the viewport
+        const viewportPaddingX = Math.max(0, (this._viewport.width - this.layout.dimensions.width) / 2);
+        const viewportPaddingY = Math.max(0, (this._viewport.height - this.layout.dimensions.height) / 2);
+
+        const centerX = region.left - this._viewport.left + viewportPaddingX + region.width / 2;
+        const centerY = region.top - this._viewport.top + viewportPaddingY + region.height / 2;
+
+        // The dimensions of the tile before it is rotated
+        const width = isSideways(rotation) ? region.height : region.width;
+        const height = isSideways(rotation) ? region.width : region.height;
+
+        // As in _drawTile, don't ask for more than the actual size of the image
+        const sourceWidth = Math.min(img.width, width / scaledTile.scaleRatio);
+        const sourceHeight = Math.min(img.height, height / scaledTile.scaleRatio);
+
+        this._ctx.save();
+        this._ctx.translate(centerX, centerY);
+        this._ctx.rotate(rotation * Math.PI / 180);
+        this._ctx.drawImage(
+            img,
+            0, 0,
+            sourceWidth, sourceHeight,
+            -width / 2, -height / 2,
+            width, height);
+        this._ctx.restore();
+    }
+
     _isTileForSourceVisible (pageIndex, tileSource)
     {
         return this._isTileVisible(pageIndex, getScaledTileRecord(tileSource, this._zoomLevel));
@@ -396,17 +485,54 @@ export default class Renderer
 
     _isTileVisible (pageIndex, scaledTile)
     {
-        const tileOffset = this._getTileToDocumentOffset(pageIndex, scaledTile);
+        const region = this._getTileRegion(pageIndex, scaledTile);
 
         // FIXME(wabain): This check is insufficient during a zoom transition
         return this._viewport.intersectsRegion({
-            top: tileOffset.top,
-            bottom: tileOffset.top + scaledTile.dimensions.height,
-            left: tileOffset.left,
-            right: tileOffset.left + scaledTile.dimensions.width
+            top: region.top,
+            bottom: region.top + region.height,
+            left: region.left,
+            right: region.left + region.width
         });
     }
 
+    // Get the region of the document covered by a tile, once its page is rotated
+    _getTileRegion (pageIndex, scaledTile)
+    {
+        const imageOffset = this._getImageOffset(pageIndex);
+        const pageInfo = this.layout.getPageInfo(pageIndex);
+
+        let region = {
+            top: scaledTile.offset.top,
+            left: scaledTile.offset.left,
+            width: scaledTile.dimensions.width,
+            height: scaledTile.dimensions.height
+        };
+
+        if (pageInfo.rotation)
+        {
+            const sideways = isSideways(pageInfo.rotation);
+            const pageDimensions = {
+                width: sideways ? pageInfo.dimensions.height : pageInfo.dimensions.width,
+                height: sideways ? pageInfo.dimensions.width : pageInfo.dimensions.height
+            };
+
+            // The last row and column of tiles are only partly covered by the image;
+            // trim them to the page so that they stay anchored to its edge once rotated
+            region.width = Math.max(0, Math.min(region.width, pageDimensions.width - region.left));
+            region.height = Math.max(0, Math.min(region.height, pageDimensions.height - region.top));
+
+            region = rotateRegion(region, pageDimensions, pageInfo.rotation);
+        }
+
+        return {
+            top: imageOffset.top + region.top,
+            left: imageOffset.left + region.left,
+            width: region.width,
+            height: region.height
+        };
+    }
+
     _getTileToDocumentOffset (pageIndex, scaledTile)
     {
         const imageOffset = this._getImageOffset(pageIndex);
@@ -522,13 +648,11 @@ export default class Renderer
         this._clearAnimation();
 
         // FIXME(wabain): I don't know if we should actually do this
-        Object.keys(this._pendingRequests).forEach((req) =>
-        {
-            const handler = this._pendingRequests[req];
-            delete this._pendingRequests[req];
+        this._scheduler.clear();
 
-            handler.abort();
-        }, this);
+        // Let the shared cache evict the images which were shown
+        (this._renderedTiles || []).forEach(url => this._cache.release(url));
+        this._renderedTiles = null;
 
         this._canvas.parentNode.removeChild(this._canvas);
     }
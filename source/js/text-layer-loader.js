@@ -0,0 +1,51 @@
+import parseTextLayer from './parse-text-layer';
+
+/**
+ * @class TextLayerLoader
+ * @private
+ *
+ * Loads the ALTO and hOCR documents with the text of pages. Each document is
+ * only fetched once.
+ */
+export default class TextLayerLoader
+{
+    constructor ()
+    {
+        this._requests = {};
+    }
+
+    /**
+     * Returns a promise for the parsed text of a page (see parseTextLayer). The
+     * promise resolves to null if the document cannot be loaded or parsed.
+     *
+     * @param {string} url - The URL of the ALTO or hOCR document
+     * @returns {Promise}
+     */
+    load (url)
+    {
+        if (!this._requests.hasOwnProperty(url))
+        {
+            this._requests[url] = fetch(url).then(response =>
+            {
+                if (!response.ok)
+                    throw new Error(response.statusText);
+
+                return response.text();
+            }).then(source =>
+            {
+                const textLayer = parseTextLayer(source);
+
+                if (!textLayer)
+                    throw new Error('Not an ALTO or hOCR document');
+
+                return textLayer;
+            }).catch(error =>
+            {
+                console.warn('Could not load the text layer from ' + url + ': ' + error.message);
+                return null;
+            });
+        }
+
+        return this._requests[url];
+    }
+}
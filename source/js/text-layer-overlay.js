@@ -0,0 +1,104 @@
+import { positionOverPage } from './utils/page-overlays';
+import { getRotationTransform, isSideways } from './utils/rotation';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * A page overlay which places the text of a page, from its ALTO or hOCR document, over
+ * its image. The text is transparent, but can be selected, copied and found with the
+ * browser's find. It is loaded when the page is first mounted.
+ *
+ * Each line is an SVG text element which is stretched to the width of the line on the
+ * page. The SVG is measured in the units of the canvas, so that the text follows the
+ * page at any zoom level.
+ *
+ * Publishes TextLayerDidLoad when the text of the page has loaded.
+ **/
+export default class TextLayerOverlay
+{
+    constructor (pageIndex, viewerCore)
+    {
+        this.page = pageIndex;
+
+        this._viewerCore = viewerCore;
+        this._innerElement = viewerCore.getSettings().innerElement;
+        this._svgElem = null;
+        this._textLayer = null;
+        this._rotation = 0;
+    }
+
+    mount ()
+    {
+        if (this._svgElem === null)
+        {
+            this._svgElem = document.createElementNS(SVG_NS, 'svg');
+            this._svgElem.setAttribute('class', 'diva-text-layer');
+            this._svgElem.setAttribute('preserveAspectRatio', 'none');
+
+            // Select text rather than drag the document, and select words rather than zoom
+            this._svgElem.addEventListener('mousedown', event => event.stopPropagation());
+            this._svgElem.addEventListener('dblclick', event => event.stopPropagation());
+
+            this._viewerCore.getPageTextLayer(this.page).then(textLayer =>
+            {
+                this._textLayer = textLayer;
+
+                if (textLayer)
+                    this._renderText(textLayer);
+
+                this._viewerCore.publish('TextLayerDidLoad', this.page, textLayer);
+            });
+        }
+
+        this.refresh();
+        this._innerElement.appendChild(this._svgElem);
+    }
+
+    _renderText (textLayer)
+    {
+        const dimensions = this._viewerCore.getSettings().manifest.getMaxPageDimensions(this.page);
+        const group = document.createElementNS(SVG_NS, 'g');
+
+        this._rotation = this._viewerCore.getPageRotation(this.page);
+
+        const viewBox = isSideways(this._rotation) ?
+            [0, 0, dimensions.height, dimensions.width] : [0, 0, dimensions.width, dimensions.height];
+
+        // The text is measured in the units of its document, which are scaled to the canvas
+        const scale = `scale(${dimensions.width / textLayer.width} ${dimensions.height / textLayer.height})`;
+
+        this._svgElem.setAttribute('viewBox', viewBox.join(' '));
+        group.setAttribute('transform', `${getRotationTransform(dimensions, this._rotation)} ${scale}`);
+
+        textLayer.lines.forEach(line =>
+        {
+            const text = document.createElementNS(SVG_NS, 'text');
+
+            // Put the baseline a little above the bottom of the line, for the descenders
+            text.setAttribute('x', line.x);
+            text.setAttribute('y', line.y + line.h * 0.8);
+            text.setAttribute('font-size', line.h);
+            text.setAttribute('textLength', line.w);
+            text.setAttribute('lengthAdjust', 'spacingAndGlyphs');
+            text.textContent = line.text;
+
+            group.appendChild(text);
+        });
+
+        this._svgElem.textContent = '';
+        this._svgElem.appendChild(group);
+    }
+
+    unmount ()
+    {
+        this._innerElement.removeChild(this._svgElem);
+    }
+
+    refresh ()
+    {
+        if (this._textLayer && this._rotation !== this._viewerCore.getPageRotation(this.page))
+            this._renderText(this._textLayer);
+
+        positionOverPage(this._svgElem, this._viewerCore, this.page);
+    }
+}
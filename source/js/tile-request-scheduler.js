@@ -0,0 +1,102 @@
+/**
+ * @class TileRequestScheduler
+ * @private
+ *
+ * Limits the number of tile requests which are loading at the same time, so that slow
+ * image servers do not exhaust the connections of the browser. The wanted requests are
+ * given in order of priority; the first ones are started, and the others wait for a
+ * request to end.
+ */
+export default class TileRequestScheduler
+{
+    /**
+     * @param {number} maxRequests - The number of requests which may load at the same time,
+     * or 0 for no limit.
+     */
+    constructor (maxRequests)
+    {
+        this.maxRequests = maxRequests;
+
+        this._queue = [];       // The requests waiting to start, in order of priority
+        this._active = {};      // The handlers of the requests being loaded, by URL
+        this._activeCount = 0;
+    }
+
+    /**
+     * Set the requests which are wanted, in order of priority. Each request has a URL and a
+     * start function, which is given a callback to call once the request has loaded or
+     * failed, and returns a handler with an abort method.
+     *
+     * Requests which are loading and still wanted carry on; those which are no longer wanted
+     * (e.g. the tiles were scrolled out of view) are aborted.
+     *
+     * @param {Array.<{url: string, start: function}>} requests
+     */
+    update (requests)
+    {
+        const wanted = {};
+
+        requests.forEach(request =>
+        {
+            wanted[request.url] = true;
+        });
+
+        Object.keys(this._active).forEach(url =>
+        {
+            if (!wanted[url])
+                this._abort(url);
+        });
+
+        this._queue = requests.filter(request => !this._active.hasOwnProperty(request.url));
+        this._startRequests();
+    }
+
+    /**
+     * Returns true if a request for the URL is loading or waiting to start.
+     */
+    isPending (url)
+    {
+        return this._active.hasOwnProperty(url) || this._queue.some(request => request.url === url);
+    }
+
+    /**
+     * Abort all the requests.
+     */
+    clear ()
+    {
+        this._queue = [];
+        Object.keys(this._active).forEach(url => this._abort(url));
+    }
+
+    _startRequests ()
+    {
+        while (this._queue.length && (!this.maxRequests || this._activeCount < this.maxRequests))
+        {
+            const request = this._queue.shift();
+
+            const handler = request.start(() =>
+            {
+                // Only count the request once, and not after it has been aborted
+                if (this._active[request.url] !== handler)
+                    return;
+
+                delete this._active[request.url];
+                this._activeCount--;
+                this._startRequests();
+            });
+
+            this._active[request.url] = handler;
+            this._activeCount++;
+        }
+    }
+
+    _abort (url)
+    {
+        const handler = this._active[url];
+
+        delete this._active[url];
+        this._activeCount--;
+
+        handler.abort();
+    }
+}
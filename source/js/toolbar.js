@@ -1,5 +1,7 @@
 import diva from './diva-global';
 import { elt } from './utils/elt';
+import makeAccessibleButton from './utils/accessible-button';
+import { translate } from './i18n';
 
 export default class Toolbar
 {
@@ -23,6 +25,18 @@ export default class Toolbar
     }
 
 
+    /** Get a message of the user interface in the language of the viewer */
+    _t (key, params)
+    {
+        return translate(this.settings.language, key, params);
+    }
+
+    /** The 1-based zoom level shown in the zoom label, rounded to one decimal place */
+    _formatZoomLevel ()
+    {
+        return String(Math.round((this.settings.zoomLevel + 1) * 10) / 10);
+    }
+
     /** Convenience function to subscribe to a Diva event */
     _subscribe (event, callback)
     {
@@ -36,7 +50,8 @@ export default class Toolbar
             type: 'button',
             id: this.settings.ID + name,
             class: 'diva-' + name + ' diva-button',
-            title: label
+            title: label,
+            'aria-label': label
         });
 
         if (icon)
@@ -61,19 +76,19 @@ export default class Toolbar
         let zoomInIcon = this._createZoomInIcon();
 
         let zoomButtons = [
-            this.createButton('zoom-out-button', 'Zoom Out', () => {
-                this.viewer.setZoomLevel(this.settings.zoomLevel - 1);
+            this.createButton('zoom-out-button', this._t('zoomOut'), () => {
+                this.viewer.zoomOut();
             }, zoomOutIcon),
-            this.createButton('zoom-in-button', 'Zoom In', () => {
-                this.viewer.setZoomLevel(this.settings.zoomLevel + 1);
+            this.createButton('zoom-in-button', this._t('zoomIn'), () => {
+                this.viewer.zoomIn();
             }, zoomInIcon),
-            this.createLabel('diva-zoom-label', 'zoom-label', 'Zoom level: ', 'zoom-level', this.settings.zoomLevel + 1)
+            this.createLabel('diva-zoom-label', 'zoom-label', this._t('zoomLevel'), 'zoom-level', this._formatZoomLevel())
         ];
 
         let zoomHandler = function ()
         {
             let labelEl = document.getElementById(this.settings.ID + 'zoom-level');
-            labelEl.textContent = this.settings.zoomLevel + 1;
+            labelEl.textContent = this._formatZoomLevel();
         };
 
         this._subscribe('ZoomLevelDidChange', zoomHandler);
@@ -88,13 +103,13 @@ export default class Toolbar
         let gridFewerIcon = this._createGridFewerIcon();
 
         let gridButtons = [
-            this.createButton('grid-out-button', 'Fewer', () => {
+            this.createButton('grid-out-button', this._t('fewerPagesPerRow'), () => {
                 this.viewer.setGridPagesPerRow(this.settings.pagesPerRow - 1);
             }, gridFewerIcon),
-            this.createButton('grid-in-button', 'More', () => {
+            this.createButton('grid-in-button', this._t('morePagesPerRow'), () => {
                 this.viewer.setGridPagesPerRow(this.settings.pagesPerRow + 1);
             }, gridMoreIcon),
-            this.createLabel('diva-grid-label', 'grid-label', 'Pages per row: ', 'pages-per-row', this.settings.pagesPerRow)
+            this.createLabel('diva-grid-label', 'grid-label', this._t('pagesPerRow'), 'pages-per-row', this.settings.pagesPerRow)
         ];
 
         let gridChangeHandler = function ()
@@ -157,14 +172,15 @@ export default class Toolbar
             id: this.settings.ID + 'goto-page-input',
             class: 'diva-input diva-goto-page-input',
             autocomplete: 'off',
-            type: 'text'
+            type: 'text',
+            'aria-label': this._t('goToPage')
         });
 
         const gotoPageSubmit = elt('input', {
             id: this.settings.ID + 'goto-page-submit',
             class: 'diva-button diva-button-text',
             type: 'submit',
-            value: 'Go'
+            value: this._t('go')
         });
 
         const inputSuggestions = elt('div', {
@@ -192,13 +208,13 @@ export default class Toolbar
             {
                 const pageIndex = this.settings.onGotoSubmit(desiredPageLabel);
                 if (!this.viewer.gotoPageByIndex(pageIndex))
-                    window.alert("No page could be found with that label or page number");
+                    window.alert(this._t('pageNotFound'));
 
             }
             else // Default if no function is specified in the settings
             {
                 if (!this.viewer.gotoPageByLabel(desiredPageLabel))
-                    window.alert("No page could be found with that label or page number");
+                    window.alert(this._t('pageNotFound'));
             }
 
             // Hide the suggestions
@@ -319,24 +335,103 @@ export default class Toolbar
 
     createViewMenu ()
     {
-        const viewOptionsList = elt('div', this._elemAttrs('view-options'));
+        const viewOptionsList = elt('div', this._elemAttrs('view-options', {
+            role: 'menu',
+            style: 'display: none'
+        }));
         const gridViewIcon = this._createGridViewIcon();
         const bookViewIcon = this._createBookViewIcon();
         const pageViewIcon = this._createPageViewIcon();
 
+        const changeViewButton = this.createButton('view-icon', this._t('changeView'));
+        changeViewButton.setAttribute('aria-haspopup', 'true');
+        changeViewButton.setAttribute('aria-expanded', 'false');
+        changeViewButton.setAttribute('aria-controls', viewOptionsList.id);
+
+        const getViewOptions = () => Array.prototype.slice.call(viewOptionsList.querySelectorAll('[role="menuitem"]'));
+
+        const showViewOptions = () =>
+        {
+            viewOptionsList.style.display = 'block';
+            changeViewButton.setAttribute('aria-expanded', 'true');
+
+            // Move the focus into the menu so that it can be used with the arrow keys
+            const options = getViewOptions();
+            if (options.length)
+                options[0].focus();
+        };
+
+        const hideViewOptions = (returnFocus) =>
+        {
+            viewOptionsList.style.display = 'none';
+            changeViewButton.setAttribute('aria-expanded', 'false');
+
+            if (returnFocus)
+                changeViewButton.focus();
+        };
+
         const viewOptionsToggle = () =>
         {
-            viewOptionsList.style.display = viewOptionsList.style.display === "none" ? "block" : "none";
+            if (viewOptionsList.style.display === 'none')
+                showViewOptions();
+            else
+                hideViewOptions(false);
         };
 
-        const changeViewButton = this.createButton('view-icon', 'Change view', viewOptionsToggle);
+        changeViewButton.addEventListener('click', viewOptionsToggle);
+
+        changeViewButton.addEventListener('keydown', event =>
+        {
+            // Down arrow opens the menu
+            if (event.keyCode === 40)
+            {
+                event.preventDefault();
+                showViewOptions();
+            }
+        });
+
+        viewOptionsList.addEventListener('keydown', event =>
+        {
+            const options = getViewOptions();
+            const current = options.indexOf(document.activeElement);
+
+            switch (event.keyCode)
+            {
+                case 38: // Up arrow - focus the previous view
+                    event.preventDefault();
+                    options[(current - 1 + options.length) % options.length].focus();
+                    break;
+
+                case 40: // Down arrow - focus the next view
+                    event.preventDefault();
+                    options[(current + 1) % options.length].focus();
+                    break;
+
+                case 27: // Escape - close the menu
+                    event.preventDefault();
+                    hideViewOptions(true);
+                    break;
+
+                case 9: // Tab - close the menu and let the focus move on
+                    hideViewOptions(false);
+                    break;
+            }
+        });
 
         const selectView = (view) =>
         {
             this.viewer.changeView(view);
 
             //hide view menu
-            viewOptionsList.style.display = "none";
+            hideViewOptions(true);
+        };
+
+        const createViewOption = (name, label, view, icon) =>
+        {
+            const option = this.createButton(name, label, selectView.bind(null, view), icon);
+            option.setAttribute('role', 'menuitem');
+            option.setAttribute('tabindex', '-1');
+            return option;
         };
 
         const updateViewMenu = () =>
@@ -365,13 +460,13 @@ export default class Toolbar
 
             // then display document, book, and grid buttons in that order, excluding the current view
             if (this.settings.inGrid || this.settings.inBookLayout)
-                viewOptions.appendChild(this.createButton('document-icon', 'Document View', selectView.bind(null, 'document'), pageViewIcon));
+                viewOptions.appendChild(createViewOption('document-icon', this._t('documentView'), 'document', pageViewIcon));
 
             if (this.settings.inGrid || !this.settings.inBookLayout)
-                viewOptions.appendChild(this.createButton('book-icon', 'Book View', selectView.bind(null, 'book'), bookViewIcon));
+                viewOptions.appendChild(createViewOption('book-icon', this._t('bookView'), 'book', bookViewIcon));
 
             if (!this.settings.inGrid)
-                viewOptions.appendChild(this.createButton('grid-icon', 'Grid View', selectView.bind(null, 'grid'), gridViewIcon));
+                viewOptions.appendChild(createViewOption('grid-icon', this._t('gridView'), 'grid', gridViewIcon));
 
             // remove old menu
             while (viewOptionsList.firstChild)
@@ -387,7 +482,7 @@ export default class Toolbar
         {
             if (viewOptionsList !== event.target)
             {
-                viewOptionsList.style.display = 'none';
+                hideViewOptions(false);
             }
         });
 
@@ -404,11 +499,25 @@ export default class Toolbar
     {
         let fullscreenIcon = this._createFullscreenIcon();
 
-        return this.createButton('fullscreen-icon', 'Toggle fullscreen mode', () => {
+        return this.createButton('fullscreen-icon', this._t('toggleFullscreen'), () => {
             this.viewer.toggleFullscreenMode();
         }, fullscreenIcon);
     }
 
+    createCollectionButton ()
+    {
+        let collectionIcon = this._createCollectionIcon();
+
+        return this.createButton('collection-icon', this._t('browseCollection'), () => {
+            const picker = this.viewer.viewerState.collectionPicker;
+
+            if (picker.isVisible())
+                picker.hide();
+            else
+                picker.show();
+        }, collectionIcon);
+    }
+
     toggleZoomGridControls ()
     {
         if (!this.settings.inGrid)
@@ -441,6 +550,8 @@ export default class Toolbar
             rightTools.push(this.createFullscreenButton());
         if (this.settings.enableGotoPage)
             rightTools.splice(1, 0, this.createGotoPageForm());
+        if (this.viewer.viewerState.collection)
+            leftTools.unshift(this.createCollectionButton());
 
         // assign toolbar plugins to proper side
         let plugins = this.viewer.viewerState.pluginInstances;
@@ -455,6 +566,9 @@ export default class Toolbar
             if (!plugin.toolbarIcon) // icon couldn't be created
                 continue;
 
+            // plugin icons are not native buttons, so they need to be made reachable by keyboard
+            makeAccessibleButton(plugin.toolbarIcon, plugin.toolbarIcon.title || plugin.pluginName);
+
             // add plugin tools after the go-to-page and page-label tools
             if (plugin.toolbarSide === 'right') 
                 rightTools.splice(2, 0, plugin.toolbarIcon);
@@ -469,7 +583,7 @@ export default class Toolbar
             plugin.handleClick(this.viewer);
         }
 
-        const tools = elt('div', this._elemAttrs('tools'),
+        const tools = elt('div', this._elemAttrs('tools', { role: 'toolbar', 'aria-label': this._t('viewerControls') }),
                     elt('div', this._elemAttrs('tools-left'), leftTools),
                     elt('div', this._elemAttrs('tools-right'), rightTools)
                 );
@@ -488,6 +602,10 @@ export default class Toolbar
         icon.setAttributeNS(null, 'y', '0px');
         icon.setAttributeNS(null, 'style', "enable-background:new 0 0 48 48;");
 
+        // The icons are decorative; buttons are labelled by their aria-label
+        icon.setAttributeNS(null, 'aria-hidden', 'true');
+        icon.setAttributeNS(null, 'focusable', 'false');
+
         let glyph = document.createElementNS("http://www.w3.org/2000/svg", "g");
         glyph.setAttributeNS(null, "transform", "matrix(1, 0, 0, 1, -12, -12)");
 
@@ -570,4 +688,13 @@ export default class Toolbar
 
         return this._createToolbarIcon(paths);
     }
+
+    _createCollectionIcon ()
+    {
+        let paths = [
+            "M13,14h6v20h-6V14z M21,14h6v20h-6V14z M29,14h6v20h-6V14z M12,35h24v1H12V35z"
+        ];
+
+        return this._createToolbarIcon(paths);
+    }
 }
@@ -0,0 +1,33 @@
+const enterKey = 13, spaceKey = 32;
+
+/**
+ * Give an element which is not a native button (e.g. a plugin icon) the role,
+ * label and keyboard behaviour of a button: it can be reached with the Tab key
+ * and activated with Enter or Space, which dispatch a click on it.
+ *
+ * @param {HTMLElement} element - The element to make accessible.
+ * @param {?string} label - The accessible name of the button.
+ * @returns {HTMLElement} - The element.
+ */
+export default function makeAccessibleButton (element, label)
+{
+    if (label)
+        element.setAttribute('aria-label', label);
+
+    if (element.tagName === 'BUTTON')
+        return element;
+
+    element.setAttribute('role', 'button');
+    element.setAttribute('tabindex', '0');
+
+    element.addEventListener('keydown', (event) =>
+    {
+        if (event.keyCode !== enterKey && event.keyCode !== spaceKey)
+            return;
+
+        event.preventDefault();
+        element.click();
+    });
+
+    return element;
+}
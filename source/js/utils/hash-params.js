@@ -56,30 +56,32 @@ function updateHashParam (key, value)
     // First make sure that we have to do any work at all
     const originalValue = getHashParam(key);
     const hash = window.location.hash;
+    const encodedValue = encodeURIComponent(value);
 
     if (originalValue !== value)
     {
         // Is the key already in the URL?
         if (typeof originalValue === 'string')
         {
-            // Already in the URL. Just get rid of the original value
+            // Already in the URL. Just get rid of the original value, which runs to the next ampersand
             const startIndex = (hash.indexOf('&' + key + '=') > 0) ? hash.indexOf('&' + key + '=') : hash.indexOf('#' + key + '=');
-            const endIndex = startIndex + key.length + 2 + originalValue.length;
+            const nextParamIndex = hash.indexOf('&', startIndex + 1);
+            const endIndex = (nextParamIndex === -1) ? hash.length : nextParamIndex;
             // # if it's the first, & otherwise
             const startThing = (startIndex === 0) ? '#' : '&';
-            window.location.replace(hash.substring(0, startIndex) + startThing + key + '=' + value + hash.substring(endIndex));
+            window.location.replace(hash.substring(0, startIndex) + startThing + key + '=' + encodedValue + hash.substring(endIndex));
         }
         else
         {
             // It's not present - add it
             if (hash.length === 0)
             {
-                window.location.replace('#' + key + '=' + value);
+                window.location.replace('#' + key + '=' + encodedValue);
             }
             else
             {
                 // Append it
-                window.location.replace(hash + '&' + key + '=' + value);
+                window.location.replace(hash + '&' + key + '=' + encodedValue);
             }
         }
     }
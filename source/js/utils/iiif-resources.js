@@ -0,0 +1,42 @@
+/**
+ * Helpers for reading the resources of IIIF documents, which differ between versions of
+ * the APIs (e.g. `@id` and `@type` in v2, `id` and `type` in v3) and may give single
+ * values where arrays are expected.
+ */
+
+/**
+ * Returns the value as an array: an empty array for null or undefined, the value itself
+ * if it is an array, and otherwise an array of the value.
+ *
+ * @param {*} value
+ * @returns {Array}
+ */
+export function asArray (value)
+{
+    if (value == null)
+        return [];
+
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Returns the id of a resource, which may be given as a string.
+ *
+ * @param {string|Object} resource
+ * @returns {string}
+ */
+export function getId (resource)
+{
+    return (typeof resource === 'string') ? resource : (resource['@id'] || resource.id);
+}
+
+/**
+ * Returns the type of a resource.
+ *
+ * @param {Object} resource
+ * @returns {string}
+ */
+export function getType (resource)
+{
+    return resource['@type'] || resource.type;
+}
@@ -0,0 +1,80 @@
+import { rotateRegion } from './rotation';
+
+/**
+ * Helpers for the page overlays which draw over the pages (annotations, search hits,
+ * text layers), and for going to the regions they show.
+ */
+
+/**
+ * Place an element over a page, including its padding, in the coordinates of the
+ * inner element of the viewer.
+ *
+ * @param {HTMLElement} element - The element of the overlay.
+ * @param {ViewerCore} viewerCore
+ * @param {number} pageIndex
+ */
+export function positionOverPage (element, viewerCore, pageIndex)
+{
+    const pos = viewerCore.getPageRegion(pageIndex, {
+        includePadding: true,
+        incorporateViewport: true
+    });
+
+    // if window is resized larger, a margin is created - need to subtract this from offsets
+    const innerElement = viewerCore.getSettings().innerElement;
+    const marginLeft = window.getComputedStyle(innerElement, null).getPropertyValue('margin-left');
+
+    element.style.top = `${pos.top}px`;
+    element.style.left = `${pos.left - parseInt(marginLeft)}px`;
+    element.style.width = `${pos.right - pos.left}px`;
+    element.style.height = `${pos.bottom - pos.top}px`;
+}
+
+/**
+ * Returns a region of a page, given in the coordinates of its canvas, in percentages
+ * of the page as it is shown (i.e. rotated).
+ *
+ * @param {{x: number, y: number, w: number, h: number}} region
+ * @param {ViewerCore} viewerCore
+ * @param {number} pageIndex
+ * @returns {{left: number, top: number, width: number, height: number}}
+ */
+export function getPercentRegion (region, viewerCore, pageIndex)
+{
+    const dimensions = viewerCore.getSettings().manifest.getMaxPageDimensions(pageIndex);
+
+    // Rotating percentages of the page is the same as rotating a page 100 units square
+    return rotateRegion({
+        left: 100 * region.x / dimensions.width,
+        top: 100 * region.y / dimensions.height,
+        width: 100 * region.w / dimensions.width,
+        height: 100 * region.h / dimensions.height
+    }, { width: 100, height: 100 }, viewerCore.getPageRotation(pageIndex));
+}
+
+/**
+ * Centre the viewport on a region of a page, given in the coordinates of its canvas.
+ * In grid view, or without a region, go to the page instead.
+ *
+ * @param {ViewerCore} viewerCore
+ * @param {number} pageIndex
+ * @param {?{x: number, y: number, w: number, h: number}} region
+ */
+export function gotoPageRegion (viewerCore, pageIndex, region)
+{
+    const dimensions = viewerCore.getCurrentLayout().getPageDimensions(pageIndex);
+
+    if (viewerCore.getSettings().inGrid || !region || !dimensions)
+    {
+        viewerCore.publicInstance.gotoPageByIndex(pageIndex);
+        return;
+    }
+
+    const percentRegion = getPercentRegion(region, viewerCore, pageIndex);
+
+    viewerCore.viewerState.renderer.goto(
+        pageIndex,
+        (percentRegion.top + percentRegion.height / 2) * dimensions.height / 100,
+        (percentRegion.left + percentRegion.width / 2) * dimensions.width / 100
+    );
+}
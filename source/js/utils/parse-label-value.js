@@ -1,34 +1,23 @@
+import parseLanguageMap from './parse-language-map';
+
 /**
- * Parses a v3 manifest's label/value pair from an object & array to a string
+ * Parses a v2 or v3 manifest's label/value pair from an object & array to a string
  *
  * @public
  * @params {string} key - The key from which a label/value pair should be extracted.
+ * @params {?string} language - The preferred language for language maps.
  * @returns {object} - The label/value pair as strings.
  * */
 
-export default function parseLabelValue (key)
+export default function parseLabelValue (key, language)
 {
-    let l = key.label; 
-    let label = (typeof l === 'object') ? l[Object.keys(l)[0]][0] : l;
-
-    let v = key.value;
-    let value;
-    if (Array.isArray(v))
-    { // is array of objects
-        value = v.map(e => e[Object.keys(e)[0]]);
-    }
-    else
-    { // is object where value is possibly an array
-        value = (typeof v === 'object') ? v[Object.keys(v)[0]] : v;
-    }
+    const label = parseLanguageMap(key.label, language)[0];
+    let value = parseLanguageMap(key.value, language);
 
-    if (Array.isArray(value))
-    {
-        value = value.join(', ');
-    }
+    value = value.length ? value.join(', ') : undefined;
 
     return {
         label: label,
         value: value
     };
-}
\ No newline at end of file
+}
@@ -0,0 +1,80 @@
+/**
+ * Parses a IIIF language-aware value into an array of strings. Handles plain strings,
+ * v2 value objects ({"@value": ..., "@language": ...}) and arrays thereof, and v3
+ * language maps ({"en": [...], "none": [...]}).
+ *
+ * When several languages are available the values for `language` are preferred, followed
+ * by values without a language, followed by the first language given.
+ *
+ * @public
+ * @params {string|Object|Array} value - The label, value or summary from the manifest.
+ * @params {?string} language - The preferred language code (e.g., 'en').
+ * @returns {Array} - The values in the chosen language, as strings.
+ * */
+export default function parseLanguageMap (value, language)
+{
+    if (value == null)
+        return [];
+
+    if (typeof value !== 'object')
+        return [String(value)];
+
+    // v2 values: a single value object, or an array of strings and value objects
+    if (Array.isArray(value) || value.hasOwnProperty('@value'))
+    {
+        const entries = (Array.isArray(value) ? value : [value]).map(entry =>
+        {
+            if (entry !== null && typeof entry === 'object')
+                return { language: entry['@language'] || null, value: String(entry['@value']) };
+
+            return { language: null, value: String(entry) };
+        });
+
+        const byLanguage = {};
+
+        entries.forEach(entry =>
+        {
+            const key = entry.language || 'none';
+            (byLanguage[key] || (byLanguage[key] = [])).push(entry.value);
+        });
+
+        return pickLanguage(byLanguage, language);
+    }
+
+    // v3 language map
+    const map = {};
+
+    Object.keys(value).forEach(key =>
+    {
+        const values = Array.isArray(value[key]) ? value[key] : [value[key]];
+        map[key === '@none' ? 'none' : key] = values.map(String);
+    });
+
+    return pickLanguage(map, language);
+}
+
+function pickLanguage (map, language)
+{
+    const keys = Object.keys(map);
+
+    if (keys.length === 0)
+        return [];
+
+    if (language)
+    {
+        if (map[language])
+            return map[language];
+
+        // Match a regional variant (e.g. 'en-GB' for 'en', or 'en' for 'en-GB')
+        const base = language.split('-')[0];
+        const variant = keys.filter(key => key.split('-')[0] === base)[0];
+
+        if (variant)
+            return map[variant];
+    }
+
+    if (map.none)
+        return map.none;
+
+    return map[keys[0]];
+}
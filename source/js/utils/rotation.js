@@ -0,0 +1,116 @@
+/**
+ * Helpers for pages which are shown rotated clockwise by a multiple of 90 degrees.
+ * Page coordinates are measured from the top left of the page, before or after
+ * the rotation.
+ */
+
+/**
+ * Returns the equivalent rotation between 0 and 270 degrees (e.g. 270 for -90).
+ *
+ * @param {number} rotation - A multiple of 90 degrees.
+ * @returns {number}
+ */
+export function normalizeRotation (rotation)
+{
+    return ((rotation % 360) + 360) % 360;
+}
+
+/**
+ * Returns true if a page rotated by the given angle has its width and height swapped.
+ *
+ * @param {number} rotation - The rotation in degrees.
+ * @returns {boolean}
+ */
+export function isSideways (rotation)
+{
+    return normalizeRotation(rotation) % 180 === 90;
+}
+
+/**
+ * Returns the position of a point of a page once the page is rotated.
+ *
+ * @param {{x: number, y: number}} point - The point on the unrotated page.
+ * @param {{width: number, height: number}} dimensions - The dimensions of the unrotated page.
+ * @param {number} rotation - The clockwise rotation in degrees.
+ * @returns {{x: number, y: number}}
+ */
+export function rotatePoint (point, dimensions, rotation)
+{
+    switch (normalizeRotation(rotation))
+    {
+        case 90:
+            return { x: dimensions.height - point.y, y: point.x };
+
+        case 180:
+            return { x: dimensions.width - point.x, y: dimensions.height - point.y };
+
+        case 270:
+            return { x: point.y, y: dimensions.width - point.x };
+
+        default:
+            return { x: point.x, y: point.y };
+    }
+}
+
+/**
+ * Returns the region covered by a region of a page once the page is rotated.
+ *
+ * @param {{left: number, top: number, width: number, height: number}} region - The region on the unrotated page.
+ * @param {{width: number, height: number}} dimensions - The dimensions of the unrotated page.
+ * @param {number} rotation - The clockwise rotation in degrees.
+ * @returns {{left: number, top: number, width: number, height: number}}
+ */
+export function rotateRegion (region, dimensions, rotation)
+{
+    const start = rotatePoint({ x: region.left, y: region.top }, dimensions, rotation);
+    const end = rotatePoint({ x: region.left + region.width, y: region.top + region.height }, dimensions, rotation);
+
+    return {
+        left: Math.min(start.x, end.x),
+        top: Math.min(start.y, end.y),
+        width: Math.abs(end.x - start.x),
+        height: Math.abs(end.y - start.y)
+    };
+}
+
+/**
+ * Returns the position of a point of a rotated page on the page before it was rotated.
+ *
+ * @param {{x: number, y: number}} point - The point on the rotated page.
+ * @param {{width: number, height: number}} dimensions - The dimensions of the unrotated page.
+ * @param {number} rotation - The clockwise rotation in degrees.
+ * @returns {{x: number, y: number}}
+ */
+export function unrotatePoint (point, dimensions, rotation)
+{
+    const rotatedDimensions = isSideways(rotation) ?
+        { width: dimensions.height, height: dimensions.width } : dimensions;
+
+    return rotatePoint(point, rotatedDimensions, -rotation);
+}
+
+/**
+ * Returns the SVG transform which rotates a page of the given dimensions clockwise
+ * about its top left corner, then moves it back into view.
+ *
+ * @param {{width: number, height: number}} dimensions - The dimensions of the unrotated page.
+ * @param {number} rotation - The clockwise rotation in degrees.
+ * @returns {string}
+ */
+export function getRotationTransform (dimensions, rotation)
+{
+    switch (normalizeRotation(rotation))
+    {
+        case 90:
+            return `translate(${dimensions.height} 0) rotate(90)`;
+
+        case 180:
+            return `translate(${dimensions.width} ${dimensions.height}) rotate(180)`;
+
+        case 270:
+            return `translate(0 ${dimensions.width}) rotate(270)`;
+
+        default:
+            return '';
+    }
+}
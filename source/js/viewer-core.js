@@ -2,14 +2,19 @@ import { elt } from './utils/elt';
 import getScrollbarWidth from './utils/get-scrollbar-width';
 import gestureEvents from './gesture-events';
 import diva from './diva-global';
+import AnnotationLoader from './annotation-loader';
+import TextLayerLoader from './text-layer-loader';
 import DocumentHandler from './document-handler';
 import GridHandler from './grid-handler';
+import ImageInfoLoader from './image-info-loader';
+import { resolveLanguage, translate } from './i18n';
 import PageOverlayManager from './page-overlay-manager';
 import Renderer from './renderer';
-import getPageLayouts from './page-layouts';
+import getPageLayouts, { getPageRotations, isReversedLayout } from './page-layouts';
 import createSettingsView from './settings-view';
 import ValidationRunner from './validation-runner';
 import Viewport from './viewport';
+import { isSideways, normalizeRotation, rotatePoint } from './utils/rotation';
 
 const debug = require('debug')('diva:ViewerCore');
 
@@ -18,6 +23,12 @@ function generateId() {
 }
 generateId.counter = 1;
 
+// Whether a key press on the element is meant for it rather than for the viewer
+function isFormControl (element)
+{
+    return /^(INPUT|TEXTAREA|SELECT|BUTTON)$/.test(element.tagName) || element.isContentEditable;
+}
+
 
 // Define validations
 const optionsValidations = [
@@ -84,6 +95,9 @@ const optionsValidations = [
         key: 'zoomLevel',
         validate: (value, settings, config) =>
         {
+            if (!isFinite(value))
+                return settings.minZoomLevel;
+
             if (value > settings.manifest.maxZoom)
             {
                 config.suppressWarning();
@@ -93,6 +107,21 @@ const optionsValidations = [
             if (value < settings.minZoomLevel || value > settings.maxZoomLevel)
                 return settings.minZoomLevel;
         }
+    },
+    {
+        key: 'rotation',
+        validate: (value, settings, config) =>
+        {
+            // Pages can only be turned by quarter turns
+            if (!isFinite(value) || value % 90 !== 0)
+                return 0;
+
+            if (normalizeRotation(value) !== value)
+            {
+                config.suppressWarning();
+                return normalizeRotation(value);
+            }
+        }
     }
 ];
 
@@ -108,9 +137,13 @@ export default class ViewerCore
         this.viewerState = {
             currentPageIndices: [0],    // The visible pages in the viewport
             activePageIndex: 0,         // The current 'active' page in the viewport
+            annotationLoader: new AnnotationLoader(), // Fetches the annotation lists of pages when enableAnnotations is set
+            collection: null,           // The parsed IIIF collection, if objectData was a collection
+            collectionPicker: null,     // The dialog listing the manifests of the collection
             horizontalOffset: 0,        // Distance from the center of the diva element to the top of the current page
             horizontalPadding: 0,       // Either the fixed padding or adaptive padding
             ID: null,                   // The prefix of the IDs of the elements (usually 1-diva-)
+            imageInfoLoader: new ImageInfoLoader(), // Fetches the info.json of image services when fetchImageInfo is set
             initialKeyScroll: false,    // Holds the initial state of enableKeyScroll
             initialSpaceScroll: false,  // Holds the initial state of enableSpaceScroll
             innerElement: null,         // The native .diva-outer DOM object
@@ -118,6 +151,7 @@ export default class ViewerCore
             isActiveDiva: true,         // In the case that multiple diva panes exist on the same page, this should have events funneled to it.
             isScrollable: true,         // Used in enable/disableScrollable public methods
             isZooming: false,           // Flag to keep track of whether zooming is still in progress, for handleZoom
+            liveRegion: null,           // The offscreen element whose changes are read out by screen readers
             loaded: false,              // A flag for when everything is loaded and ready to go.
             manifest: null,
             mobileWebkit: false,        // Checks if the user is on a touch device (iPad/iPod/iPhone/Android)
@@ -127,6 +161,7 @@ export default class ViewerCore
             outerElement: null,         // The native .diva-outer DOM object
             outerObject: {},            // document.getElementById(settings.ID + 'outer'), for selecting the .diva-outer element
             pageOverlays: new PageOverlayManager(),
+            pageRotations: {},          // The rotations of single pages, by page index, added to the rotation setting
             pageTools: [],              // The plugins which are enabled as page tools
             parentObject: this.parentObject, // JQuery object referencing the parent element
             pendingManifestRequest: null, // Reference to the xhr request retrieving the manifest. Used to cancel the request on destroy()
@@ -135,6 +170,7 @@ export default class ViewerCore
             resizeTimer: -1,            // Holds the ID of the timeout used when resizing the window (for clearing)
             scrollbarWidth: 0,          // Set to the actual scrollbar width in init()
             selector: '',               // Uses the generated ID prefix to easily select elements
+            textLayerLoader: new TextLayerLoader(), // Fetches the ALTO and hOCR documents of pages when enableTextLayer is set
             throbberTimeoutID: -1,      // Holds the ID of the throbber loading timeout
             toolbar: null,              // Holds an object with some toolbar-related functions
             verticalOffset: 0,          // Distance from the center of the diva element to the left side of the current page
@@ -201,9 +237,20 @@ export default class ViewerCore
 
         // Create the inner and outer panels
         const innerElem = elt('div', this.elemAttrs('inner', { class: 'diva-inner' }));
-        const viewportElem = elt('div', this.elemAttrs('viewport'), innerElem);
+        // The viewport is focusable so that it can be scrolled with the keyboard
+        const viewportElem = elt('div', this.elemAttrs('viewport', {
+            role: 'region',
+            'aria-label': this.translate('documentViewer'),
+            tabindex: 0
+        }), innerElem);
+        const liveRegionElem = elt('div', this.elemAttrs('live-region', {
+            role: 'status',
+            'aria-live': 'polite',
+            'aria-atomic': 'true'
+        }));
         const outerElem = elt('div', this.elemAttrs('outer'),
             viewportElem,
+            liveRegionElem,
             elt('div', this.elemAttrs('throbber'),
                 [
                     elt('div', { class: 'cube cube1' }),
@@ -225,6 +272,7 @@ export default class ViewerCore
         this.viewerState.innerObject = innerElem;
         this.viewerState.viewportObject = viewportElem;
         this.viewerState.outerObject = outerElem;
+        this.viewerState.liveRegion = liveRegionElem;
 
         this.settings.parentObject.append(outerElem);
 
@@ -261,9 +309,83 @@ export default class ViewerCore
             return attrs;
     }
 
+    // Returns the width ('w') or height ('h') of a page at the current zoom level, which may be
+    // fractional. The width and height of pages turned on their side are swapped.
     getPageData (pageIndex, attribute)
     {
-        return this.settings.manifest.pages[pageIndex].d[this.settings.zoomLevel][attribute];
+        const dimensions = this.settings.manifest.getPageDimensionsAtZoomLevel(pageIndex, this.settings.zoomLevel);
+        const useWidth = (attribute === 'w') !== isSideways(this.getPageRotation(pageIndex));
+
+        return Math.floor(useWidth ? dimensions.width : dimensions.height);
+    }
+
+    // Returns the clockwise rotation of a page in degrees, including the rotation of the document
+    getPageRotation (pageIndex)
+    {
+        return normalizeRotation(this.settings.rotation + (this.viewerState.pageRotations[pageIndex] || 0));
+    }
+
+    /**
+     * Rotate the document, or only the page at pageIndex if it is given, clockwise by the
+     * given multiple of 90 degrees from its unrotated position. A page keeps its rotation
+     * relative to the document when the document is rotated. The point of the active page
+     * at the center of the viewport stays at the center. Returns false if the rotation is invalid.
+     */
+    setRotation (rotation, pageIndex)
+    {
+        if (!isFinite(rotation) || rotation % 90 !== 0)
+            return false;
+
+        rotation = normalizeRotation(rotation);
+
+        // Find the point of the active page image at the center of the viewport
+        const layout = this.getCurrentLayout();
+        const activePageIndex = this.settings.activePageIndex;
+        const pageOffset = layout.getPageOffset(activePageIndex);
+        const imageOffset = layout.getPageOffset(activePageIndex, { includePadding: true });
+        const centerOffset = layout.getPageToViewportCenterOffset(activePageIndex, this.viewerState.viewport);
+        const padding = {
+            x: imageOffset.left - pageOffset.left,
+            y: imageOffset.top - pageOffset.top
+        };
+        const centerPoint = {
+            x: centerOffset.x - padding.x,
+            y: centerOffset.y - padding.y
+        };
+
+        const oldActiveRotation = this.getPageRotation(activePageIndex);
+        const reloadOptions = {};
+        let newActiveRotation;
+
+        if (pageIndex == null)
+        {
+            reloadOptions.rotation = rotation;
+            newActiveRotation = normalizeRotation(rotation + (this.viewerState.pageRotations[activePageIndex] || 0));
+        }
+        else
+        {
+            const pageRotation = normalizeRotation(rotation - this.settings.rotation);
+
+            if (pageRotation)
+                this.viewerState.pageRotations[pageIndex] = pageRotation;
+            else
+                delete this.viewerState.pageRotations[pageIndex];
+
+            newActiveRotation = this.getPageRotation(activePageIndex);
+        }
+
+        // The page is currently shown with the dimensions it has before the turn
+        const turn = newActiveRotation - oldActiveRotation;
+        const rotatedPoint = rotatePoint(centerPoint, layout.getPageDimensions(activePageIndex), turn);
+
+        reloadOptions.goDirectlyTo = activePageIndex;
+        reloadOptions.horizontalOffset = rotatedPoint.x + padding.x;
+        reloadOptions.verticalOffset = rotatedPoint.y + padding.y;
+
+        this.reloadViewer(reloadOptions);
+        this.publish('RotationDidChange', rotation, pageIndex == null ? null : pageIndex);
+
+        return true;
     }
 
     // Reset some settings and empty the viewport
@@ -324,6 +446,10 @@ export default class ViewerCore
             this.viewerState.options.showNonPagedPages = newOptions.showNonPagedPages;
         }
 
+        // Update the rotation of the document (no event fired here)
+        if (this.hasChangedOption(newOptions, 'rotation'))
+            this.viewerState.options.rotation = newOptions.rotation;
+
         // Update page position (no event fired here)
         if ('goDirectlyTo' in newOptions)
         {
@@ -369,6 +495,7 @@ export default class ViewerCore
             // messy and inconsistent
             const rendererConfig = {
                 pageLayouts: getPageLayouts(this.settings),
+                rotations: getPageRotations(this.settings),
                 padding: this.getPadding(),
                 maxZoomLevel: this.settings.inGrid ? null : this.viewerState.manifest.maxZoom,
                 verticallyOriented: this.settings.verticallyOriented || this.settings.inGrid,
@@ -389,7 +516,7 @@ export default class ViewerCore
                     .filter(function (key)
                     {
                         // Too long
-                        return key !== 'pageLayouts' && key !== 'padding';
+                        return key !== 'pageLayouts' && key !== 'rotations' && key !== 'padding';
                     })
                     .map(function (key)
                     {
@@ -466,7 +593,7 @@ export default class ViewerCore
     // TODO: This could probably be done upon ViewerCore initialization
     initializeRenderer ()
     {
-        const compatErrors = Renderer.getCompatibilityErrors();
+        const compatErrors = Renderer.getCompatibilityErrors(key => this.translate(key));
 
         if (compatErrors)
         {
@@ -507,6 +634,10 @@ export default class ViewerCore
                 onZoomLevelWillChange: (zoomLevel) =>
                 {
                     this.publish('ZoomLevelWillChange', zoomLevel);
+                },
+                onTileLoadError: (pageIndex, url) =>
+                {
+                    this.publish('TileLoadError', pageIndex, url);
                 }
             };
 
@@ -525,8 +656,15 @@ export default class ViewerCore
                 },
                 getBestZoomLevelForPage: (page) =>
                 {
+                    // The renderer turns the images of rotated pages, so request them unrotated
+                    const sideways = isSideways(page.rotation);
+                    const dimensions = {
+                        width: sideways ? page.dimensions.height : page.dimensions.width,
+                        height: sideways ? page.dimensions.width : page.dimensions.height
+                    };
+
                     const url = this.settings.manifest.getPageImageURL(page.index, {
-                        width: page.dimensions.width
+                        width: dimensions.width
                     });
 
                     return {
@@ -538,7 +676,7 @@ export default class ViewerCore
                             zoomLevel: 1, // FIXME
                             row: 0,
                             col: 0,
-                            dimensions: page.dimensions,
+                            dimensions: dimensions,
                             offset: {
                                 top: 0,
                                 left: 0
@@ -556,13 +694,22 @@ export default class ViewerCore
             height: this.settings.tileHeight
         };
 
+        // Used in place of the page's tiles while its image information is loading
+        const getEmptyZoomLevel = (level) => ({ zoomLevel: level, rows: 0, cols: 0, tiles: [] });
+
         return {
             getBestZoomLevelForPage: (page) =>
             {
+                if (!this.isPageImageInfoReady(page.index))
+                    return getEmptyZoomLevel(Math.ceil(this.settings.zoomLevel));
+
                 return this.settings.manifest.getPageImageTiles(page.index, Math.ceil(this.settings.zoomLevel), tileDimensions);
             },
             getAllZoomLevelsForPage: (page) =>
             {
+                if (!this.isPageImageInfoReady(page.index))
+                    return [getEmptyZoomLevel(Math.ceil(this.settings.zoomLevel))];
+
                 const levels = [];
                 const levelCount = this.viewerState.manifest.maxZoom;
 
@@ -578,6 +725,67 @@ export default class ViewerCore
         };
     }
 
+    /**
+     * Returns true if the tiles of a page can be requested. When the fetchImageInfo setting
+     * is enabled, this starts loading the page's info.json and returns false until it has
+     * loaded; the page is then rendered again with the advertised tiles.
+     */
+    isPageImageInfoReady (pageIndex)
+    {
+        const manifest = this.settings.manifest;
+
+        if (!this.settings.fetchImageInfo || manifest.hasPageImageInfo(pageIndex))
+            return true;
+
+        this.viewerState.imageInfoLoader.load(manifest.pages[pageIndex].url).then(info =>
+        {
+            // Another request may have set the information, or a new manifest may have been loaded
+            if (manifest.hasPageImageInfo(pageIndex) || manifest !== this.settings.manifest)
+                return;
+
+            manifest.setPageImageInfo(pageIndex, info);
+
+            if (this.viewerState.renderer)
+                this.viewerState.renderer.reloadPage(pageIndex);
+        });
+
+        return false;
+    }
+
+    /**
+     * Returns a promise for the annotations targeting a page, loading the page's
+     * annotation lists if necessary.
+     */
+    getPageAnnotations (pageIndex)
+    {
+        const page = this.settings.manifest.pages[pageIndex];
+        const loader = this.viewerState.annotationLoader;
+
+        const language = this.getLanguage();
+
+        return Promise.all(page.annotations.map(list => loader.load(list, language))).then(lists =>
+        {
+            // Lists may contain annotations on other canvases
+            return [].concat.apply([], lists).filter(annotation => annotation.canvas === page.canvas);
+        });
+    }
+
+    /**
+     * Returns a promise for the text of a page (see parseTextLayer), or for null if the
+     * page has no ALTO or hOCR document. The document is the one given by the textLayerURL
+     * setting if it is set, and the one linked from the canvas otherwise.
+     */
+    getPageTextLayer (pageIndex)
+    {
+        const page = this.settings.manifest.pages[pageIndex];
+        const url = this.settings.textLayerURL ? this.settings.textLayerURL(pageIndex, page.canvas) : page.textLayer;
+
+        if (!url)
+            return Promise.resolve(null);
+
+        return this.viewerState.textLayerLoader.load(url);
+    }
+
     getPadding ()
     {
         let topPadding, leftPadding;
@@ -894,6 +1102,82 @@ export default class ViewerCore
         this.updateOffsets();
     }
 
+    /**
+     * Scroll the viewport by one panel along the scroll axis, towards the end of the
+     * document if direction is positive and towards its beginning otherwise. Documents
+     * which are read bottom-to-top or right-to-left are scrolled up or left to advance.
+     */
+    scrollByPanel (direction)
+    {
+        const step = isReversedLayout(this.settings) ? -direction : direction;
+
+        if (this.settings.verticallyOriented || this.settings.inGrid)
+            this.viewerState.viewport.top += step * this.settings.panelHeight;
+        else
+            this.viewerState.viewport.left += step * this.settings.panelWidth;
+    }
+
+    /**
+     * Scroll the viewport to the beginning or the end of the document, in reading order.
+     */
+    scrollToDocumentEdge (toEnd)
+    {
+        // Count on the viewport coordinate value being normalized
+        const position = (toEnd !== isReversedLayout(this.settings)) ? Infinity : 0;
+
+        if (this.settings.verticallyOriented || this.settings.inGrid)
+            this.viewerState.viewport.top = position;
+        else
+            this.viewerState.viewport.left = position;
+    }
+
+    /**
+     * Returns the id under which plugins store data about the document: the id of its
+     * manifest, or the URL it was loaded from. Returns null for a manifest given as an
+     * object without an id, which cannot be told apart from other documents, so that
+     * nothing is stored for it.
+     */
+    getDocumentId ()
+    {
+        const settings = this.settings;
+
+        if (settings.manifest && settings.manifest.id)
+            return settings.manifest.id;
+
+        return typeof settings.objectData === 'string' ? settings.objectData : null;
+    }
+
+    /**
+     * Returns the language of the user interface and of the labels taken from the
+     * manifest: the `language` setting, or the language of the browser.
+     */
+    getLanguage ()
+    {
+        return resolveLanguage(this.settings.language);
+    }
+
+    /**
+     * Returns a message of the user interface in the language of the viewer. Plugins
+     * should use this rather than hard-coded strings, so that they follow the setting.
+     *
+     * @param {string} key - The message key (see locales/en.js).
+     * @param {?Object} params - The values of the placeholders in the message.
+     */
+    translate (key, params)
+    {
+        return translate(this.settings.language, key, params);
+    }
+
+    /**
+     * Read a message out to screen reader users through the offscreen live region
+     * of the viewer.
+     */
+    announce (message)
+    {
+        if (this.viewerState.liveRegion)
+            this.viewerState.liveRegion.textContent = message;
+    }
+
     // Binds most of the event handlers (some more in createToolbar)
     handleEvents ()
     {
@@ -911,19 +1195,37 @@ export default class ViewerCore
         this.bindMouseEvents();
         this.viewerState.viewportObject.addEventListener('scroll', this.boundScrollFunction);
 
+        // Zoom on the cursor with Ctrl + mouse wheel or a trackpad pinch. In grid view
+        // and when scrolling is disabled, leave the wheel to the browser.
+        gestureEvents.onWheelZoom(this.viewerState.viewportObject, (event, coords, zoomDelta) =>
+        {
+            if (!this.settings.enableWheelZoom || this.settings.inGrid || !this.viewerState.isScrollable)
+                return;
+
+            event.preventDefault();
+            debug('Wheel zoom by %s at %s, %s', zoomDelta, coords.left, coords.top);
+            this.viewerState.viewHandler.onWheelZoom(event, coords, zoomDelta);
+        });
+
         const upArrowKey = 38, downArrowKey = 40, leftArrowKey = 37, rightArrowKey = 39, spaceKey = 32, pageUpKey = 33, pageDownKey = 34, homeKey = 36, endKey = 35;
 
         // Catch the key presses in document
-        document.addEventListener('keydown.diva', (event) =>
+        const onKeyDown = (event) =>
         {
             if (!this.viewerState.isActiveDiva)
-                return true;
+                return;
+
+            // Leave keys handled elsewhere (e.g. by the toolbar or page tools) and
+            // keys typed into form controls alone
+            if (event.defaultPrevented || isFormControl(event.target))
+                return;
 
             // Space or page down - go to the next page
             if ((this.settings.enableSpaceScroll && !event.shiftKey && event.keyCode === spaceKey) || (this.settings.enableKeyScroll && event.keyCode === pageDownKey))
             {
-                this.viewerState.viewport.top += this.settings.panelHeight;
-                return false;
+                event.preventDefault();
+                this.scrollByPanel(1);
+                return;
             }
             else if (!this.settings.enableSpaceScroll && event.keyCode === spaceKey)
             {
@@ -934,60 +1236,65 @@ export default class ViewerCore
             {
                 // Don't steal keyboard shortcuts (metaKey = command [OS X], super [Win/Linux])
                 if (event.shiftKey || event.ctrlKey || event.metaKey)
-                    return true;
+                    return;
 
                 switch (event.keyCode)
                 {
                     case pageUpKey:
                         // Page up - go to the previous page
-                        this.viewerState.viewport.top -= this.settings.panelHeight;
-                        return false;
+                        this.scrollByPanel(-1);
+                        break;
 
                     case upArrowKey:
                         // Up arrow - scroll up
                         this.viewerState.viewport.top -= this.settings.arrowScrollAmount;
-                        return false;
+                        break;
 
                     case downArrowKey:
                         // Down arrow - scroll down
                         this.viewerState.viewport.top += this.settings.arrowScrollAmount;
-                        return false;
+                        break;
 
                     case leftArrowKey:
                         // Left arrow - scroll left
                         this.viewerState.viewport.left -= this.settings.arrowScrollAmount;
-                        return false;
+                        break;
 
                     case rightArrowKey:
                         // Right arrow - scroll right
                         this.viewerState.viewport.left += this.settings.arrowScrollAmount;
-                        return false;
+                        break;
 
                     case homeKey:
                         // Home key - go to the beginning of the document
-                        this.viewerState.viewport.top = 0;
-                        return false;
+                        this.scrollToDocumentEdge(false);
+                        break;
 
                     case endKey:
                         // End key - go to the end of the document
-                        // Count on the viewport coordinate value being normalized
-                        if (this.settings.verticallyOriented)
-                            this.viewerState.viewport.top = Infinity;
-                        else
-                            this.viewerState.viewport.left = Infinity;
-
-                        return false;
+                        this.scrollToDocumentEdge(true);
+                        break;
 
                     default:
-                        return true;
+                        return;
                 }
+
+                event.preventDefault();
             }
-            return true;
-        });
+        };
+
+        document.addEventListener('keydown', onKeyDown);
 
         diva.Events.subscribe('ViewerDidTerminate', function()
         {
-            document.removeEventListener('keydown.diva');
+            document.removeEventListener('keydown', onKeyDown);
+        }, this.settings.ID);
+
+        // Announce the new page to screen readers
+        diva.Events.subscribe('ActivePageDidChange', (pageIndex) =>
+        {
+            const pages = this.settings.manifest.pages;
+            this.announce(this.translate('pageAnnouncement', { label: pages[pageIndex].l, count: pages.length }));
         }, this.settings.ID);
 
         // this.bindTouchEvents();
@@ -1063,9 +1370,9 @@ export default class ViewerCore
     showError (message)
     {
         const errorElement = elt('div', this.elemAttrs('error'), [
-            elt('button', this.elemAttrs('error-close', {'aria-label': 'Close dialog'})),
+            elt('button', this.elemAttrs('error-close', {'aria-label': this.translate('closeDialog')})),
             elt('p',
-                elt('strong', 'Error')
+                elt('strong', this.translate('error'))
             ),
             elt('div', message)
         ]);
@@ -1082,6 +1389,7 @@ export default class ViewerCore
     setManifest (manifest, loadOptions)
     {
         this.viewerState.manifest = manifest;
+        this.viewerState.pageRotations = {};
 
         this.hideThrobber();
 
@@ -1147,8 +1455,12 @@ export default class ViewerCore
             // FIXME: What if inBookLayout/verticallyOriented is changed by loadOptions?
             if (loadOptions.goDirectlyTo === 0 && this.settings.inBookLayout && this.settings.verticallyOriented)
             {
-                // if in book layout, center the first opening by default
-                loadOptions.horizontalOffset = this.viewerState.horizontalPadding;
+                // if in book layout, center the first opening by default. The first page
+                // is on the left of the opening in right-to-left documents.
+                if (this.settings.manifest.viewingDirection === 'right-to-left')
+                    loadOptions.horizontalOffset = this.getPageData(0, 'w') - this.viewerState.horizontalPadding;
+                else
+                    loadOptions.horizontalOffset = this.viewerState.horizontalPadding;
             }
             else
             {
@@ -1168,6 +1480,9 @@ export default class ViewerCore
         //prep dimensions one last time now that pages have loaded
         this.updatePanelSize();
 
+        // Name the viewer after the document for screen reader users
+        this.viewerState.viewportElement.setAttribute('aria-label', this.settings.manifest.itemTitle || this.translate('documentViewer'));
+
         if (this.settings.enableAutoTitle)
         {
             let title = document.getElementById(this.settings.selector + 'title');
@@ -0,0 +1,274 @@
+import diva from "./diva-global";
+
+/**
+ * Links two Diva viewers, each showing its own manifest, so that navigating in
+ * one moves the other to the corresponding place for side-by-side comparison:
+ *
+ * var link = new Diva.ViewerLink(firstDiva, secondDiva, {
+ *     concordance: [['http://example.com/a/canvas/1', 'http://example.com/b/canvas/3'], ...]
+ * });
+ *
+ * Pages correspond through the `mapPage` option if it is given, through the
+ * `concordance` option (a list of [first canvas ID, second canvas ID] pairs)
+ * if it is given, and by page index otherwise. When a page has no counterpart,
+ * the other viewer stays where it is.
+ *
+ * The page, the zoom level and the scroll position within the page are kept in
+ * sync, unless the `syncPage`, `syncZoom` or `syncScroll` options are false.
+ * Call unlink() to stop.
+ **/
+export default class ViewerLink
+{
+    /**
+     * @param {Diva} first - The first viewer.
+     * @param {Diva} second - The second viewer.
+     * @param {Object} [options]
+     * @param {function} [options.mapPage] - Called with (pageIndex, fromViewer, toViewer);
+     *     returns the index of the corresponding page of toViewer, or null if there is none.
+     * @param {Array.<Array.<string>>} [options.concordance] - Pairs of corresponding canvas IDs.
+     * @param {boolean} [options.syncPage=true] - Show corresponding pages.
+     * @param {boolean} [options.syncZoom=true] - Show corresponding pages at the same size.
+     * @param {boolean} [options.syncScroll=true] - Show the same part of corresponding pages.
+     *     This implies syncPage.
+     **/
+    constructor (first, second, options)
+    {
+        this.first = first;
+        this.second = second;
+        this.options = Object.assign({
+            mapPage: null,
+            concordance: null,
+            syncPage: true,
+            syncZoom: true,
+            syncScroll: true
+        }, options);
+
+        // Canvas ID lookups for the concordance, built on first use
+        this._concordanceLookups = null;
+
+        // Whether one viewer is being zoomed to match the other, so that its zoom
+        // level (which may be clamped) is not synced back
+        this._zooming = false;
+
+        this._handles = [];
+
+        this._link(first, second);
+        this._link(second, first);
+    }
+
+    /**
+     * Returns the index of the page of `to` which corresponds to a page of `from`,
+     * or null if there is none.
+     *
+     * @param {number} pageIndex - The index of the page of `from`.
+     * @param {Diva} from - The viewer showing the page.
+     * @param {Diva} to - The other viewer.
+     * @returns {?number}
+     **/
+    mapPage (pageIndex, from, to)
+    {
+        let mapped;
+
+        if (this.options.mapPage)
+            mapped = this.options.mapPage(pageIndex, from, to);
+        else if (this.options.concordance)
+            mapped = this._mapPageByConcordance(pageIndex, from);
+        else
+            mapped = pageIndex;
+
+        const manifest = to.getSettings().manifest;
+
+        if (mapped === null || mapped === undefined || !manifest || !manifest.isPageValid(mapped, true))
+            return null;
+
+        return mapped;
+    }
+
+    /**
+     * Stop syncing the viewers.
+     **/
+    unlink ()
+    {
+        this._handles.forEach(handle => diva.Events.unsubscribe(handle));
+        this._handles = [];
+    }
+
+    _link (source, target)
+    {
+        const id = source.getInstanceId();
+        const subscribe = (topic, callback) => this._handles.push(diva.Events.subscribe(topic, callback, id));
+
+        // Bring a viewer which loads after the other to the corresponding place
+        subscribe('ViewerDidLoad', () =>
+        {
+            if (target.isReady())
+                this._sync(target, source);
+        });
+
+        if (this.options.syncScroll)
+        {
+            subscribe('ViewerDidScroll', () => this._syncScroll(source, target));
+            subscribe('ViewerDidJump', () => this._syncScroll(source, target));
+        }
+        else if (this.options.syncPage)
+        {
+            subscribe('ActivePageDidChange', () => this._syncPage(source, target));
+        }
+
+        if (this.options.syncZoom)
+            subscribe('ZoomLevelDidChange', () => this._syncZoom(source, target));
+
+        subscribe('ViewerWillTerminate', () => this.unlink());
+    }
+
+    _sync (source, target)
+    {
+        if (this.options.syncZoom)
+            this._syncZoom(source, target);
+
+        if (this.options.syncScroll)
+            this._syncScroll(source, target);
+        else if (this.options.syncPage)
+            this._syncPage(source, target);
+    }
+
+    _syncPage (source, target)
+    {
+        if (!source.isReady() || !target.isReady())
+            return;
+
+        const pageIndex = this.mapPage(source.getActivePageIndex(), source, target);
+
+        if (pageIndex !== null && pageIndex !== target.getActivePageIndex())
+            target.gotoPageByIndex(pageIndex);
+    }
+
+    _syncScroll (source, target)
+    {
+        if (!source.isReady() || !target.isReady())
+            return;
+
+        // Positions within pages mean nothing in the grid
+        if (source.settings.inGrid || target.settings.inGrid)
+            return this._syncPage(source, target);
+
+        const from = getViewportCenter(source, source.getActivePageIndex());
+        const pageIndex = from ? this.mapPage(from.pageIndex, source, target) : null;
+        const to = pageIndex === null ? null : getViewportCenter(target, pageIndex);
+
+        if (!to)
+            return;
+
+        // Rounding makes the positions differ by up to a pixel of either page,
+        // which must not set off an endless exchange of scroll events
+        const isClose = (a, b, sizeA, sizeB) => Math.abs(a - b) <= 1 / sizeA + 1 / sizeB;
+
+        if (to.pageIndex === target.getActivePageIndex() &&
+            isClose(from.x, to.x, from.width, to.width) &&
+            isClose(from.y, to.y, from.height, to.height))
+        {
+            return;
+        }
+
+        target.divaState.viewerCore.getInternalState().renderer.goto(pageIndex, from.y * to.height, from.x * to.width);
+    }
+
+    _syncZoom (source, target)
+    {
+        if (this._zooming || !source.isReady() || !target.isReady())
+            return;
+
+        if (source.settings.inGrid || target.settings.inGrid)
+            return;
+
+        const sourcePageIndex = source.getActivePageIndex();
+        const mappedPageIndex = this.mapPage(sourcePageIndex, source, target);
+        const targetPageIndex = mappedPageIndex === null ? target.getActivePageIndex() : mappedPageIndex;
+
+        const sourceManifest = source.getSettings().manifest;
+        const targetManifest = target.getSettings().manifest;
+
+        // Find the zoom level at which the target page is as wide as the source page
+        const sourceWidth = sourceManifest.getPageDimensionsAtZoomLevel(sourcePageIndex, source.getZoomLevel()).width;
+        const targetMaxWidth = targetManifest.getMaxPageDimensions(targetPageIndex).width;
+        const zoomLevel = targetManifest.maxZoom + Math.log2(sourceWidth / targetMaxWidth);
+
+        const clamped = Math.max(target.getMinZoomLevel(), Math.min(target.getMaxZoomLevel(), zoomLevel));
+
+        if (!isFinite(clamped) || Math.abs(clamped - target.getZoomLevel()) < 0.01)
+            return;
+
+        this._zooming = true;
+        target.setZoomLevel(clamped);
+        this._zooming = false;
+    }
+
+    _mapPageByConcordance (pageIndex, from)
+    {
+        if (!this._concordanceLookups)
+            this._concordanceLookups = buildConcordanceLookups(this.options.concordance);
+
+        const lookup = from === this.first ? this._concordanceLookups.forward : this._concordanceLookups.backward;
+        const to = from === this.first ? this.second : this.first;
+
+        const fromPage = from.getSettings().manifest.pages[pageIndex];
+        const canvas = fromPage ? lookup[fromPage.canvas] : undefined;
+
+        if (canvas === undefined)
+            return null;
+
+        const toPages = to.getSettings().manifest.pages;
+
+        for (let i = 0; i < toPages.length; i++)
+        {
+            if (toPages[i].canvas === canvas)
+                return i;
+        }
+
+        return null;
+    }
+}
+
+function buildConcordanceLookups (concordance)
+{
+    const forward = {};
+    const backward = {};
+
+    concordance.forEach(pair =>
+    {
+        // The first pair for a canvas wins
+        if (!forward.hasOwnProperty(pair[0]))
+            forward[pair[0]] = pair[1];
+
+        if (!backward.hasOwnProperty(pair[1]))
+            backward[pair[1]] = pair[0];
+    });
+
+    return { forward, backward };
+}
+
+/**
+ * Returns the centre of the viewport relative to a page, as fractions of the
+ * page's width and height, along with the page's dimensions in the viewer.
+ * Returns null if the page is not in the layout.
+ **/
+function getViewportCenter (viewer, pageIndex)
+{
+    const viewerCore = viewer.divaState.viewerCore;
+    const layout = viewerCore.getCurrentLayout();
+    const dimensions = layout.getPageDimensions(pageIndex);
+
+    // Non-paged pages are not laid out unless they are shown
+    if (!dimensions)
+        return null;
+
+    const offset = layout.getPageToViewportCenterOffset(pageIndex, viewerCore.getViewport());
+
+    return {
+        pageIndex: pageIndex,
+        x: offset.x / dimensions.width,
+        y: offset.y / dimensions.height,
+        width: dimensions.width,
+        height: dimensions.height
+    };
+}
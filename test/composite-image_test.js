@@ -1,4 +1,5 @@
 import CompositeImage from '../source/js/composite-image';
+import ImageCache from '../source/js/image-cache';
 
 describe('Composite Image', function () 
 {
@@ -34,6 +35,26 @@ describe('Composite Image', function ()
         assert.deepEqual(composite.getTiles(2), [tileLevels[2].tiles[0]].concat(mostOfLevel0),
             'Should load lower-res tiles across multiple zoom levels if not completely covered');
     });
+
+    it('isTileCached(url, cache) counts each tile once in the cache statistics', function ()
+    {
+        let tileLevels = [dummyTileLevel({ zoomLevel: 0, baseRows: 1, baseCols: 2 })];
+        let urls = getUrls(tileLevels[0].tiles);
+
+        let cache = new ImageCache();
+        cache.put(urls[0], { width: 1, height: 1 });
+
+        let composite = new CompositeImage(tileLevels);
+
+        for (let i = 0; i < 3; i++)
+        {
+            assert.isTrue(composite.isTileCached(urls[0], cache));
+            assert.isFalse(composite.isTileCached(urls[1], cache));
+        }
+
+        assert.strictEqual(cache.getStats().hits, 1, 'Rendering again should not count as a hit');
+        assert.strictEqual(cache.getStats().misses, 1);
+    });
 });
 
 function dummyTileLevel(options)
@@ -0,0 +1,117 @@
+import FetchImageRequestHandler from '../source/js/fetch-image-request-handler';
+
+// A 1×1 transparent PNG
+const pngURL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+describe('Fetch Image Request Handler', function ()
+{
+    const originalFetch = window.fetch;
+    let requests;
+
+    // Records the requests, which only end once they are aborted
+    const recordRequests = function ()
+    {
+        requests = [];
+
+        window.fetch = (url, init) =>
+        {
+            requests.push({ url: url, init: init });
+
+            return new Promise((resolve, reject) =>
+            {
+                init.signal.addEventListener('abort', () => reject(new window.DOMException('Aborted', 'AbortError')));
+            });
+        };
+    };
+
+    afterEach(function ()
+    {
+        window.fetch = originalFetch;
+    });
+
+    it('decodes tiles as image bitmaps', function (done)
+    {
+        new FetchImageRequestHandler({ // jshint ignore:line
+            url: pngURL,
+            settings: { requestHeaders: {}, imageCrossOrigin: 'anonymous' },
+            load: (image) =>
+            {
+                assert.instanceOf(image, window.ImageBitmap);
+                assert.strictEqual(image.width, 1);
+                done();
+            },
+            error: (error) => done(error)
+        });
+    });
+
+    it('sends the request headers, except Accept', function (done)
+    {
+        recordRequests();
+
+        let handler = new FetchImageRequestHandler({
+            url: 'https://example.org/iiif/image/test-ms/f001r/0,0,256,256/256,256/0/default.jpg',
+            settings: {
+                requestHeaders: { Accept: 'application/json', Authorization: 'Bearer token' },
+                imageCrossOrigin: 'anonymous'
+            },
+            load: () => {},
+            error: () => {}
+        });
+
+        setTimeout(() =>
+        {
+            assert.strictEqual(requests.length, 1);
+            assert.deepEqual(requests[0].init.headers, { Authorization: 'Bearer token' });
+            assert.strictEqual(requests[0].init.credentials, 'same-origin');
+
+            handler.abort();
+            done();
+        }, 0);
+    });
+
+    it('sends the headers given by tileRequestHeaders', function (done)
+    {
+        recordRequests();
+
+        let handler = new FetchImageRequestHandler({
+            url: 'https://example.org/tile.jpg',
+            crossOrigin: null,
+            settings: {
+                requestHeaders: { Authorization: 'Bearer token' },
+                tileRequestHeaders: (url) => ({ 'X-Tile': url }),
+                imageCrossOrigin: 'anonymous'
+            },
+            load: () => {},
+            error: () => {}
+        });
+
+        setTimeout(() =>
+        {
+            assert.deepEqual(requests[0].init.headers, { 'X-Tile': 'https://example.org/tile.jpg' });
+            assert.strictEqual(requests[0].init.credentials, 'include', 'Images requested without CORS should send cookies');
+
+            handler.abort();
+            done();
+        }, 0);
+    });
+
+    it('aborts requests without calling back', function (done)
+    {
+        recordRequests();
+
+        let handler = new FetchImageRequestHandler({
+            url: 'https://example.org/tile.jpg',
+            settings: { requestHeaders: {}, imageCrossOrigin: 'anonymous' },
+            load: () => done(new Error('The request should not load')),
+            error: () => done(new Error('Aborted requests are not errors'))
+        });
+
+        setTimeout(() =>
+        {
+            handler.abort();
+            assert.isTrue(requests[0].init.signal.aborted, 'The request should be cancelled');
+
+            setTimeout(done, 10);
+        }, 0);
+    });
+});
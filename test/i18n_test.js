@@ -0,0 +1,35 @@
+import { registerLocale, translate } from '../source/js/i18n';
+
+describe('Internationalisation', function ()
+{
+    it('translates messages into the given language', function ()
+    {
+        assert.strictEqual(translate('en', 'zoomIn'), 'Zoom In');
+        assert.strictEqual(translate('fr', 'zoomIn'), 'Zoom avant');
+    });
+
+    it('falls back to the base language, then to English', function ()
+    {
+        assert.strictEqual(translate('fr-CA', 'zoomIn'), 'Zoom avant', 'Regional variants should use the base language');
+        assert.strictEqual(translate('xx', 'zoomIn'), 'Zoom In', 'Unknown languages should use English');
+        assert.strictEqual(translate('en', 'noSuchMessage'), 'noSuchMessage', 'Unknown keys should be returned as they are');
+    });
+
+    it('replaces placeholders with parameters', function ()
+    {
+        assert.strictEqual(translate('en', 'pageAnnouncement', { label: 'f. 1r', count: 3 }), 'Page f. 1r of 3');
+        assert.strictEqual(translate('en', 'pageAnnouncement', { label: 'f. 1r' }), 'Page f. 1r of {count}', 'Missing parameters should be left alone');
+    });
+
+    it('registers extra locales and messages', function ()
+    {
+        registerLocale('de', { zoomIn: 'Vergrößern' });
+        registerLocale('fr-CA', { go: 'Aller' });
+
+        assert.strictEqual(translate('de', 'zoomIn'), 'Vergrößern');
+        assert.strictEqual(translate('de', 'zoomOut'), 'Zoom Out', 'Missing messages should use English');
+        assert.strictEqual(translate('fr-CA', 'go'), 'Aller');
+        assert.strictEqual(translate('fr-CA', 'zoomIn'), 'Zoom avant', 'Missing messages should use the base language');
+        assert.strictEqual(translate('fr', 'go'), 'OK', 'The base language should be unchanged');
+    });
+});
@@ -4,10 +4,76 @@ import ImageCache from '../source/js/image-cache';
 
 describe('Image Cache', function () 
 {
-    it('Default max entries is 100', function ()
+    it('Default size is 128 MB, with no limit on the number of entries', function ()
     {
         let cache = new ImageCache();
-        assert.strictEqual(cache.maxKeys, 100);
+        assert.strictEqual(cache.maxBytes, 128 * 1024 * 1024);
+        assert.strictEqual(cache.maxKeys, Infinity);
+    });
+
+    it('Evicts the least recently used entries once the decoded images are too large', function ()
+    {
+        // Two 256×256 tiles fit, but not three
+        let cache = new ImageCache({ maxBytes: 600 * 1024 });
+        let tile = () => ({ width: 256, height: 256 });
+
+        cache.put('A', tile());
+        cache.put('B', tile());
+        assert.strictEqual(cache.getStats().bytes, 2 * 256 * 256 * 4);
+
+        cache.put('C', tile());
+
+        assert.strictEqual(cache.has('A'), false, 'A evicted');
+        assert.strictEqual(cache.has('B'), true, 'B remains');
+        assert.strictEqual(cache.has('C'), true, 'C remains');
+        assert.strictEqual(cache.getStats().bytes, 2 * 256 * 256 * 4, 'The size of A should be freed');
+    });
+
+    it('Closes evicted image bitmaps', function ()
+    {
+        let cache = new ImageCache({ maxKeys: 1 });
+        let closed = false;
+
+        cache.put('A', { width: 1, height: 1, close: () => { closed = true; } });
+        cache.put('B', { width: 1, height: 1 });
+
+        assert.isTrue(closed);
+    });
+
+    it('Counts hits, misses and evictions', function ()
+    {
+        let cache = new ImageCache({ maxKeys: 1 });
+
+        cache.check('A');
+        cache.put('A', { width: 1, height: 1 });
+        cache.check('A');
+        cache.has('A');
+        cache.put('B', { width: 1, height: 1 });
+
+        assert.deepEqual(cache.getStats(), {
+            hits: 1,
+            misses: 1,
+            evictions: 1,
+            entries: 1,
+            bytes: 4,
+            maxBytes: 128 * 1024 * 1024
+        }, 'Only checks should be counted');
+    });
+
+    it('Is shared, with the largest size asked for', function ()
+    {
+        ImageCache.resetShared();
+
+        let cache = ImageCache.getShared(64 * 1024 * 1024);
+
+        assert.strictEqual(ImageCache.getShared(32 * 1024 * 1024), cache);
+        assert.strictEqual(cache.maxBytes, 64 * 1024 * 1024);
+        assert.strictEqual(ImageCache.getShared(1024 * 1024 * 1024).maxBytes, 1024 * 1024 * 1024);
+
+        // Later viewers should not use the cache of this test
+        ImageCache.resetShared();
+        assert.notStrictEqual(ImageCache.getShared(), cache);
+        ImageCache.resetShared();
     });
 
     it('Evicts the least recently used entry', function ()
@@ -0,0 +1,95 @@
+import ImageManifest from '../source/js/image-manifest';
+let v2SmallManifest = require('./manifests/iiifv2-small.json');
+
+describe('Image Manifest', function ()
+{
+    const defaultTileDimensions = { width: 256, height: 256 };
+
+    it('Uses the given tile dimensions without image information', function ()
+    {
+        let manifest = ImageManifest.fromIIIF(v2SmallManifest);
+        let level = manifest.getPageImageTiles(0, manifest.maxZoom, defaultTileDimensions);
+
+        assert.isFalse(manifest.hasPageImageInfo(0));
+        assert.strictEqual(level.cols, Math.ceil(2000 / 256));
+        assert.strictEqual(level.tiles[0].url, 'https://example.org/iiif/image/test-ms/f001r/0,0,256,256/256,256/0/default.jpg');
+    });
+
+    it('Uses the advertised tile size at advertised scale factors', function ()
+    {
+        let manifest = ImageManifest.fromIIIF(v2SmallManifest);
+        manifest.setPageImageInfo(0, {
+            tiles: [{ width: 512, scaleFactors: [1, 2, 4] }]
+        });
+
+        let level = manifest.getPageImageTiles(0, manifest.maxZoom - 1, defaultTileDimensions);
+
+        assert.isTrue(manifest.hasPageImageInfo(0));
+        assert.strictEqual(level.cols, 2, '1000px wide at scale factor 2');
+        assert.strictEqual(level.rows, 3, '1500px high at scale factor 2');
+        assert.deepEqual(level.tiles[0].dimensions, { width: 512, height: 512 });
+        assert.strictEqual(level.tiles[0].url, 'https://example.org/iiif/image/test-ms/f001r/0,0,1024,1024/512,512/0/default.jpg');
+        assert.strictEqual(level.tiles[1].url, 'https://example.org/iiif/image/test-ms/f001r/1024,0,976,1024/488,512/0/default.jpg');
+    });
+
+    it('Requests a whole image at an advertised size', function ()
+    {
+        let manifest = ImageManifest.fromIIIF(v2SmallManifest);
+        manifest.setPageImageInfo(0, {
+            tiles: [{ width: 512, height: 1024, scaleFactors: [1, 2] }],
+            sizes: [{ width: 500, height: 750 }, { width: 1000, height: 1500 }]
+        });
+
+        let level = manifest.getPageImageTiles(0, manifest.maxZoom - 2, defaultTileDimensions);
+
+        assert.strictEqual(level.rows, 1);
+        assert.strictEqual(level.cols, 1);
+        assert.deepEqual(level.tiles[0].dimensions, { width: 500, height: 750 });
+        assert.strictEqual(level.tiles[0].url, 'https://example.org/iiif/image/test-ms/f001r/full/500,/0/default.jpg');
+
+        level = manifest.getPageImageTiles(0, manifest.maxZoom - 3, defaultTileDimensions);
+
+        assert.deepEqual(level.tiles[0].dimensions, { width: 512, height: 1024 }, 'Advertised tile size is kept for other scale factors');
+    });
+
+    it('Falls back to the given tile dimensions if the information could not be loaded', function ()
+    {
+        let manifest = ImageManifest.fromIIIF(v2SmallManifest);
+        manifest.setPageImageInfo(0, null);
+
+        let level = manifest.getPageImageTiles(0, manifest.maxZoom, defaultTileDimensions);
+
+        assert.isTrue(manifest.hasPageImageInfo(0));
+        assert.deepEqual(level.tiles[0].dimensions, defaultTileDimensions);
+    });
+
+    it('Uses the tiles of the next level up for fractional zoom levels', function ()
+    {
+        let manifest = ImageManifest.fromIIIF(v2SmallManifest);
+        let level = manifest.getPageImageTiles(0, manifest.maxZoom - 0.5, defaultTileDimensions);
+
+        assert.strictEqual(level.zoomLevel, manifest.maxZoom);
+        assert.strictEqual(level.cols, Math.ceil(2000 / 256));
+        assert.strictEqual(level.tiles[0].zoomLevel, manifest.maxZoom);
+
+        assert.throws(() => manifest.getPageImageTiles(0, NaN, defaultTileDimensions), TypeError);
+    });
+
+    it('Shows and removes substitute image services', function ()
+    {
+        let manifest = ImageManifest.fromIIIF(v2SmallManifest);
+        manifest.setPageImageInfo(0, { tiles: [{ width: 512, scaleFactors: [1, 2, 4] }] });
+
+        manifest.setPageImageSubstitute(0, { url: 'https://example.org/iiif/degraded/f001r/', api: 2 });
+
+        assert.isFalse(manifest.hasPageImageInfo(0), 'The information of the substitute should be loaded again');
+        assert.strictEqual(manifest.getPageImageTiles(0, manifest.maxZoom, defaultTileDimensions).tiles[0].url,
+            'https://example.org/iiif/degraded/f001r/0,0,256,256/256,256/0/default.jpg');
+
+        manifest.setPageImageSubstitute(0, null);
+
+        assert.isTrue(manifest.hasPageImageInfo(0), 'The information of the page should be kept');
+        assert.strictEqual(manifest.getPageImageTiles(0, manifest.maxZoom, defaultTileDimensions).tiles[0].url,
+            'https://example.org/iiif/image/test-ms/f001r/0,0,512,512/512,512/0/default.jpg');
+    });
+});
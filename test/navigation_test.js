@@ -260,6 +260,68 @@ describe('Navigation', function ()
         });
     });
 
+    it("Zooming with Ctrl + mouse wheel", function (done)
+    {
+        Diva.Events.subscribe('ViewerDidLoad', function (settings)
+        {
+            var wheel = new window.WheelEvent('wheel', {
+                'bubbles': true,
+                'cancelable': true,
+                'ctrlKey': true,
+                'deltaY': -125,
+                'clientX': 400,
+                'clientY': 300
+            });
+
+            setTimeout(function ()
+            {
+                settings.viewportObject.dispatchEvent(wheel);
+                assert.isOk(wheel.defaultPrevented, "The browser should not zoom the page");
+
+                setTimeout(function ()
+                {
+                    assert.strictEqual(settings.zoomLevel, 1.5, "Zoom level should now be 1.5");
+                    assert.strictEqual(settings.activePageIndex, 100, "Should still be on page 100");
+                    done();
+                }, 50);
+            }, 10);
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: 'https://images.simssa.ca/iiif/manuscripts/cdn-hsmu-m2149l4/manifest.json',
+            zoomLevel: 1,
+            goDirectlyTo: 100
+        });
+    });
+
+    it("Mouse wheel zooming can be disabled", function (done)
+    {
+        Diva.Events.subscribe('ViewerDidLoad', function (settings)
+        {
+            var wheel = new window.WheelEvent('wheel', {
+                'bubbles': true,
+                'cancelable': true,
+                'ctrlKey': true,
+                'deltaY': -125
+            });
+
+            settings.viewportObject.dispatchEvent(wheel);
+            assert.isNotOk(wheel.defaultPrevented, "The wheel should be left to the browser");
+
+            setTimeout(function ()
+            {
+                assert.strictEqual(settings.zoomLevel, 1, "Zoom level should still be 1");
+                done();
+            }, 50);
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: 'https://images.simssa.ca/iiif/manuscripts/cdn-hsmu-m2149l4/manifest.json',
+            zoomLevel: 1,
+            enableWheelZoom: false
+        });
+    });
+
     it("Switching between document and grid view", function (done)
     {
         Diva.Events.subscribe('ViewerDidLoad', function (settings)
@@ -352,4 +414,60 @@ describe('Navigation', function ()
             inBookLayout: true
         });
     });
+
+    it("Scrolling with the keyboard", function (done)
+    {
+        Diva.Events.subscribe('ViewerDidLoad', function (settings)
+        {
+            let pressKey = function (keyCode)
+            {
+                let event = new Event('keydown', { bubbles: true, cancelable: true });
+                Object.defineProperty(event, 'keyCode', { value: keyCode });
+                settings.viewportElement.dispatchEvent(event);
+                return event;
+            };
+
+            let endEvent = pressKey(35);
+
+            assert.isOk(endEvent.defaultPrevented, "The End key should be handled by the viewer");
+            assert.isAbove(settings.viewport.top, 0, "End should scroll to the end of the document");
+
+            pressKey(36);
+            assert.strictEqual(settings.viewport.top, 0, "Home should scroll to the beginning of the document");
+
+            let input = el(settings.selector + 'goto-page-input');
+            let inputEvent = new Event('keydown', { bubbles: true, cancelable: true });
+            Object.defineProperty(inputEvent, 'keyCode', { value: 35 });
+            input.dispatchEvent(inputEvent);
+
+            assert.isNotOk(inputEvent.defaultPrevented, "Keys typed into the toolbar should not scroll the viewer");
+
+            done();
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: 'https://images.simssa.ca/iiif/manuscripts/cdn-hsmu-m2149l4/manifest.json'
+        });
+    });
+
+    it("Announcing page changes to screen readers", function (done)
+    {
+        Diva.Events.subscribe('ViewerDidLoad', function (settings)
+        {
+            let liveRegion = el(settings.selector + 'live-region');
+
+            assert.strictEqual(liveRegion.getAttribute('aria-live'), 'polite', "The live region should be polite");
+
+            this.gotoPageByIndex(5);
+
+            let pages = settings.manifest.pages;
+            assert.strictEqual(liveRegion.textContent, 'Page ' + pages[5].l + ' of ' + pages.length, "The new page should be announced");
+
+            done();
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: 'https://images.simssa.ca/iiif/manuscripts/cdn-hsmu-m2149l4/manifest.json'
+        });
+    });
 });
\ No newline at end of file
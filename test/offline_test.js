@@ -0,0 +1,46 @@
+import ImageManifest from '../source/js/image-manifest';
+import { getCacheName, getPageFileURLs } from '../source/js/plugins/_offline';
+let v2SmallManifest = require('./manifests/iiifv2-small.json');
+
+describe('Offline', function ()
+{
+    const tileDimensions = { width: 256, height: 256 };
+
+    it('names the cache of a document after its id', function ()
+    {
+        assert.strictEqual(getCacheName('https://example.org/iiif/test-ms/manifest'), 'diva-offline:https://example.org/iiif/test-ms/manifest');
+    });
+
+    it('lists the tiles of a range of pages at a zoom level', function ()
+    {
+        let manifest = ImageManifest.fromIIIF(v2SmallManifest);
+        let urls = getPageFileURLs(manifest, { first: 1, last: 2, zoomLevel: 1, tileDimensions: tileDimensions });
+
+        let expected = [1, 2].map(pageIndex =>
+        {
+            return manifest.getPageImageTiles(pageIndex, 1, tileDimensions).tiles.map(tile => tile.url);
+        });
+
+        assert.deepEqual(urls, expected[0].concat(expected[1]));
+        assert.isTrue(urls.every(url => url.indexOf('https://example.org/iiif/image/test-ms/f001r/') !== 0), 'The first page should not be saved');
+    });
+
+    it('uses the tiles of the next level up for fractional zoom levels', function ()
+    {
+        let manifest = ImageManifest.fromIIIF(v2SmallManifest);
+
+        assert.deepEqual(
+            getPageFileURLs(manifest, { first: 0, last: 0, zoomLevel: 1.5, tileDimensions: tileDimensions }),
+            getPageFileURLs(manifest, { first: 0, last: 0, zoomLevel: 2, tileDimensions: tileDimensions })
+        );
+    });
+
+    it('lists the image information of the pages when it is fetched', function ()
+    {
+        let manifest = ImageManifest.fromIIIF(v2SmallManifest);
+        let urls = getPageFileURLs(manifest, { first: 0, last: 1, zoomLevel: 0, tileDimensions: tileDimensions, fetchImageInfo: true });
+
+        assert.include(urls, 'https://example.org/iiif/image/test-ms/f001r/info.json');
+        assert.include(urls, 'https://example.org/iiif/image/test-ms/f001v/info.json');
+    });
+});
@@ -0,0 +1,106 @@
+import parseIIIFAnnotations from '../source/js/parse-iiif-annotations';
+import parseIIIFManifest from '../source/js/parse-iiif-manifest';
+let v3VariantsManifest = require('./manifests/iiifv3-variants.json');
+
+describe('IIIF Annotation Parsing', function ()
+{
+    it('parses v2 annotation lists', function ()
+    {
+        let annotations = parseIIIFAnnotations({
+            "@context": "http://iiif.io/api/presentation/2/context.json",
+            "@id": "https://example.org/iiif/test-ms/list/f001r",
+            "@type": "sc:AnnotationList",
+            "resources": [
+                {
+                    "@id": "https://example.org/iiif/test-ms/annotation/1",
+                    "@type": "oa:Annotation",
+                    "motivation": "sc:painting",
+                    "resource": {
+                        "@type": "cnt:ContentAsText",
+                        "chars": "Kyrie"
+                    },
+                    "on": "https://example.org/iiif/test-ms/canvas/f001r#xywh=10,20,300,40"
+                },
+                {
+                    "@id": "https://example.org/iiif/test-ms/annotation/2",
+                    "@type": "oa:Annotation",
+                    "motivation": ["oa:commenting"],
+                    "resource": [
+                        { "@type": "dctypes:Text", "chars": "Later" },
+                        { "@type": "dctypes:Text", "chars": "addition" }
+                    ],
+                    "on": {
+                        "@type": "oa:SpecificResource",
+                        "full": "https://example.org/iiif/test-ms/canvas/f001r",
+                        "selector": {
+                            "@type": "oa:FragmentSelector",
+                            "value": "xywh=5,6,7,8"
+                        }
+                    }
+                }
+            ]
+        });
+
+        assert.strictEqual(annotations.length, 2);
+        assert.deepEqual(annotations[0], {
+            id: 'https://example.org/iiif/test-ms/annotation/1',
+            canvas: 'https://example.org/iiif/test-ms/canvas/f001r',
+            region: { x: 10, y: 20, w: 300, h: 40 },
+            motivation: 'painting',
+            label: null,
+            text: 'Kyrie'
+        });
+        assert.deepEqual(annotations[1].region, { x: 5, y: 6, w: 7, h: 8 }, 'Fragment selector');
+        assert.strictEqual(annotations[1].motivation, 'commenting');
+        assert.strictEqual(annotations[1].text, 'Later addition', 'Several bodies');
+    });
+
+    it('parses v3 annotation pages', function ()
+    {
+        let annotations = parseIIIFAnnotations({
+            "id": "https://example.org/iiif/test-ms/page/f001r",
+            "type": "AnnotationPage",
+            "items": [
+                {
+                    "id": "https://example.org/iiif/test-ms/annotation/3",
+                    "type": "Annotation",
+                    "motivation": "tagging",
+                    "label": { "en": ["Tag"] },
+                    "body": { "type": "TextualBody", "value": "neume" },
+                    "target": {
+                        "type": "SpecificResource",
+                        "source": { "id": "https://example.org/iiif/test-ms/canvas/f001r", "type": "Canvas" },
+                        "selector": { "type": "FragmentSelector", "value": "xywh=pixel:1,2,3,4" }
+                    }
+                },
+                {
+                    "id": "https://example.org/iiif/test-ms/annotation/4",
+                    "type": "Annotation",
+                    "motivation": "commenting",
+                    "target": "https://example.org/iiif/test-ms/canvas/f001r"
+                }
+            ]
+        });
+
+        assert.strictEqual(annotations[0].canvas, 'https://example.org/iiif/test-ms/canvas/f001r');
+        assert.deepEqual(annotations[0].region, { x: 1, y: 2, w: 3, h: 4 }, 'Fragment selector with a unit');
+        assert.strictEqual(annotations[0].label, 'Tag');
+        assert.strictEqual(annotations[0].text, 'neume');
+        assert.isNull(annotations[1].region, 'Target is the whole canvas');
+        assert.isNull(annotations[1].text, 'No body');
+    });
+
+    it('keeps the annotation lists of canvases', function ()
+    {
+        let pages = parseIIIFManifest(v3VariantsManifest).pgs;
+
+        assert.strictEqual(pages[0].annotations.length, 2);
+        assert.strictEqual(pages[0].annotations[1].id, 'https://example.org/iiif/test-ms/annotations/f001r-transcription', 'Referenced page');
+        assert.deepEqual(pages[1].annotations, [], 'No annotations');
+
+        let annotations = parseIIIFAnnotations(pages[0].annotations[0]);
+
+        assert.strictEqual(annotations[0].text, 'Decorated initial', 'Embedded page');
+        assert.deepEqual(annotations[0].region, { x: 200, y: 300, w: 400, h: 500 });
+    });
+});
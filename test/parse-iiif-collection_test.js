@@ -0,0 +1,96 @@
+import parseIIIFCollection, { hasManifest, isIIIFCollection } from '../source/js/parse-iiif-collection';
+
+describe('IIIF Collection Parsing', function ()
+{
+    it('detects collections', function ()
+    {
+        assert.isTrue(isIIIFCollection({ "@type": "sc:Collection" }), 'v2');
+        assert.isTrue(isIIIFCollection({ "type": "Collection" }), 'v3');
+        assert.isFalse(isIIIFCollection({ "type": "Manifest" }), 'Manifest');
+    });
+
+    it('parses v2 collections', function ()
+    {
+        let collection = parseIIIFCollection({
+            "@context": "http://iiif.io/api/presentation/2/context.json",
+            "@id": "https://example.org/iiif/collection/top",
+            "@type": "sc:Collection",
+            "label": "Manuscripts",
+            "collections": [
+                {
+                    "@id": "https://example.org/iiif/collection/antiphoners",
+                    "@type": "sc:Collection",
+                    "label": "Antiphoners"
+                }
+            ],
+            "manifests": [
+                {
+                    "@id": "https://example.org/iiif/test-ms/manifest",
+                    "@type": "sc:Manifest",
+                    "label": "Test Manuscript"
+                }
+            ]
+        });
+
+        assert.strictEqual(collection.label, 'Manuscripts');
+        assert.deepEqual(collection.items, [
+            { id: 'https://example.org/iiif/collection/antiphoners', label: 'Antiphoners', type: 'collection', items: null },
+            { id: 'https://example.org/iiif/test-ms/manifest', label: 'Test Manuscript', type: 'manifest', items: null }
+        ]);
+    });
+
+    it('parses v3 collections with embedded collections', function ()
+    {
+        let collection = parseIIIFCollection({
+            "@context": "http://iiif.io/api/presentation/3/context.json",
+            "id": "https://example.org/iiif/collection/top",
+            "type": "Collection",
+            "label": { "fr": ["Manuscrits"], "en": ["Manuscripts"] },
+            "items": [
+                {
+                    "id": "https://example.org/iiif/collection/graduals",
+                    "type": "Collection",
+                    "label": { "en": ["Graduals"] },
+                    "items": [
+                        {
+                            "id": "https://example.org/iiif/gradual-1/manifest",
+                            "type": "Manifest",
+                            "label": { "none": ["Gradual 1"] }
+                        }
+                    ]
+                },
+                {
+                    "id": "https://example.org/iiif/unlabelled/manifest",
+                    "type": "Manifest"
+                }
+            ]
+        }, 'en');
+
+        assert.strictEqual(collection.label, 'Manuscripts', 'Preferred language');
+        assert.strictEqual(collection.items[0].type, 'collection');
+        assert.deepEqual(collection.items[0].items, [
+            { id: 'https://example.org/iiif/gradual-1/manifest', label: 'Gradual 1', type: 'manifest', items: null }
+        ], 'Embedded collection members');
+        assert.strictEqual(collection.items[1].label, 'https://example.org/iiif/unlabelled/manifest', 'Unlabelled manifests use their id');
+    });
+
+    it('finds the manifests of a collection and of its known nested collections', function ()
+    {
+        let collection = {
+            id: 'https://example.org/iiif/collection/top',
+            label: 'Manuscripts',
+            items: [
+                { id: 'https://example.org/iiif/collection/antiphoners', label: 'Antiphoners', type: 'collection', items: null },
+                { id: 'https://example.org/iiif/collection/graduals', label: 'Graduals', type: 'collection', items: [
+                    { id: 'https://example.org/iiif/gradual-1/manifest', label: 'Gradual 1', type: 'manifest', items: null }
+                ] },
+                { id: 'https://example.org/iiif/test-ms/manifest', label: 'Test Manuscript', type: 'manifest', items: null }
+            ]
+        };
+
+        assert.isTrue(hasManifest(collection, 'https://example.org/iiif/test-ms/manifest'), 'Member');
+        assert.isTrue(hasManifest(collection, 'https://example.org/iiif/gradual-1/manifest'), 'Member of a nested collection');
+        assert.isFalse(hasManifest(collection, 'https://example.org/iiif/collection/antiphoners'), 'Collections are not manifests');
+        assert.isFalse(hasManifest(collection, 'https://evil.example/x.json'), 'Other manifests');
+    });
+});
@@ -1,6 +1,12 @@
 import Diva from '../source/js/diva';
+import parseIIIFManifest from '../source/js/parse-iiif-manifest';
+import ImageManifest from '../source/js/image-manifest';
 let v2Manifest = require('./manifests/iiifv2.json');
 let v3Manifest = require('./manifests/iiifv3.json');
+let v2SmallManifest = require('./manifests/iiifv2-small.json');
+let v3SmallManifest = require('./manifests/iiifv3-small.json');
+let v3VariantsManifest = require('./manifests/iiifv3-variants.json');
+let v3AuthManifest = require('./manifests/iiifv3-auth.json');
 
 describe('IIIF Manifest Parsing', function ()
 {   
@@ -66,3 +72,218 @@ describe('IIIF Manifest Parsing', function ()
         });
     });
 });
+
+describe('IIIF Presentation 3.0 Parsing', function ()
+{
+    it('produces the same pages and dimensions as the equivalent v2 manifest', function ()
+    {
+        let v2 = parseIIIFManifest(v2SmallManifest);
+        let v3 = parseIIIFManifest(v3SmallManifest);
+
+        assert.strictEqual(v2.version, 2, 'Should detect a v2 manifest');
+        assert.strictEqual(v3.version, 3, 'Should detect a v3 manifest');
+        assert.deepEqual(v3.pgs, v2.pgs, 'Pages should be identical');
+        assert.deepEqual(v3.dims, v2.dims, 'Dimensions should be identical');
+        assert.strictEqual(v3.max_zoom, v2.max_zoom, 'Max zoom should be identical');
+        assert.strictEqual(v3.item_title, v2.item_title, 'Title should be identical');
+    });
+
+    it('reads labels from language maps', function ()
+    {
+        let v3 = parseIIIFManifest(v3SmallManifest);
+
+        assert.strictEqual(v3.item_title, 'Test Manuscript', 'Title should be taken from the first language');
+        assert.strictEqual(v3.pgs[0].l, 'f. 1r', 'Canvas label should be taken from the "none" language');
+        assert.strictEqual(v3.pgs[2].l, 'Colour chart', 'Canvas label should be taken from the first language');
+
+        let variants = parseIIIFManifest(v3VariantsManifest);
+
+        assert.strictEqual(variants.item_title, 'Test Manuscript', 'Values without a language should be preferred');
+        assert.strictEqual(variants.pgs[1].l, 'f. 1v', 'The "@none" key should be accepted');
+    });
+
+    it('reads labels in the preferred language', function ()
+    {
+        let v3 = parseIIIFManifest(v3SmallManifest, 'fr');
+
+        assert.strictEqual(v3.item_title, "Manuscrit d'essai", 'Title should be taken from the preferred language');
+        assert.strictEqual(v3.pgs[0].l, 'f. 1r', 'Labels without a language should be used');
+        assert.strictEqual(v3.pgs[2].l, 'Charte de couleurs', 'Canvas label should be taken from the preferred language');
+    });
+
+    it('reads behavior arrays with several values', function ()
+    {
+        let v3 = parseIIIFManifest(v3SmallManifest);
+
+        assert.isTrue(v3.paged, '"paged" should be found after another behavior');
+        assert.isTrue(v3.pgs[0].paged, 'Canvas without behavior should be paged');
+        assert.isFalse(v3.pgs[2].paged, 'Canvas with "non-paged" behavior should not be paged');
+
+        assert.isFalse(parseIIIFManifest(v3VariantsManifest).paged, '"individuals" should not be paged');
+        assert.isTrue(parseIIIFManifest(v3Manifest).paged, 'The "behaviour" spelling should be accepted');
+    });
+
+    it('reads the continuous behavior', function ()
+    {
+        let v3 = parseIIIFManifest(Object.assign({}, v3SmallManifest, { behavior: ['continuous'] }));
+
+        assert.isTrue(v3.continuous, 'v3 behavior');
+        assert.isFalse(v3.paged, 'Continuous manifests are not paged');
+        assert.isFalse(parseIIIFManifest(v3SmallManifest).continuous, 'Paged manifests are not continuous');
+    });
+
+    it('reads the viewing direction', function ()
+    {
+        assert.strictEqual(parseIIIFManifest(v2SmallManifest).viewing_direction, 'right-to-left', 'v2');
+        assert.strictEqual(parseIIIFManifest(v3SmallManifest).viewing_direction, 'right-to-left', 'v3');
+        assert.strictEqual(parseIIIFManifest(v3VariantsManifest).viewing_direction, 'left-to-right', 'Default');
+    });
+
+    it('reads the start canvas', function ()
+    {
+        assert.strictEqual(parseIIIFManifest(v2SmallManifest).start_index, 1, 'v2 startCanvas');
+        assert.strictEqual(parseIIIFManifest(v3SmallManifest).start_index, 1, 'v3 start canvas');
+        assert.strictEqual(parseIIIFManifest(v3VariantsManifest).start_index, 2, 'v3 start specific resource');
+        assert.isNull(parseIIIFManifest(v2Manifest).start_index, 'No start canvas');
+    });
+
+    it('finds the painting annotation among several annotation pages', function ()
+    {
+        let v3 = parseIIIFManifest(v3SmallManifest);
+        let variants = parseIIIFManifest(v3VariantsManifest);
+
+        assert.strictEqual(v3.pgs[1].f, 'https://example.org/iiif/image/test-ms/f001v', 'Empty annotation page should be skipped');
+        assert.strictEqual(variants.pgs[0].f, 'https://example.org/iiif/image/test-ms/f001r', 'Commenting annotation page should be skipped');
+        assert.strictEqual(variants.pgs[0].api, 2, 'Image service should be found after an auth service');
+    });
+
+    it('leaves out the canvases without an image', function ()
+    {
+        let manifest = JSON.parse(JSON.stringify(v3SmallManifest));
+        manifest.items.unshift({
+            id: 'https://example.org/iiif/test-ms/canvas/blank',
+            type: 'Canvas',
+            width: 1000,
+            height: 1500,
+            items: []
+        });
+
+        let parsed = parseIIIFManifest(manifest);
+
+        assert.strictEqual(parsed.pgs.length, 3, 'There should be no page for the blank canvas');
+        assert.strictEqual(Object.keys(parsed.pgs).length, 3, 'The pages should not have holes');
+        assert.strictEqual(parsed.pgs[0].canvas, 'https://example.org/iiif/test-ms/canvas/f001r');
+        assert.strictEqual(parsed.start_index, 1, 'The start canvas should be counted among the pages');
+    });
+
+    it('reads range hierarchies from the structures', function ()
+    {
+        let v2 = parseIIIFManifest(v2SmallManifest);
+        let v3 = parseIIIFManifest(v3SmallManifest);
+
+        assert.deepEqual(v3.ranges, v2.ranges, 'Ranges should be identical');
+        assert.strictEqual(v2.ranges.length, 1, 'Only the "top" range should be at the top level');
+
+        let contents = v3.ranges[0];
+        let gathering = contents.children[0];
+
+        assert.strictEqual(contents.label, 'Contents');
+        assert.strictEqual(contents.start, 0, 'Start should include child ranges');
+        assert.deepEqual(gathering.pages, [0]);
+        assert.strictEqual(gathering.children[0].label, 'Kyrie');
+        assert.deepEqual(gathering.children[0].pages, [1], 'Canvas fragments should be matched');
+        assert.deepEqual(contents.children[1].pages, [2], 'v2 members should be read');
+
+        assert.deepEqual(parseIIIFManifest(v3VariantsManifest).ranges, [], 'No structures');
+    });
+});
+
+describe('IIIF Image API 3.0', function ()
+{
+    it('detects Image API 3 services', function ()
+    {
+        let variants = parseIIIFManifest(v3VariantsManifest);
+
+        assert.strictEqual(variants.pgs[1].api, 3, 'ImageService3 type');
+        assert.strictEqual(variants.pgs[2].api, 3, 'Image API 3 context');
+        assert.deepEqual(variants.pgs[1].formats, ['tif', 'png'], 'Preferred formats');
+        assert.deepEqual(variants.pgs[1].qualities, ['color', 'gray'], 'Extra qualities');
+        assert.isNull(variants.pgs[2].formats, 'No preferred formats');
+    });
+
+    it('generates Image API 3 page image URLs', function ()
+    {
+        let manifest = ImageManifest.fromIIIF(v3VariantsManifest);
+
+        assert.strictEqual(manifest.getPageImageURL(2), 'https://example.org/iiif/image/test-ms/chart/full/max/0/default.jpg', 'Full size should be "max"');
+        assert.strictEqual(manifest.getPageImageURL(2, { width: 500 }), 'https://example.org/iiif/image/test-ms/chart/full/500,/0/default.jpg');
+        assert.strictEqual(manifest.getPageImageURL(2, { width: 500, height: 600 }), 'https://example.org/iiif/image/test-ms/chart/full/!500,600/0/default.jpg', 'Both dimensions should fit the image');
+        assert.strictEqual(manifest.getPageImageURL(1, { height: 600 }), 'https://example.org/iiif/image/test-ms/f001v/full/,600/0/default.png', 'First displayable preferred format should be used');
+        assert.strictEqual(manifest.getPageImageURL(1, { height: 600, quality: 'gray' }), 'https://example.org/iiif/image/test-ms/f001v/full/,600/0/gray.png', 'Extra quality should be used');
+        assert.strictEqual(manifest.getPageImageURL(2, { height: 600, quality: 'gray' }), 'https://example.org/iiif/image/test-ms/chart/full/,600/0/default.jpg', 'Unsupported quality should be ignored');
+    });
+
+    it('keeps Image API 2 page image URLs unchanged', function ()
+    {
+        let manifest = ImageManifest.fromIIIF(v3VariantsManifest);
+
+        assert.strictEqual(manifest.getPageImageURL(0), 'https://example.org/iiif/image/test-ms/f001r/full/full/0/default.jpg');
+        assert.strictEqual(manifest.getPageImageURL(0, { width: 500, height: 600 }), 'https://example.org/iiif/image/test-ms/f001r/full/500,600/0/default.jpg');
+    });
+
+    it('uses canvas thumbnails and their image services', function ()
+    {
+        let manifest = ImageManifest.fromIIIF(v3VariantsManifest);
+
+        assert.strictEqual(manifest.pages[1].thumbnail.service, 'https://example.org/iiif/thumbs/f001v/');
+        assert.strictEqual(manifest.getThumbnailURL(1, { width: 120 }), 'https://example.org/iiif/thumbs/f001v/full/120,/0/default.jpg', 'Thumbnail service should be scaled');
+        assert.strictEqual(manifest.getThumbnailURL(2, { width: 120 }), 'https://example.org/thumbs/chart.jpg', 'Thumbnail without a service should be used as it is');
+        assert.strictEqual(manifest.getThumbnailURL(0, { width: 120 }), 'https://example.org/iiif/image/test-ms/f001r/full/120,/0/default.jpg', 'Pages without a thumbnail should use the page image');
+    });
+
+    it('finds the ALTO or hOCR documents linked from canvases', function ()
+    {
+        let manifest = ImageManifest.fromIIIF(v3VariantsManifest);
+
+        assert.strictEqual(manifest.pages[1].textLayer, 'https://example.org/iiif/test-ms/f001v-alto.xml', 'Other seeAlso resources should be ignored');
+        assert.isNull(manifest.pages[0].textLayer, 'Canvases without a text document should have no text layer');
+    });
+
+    it('reads the IIIF Auth services of image services', function ()
+    {
+        let pages = parseIIIFManifest(v3AuthManifest, 'en').pgs;
+
+        assert.deepEqual(pages[0].auth, {
+            version: 2,
+            id: 'https://example.org/auth/access',
+            profile: 'active',
+            token: 'https://example.org/auth/token',
+            logout: 'https://example.org/auth/logout',
+            probe: 'https://example.org/iiif/probe/f001r',
+            label: 'Log in',
+            header: 'Please log in',
+            description: 'The images of this manuscript are restricted to readers.',
+            confirmLabel: 'Log in',
+            failureHeader: 'Access denied',
+            failureDescription: null
+        });
+
+        assert.strictEqual(pages[1].auth.version, 1);
+        assert.strictEqual(pages[1].auth.profile, 'active', 'Clickthrough services should be active');
+        assert.strictEqual(pages[1].auth.id, 'https://example.org/auth/clickthrough');
+        assert.strictEqual(pages[1].auth.token, 'https://example.org/auth/token-v1');
+        assert.strictEqual(pages[1].auth.confirmLabel, 'Accept');
+        assert.isNull(pages[1].auth.probe);
+
+        assert.isNull(pages[2].auth, 'Unprotected images should have no auth service');
+        assert.isNull(parseIIIFManifest(v3VariantsManifest).pgs[0].auth, 'Login services without a token service should be ignored');
+    });
+
+    it('generates Image API 3 tile URLs', function ()
+    {
+        let manifest = ImageManifest.fromIIIF(v3VariantsManifest);
+        let tiles = manifest.getPageImageTiles(1, manifest.maxZoom, { width: 256, height: 256 }).tiles;
+
+        assert.strictEqual(tiles[0].url, 'https://example.org/iiif/image/test-ms/f001v/0,0,256,256/256,256/0/default.png');
+    });
+});
@@ -0,0 +1,95 @@
+import parseIIIFSearchResults from '../source/js/parse-iiif-search';
+import parseIIIFManifest from '../source/js/parse-iiif-manifest';
+let searchResults = require('./manifests/search-results.json');
+let searchResultsPage2 = require('./manifests/search-results-2.json');
+let v3SmallManifest = require('./manifests/iiifv3-small.json');
+
+describe('IIIF Search Parsing', function ()
+{
+    it('groups the annotations of Search 1 hits', function ()
+    {
+        let results = parseIIIFSearchResults(searchResults);
+
+        assert.strictEqual(results.next, '/base/test/manifests/search-results-2.json?q=kyrie');
+        assert.strictEqual(results.hits.length, 2);
+        assert.deepEqual(results.hits[0], {
+            canvas: 'https://example.org/iiif/test-ms/canvas/f001v',
+            regions: [{ x: 200, y: 300, w: 400, h: 100 }],
+            match: 'Kyrie',
+            before: '',
+            after: ' eleison'
+        });
+        assert.strictEqual(results.hits[1].regions.length, 2, 'A hit may span several annotations');
+        assert.strictEqual(results.hits[1].before, 'Christe eleison ');
+    });
+
+    it('makes a hit of every annotation of responses without hits', function ()
+    {
+        let results = parseIIIFSearchResults(searchResultsPage2);
+
+        assert.isNull(results.next, 'The last page has no next page');
+        assert.strictEqual(results.hits.length, 2);
+        assert.strictEqual(results.hits[0].canvas, 'https://example.org/iiif/test-ms/canvas/chart');
+        assert.strictEqual(results.hits[0].match, 'Kyrie', 'The match should be the text of the annotation');
+    });
+
+    it('reads the text quotes of Search 2 responses', function ()
+    {
+        let results = parseIIIFSearchResults({
+            "@context": "http://iiif.io/api/search/2/context.json",
+            "id": "https://example.org/iiif/test-ms/search?q=kyrie",
+            "type": "AnnotationPage",
+            "next": { "id": "https://example.org/iiif/test-ms/search?q=kyrie&page=2", "type": "AnnotationPage" },
+            "items": [
+                {
+                    "id": "https://example.org/iiif/test-ms/search/anno/1",
+                    "type": "Annotation",
+                    "motivation": "highlighting",
+                    "target": {
+                        "type": "SpecificResource",
+                        "source": { "id": "https://example.org/iiif/test-ms/canvas/f001v", "type": "Canvas" },
+                        "selector": { "type": "FragmentSelector", "value": "xywh=200,300,400,100" }
+                    }
+                }
+            ],
+            "annotations": [
+                {
+                    "type": "AnnotationPage",
+                    "items": [
+                        {
+                            "type": "Annotation",
+                            "motivation": "contextualizing",
+                            "target": {
+                                "type": "SpecificResource",
+                                "source": "https://example.org/iiif/test-ms/search/anno/1",
+                                "selector": [{ "type": "TextQuoteSelector", "prefix": "", "exact": "Kyrie", "suffix": " eleison" }]
+                            }
+                        }
+                    ]
+                }
+            ]
+        });
+
+        assert.strictEqual(results.next, 'https://example.org/iiif/test-ms/search?q=kyrie&page=2');
+        assert.deepEqual(results.hits, [{
+            canvas: 'https://example.org/iiif/test-ms/canvas/f001v',
+            regions: [{ x: 200, y: 300, w: 400, h: 100 }],
+            match: 'Kyrie',
+            before: '',
+            after: ' eleison'
+        }]);
+    });
+
+    it('finds the search service of a manifest', function ()
+    {
+        let manifest = Object.assign({}, v3SmallManifest, {
+            service: [
+                { id: 'https://example.org/iiif/test-ms/auth', type: 'AuthCookieService1', profile: 'http://iiif.io/api/auth/1/login' },
+                { id: 'https://example.org/iiif/test-ms/search', type: 'SearchService1', profile: 'http://iiif.io/api/search/1/search' }
+            ]
+        });
+
+        assert.strictEqual(parseIIIFManifest(manifest).search_service, 'https://example.org/iiif/test-ms/search');
+        assert.isNull(parseIIIFManifest(v3SmallManifest).search_service, 'No search service');
+    });
+});
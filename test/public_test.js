@@ -113,6 +113,66 @@ describe('Public Functions', function ()
         });
     });
 
+    it("setZoomLevel() with fractional zoom levels", function (done)
+    {
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            assert.isOk(this.setZoomLevel(1.5), "Setting zoom level to 1.5 should be fine");
+            assert.strictEqual(this.getZoomLevel(), 1.5, "Zoom level should now be 1.5");
+            assert.strictEqual(document.getElementById(this.getSettings().ID + 'zoom-level').textContent, '2.5', "The zoom label should show the fractional level");
+
+            let dims = this.getPageDimensionsAtZoomLevel(0, 1.5);
+            assert.isAbove(dims.width, this.getPageDimensionsAtZoomLevel(0, 1).width, "Pages should be wider than at zoom level 1");
+            assert.isBelow(dims.width, this.getPageDimensionsAtZoomLevel(0, 2).width, "Pages should be narrower than at zoom level 2");
+
+            assert.isOk(this.zoomIn(), "Zooming in from 1.5");
+            assert.strictEqual(this.getZoomLevel(), 2, "Zooming in should go to the next whole level");
+            assert.isOk(this.setZoomLevel(2.5), "Setting zoom level to 2.5 should be fine");
+            assert.isOk(this.zoomOut(), "Zooming out from 2.5");
+            assert.strictEqual(this.getZoomLevel(), 2, "Zooming out should go to the previous whole level");
+
+            assert.isOk(!this.setZoomLevel(3.5), "Setting zoom level above the maximum should fail");
+            done();
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: 'https://images.simssa.ca/iiif/manuscripts/cdn-hsmu-m2149l4/manifest.json',
+            zoomLevel: 2,
+            minZoomLevel: 1,
+            maxZoomLevel: 3
+        });
+    });
+
+    it("get/setRotation() and get/setPageRotation()", function (done)
+    {
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            let dims = this.getPageDimensions(1);
+
+            assert.strictEqual(this.getRotation(), 0, "Pages should be unrotated initially");
+            assert.isOk(this.setRotation(90), "Rotating the document by 90 degrees should be fine");
+            assert.strictEqual(this.getRotation(), 90);
+            assert.strictEqual(this.getPageRotation(1), 90, "Pages should follow the document");
+            assert.deepEqual(this.getPageDimensions(1), { width: dims.height, height: dims.width }, "Sideways pages should swap their dimensions");
+
+            assert.isOk(this.setPageRotation(1, 0), "Rotating a single page should be fine");
+            assert.strictEqual(this.getPageRotation(1), 0);
+            assert.strictEqual(this.getPageRotation(2), 90, "Other pages should keep their rotation");
+
+            assert.isOk(this.setRotation(-90), "Negative rotations should be fine");
+            assert.strictEqual(this.getRotation(), 270);
+            assert.strictEqual(this.getPageRotation(1), 180, "Pages should keep their rotation relative to the document");
+
+            assert.isOk(!this.setRotation(45), "Rotations which are not quarter turns should fail");
+            assert.strictEqual(this.getRotation(), 270);
+            done();
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: 'https://images.simssa.ca/iiif/manuscripts/cdn-hsmu-m2149l4/manifest.json'
+        });
+    });
+
     it("isRegionInViewport()", function (done)
     {
         Diva.Events.subscribe('ViewerDidLoad', function ()
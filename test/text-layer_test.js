@@ -0,0 +1,83 @@
+import Diva from '../source/js/diva';
+import parseTextLayer from '../source/js/parse-text-layer';
+
+describe('Text Layer', function ()
+{
+    beforeEach(function ()
+    {
+        // reset event subscription so only current test is subscribed
+        Diva.Events.unsubscribeAll();
+
+        // recreate wrapper
+        let oldWrapper = document.getElementById('parent-wrapper');
+        oldWrapper.parentNode.removeChild(oldWrapper);
+        let newWrapper = document.createElement('div');
+        newWrapper.id = 'parent-wrapper';
+        newWrapper.setAttribute('style', 'width: 984px; height: 800px');
+        let div = document.createElement('div');
+        div.id = 'diva-wrapper';
+        newWrapper.appendChild(div);
+        document.body.appendChild(newWrapper);
+    });
+
+    it('parses the lines of ALTO documents', function (done)
+    {
+        fetch('/base/test/manifests/text-layer-alto.xml').then(response => response.text()).then(source =>
+        {
+            let textLayer = parseTextLayer(source);
+
+            assert.strictEqual(textLayer.width, 1000);
+            assert.strictEqual(textLayer.height, 1500);
+            assert.strictEqual(textLayer.lines.length, 2, 'Lines without text should be left out');
+            assert.deepEqual(textLayer.lines[0], { text: 'Kyrie eleison Chri-', x: 100, y: 200, w: 800, h: 60 });
+            done();
+        });
+    });
+
+    it('parses the lines of hOCR documents', function ()
+    {
+        let textLayer = parseTextLayer(`
+            <html><body>
+                <div class="ocr_page" title="image &quot;f001v.jpg&quot;; bbox 0 0 1000 1500">
+                    <p class="ocr_par">
+                        <span class="ocr_line" title="bbox 100 200 900 260; baseline 0 -10">
+                            <span class="ocrx_word" title="bbox 100 200 300 260; x_wconf 95">Kyrie</span>
+                            <span class="ocrx_word" title="bbox 320 200 620 260; x_wconf 91">eleison</span>
+                        </span>
+                    </p>
+                </div>
+            </body></html>`);
+
+        assert.strictEqual(textLayer.width, 1000);
+        assert.strictEqual(textLayer.height, 1500);
+        assert.deepEqual(textLayer.lines, [{ text: 'Kyrie eleison', x: 100, y: 200, w: 800, h: 60 }]);
+    });
+
+    it('does not parse other documents', function ()
+    {
+        assert.isNull(parseTextLayer('<html><body><p>Kyrie eleison</p></body></html>'));
+    });
+
+    it('places the text of pages over them', function (done)
+    {
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: 'https://ddmal.github.io/diva.js/try/demo/beromunster-iiif.json',
+            enableTextLayer: true,
+            textLayerURL: () => '/base/test/manifests/text-layer-alto.xml'
+        });
+
+        Diva.Events.subscribe('TextLayerDidLoad', function (pageIndex, textLayer)
+        {
+            if (pageIndex !== 0)
+                return;
+
+            let texts = document.querySelectorAll('.diva-text-layer text');
+
+            assert.strictEqual(textLayer.lines.length, 2);
+            assert.isAtLeast(texts.length, 2, 'Each line should be placed over its page');
+            assert.strictEqual(texts[0].textContent, 'Kyrie eleison Chri-');
+            assert.strictEqual(texts[0].getAttribute('textLength'), '800', 'Lines should be stretched to their width on the page');
+            done();
+        }, diva.settings.ID);
+    });
+});
@@ -0,0 +1,63 @@
+import TileRequestScheduler from '../source/js/tile-request-scheduler';
+
+describe('Tile Request Scheduler', function ()
+{
+    let started, aborted, callbacks;
+
+    beforeEach(function ()
+    {
+        started = [];
+        aborted = [];
+        callbacks = {};
+    });
+
+    const request = (url) => ({
+        url: url,
+        start: (done) =>
+        {
+            started.push(url);
+            callbacks[url] = done;
+
+            return { abort: () => aborted.push(url) };
+        }
+    });
+
+    it('starts the first requests up to the limit', function ()
+    {
+        let scheduler = new TileRequestScheduler(2);
+        scheduler.update([request('A'), request('B'), request('C')]);
+
+        assert.deepEqual(started, ['A', 'B']);
+        assert.isTrue(scheduler.isPending('C'), 'C should wait');
+
+        callbacks.B();
+        assert.deepEqual(started, ['A', 'B', 'C'], 'C should start once B has ended');
+        assert.isFalse(scheduler.isPending('B'));
+    });
+
+    it('keeps wanted requests loading and aborts the others', function ()
+    {
+        let scheduler = new TileRequestScheduler(2);
+        scheduler.update([request('A'), request('B'), request('C')]);
+        scheduler.update([request('D'), request('B')]);
+
+        assert.deepEqual(aborted, ['A'], 'A is no longer wanted');
+        assert.deepEqual(started, ['A', 'B', 'D'], 'B should not be restarted');
+        assert.isFalse(scheduler.isPending('C'), 'C is no longer wanted');
+
+        callbacks.A();
+        scheduler.update([request('B'), request('D'), request('E')]);
+        assert.deepEqual(started, ['A', 'B', 'D'], 'An aborted request should not free a place twice');
+    });
+
+    it('has no limit if the maximum is 0', function ()
+    {
+        let scheduler = new TileRequestScheduler(0);
+        scheduler.update([request('A'), request('B'), request('C')]);
+
+        assert.deepEqual(started, ['A', 'B', 'C']);
+
+        scheduler.clear();
+        assert.deepEqual(aborted, ['A', 'B', 'C']);
+    });
+});
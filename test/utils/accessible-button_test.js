@@ -0,0 +1,42 @@
+import makeAccessibleButton from '../../source/js/utils/accessible-button';
+
+describe('Accessible button util', function ()
+{
+    var pressKey = function (element, keyCode)
+    {
+        var event = new Event('keydown', { bubbles: true, cancelable: true });
+        Object.defineProperty(event, 'keyCode', { value: keyCode });
+        element.dispatchEvent(event);
+        return event;
+    };
+
+    it('Makes an element focusable and labelled', function ()
+    {
+        var icon = makeAccessibleButton(document.createElement('div'), 'Metadata');
+
+        assert.strictEqual(icon.getAttribute('role'), 'button');
+        assert.strictEqual(icon.getAttribute('tabindex'), '0');
+        assert.strictEqual(icon.getAttribute('aria-label'), 'Metadata');
+    });
+
+    it('Clicks the element on Enter and Space', function ()
+    {
+        var clicks = 0;
+        var icon = makeAccessibleButton(document.createElement('div'), 'Metadata');
+        icon.addEventListener('click', function () { clicks++; });
+
+        assert.isOk(pressKey(icon, 13).defaultPrevented, 'Enter should be handled');
+        assert.isOk(pressKey(icon, 32).defaultPrevented, 'Space should be handled');
+        assert.isNotOk(pressKey(icon, 65).defaultPrevented, 'Other keys should be ignored');
+        assert.strictEqual(clicks, 2);
+    });
+
+    it('Only labels native buttons', function ()
+    {
+        var button = makeAccessibleButton(document.createElement('button'), 'Zoom In');
+
+        assert.strictEqual(button.getAttribute('aria-label'), 'Zoom In');
+        assert.isNull(button.getAttribute('role'));
+        assert.isNull(button.getAttribute('tabindex'));
+    });
+});
@@ -121,6 +121,41 @@ describe('Get Book Layout', function ()
         assert.strictEqual(group.dimensions.width, group.pages[0].dimensions.width, 'Tight fit width');
     });
 
+    it('In right-to-left documents, positions first page to the left', function ()
+    {
+        var rtlManifest = ImageManifest.fromIIIF(beromunsterManifest);
+        rtlManifest.viewingDirection = 'right-to-left';
+
+        var layouts = getBookLayout({
+            manifest: rtlManifest,
+            verticallyOriented: true
+        });
+
+        var firstGroup = layouts[0];
+        var width = rtlManifest.getMaxPageDimensions(0).width;
+
+        assert.strictEqual(firstGroup.pages.length, 1, 'First group should be a single page');
+        assert.strictEqual(firstGroup.dimensions.width, 2 * width, 'Group size should be twice page width');
+        assert.strictEqual(firstGroup.pages[0].groupOffset.left, 0, 'Page should not be offset to the left');
+    });
+
+    it('In right-to-left documents, places the lower index on the right of facing pages', function ()
+    {
+        var rtlManifest = ImageManifest.fromIIIF(beromunsterManifest);
+        rtlManifest.viewingDirection = 'right-to-left';
+
+        var layouts = getBookLayout({
+            manifest: rtlManifest,
+            verticallyOriented: false
+        });
+
+        var group = layouts[1];
+
+        assert.strictEqual(group.pages[0].index, 2, 'Higher index should be on the left');
+        assert.strictEqual(group.pages[1].index, 1, 'Lower index should be on the right');
+        assert.strictEqual(group.pages[1].groupOffset.left, group.pages[0].dimensions.width, 'Right page should follow the left page');
+    });
+
     function assertFitsMax(group, dimension)
     {
         var p1 = group.pages[0].dimensions[dimension];
@@ -0,0 +1,62 @@
+import ImageManifest from '../../source/js/image-manifest';
+import getContinuousLayout from '../../source/js/page-layouts/continuous-layout';
+import getPageLayouts from '../../source/js/page-layouts';
+
+var v2SmallManifest = require('../manifests/iiifv2-small.json');
+
+describe('Get Continuous Layout', function ()
+{
+    it('In vertical orientation, joins pages top to bottom with no padding', function ()
+    {
+        var manifest = ImageManifest.fromIIIF(v2SmallManifest);
+        var layouts = getContinuousLayout({
+            manifest: manifest,
+            verticallyOriented: true,
+            showNonPagedPages: true
+        });
+
+        assert.strictEqual(layouts.length, 1, 'All pages should be in one group');
+
+        var pages = layouts[0].pages;
+
+        assert.deepEqual(pages.map(function (page) { return page.groupOffset.top; }), [0, 3000, 6000], 'Pages should be edge to edge');
+        assert.deepEqual(layouts[0].dimensions, { height: 8800, width: 2100 }, 'Group should fit the pages');
+        assert.strictEqual(pages[0].groupOffset.left, 50, 'Narrower pages should be centered');
+    });
+
+    it('In horizontal orientation, joins pages left to right with no padding', function ()
+    {
+        var manifest = ImageManifest.fromIIIF(v2SmallManifest);
+        var layouts = getContinuousLayout({
+            manifest: manifest,
+            verticallyOriented: false,
+            showNonPagedPages: true
+        });
+
+        var pages = layouts[0].pages;
+
+        assert.deepEqual(pages.map(function (page) { return page.groupOffset.left; }), [0, 2000, 4100], 'Pages should be edge to edge');
+        assert.deepEqual(layouts[0].dimensions, { height: 3000, width: 6000 }, 'Group should fit the pages');
+        assert.strictEqual(pages[2].groupOffset.top, 100, 'Shorter pages should be centered');
+    });
+
+    it('Is used for continuous manifests, starting right-to-left documents at the right', function ()
+    {
+        var manifest = ImageManifest.fromIIIF(v2SmallManifest);
+        manifest.continuous = true;
+
+        var layouts = getPageLayouts({
+            manifest: manifest,
+            inGrid: false,
+            inBookLayout: true,
+            verticallyOriented: false,
+            showNonPagedPages: false
+        });
+
+        var pages = layouts[0].pages;
+
+        assert.strictEqual(layouts.length, 1, 'Book layout should not be used');
+        assert.deepEqual(pages.map(function (page) { return page.index; }), [1, 0], 'First page should be on the right');
+        assert.strictEqual(pages[1].groupOffset.left, pages[0].dimensions.width, 'Pages should be edge to edge');
+    });
+});
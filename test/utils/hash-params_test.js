@@ -73,6 +73,14 @@ describe('HashParams', function ()
         assert.strictEqual(window.location.hash, '#p=4&p=5');
         // Not actually sure why it chooses the first one to update
 
+        // Values which need encoding, such as URLs
+        window.location.hash = '#p=1';
+        HashParams.update('m', 'https://example.org/iiif/a?b=c&d=e');
+        assert.strictEqual(HashParams.get('m'), 'https://example.org/iiif/a?b=c&d=e');
+        HashParams.update('m', 'https://example.org/iiif/b');
+        HashParams.update('p', '2');
+        assert.strictEqual(window.location.hash, '#p=2&m=' + encodeURIComponent('https://example.org/iiif/b'));
+
         // Restore the URL
         window.location.hash = '';
     });
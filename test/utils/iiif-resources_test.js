@@ -0,0 +1,25 @@
+import { asArray, getId, getType } from '../../source/js/utils/iiif-resources';
+
+describe('IIIF resources', function ()
+{
+    it('asArray() wraps single values', function ()
+    {
+        assert.deepEqual(asArray(null), []);
+        assert.deepEqual(asArray(undefined), []);
+        assert.deepEqual(asArray('a'), ['a']);
+        assert.deepEqual(asArray(['a', 'b']), ['a', 'b']);
+    });
+
+    it('getId() reads v2 and v3 ids', function ()
+    {
+        assert.strictEqual(getId('https://example.org/a'), 'https://example.org/a');
+        assert.strictEqual(getId({ '@id': 'https://example.org/b' }), 'https://example.org/b');
+        assert.strictEqual(getId({ id: 'https://example.org/c' }), 'https://example.org/c');
+    });
+
+    it('getType() reads v2 and v3 types', function ()
+    {
+        assert.strictEqual(getType({ '@type': 'sc:Manifest' }), 'sc:Manifest');
+        assert.strictEqual(getType({ type: 'Manifest' }), 'Manifest');
+    });
+});
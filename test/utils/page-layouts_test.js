@@ -0,0 +1,81 @@
+import ImageManifest from '../../source/js/image-manifest';
+import getPageLayouts, { getPageRotations } from '../../source/js/page-layouts';
+
+var v2SmallManifest = require('../manifests/iiifv2-small.json');
+
+describe('Get Page Layouts', function ()
+{
+    it('Starts right-to-left documents at the right in horizontal orientation', function ()
+    {
+        var vertical = getPageLayouts(getSettings('right-to-left', { verticallyOriented: true }));
+        var horizontal = getPageLayouts(getSettings('right-to-left', { verticallyOriented: false }));
+
+        assert.deepEqual(getPageIndices(vertical), [[0], [1]], 'Vertical order should be unchanged');
+        assert.deepEqual(getPageIndices(horizontal), [[1], [0]], 'First page should be on the right');
+    });
+
+    it('Starts bottom-to-top documents at the bottom in vertical orientation', function ()
+    {
+        var vertical = getPageLayouts(getSettings('bottom-to-top', { verticallyOriented: true }));
+        var horizontal = getPageLayouts(getSettings('bottom-to-top', { verticallyOriented: false }));
+
+        assert.deepEqual(getPageIndices(vertical), [[1], [0]], 'First page should be at the bottom');
+        assert.deepEqual(getPageIndices(horizontal), [[0], [1]], 'Horizontal order should be unchanged');
+    });
+
+    it('Does not reverse the grid', function ()
+    {
+        var layouts = getPageLayouts(getSettings('bottom-to-top', {
+            inGrid: true,
+            verticallyOriented: true,
+            viewport: { width: 800 },
+            pagesPerRow: 2,
+            fixedPadding: 10
+        }));
+
+        assert.deepEqual(getPageIndices(layouts), [[0, 1]]);
+    });
+
+    it('Adds the rotation of each page to the rotation of the document', function ()
+    {
+        var settings = getSettings('left-to-right', { rotation: 90, pageRotations: { 1: 270 } });
+
+        assert.deepEqual(getPageRotations(settings), [90, 0, 90]);
+        assert.deepEqual(getPageRotations(getSettings('left-to-right', {})), [0, 0, 0], 'Pages should be unrotated by default');
+    });
+
+    it('Swaps the width and height of pages turned on their side', function ()
+    {
+        var settings = getSettings('left-to-right', { verticallyOriented: true, rotation: 180, pageRotations: { 1: 90 } });
+        var layouts = getPageLayouts(settings);
+        var first = settings.manifest.getMaxPageDimensions(0);
+        var second = settings.manifest.getMaxPageDimensions(1);
+
+        assert.deepEqual(layouts[0].pages[0].dimensions, { width: first.width, height: first.height }, 'Upside down pages should keep their dimensions');
+        assert.deepEqual(layouts[1].pages[0].dimensions, { width: second.height, height: second.width });
+    });
+
+    function getSettings(viewingDirection, options)
+    {
+        var manifest = ImageManifest.fromIIIF(v2SmallManifest);
+        manifest.viewingDirection = viewingDirection;
+
+        return Object.assign({
+            manifest: manifest,
+            inGrid: false,
+            inBookLayout: false,
+            showNonPagedPages: false
+        }, options);
+    }
+
+    function getPageIndices(layouts)
+    {
+        return layouts.map(function (group)
+        {
+            return group.pages.map(function (page)
+            {
+                return page.index;
+            });
+        });
+    }
+});
@@ -0,0 +1,50 @@
+import { getPercentRegion, gotoPageRegion } from '../../source/js/utils/page-overlays';
+
+describe('Page overlays util', function ()
+{
+    // A viewer core showing a page of 200×100 canvas units at 400×200 pixels
+    const createCore = (rotation, inGrid) =>
+    {
+        const calls = [];
+
+        return {
+            calls: calls,
+            getSettings: () => ({
+                inGrid: inGrid,
+                manifest: { getMaxPageDimensions: () => ({ width: 200, height: 100 }) }
+            }),
+            getPageRotation: () => rotation,
+            getCurrentLayout: () => ({ getPageDimensions: () => ({ width: 400, height: 200 }) }),
+            publicInstance: { gotoPageByIndex: (pageIndex) => calls.push(['page', pageIndex]) },
+            viewerState: { renderer: { goto: (pageIndex, top, left) => calls.push(['goto', pageIndex, top, left]) } }
+        };
+    };
+
+    const region = { x: 20, y: 10, w: 40, h: 20 };
+
+    it('getPercentRegion() measures regions in percentages of the page as it is shown', function ()
+    {
+        assert.deepEqual(getPercentRegion(region, createCore(0), 0), { left: 10, top: 10, width: 20, height: 20 });
+        assert.deepEqual(getPercentRegion(region, createCore(180), 0), { left: 70, top: 70, width: 20, height: 20 });
+    });
+
+    it('gotoPageRegion() centres the viewport on the region', function ()
+    {
+        let core = createCore(0, false);
+        gotoPageRegion(core, 3, region);
+
+        assert.deepEqual(core.calls, [['goto', 3, 40, 80]]);
+    });
+
+    it('gotoPageRegion() goes to the page in grid view or without a region', function ()
+    {
+        let core = createCore(0, true);
+        gotoPageRegion(core, 3, region);
+
+        let otherCore = createCore(0, false);
+        gotoPageRegion(otherCore, 2, null);
+
+        assert.deepEqual(core.calls, [['page', 3]]);
+        assert.deepEqual(otherCore.calls, [['page', 2]]);
+    });
+});
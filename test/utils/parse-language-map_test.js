@@ -0,0 +1,41 @@
+import parseLanguageMap from '../../source/js/utils/parse-language-map';
+
+describe('Parse Language Map', function ()
+{
+    it('Should wrap plain strings', function ()
+    {
+        assert.deepEqual(parseLanguageMap('Folio 1r'), ['Folio 1r']);
+        assert.deepEqual(parseLanguageMap(null), []);
+    });
+
+    it('Should parse v2 value objects', function ()
+    {
+        let value = [
+            { "@value": "Antiphonaire", "@language": "fr" },
+            { "@value": "Antiphonal", "@language": "en" }
+        ];
+
+        assert.deepEqual(parseLanguageMap(value), ['Antiphonaire'], 'First language by default');
+        assert.deepEqual(parseLanguageMap(value, 'en'), ['Antiphonal'], 'Requested language');
+        assert.deepEqual(parseLanguageMap({ "@value": "Antiphonal" }), ['Antiphonal'], 'Single value object');
+    });
+
+    it('Should parse v3 language maps', function ()
+    {
+        let value = {
+            "fr": ["Antiphonaire"],
+            "en-GB": ["Antiphonal", "Choir book"]
+        };
+
+        assert.deepEqual(parseLanguageMap(value), ['Antiphonaire'], 'First language by default');
+        assert.deepEqual(parseLanguageMap(value, 'en'), ['Antiphonal', 'Choir book'], 'Regional variant of the requested language');
+        assert.deepEqual(parseLanguageMap(value, 'de'), ['Antiphonaire'], 'Fallback for a missing language');
+    });
+
+    it('Should prefer values without a language', function ()
+    {
+        assert.deepEqual(parseLanguageMap({ "fr": ["f. 1r"], "none": ["1r"] }), ['1r']);
+        assert.deepEqual(parseLanguageMap({ "fr": ["f. 1r"], "@none": ["1r"] }), ['1r']);
+        assert.deepEqual(parseLanguageMap({ "fr": ["f. 1r"], "none": ["1r"] }, 'fr'), ['f. 1r']);
+    });
+});
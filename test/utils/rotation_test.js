@@ -0,0 +1,45 @@
+import { isSideways, normalizeRotation, rotatePoint, rotateRegion, unrotatePoint } from '../../source/js/utils/rotation';
+
+describe('Rotation util', function ()
+{
+    var dimensions = { width: 200, height: 100 };
+
+    it('Normalizes rotations to 0, 90, 180 or 270 degrees', function ()
+    {
+        assert.strictEqual(normalizeRotation(-90), 270);
+        assert.strictEqual(normalizeRotation(450), 90);
+        assert.strictEqual(normalizeRotation(360), 0);
+        assert.isTrue(isSideways(-90));
+        assert.isFalse(isSideways(180));
+    });
+
+    it('Rotates points of a page clockwise', function ()
+    {
+        var point = { x: 10, y: 20 };
+
+        assert.deepEqual(rotatePoint(point, dimensions, 0), { x: 10, y: 20 });
+        assert.deepEqual(rotatePoint(point, dimensions, 90), { x: 80, y: 10 });
+        assert.deepEqual(rotatePoint(point, dimensions, 180), { x: 190, y: 80 });
+        assert.deepEqual(rotatePoint(point, dimensions, 270), { x: 20, y: 190 });
+    });
+
+    it('Rotates regions of a page clockwise', function ()
+    {
+        var region = { left: 10, top: 20, width: 50, height: 30 };
+
+        assert.deepEqual(rotateRegion(region, dimensions, 90), { left: 50, top: 10, width: 30, height: 50 });
+        assert.deepEqual(rotateRegion(region, dimensions, 180), { left: 140, top: 50, width: 50, height: 30 });
+        assert.deepEqual(rotateRegion(region, dimensions, 270), { left: 20, top: 140, width: 30, height: 50 });
+    });
+
+    it('Finds points of a rotated page on the unrotated page', function ()
+    {
+        var point = { x: 10, y: 20 };
+
+        [0, 90, 180, 270, -90].forEach(function (rotation)
+        {
+            var rotated = rotatePoint(point, dimensions, rotation);
+            assert.deepEqual(unrotatePoint(rotated, dimensions, rotation), point, 'Rotation by ' + rotation);
+        });
+    });
+});
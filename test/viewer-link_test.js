@@ -0,0 +1,146 @@
+import Diva from '../source/js/diva';
+
+describe('Viewer Link', function ()
+{
+    beforeEach(function ()
+    {
+        // reset event subscription so only current test is subscribed
+        Diva.Events.unsubscribeAll();
+
+        // recreate the wrapper with two diva elements side by side
+        let oldWrapper = document.getElementById('parent-wrapper');
+        oldWrapper.parentNode.removeChild(oldWrapper);
+        let newWrapper = document.createElement('div');
+        newWrapper.id = 'parent-wrapper';
+        newWrapper.setAttribute('style', 'width: 984px; display: flex;');
+
+        ['diva-wrapper', 'diva-wrapper-2'].forEach(function (id)
+        {
+            let div = document.createElement('div');
+            div.id = id;
+            div.setAttribute('style', 'width: 492px; height: 800px;');
+            newWrapper.appendChild(div);
+        });
+
+        document.body.appendChild(newWrapper);
+    });
+
+    // Create two viewers and call back once both have loaded
+    var createLinkedViewers = function (options, callback)
+    {
+        var settings = {
+            objectData: 'https://ddmal.github.io/diva.js/try/demo/beromunster-iiif.json',
+            zoomDuration: 0
+        };
+
+        var first = new Diva('diva-wrapper', Object.assign({ hashParamSuffix: 'a' }, settings));
+        var second = new Diva('diva-wrapper-2', Object.assign({ hashParamSuffix: 'b' }, settings));
+        var link = new Diva.ViewerLink(first, second, options);
+        var loaded = 0;
+
+        [first, second].forEach(function (viewer)
+        {
+            Diva.Events.subscribe('ViewerDidLoad', function ()
+            {
+                loaded++;
+
+                if (loaded === 2)
+                    callback(first, second, link);
+            }, viewer.getInstanceId());
+        });
+    };
+
+    it('maps pages by index by default', function (done)
+    {
+        createLinkedViewers({}, function (first, second, link)
+        {
+            assert.strictEqual(link.mapPage(5, first, second), 5);
+            assert.isNull(link.mapPage(10000, first, second), 'Pages which do not exist should not be mapped');
+
+            first.gotoPageByIndex(5);
+
+            setTimeout(function ()
+            {
+                assert.strictEqual(second.getActivePageIndex(), 5, 'The second viewer should follow the first');
+                done();
+            }, 10);
+        });
+    });
+
+    it('maps pages through a canvas concordance', function (done)
+    {
+        createLinkedViewers(null, function (first, second)
+        {
+            var firstPages = first.getSettings().manifest.pages;
+            var secondPages = second.getSettings().manifest.pages;
+
+            var link = new Diva.ViewerLink(first, second, {
+                concordance: [
+                    [firstPages[0].canvas, secondPages[2].canvas],
+                    [firstPages[3].canvas, secondPages[8].canvas]
+                ],
+                syncZoom: false,
+                syncScroll: false
+            });
+
+            assert.strictEqual(link.mapPage(0, first, second), 2);
+            assert.strictEqual(link.mapPage(3, first, second), 8);
+            assert.strictEqual(link.mapPage(8, second, first), 3, 'The concordance should work both ways');
+            assert.isNull(link.mapPage(1, first, second), 'Pages without a counterpart should not be mapped');
+
+            link.unlink();
+            done();
+        });
+    });
+
+    it('uses the mapPage option', function (done)
+    {
+        var firstViewer;
+
+        var mapPage = function (pageIndex, from)
+        {
+            return from === firstViewer ? pageIndex + 1 : pageIndex - 1;
+        };
+
+        createLinkedViewers({ mapPage: mapPage, syncZoom: false }, function (first, second)
+        {
+            firstViewer = first;
+            second.gotoPageByIndex(4);
+
+            setTimeout(function ()
+            {
+                assert.strictEqual(first.getActivePageIndex(), 3, 'The first viewer should show the page mapped from the second');
+                done();
+            }, 10);
+        });
+    });
+
+    it('syncs the zoom level', function (done)
+    {
+        createLinkedViewers({}, function (first, second)
+        {
+            first.setZoomLevel(2.5);
+
+            assert.closeTo(second.getZoomLevel(), 2.5, 0.01, 'Identical pages should be shown at the same zoom level');
+            done();
+        });
+    });
+
+    it('stops syncing once unlinked', function (done)
+    {
+        createLinkedViewers({}, function (first, second, link)
+        {
+            link.unlink();
+
+            first.setZoomLevel(3);
+            first.gotoPageByIndex(7);
+
+            setTimeout(function ()
+            {
+                assert.notStrictEqual(second.getZoomLevel(), 3, 'The zoom level should not be synced');
+                assert.notStrictEqual(second.getActivePageIndex(), 7, 'The page should not be synced');
+                done();
+            }, 10);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+import { fromWebAnnotation, toAnnotationPage, toWebAnnotation } from '../source/js/plugins/_web-annotations';
+
+describe('Web Annotations', function ()
+{
+    let rectangle = {
+        id: 'urn:uuid:0b9c6c1e-5f0e-4f43-9d2a-1c2f0a7a3b11',
+        canvas: 'https://example.org/iiif/test-ms/canvas/f001r',
+        region: { x: 200, y: 300, w: 400, h: 100 },
+        points: null,
+        comment: 'Kyrie',
+        created: '2024-05-01T10:00:00.000Z',
+        modified: '2024-05-01T10:05:00.000Z'
+    };
+
+    let polygon = Object.assign({}, rectangle, {
+        id: 'urn:uuid:6d1f3a52-2a4e-4c1b-8f0e-7b9c2d4e5f60',
+        region: { x: 100, y: 100, w: 200, h: 150 },
+        points: [{ x: 100, y: 100 }, { x: 300, y: 120 }, { x: 150, y: 250 }],
+        comment: ''
+    });
+
+    it('targets rectangles with media fragments', function ()
+    {
+        let annotation = toWebAnnotation(rectangle);
+
+        assert.strictEqual(annotation['@context'], 'http://www.w3.org/ns/anno.jsonld');
+        assert.strictEqual(annotation.motivation, 'commenting');
+        assert.deepEqual(annotation.target, {
+            type: 'SpecificResource',
+            source: 'https://example.org/iiif/test-ms/canvas/f001r',
+            selector: {
+                type: 'FragmentSelector',
+                conformsTo: 'http://www.w3.org/TR/media-frags/',
+                value: 'xywh=200,300,400,100'
+            }
+        });
+        assert.strictEqual(annotation.body[0].value, 'Kyrie');
+        assert.deepEqual(fromWebAnnotation(annotation), rectangle, 'The annotation should be read back unchanged');
+    });
+
+    it('targets polygons with SVG selectors', function ()
+    {
+        let annotation = toWebAnnotation(polygon);
+
+        assert.strictEqual(annotation.target.selector.type, 'SvgSelector');
+        assert.include(annotation.target.selector.value, 'points="100,100 300,120 150,250"');
+        assert.deepEqual(annotation.body, [], 'Annotations without a comment should have no body');
+        assert.deepEqual(fromWebAnnotation(annotation), polygon, 'The bounding box of the polygon should be its region');
+    });
+
+    it('reads annotations which target canvases with fragments', function ()
+    {
+        let annotation = fromWebAnnotation({
+            id: 'https://example.org/annotations/1',
+            type: 'Annotation',
+            body: { type: 'TextualBody', value: 'Gloria' },
+            target: 'https://example.org/iiif/test-ms/canvas/f001v#xywh=10,20,30,40'
+        });
+
+        assert.strictEqual(annotation.canvas, 'https://example.org/iiif/test-ms/canvas/f001v');
+        assert.deepEqual(annotation.region, { x: 10, y: 20, w: 30, h: 40 });
+        assert.strictEqual(annotation.comment, 'Gloria');
+        assert.isNull(fromWebAnnotation({ id: 'a', type: 'Annotation', target: 'https://example.org/iiif/test-ms/canvas/f001v' }),
+            'Annotations of whole canvases cannot be drawn');
+    });
+
+    it('exports annotation pages', function ()
+    {
+        let page = toAnnotationPage([rectangle, polygon], null);
+
+        assert.strictEqual(page.type, 'AnnotationPage');
+        assert.strictEqual(page['@context'], 'http://www.w3.org/ns/anno.jsonld');
+        assert.strictEqual(page.items.length, 2);
+        assert.notProperty(page.items[0], '@context', 'The page gives the context of its annotations');
+        assert.notProperty(page, 'id');
+    });
+});
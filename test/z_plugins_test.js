@@ -1,6 +1,8 @@
 import Diva from '../source/js/diva';
 
 let v3Manifest = require('./manifests/iiifv3.json');
+let v3SmallManifest = require('./manifests/iiifv3-small.json');
+let v3AuthManifest = require('./manifests/iiifv3-auth.json');
 
 describe('Plugins', function ()
 {
@@ -177,4 +179,576 @@ describe('Plugins', function ()
     });
 
     // hard to test dragging the sliders to manipulate the image with just javascript, skipping
-});
\ No newline at end of file
+
+    // TABLE OF CONTENTS PLUGIN
+    it('Table of contents lists the ranges and goes to their first page', function (done)
+    {
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            let icon = document.getElementsByClassName('diva-toc-icon')[0];
+            assert.isDefined(icon, 'Table of contents icon should exist');
+
+            icon.click();
+
+            let labels = document.querySelectorAll('.diva-toc-modal .diva-toc-label');
+            assert.strictEqual(labels.length, 4, 'All ranges should be listed');
+            assert.strictEqual(labels[3].textContent, 'Colour chart');
+
+            // the manifest opens on f. 1v, which is in the Kyrie
+            let current = document.querySelector('.diva-toc-current > .diva-toc-label');
+            assert.strictEqual(current.textContent, 'Kyrie', 'Range of the active page should be highlighted');
+
+            labels[1].click();
+            assert.strictEqual(this.getActivePageIndex(), 0, 'Should go to the first page of the range');
+
+            current = document.querySelector('.diva-toc-current > .diva-toc-label');
+            assert.strictEqual(current.textContent, 'Gathering 1', 'Highlight should follow the active page');
+
+            icon.click();
+            assert.strictEqual(document.querySelector('.diva-toc-modal').style.display, 'none', 'Table of contents should be hidden');
+
+            done();
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: v3SmallManifest,
+            plugins: [Diva.TableOfContentsPlugin]
+        });
+    });
+
+    it('Table of contents shows the ranges of the document loaded after another', function (done)
+    {
+        let loads = 0;
+
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            loads++;
+
+            if (loads === 1)
+            {
+                document.getElementsByClassName('diva-toc-icon')[0].click();
+                this.changeObject(v3Manifest);
+                return;
+            }
+
+            // the plugin handles the event after this test
+            setTimeout(() =>
+            {
+                let modals = document.querySelectorAll('.diva-toc-modal');
+                let modal = modals[modals.length - 1];
+                let labels = modal.querySelectorAll('.diva-toc-label');
+
+                assert.strictEqual(labels[0].textContent, 'Songs and hymns (noted)', 'The ranges of the new document should be listed');
+                assert.strictEqual(modal.style.display, 'block', 'The table of contents should stay open');
+
+                done();
+            }, 0);
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: v3SmallManifest,
+            plugins: [Diva.TableOfContentsPlugin]
+        });
+    });
+
+    // NAVIGATOR PLUGIN
+    it('Navigator shows the active page and pans the viewer', function (done)
+    {
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            let icon = document.getElementsByClassName('diva-navigator-icon')[0];
+            assert.isDefined(icon, 'Navigator icon should exist');
+
+            icon.click();
+
+            let navigator = document.querySelector('.diva-navigator');
+            let thumbnail = navigator.querySelector('.diva-navigator-thumbnail');
+            assert.strictEqual(navigator.style.display, 'block', 'Navigator should be shown');
+            assert.include(thumbnail.src, '/full/', 'Thumbnail should show the page image');
+
+            let box = navigator.querySelector('.diva-navigator-viewport');
+            assert.strictEqual(box.style.display, 'block', 'Rectangle should show the part of the page in view');
+
+            // press near the bottom of the thumbnail to pan down the page
+            let viewportObject = this.getSettings().viewportObject;
+            let scrollTop = viewportObject.scrollTop;
+            let bounds = thumbnail.getBoundingClientRect();
+
+            navigator.dispatchEvent(new MouseEvent('mousedown', {
+                clientX: bounds.left + bounds.width / 2,
+                clientY: bounds.bottom - 2
+            }));
+            document.dispatchEvent(new MouseEvent('mouseup'));
+
+            assert.isAbove(viewportObject.scrollTop, scrollTop, 'The viewer should have panned down');
+
+            icon.click();
+            assert.strictEqual(navigator.style.display, 'none', 'Navigator should be hidden');
+
+            done();
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: 'https://images.simssa.ca/iiif/manuscripts/cdn-hsmu-m2149l4/manifest.json',
+            plugins: [Diva.NavigatorPlugin],
+            zoomLevel: 3
+        });
+    });
+
+    // FILMSTRIP PLUGIN
+    it('Filmstrip lists the pages and goes to them without changing the zoom level', function (done)
+    {
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            let icon = document.getElementsByClassName('diva-filmstrip-icon')[0];
+            assert.isDefined(icon, 'Filmstrip icon should exist');
+
+            icon.click();
+
+            let filmstrip = document.querySelector('.diva-filmstrip');
+            let items = filmstrip.querySelectorAll('.diva-filmstrip-item');
+            assert.strictEqual(filmstrip.style.display, 'block', 'Filmstrip should be shown');
+            assert.strictEqual(items.length, 3, 'Every page should be listed');
+            assert.isTrue(items[1].classList.contains('diva-filmstrip-current'), 'The active page should be highlighted');
+            assert.include(items[0].querySelector('img').src, '/full/', 'Visible thumbnails should be loaded');
+
+            items[2].querySelector('button').click();
+            assert.strictEqual(this.getActivePageIndex(), 2, 'Should go to the clicked page');
+            assert.strictEqual(this.getZoomLevel(), 2, 'The zoom level should be kept');
+            assert.isTrue(items[2].classList.contains('diva-filmstrip-current'), 'Highlight should follow the active page');
+
+            this.enterGridView();
+            assert.strictEqual(filmstrip.style.display, 'none', 'Filmstrip should be hidden in grid view');
+
+            done();
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: v3SmallManifest,
+            plugins: [Diva.FilmstripPlugin],
+            zoomLevel: 2
+        });
+    });
+
+    it('Filmstrip lists the pages of the document loaded after another', function (done)
+    {
+        let loads = 0;
+
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            loads++;
+
+            if (loads === 1)
+            {
+                document.getElementsByClassName('diva-filmstrip-icon')[0].click();
+                this.changeObject(v3Manifest);
+                return;
+            }
+
+            // the plugin handles the event after this test
+            setTimeout(() =>
+            {
+                let filmstrip = document.querySelector('.diva-filmstrip');
+                let items = filmstrip.querySelectorAll('.diva-filmstrip-item');
+
+                assert.strictEqual(filmstrip.style.display, 'block', 'Filmstrip should stay shown');
+                assert.strictEqual(items.length, this.getNumberOfPages(), 'The pages of the new document should be listed');
+
+                done();
+            }, 0);
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: v3SmallManifest,
+            plugins: [Diva.FilmstripPlugin]
+        });
+    });
+
+    // SEARCH PLUGIN
+    it('Search lists and highlights the hits and goes from one to the next', function (done)
+    {
+        Diva.Events.subscribe('SearchDidComplete', function (query, hits)
+        {
+            assert.strictEqual(query, 'kyrie');
+            assert.strictEqual(hits.length, 3, 'Hits on canvases of other manifests should be dropped');
+
+            let results = document.querySelectorAll('.diva-search-modal .diva-search-result');
+            assert.strictEqual(results.length, 3, 'All hits should be listed');
+            assert.include(results[0].textContent, 'f. 1v', 'Hits should be listed with their page label');
+
+            let next = document.querySelector('.diva-search-modal .diva-search-next');
+            next.click();
+            next.click();
+
+            assert.strictEqual(this.getActivePageIndex(), 1, 'Should go to the page of the hit');
+            assert.isAtLeast(document.querySelectorAll('.diva-search-hit').length, 3, 'The regions of the hits should be highlighted');
+            assert.strictEqual(document.querySelectorAll('.diva-search-hit-current').length, 2, 'The current hit spans two regions');
+
+            next.click();
+            assert.strictEqual(this.getActivePageIndex(), 2, 'Should go to the page of the next hit');
+
+            document.querySelector('.diva-search-modal .diva-search-previous').click();
+            assert.strictEqual(this.getActivePageIndex(), 1, 'Should go back to the previous hit');
+
+            done();
+        });
+
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            let icon = document.getElementsByClassName('diva-search-icon')[0];
+            assert.isDefined(icon, 'Search icon should exist');
+
+            icon.click();
+
+            let input = document.querySelector('.diva-search-modal .diva-search-input');
+            input.value = 'kyrie';
+            document.querySelector('.diva-search-modal .diva-search-submit').click();
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: Object.assign({}, v3SmallManifest, {
+                service: [{
+                    id: '/base/test/manifests/search-results.json',
+                    type: 'SearchService1',
+                    profile: 'http://iiif.io/api/search/1/search'
+                }]
+            }),
+            plugins: [Diva.SearchPlugin],
+            zoomLevel: 2
+        });
+    });
+
+    it('Search drops the hits when another document is loaded', function (done)
+    {
+        let loads = 0;
+
+        Diva.Events.subscribe('SearchDidComplete', function ()
+        {
+            assert.isAbove(document.querySelectorAll('.diva-search-hit').length, 0, 'The hits should be highlighted');
+            this.changeObject(v3SmallManifest);
+        });
+
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            let plugin = this.divaState.viewerCore.viewerState.pluginInstances[0];
+            loads++;
+
+            if (loads === 1)
+            {
+                plugin.search('kyrie');
+                return;
+            }
+
+            // the plugin handles the event after this test
+            setTimeout(() =>
+            {
+                assert.strictEqual(document.querySelectorAll('#diva-wrapper .diva-search-hit').length, 0, 'The hits should not be drawn on the new document');
+                assert.strictEqual(document.querySelectorAll('.diva-search-modal .diva-search-result').length, 0, 'The hits should not be listed');
+
+                plugin.search('kyrie').then(hits =>
+                {
+                    assert.deepEqual(hits, [], 'A document without a search service should have no hits');
+                    done();
+                });
+            }, 0);
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: Object.assign({}, v3SmallManifest, {
+                service: [{
+                    id: '/base/test/manifests/search-results.json',
+                    type: 'SearchService1',
+                    profile: 'http://iiif.io/api/search/1/search'
+                }]
+            }),
+            plugins: [Diva.SearchPlugin]
+        });
+    });
+
+    // ANNOTATE PLUGIN
+    it('Annotate draws rectangles in canvas coordinates and stores them', function (done)
+    {
+        localStorage.removeItem('diva-annotations-test:' + v3SmallManifest.id);
+
+        Diva.Events.subscribe('AnnotationDidCreate', function (annotation, pageIndex)
+        {
+            let region = annotation.target.selector.value.replace('xywh=', '').split(',').map(Number);
+
+            assert.strictEqual(pageIndex, 0);
+            assert.strictEqual(annotation.target.source, v3SmallManifest.items[0].id, 'The annotation should target the canvas');
+            assert.closeTo(region[0], this.translateToMaxZoomLevel(10), 1, 'The rectangle should be measured on the canvas');
+            assert.closeTo(region[2], this.translateToMaxZoomLevel(50), 1);
+            assert.closeTo(region[3], this.translateToMaxZoomLevel(30), 1);
+
+            let stored = JSON.parse(localStorage.getItem('diva-annotations-test:' + v3SmallManifest.id));
+            assert.strictEqual(stored.length, 1, 'The annotation should be stored');
+            assert.strictEqual(stored[0].id, annotation.id);
+
+            assert.strictEqual(document.querySelectorAll('.diva-annotate-item').length, 1, 'The annotation should be listed');
+            assert.isAtLeast(document.querySelectorAll('.diva-drawn-annotation').length, 1, 'The rectangle should be drawn on the page');
+
+            done();
+        });
+
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            // Let the plugin add its page overlays first
+            setTimeout(() =>
+            {
+                let icon = document.getElementsByClassName('diva-annotate-icon')[0];
+                assert.isDefined(icon, 'Annotate icon should exist');
+
+                icon.click();
+                assert.strictEqual(document.querySelector('.diva-annotate-panel').style.display, 'block', 'Panel should be shown');
+
+                let page = document.querySelector('.diva-drawn-annotations');
+                let bounds = page.getBoundingClientRect();
+                let mouseEvent = (type, x, y) => new MouseEvent(type, { bubbles: true, button: 0, clientX: bounds.left + x, clientY: bounds.top + y });
+
+                page.dispatchEvent(mouseEvent('mousedown', 10, 10));
+                window.dispatchEvent(mouseEvent('mousemove', 40, 30));
+                window.dispatchEvent(mouseEvent('mouseup', 60, 40));
+            }, 0);
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: v3SmallManifest,
+            plugins: [Diva.AnnotatePlugin],
+            annotationStore: new Diva.AnnotatePlugin.LocalStorageAnnotationStore({ key: 'diva-annotations-test' }),
+            zoomLevel: 2
+        });
+    });
+
+    it('Annotate stores changes after the annotation is created, and undoes failed changes', function (done)
+    {
+        let requests = [];
+        let resolveCreate;
+
+        // A store which answers the first create once told to, and fails the others
+        let store = {
+            load: () => Promise.resolve([]),
+            create: (documentId, annotation) =>
+            {
+                requests.push(['create', annotation.id]);
+
+                if (requests.length === 1)
+                    return new Promise(resolve => { resolveCreate = () => resolve(Object.assign({}, annotation, { id: 'https://example.org/annotations/1' })); });
+
+                return Promise.reject(new Error('The store is full'));
+            },
+            update: (documentId, annotation) =>
+            {
+                requests.push(['update', annotation.id]);
+                return Promise.resolve(annotation);
+            },
+            delete: () => Promise.reject(new Error('The server is down'))
+        };
+
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            setTimeout(() =>
+            {
+                let plugin = this.divaState.viewerCore.viewerState.pluginInstances[0];
+                let region = { x: 10, y: 10, w: 100, h: 100 };
+
+                let created = plugin.addAnnotation(0, { region: region });
+                let temporaryId = plugin.getAnnotations()[0].id;
+
+                let updated = plugin.updateAnnotation(temporaryId, 'Kyrie');
+                assert.deepEqual(requests, [['create', temporaryId]], 'The update should wait for the create');
+
+                resolveCreate();
+
+                Promise.all([created, updated]).then(() =>
+                {
+                    assert.deepEqual(requests[1], ['update', 'https://example.org/annotations/1'], 'The update should use the stored id');
+
+                    return plugin.addAnnotation(0, { region: region }).then(() => assert.fail('The create should fail'), () =>
+                    {
+                        assert.strictEqual(plugin.getAnnotations().length, 1, 'The annotation which was not stored should be removed');
+                    });
+                }).then(() =>
+                {
+                    return plugin.deleteAnnotation('https://example.org/annotations/1').then(() => assert.fail('The delete should fail'), () =>
+                    {
+                        assert.strictEqual(plugin.getAnnotations().length, 1, 'The annotation which is still stored should be kept');
+                    });
+                }).then(() => done(), done);
+            }, 0);
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: v3SmallManifest,
+            plugins: [Diva.AnnotatePlugin],
+            annotationStore: store
+        });
+    });
+
+    // BOOKMARKS PLUGIN
+    it('Bookmarks saves named views and goes back to them', function (done)
+    {
+        localStorage.removeItem('diva-bookmarks:' + v3SmallManifest.id);
+
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            // Let the plugin handle the load first
+            setTimeout(() =>
+            {
+                let icon = document.getElementsByClassName('diva-bookmarks-icon')[0];
+                assert.isDefined(icon, 'Bookmarks icon should exist');
+
+                icon.click();
+                assert.strictEqual(document.querySelector('.diva-bookmarks-empty').textContent, 'No bookmarks yet.');
+
+                this.gotoPageByIndex(2);
+                document.querySelector('.diva-bookmarks-name').value = 'Chart';
+                document.querySelector('.diva-bookmarks-add').click();
+
+                let stored = JSON.parse(localStorage.getItem('diva-bookmarks:' + v3SmallManifest.id));
+                assert.strictEqual(stored.bookmarks.length, 1, 'The bookmark should be stored');
+                assert.strictEqual(stored.bookmarks[0].name, 'Chart');
+                assert.strictEqual(stored.bookmarks[0].state.p, 3, 'The bookmark should keep the page');
+
+                this.gotoPageByIndex(0);
+                document.querySelector('.diva-bookmarks-list .diva-bookmark').click();
+                assert.strictEqual(this.getActivePageIndex(), 2, 'Should go back to the bookmarked page');
+
+                document.querySelector('.diva-bookmarks-list .diva-bookmark-delete').click();
+                assert.strictEqual(JSON.parse(localStorage.getItem('diva-bookmarks:' + v3SmallManifest.id)).bookmarks.length, 0,
+                    'The bookmark should be deleted');
+
+                done();
+            }, 0);
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: v3SmallManifest,
+            plugins: [Diva.BookmarksPlugin],
+            zoomLevel: 2
+        });
+    });
+
+    it('Bookmarks offers to go back to the last reading position', function (done)
+    {
+        // Another id than the previous test, whose viewer may still save its reading position
+        let manifest = Object.assign({}, v3SmallManifest, { id: 'https://example.org/iiif/test-ms/bookmarks-manifest' });
+
+        localStorage.setItem('diva-bookmarks:' + manifest.id, JSON.stringify({
+            bookmarks: [],
+            readingPosition: { state: { v: 'd', z: 2, p: 3 }, pageIndex: 2 }
+        }));
+
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            // Let the plugin handle the load first
+            setTimeout(() =>
+            {
+                let prompt = document.querySelector('.diva-resume-reading');
+                assert.isNotNull(prompt, 'Should offer to go back to the reading position');
+                assert.include(prompt.textContent, 'chart', 'The page of the reading position should be named');
+
+                prompt.querySelector('.diva-resume-reading-button').click();
+                assert.strictEqual(this.getActivePageIndex(), 2, 'Should go back to the page');
+                assert.isNull(document.querySelector('.diva-resume-reading'), 'The offer should be removed');
+
+                done();
+            }, 0);
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: manifest,
+            plugins: [Diva.BookmarksPlugin],
+            zoomLevel: 2
+        });
+    });
+
+    it('Bookmarks are not stored for manifests without an id', function (done)
+    {
+        let manifest = Object.assign({}, v3SmallManifest);
+        delete manifest.id;
+
+        localStorage.removeItem('diva-bookmarks:null');
+
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            setTimeout(() =>
+            {
+                document.getElementsByClassName('diva-bookmarks-icon')[0].click();
+
+                // The panels of the previous tests are still in the page
+                let panels = document.querySelectorAll('.diva-bookmarks-modal');
+                let panel = panels[panels.length - 1];
+
+                panel.querySelector('.diva-bookmarks-add').click();
+
+                assert.isNull(localStorage.getItem('diva-bookmarks:null'), 'Documents without an id should not share their bookmarks');
+                assert.strictEqual(panel.querySelectorAll('.diva-bookmark').length, 0);
+
+                done();
+            }, 0);
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: manifest,
+            plugins: [Diva.BookmarksPlugin]
+        });
+    });
+
+    it('IIIF Auth requests an access token when a protected tile fails to load', function (done)
+    {
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            Diva.Events.publish('TileLoadError', [2, 'https://example.org/iiif/image/protected-ms/f002r/full/max/0/default.jpg'], this);
+            assert.isNull(document.querySelector('.diva-auth-token-frame'), 'Unprotected images should not need a token');
+
+            Diva.Events.publish('TileLoadError', [0, 'https://example.org/iiif/image/protected-ms/f001r/full/max/0/default.jpg'], this);
+
+            let frames = document.querySelectorAll('.diva-auth-token-frame');
+            assert.strictEqual(frames.length, 1, 'A token should be requested');
+            assert.include(frames[0].src, 'https://example.org/auth/token?messageId=');
+            assert.include(frames[0].src, '&origin=' + encodeURIComponent(window.location.origin));
+
+            Diva.Events.publish('TileLoadError', [0, 'https://example.org/iiif/image/protected-ms/f001r/full/max/0/default.jpg'], this);
+            assert.strictEqual(document.querySelectorAll('.diva-auth-token-frame').length, 1, 'The page should only be checked once');
+
+            done();
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: v3AuthManifest,
+            plugins: [Diva.IIIFAuthPlugin]
+        });
+    });
+
+    // OFFLINE PLUGIN
+    it('Offline lists the pages to save and estimates the number of files', function (done)
+    {
+        Diva.Events.subscribe('ViewerDidLoad', function ()
+        {
+            document.querySelector('.diva-offline-icon').click();
+
+            let from = document.querySelector('.diva-offline-from');
+            let to = document.querySelector('.diva-offline-to');
+            let estimate = document.querySelector('.diva-offline-estimate');
+
+            assert.strictEqual(from.options.length, 3, 'Every page should be listed');
+            assert.strictEqual(from.value, '0', 'The range should start at the current page');
+            assert.strictEqual(document.querySelector('.diva-offline-zoom').value, '2', 'The zoom level should be the current one');
+
+            let pageCount = parseInt(estimate.textContent.match(/\d+/)[0], 10);
+
+            to.value = '2';
+            to.dispatchEvent(new Event('change'));
+
+            assert.isAbove(parseInt(estimate.textContent.match(/\d+/)[0], 10), pageCount, 'More pages should need more files');
+
+            done();
+        });
+
+        let diva = new Diva('diva-wrapper', { // jshint ignore:line
+            objectData: v3SmallManifest,
+            plugins: [Diva.OfflinePlugin],
+            zoomLevel: 2
+        });
+    });
+});
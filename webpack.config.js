@@ -41,10 +41,19 @@ module.exports = [{
     }
 }, {
     entry: {
+        'annotate': './source/js/plugins/annotate.js',
+        'bookmarks': './source/js/plugins/bookmarks.js',
         'download': './source/js/plugins/download.js',
+        'filmstrip': './source/js/plugins/filmstrip.js',
+        'iiif-auth': './source/js/plugins/iiif-auth.js',
         'manipulation': './source/js/plugins/manipulation.js',
         'metadata': './source/js/plugins/metadata.js',
-        'simple-auth': './source/js/plugins/simple-auth.js'
+        'navigator': './source/js/plugins/navigator.js',
+        'offline': './source/js/plugins/offline.js',
+        'rotate': './source/js/plugins/rotate.js',
+        'search': './source/js/plugins/search.js',
+        'simple-auth': './source/js/plugins/simple-auth.js',
+        'table-of-contents': './source/js/plugins/table-of-contents.js'
     },
     plugins: [
         new CleanWebpackPlugin([path.join('build', 'plugins')]),
@@ -56,4 +65,15 @@ module.exports = [{
     },
     mode: buildMode,
     devtool: (buildMode === "production") ? 'cheap-source-map' : 'cheap-module-eval-source-map'
+}, {
+    // The service worker of the offline plugin
+    entry: './source/js/offline-worker.js',
+    target: 'webworker',
+    output: {
+        publicPath: '/build/',
+        path: path.join(__dirname, 'build'),
+        filename: 'diva-offline-worker.js'
+    },
+    mode: buildMode,
+    devtool: (buildMode === "production") ? 'cheap-source-map' : 'cheap-module-eval-source-map'
 }];
\ No newline at end of file